@@ -0,0 +1,34 @@
+/**
+ * Custom fields
+ * Tenants define extra fields per entity; records keep their values in the
+ * custom_fields column, keyed by field key. Lists filter on cf_<key> query
+ * parameters (cf_<key>_from / cf_<key>_to for number and date ranges) and
+ * sort on cf_<key>.
+ */
+
+export const CUSTOM_FIELD_ENTITIES = ['leads', 'contacts', 'companies', 'opportunities'];
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date', 'picklist', 'multi_select', 'boolean'];
+
+// Types whose values come from the definition's options
+export const OPTION_TYPES = ['picklist', 'multi_select'];
+
+// Types that support _from and _to range filters
+export const RANGE_TYPES = ['number', 'date'];
+
+// Lowercase letters, digits and underscores, starting with a letter
+export const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+// List query parameter prefix for filtering and sorting on a custom field
+export const CUSTOM_FIELD_PARAM_PREFIX = 'cf_';
+
+export const MAX_CUSTOM_FIELDS = 50;
+export const MAX_CUSTOM_FIELD_OPTIONS = 100;
+export const MAX_CUSTOM_TEXT_LENGTH = 1000;
+
+// Export column type for each custom field type; others are written as text
+export const CUSTOM_FIELD_EXPORT_TYPES = {
+  number: 'number',
+  date: 'date',
+  multi_select: 'list'
+};
@@ -1,5 +1,5 @@
- 
 import {Pool} from 'pg';
+import { AsyncLocalStorage } from 'async_hooks';
 import dotenv from 'dotenv'
 // Load environment variables
 dotenv.config();
@@ -16,19 +16,188 @@ dotenv.config();
   password: process.env.DB_PASSWORD,
 });
 
+// Idle clients dropped by the server (restart, outage) must not crash the process
+pool.on('error', (err) => console.error('Idle database client error:', err.message));
+
 // Test database connection
 pool.connect()
-  .then(() => console.log('Database connected successfully'))
+  .then((client) => {
+    console.log('Database connected successfully');
+    client.release();
+  })
   .catch(err => console.error('Database connection error:', err.message));
 
+/**
+ * Connection bound to the current request or job, if any.
+ * Holds { client, tenantId, savepoints, cursors, released }.
+ */
+const dbContext = new AsyncLocalStorage();
+
+/**
+ * Check out a client and open a transaction bound to a tenant, so RLS
+ * policies see app.tenant_id for every statement until COMMIT/ROLLBACK
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - { readOnly }
+ * @returns {Promise<Object>} - Context for runInContext
+ */
+const openTenantTransaction = async (tenantId, { readOnly = false } = {}) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query(readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    await client.query("SELECT set_config('app.tenant_id', $1, true)", [tenantId]);
+  } catch (error) {
+    client.release();
+    throw error;
+  }
+
+  return { client, tenantId, savepoints: 0, cursors: 0, released: false };
+};
+
 /**
  * Execute SQL queries with parameterized values
  * @param {string} text - SQL query text
  * @param {Array} params - Query parameters
  * @returns {Promise} - Query result
  */
+const query = (text, params) => {
+  const context = dbContext.getStore();
+  if (context?.released) {
+    return Promise.reject(new Error('The tenant transaction was already released'));
+  }
+  return (context ? context.client : pool).query(text, params);
+};
+
+/**
+ * Run a callback with every db.query call routed through the context's client
+ * @param {Object} context - Context from openTenantTransaction
+ * @param {Function} fn - Callback
+ */
+const runInContext = (context, fn) => dbContext.run(context, fn);
+
+/**
+ * Run a callback in its own tenant-bound transaction. Used outside
+ * authenticated requests (webhooks, background jobs).
+ * @param {string} tenantId - Tenant UUID
+ * @param {Function} fn - Async callback
+ * @returns {Promise<*>} - Callback result, after COMMIT
+ */
+const withTenant = async (tenantId, fn) => {
+  const context = await openTenantTransaction(tenantId);
+
+  try {
+    const result = await runInContext(context, fn);
+    await context.client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await context.client.query('ROLLBACK');
+    throw error;
+  } finally {
+    context.client.release();
+  }
+};
+
+/**
+ * Run a read-only callback in its own tenant-bound transaction, with a
+ * per-statement timeout and an idle timeout after which Postgres ends the
+ * session. Used for long reads such as exports.
+ * @param {string} tenantId - Tenant UUID
+ * @param {Function} fn - Async callback
+ * @param {Object} timeouts - { statementTimeout, idleTimeout } in milliseconds
+ * @returns {Promise<*>} - Callback result
+ */
+const withReadOnlyTenant = async (tenantId, fn, { statementTimeout, idleTimeout }) => {
+  const context = await openTenantTransaction(tenantId, { readOnly: true });
+  let failure;
+
+  try {
+    await context.client.query(
+      "SELECT set_config('statement_timeout', $1, true), set_config('idle_in_transaction_session_timeout', $2, true)",
+      [String(statementTimeout), String(idleTimeout)]
+    );
+    const result = await runInContext(context, fn);
+    // Nothing was written, so a failed COMMIT loses nothing
+    await context.client.query('COMMIT').catch((error) => {
+      failure = error;
+    });
+    return result;
+  } catch (error) {
+    failure = error;
+    await context.client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    // A session ended by a timeout cannot go back to the pool
+    context.client.release(failure);
+  }
+};
+
+/**
+ * Run a callback atomically. Inside a tenant context this is a savepoint on
+ * the context's transaction, so a failure only undoes the callback's writes.
+ * @param {Function} fn - Async callback
+ * @returns {Promise<*>} - Callback result
+ */
+const transaction = async (fn) => {
+  const context = dbContext.getStore();
+
+  if (!context || context.released) {
+    throw new Error('db.transaction() requires a tenant context');
+  }
+
+  const savepoint = `sp_${++context.savepoints}`;
+  await context.client.query(`SAVEPOINT ${savepoint}`);
+
+  try {
+    const result = await fn();
+    await context.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+    return result;
+  } catch (error) {
+    await context.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+    throw error;
+  }
+};
+
+/**
+ * Read a query's rows in batches through a cursor on the context's
+ * transaction. Rows keep the query's order and the snapshot taken when the
+ * cursor opened, without the cost of OFFSET or a count.
+ * @param {string} text - SQL query text, without LIMIT/OFFSET
+ * @param {Array} params - Query parameters
+ * @param {number} batchSize - Rows per batch
+ * @returns {AsyncGenerator<Array>} - Batches of rows; the last may be short or empty
+ */
+const cursor = async function* (text, params, batchSize) {
+  const context = dbContext.getStore();
+
+  if (!context || context.released) {
+    throw new Error('db.cursor() requires a tenant context');
+  }
+
+  const name = `cursor_${++context.cursors}`;
+  await context.client.query(`DECLARE ${name} NO SCROLL CURSOR FOR ${text}`, params);
+
+  try {
+    for (;;) {
+      const { rows } = await context.client.query(`FETCH ${batchSize} FROM ${name}`);
+      yield rows;
+      if (rows.length < batchSize) {
+        return;
+      }
+    }
+  } finally {
+    // Fails harmlessly when the transaction has already been aborted
+    await context.client.query(`CLOSE ${name}`).catch(() => {});
+  }
+};
+
 const db = {
-  query: (text, params) => pool.query(text, params),
-  pool
+  query,
+  pool,
+  openTenantTransaction,
+  runInContext,
+  withTenant,
+  withReadOnlyTenant,
+  transaction,
+  cursor
 };
-export default db;
\ No newline at end of file
+export default db;
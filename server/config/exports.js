@@ -0,0 +1,85 @@
+/**
+ * Spreadsheet exports
+ * Columns each export entity offers, keyed by the column name callers pass in
+ * `columns`, with the header written to the file. Types control how values
+ * are written: number, date (YYYY-MM-DD), datetime, list (joined with commas)
+ * and string, the default.
+ */
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+export const EXPORT_COLUMNS = {
+  leads: {
+    id: { header: 'ID' },
+    title: { header: 'Title' },
+    first_name: { header: 'First name' },
+    last_name: { header: 'Last name' },
+    email: { header: 'Email' },
+    phone: { header: 'Phone' },
+    company_name: { header: 'Company' },
+    status: { header: 'Status' },
+    stage: { header: 'Stage' },
+    score: { header: 'Score', type: 'number' },
+    source: { header: 'Source' },
+    exhibition_id: { header: 'Exhibition ID', type: 'number' },
+    utm_source: { header: 'UTM source' },
+    utm_medium: { header: 'UTM medium' },
+    utm_campaign: { header: 'UTM campaign' },
+    owner_name: { header: 'Owner' },
+    tags: { header: 'Tags', type: 'list' },
+    notes: { header: 'Notes' },
+    created_at: { header: 'Created at', type: 'datetime' },
+    updated_at: { header: 'Updated at', type: 'datetime' }
+  },
+  contacts: {
+    id: { header: 'ID' },
+    first_name: { header: 'First name' },
+    last_name: { header: 'Last name' },
+    email: { header: 'Email' },
+    phone: { header: 'Phone' },
+    dob: { header: 'Date of birth', type: 'date' },
+    company_name: { header: 'Company' },
+    company_website: { header: 'Company website' },
+    owner_name: { header: 'Owner' },
+    source: { header: 'Source' },
+    kf_visitor_id: { header: 'FairEx visitor ID', type: 'number' },
+    lead_count: { header: 'Leads', type: 'number' },
+    created_at: { header: 'Created at', type: 'datetime' }
+  },
+  companies: {
+    id: { header: 'ID' },
+    name: { header: 'Name' },
+    website: { header: 'Website' },
+    phone: { header: 'Phone' },
+    address: { header: 'Address' },
+    contact_count: { header: 'Contacts', type: 'number' },
+    opportunity_count: { header: 'Opportunities', type: 'number' },
+    total_won_value: { header: 'Won value', type: 'number' },
+    created_at: { header: 'Created at', type: 'datetime' }
+  },
+  opportunities: {
+    id: { header: 'ID' },
+    name: { header: 'Name' },
+    status: { header: 'Status' },
+    amount: { header: 'Amount', type: 'number' },
+    currency: { header: 'Currency' },
+    close_date: { header: 'Close date', type: 'date' },
+    pipeline_name: { header: 'Pipeline' },
+    stage_name: { header: 'Stage' },
+    contact_name: { header: 'Contact' },
+    contact_email: { header: 'Contact email' },
+    company_name: { header: 'Company' },
+    lead_title: { header: 'Lead' },
+    created_at: { header: 'Created at', type: 'datetime' }
+  }
+};
+
+// Rows fetched per query while streaming an export
+export const EXPORT_BATCH_SIZE = 500;
+
+// Exports read through their own read-only transaction. Each batch query may
+// run for EXPORT_STATEMENT_TIMEOUT_MS, and a client that stops reading for
+// EXPORT_IDLE_TIMEOUT_MS is dropped, so a slow download cannot hold a
+// connection indefinitely.
+export const EXPORT_STATEMENT_TIMEOUT_MS = parseInt(process.env.EXPORT_STATEMENT_TIMEOUT_MS) || 60 * 1000;
+export const EXPORT_IDLE_TIMEOUT_MS = parseInt(process.env.EXPORT_IDLE_TIMEOUT_MS) || 2 * 60 * 1000;
@@ -0,0 +1,56 @@
+/**
+ * Spreadsheet imports
+ * Fields each import entity accepts and how their cell values are validated.
+ * Types: string (max length), email, phone, integer, date (YYYY-MM-DD),
+ * picklist (a value or label of one of the tenant's picklists) and tags
+ * (a comma or semicolon separated list).
+ * Columns are mapped automatically when their header matches the field name
+ * or one of its aliases, ignoring case, spaces and punctuation.
+ */
+
+export const IMPORT_ENTITIES = ['leads', 'contacts', 'companies'];
+
+// Contact columns, shared by contact and lead imports
+const CONTACT_FIELDS = {
+  first_name: { type: 'string', max: 255 },
+  last_name: { type: 'string', max: 255 },
+  email: { type: 'email' },
+  phone: { type: 'phone', aliases: ['mobile', 'telephone'] },
+  company_name: { type: 'string', max: 255, aliases: ['company', 'organization'] }
+};
+
+export const IMPORT_FIELDS = {
+  leads: {
+    ...CONTACT_FIELDS,
+    title: { type: 'string', max: 255 },
+    status: { type: 'picklist', picklist: 'lead_status' },
+    stage: { type: 'picklist', picklist: 'lead_stage' },
+    source: { type: 'picklist', picklist: 'lead_source' },
+    exhibition_id: { type: 'integer' },
+    utm_source: { type: 'string', max: 255 },
+    utm_medium: { type: 'string', max: 255 },
+    utm_campaign: { type: 'string', max: 255 },
+    notes: { type: 'string', max: 10000 },
+    tags: { type: 'tags', aliases: ['tag', 'labels'] }
+  },
+  contacts: {
+    ...CONTACT_FIELDS,
+    dob: { type: 'date' },
+    kf_visitor_id: { type: 'integer' }
+  },
+  companies: {
+    name: { type: 'string', max: 255, required: true, aliases: ['company', 'company_name'] },
+    website: { type: 'string', max: 500 },
+    phone: { type: 'phone' },
+    address: { type: 'string', max: 500 }
+  }
+};
+
+export const IMPORT_FILE_TYPES = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx'
+};
+
+// Upload limits
+export const MAX_IMPORT_FILE_SIZE = 10 * 1024 * 1024;
+export const MAX_IMPORT_ROWS = parseInt(process.env.MAX_IMPORT_ROWS) || 50000;
@@ -0,0 +1,20 @@
+/**
+ * Options for lead assignment rules
+ */
+
+// round_robin takes turns, least_open_leads picks the assignee with the fewest
+// open leads, fixed picks the first active assignee
+export const ASSIGNMENT_STRATEGIES = ['round_robin', 'least_open_leads', 'fixed'];
+
+// Lead attributes rule conditions can match on
+export const ASSIGNMENT_CONDITION_FIELDS = [
+  'source',
+  'exhibition_id',
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'tags'
+];
+
+// activity_log actions recording assignment decisions
+export const ASSIGNMENT_ACTIONS = ['auto_assigned', 'assignment_unmatched'];
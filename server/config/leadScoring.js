@@ -0,0 +1,44 @@
+/**
+ * Lead attributes that scoring rules can look at, and the operators each
+ * kind of attribute supports
+ */
+
+export const SCORING_OPERATORS = {
+  string: ['equals', 'not_equals', 'in', 'not_in', 'contains', 'exists', 'not_exists'],
+  number: ['equals', 'not_equals', 'gt', 'gte', 'lt', 'lte', 'exists', 'not_exists'],
+  list: ['includes', 'not_includes', 'exists', 'not_exists']
+};
+
+export const SCORING_FIELDS = {
+  status: { type: 'string', description: 'Lead status' },
+  stage: { type: 'string', description: 'Lead stage' },
+  source: { type: 'string', description: 'Lead source' },
+  title: { type: 'string', description: 'Lead title' },
+  utm_source: { type: 'string', description: 'UTM source' },
+  utm_medium: { type: 'string', description: 'UTM medium' },
+  utm_campaign: { type: 'string', description: 'UTM campaign' },
+  exhibition_id: { type: 'number', description: 'FairEx exhibition the lead was captured at' },
+  'contact.email': { type: 'string', description: 'Contact email' },
+  'contact.email_domain': { type: 'string', description: 'Domain of the contact email' },
+  'contact.phone': { type: 'string', description: 'Contact phone' },
+  'contact.company': { type: 'string', description: 'Name of the contact\'s company' },
+  tags: { type: 'list', description: 'Tag names on the lead' },
+  'interactions.count': { type: 'number', description: 'Interactions logged for the lead or its contact' },
+  'interactions.inbound_count': { type: 'number', description: 'Inbound interactions' },
+  'interactions.days_since_last': { type: 'number', description: 'Days since the latest interaction' }
+};
+
+// Operators that take no value
+export const VALUELESS_OPERATORS = ['exists', 'not_exists'];
+
+// Operators whose value is an array
+export const ARRAY_OPERATORS = ['in', 'not_in'];
+
+// Rules on these fields change with the passing of time, not with the lead
+export const RECENCY_FIELDS = ['interactions.days_since_last'];
+
+// Leads rescored per transaction when a whole tenant is rescored
+export const RESCORE_CHUNK_SIZE = 200;
+
+// How often tenants with recency rules are rescored; 0 turns it off
+export const SCORE_REFRESH_INTERVAL_HOURS = Number(process.env.SCORE_REFRESH_INTERVAL_HOURS ?? 24);
@@ -0,0 +1,39 @@
+/**
+ * Lead status and stage transitions
+ * Each field's graph lists, per current value, the values a lead may move to,
+ * and per target value the fields a move there requires. Tenants replace a
+ * field's graph through the lead_transitions tenant setting.
+ */
+
+// Picklist holding each field's values
+export const LEAD_TRANSITION_PICKLISTS = {
+  status: 'lead_status',
+  stage: 'lead_stage'
+};
+
+// Fields a transition can require: reason is the note sent with the change,
+// the others are lead fields that must be set after it
+export const TRANSITION_REQUIRED_FIELDS = ['reason', 'owner_user_id', 'notes'];
+
+export const DEFAULT_LEAD_TRANSITIONS = {
+  status: {
+    allowed: {
+      new: ['working', 'unqualified'],
+      working: ['qualified', 'unqualified'],
+      qualified: ['working', 'unqualified', 'converted'],
+      unqualified: ['working'],
+      converted: []
+    },
+    required: {
+      unqualified: ['reason']
+    }
+  },
+  stage: {
+    allowed: {
+      lead: ['mql'],
+      mql: ['lead', 'sql'],
+      sql: ['mql']
+    },
+    required: {}
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Login protection
+ * Thresholds behind loginGuard: per-account lockout, per-IP blocking and the
+ * growing delay before answering failed attempts.
+ */
+
+// Failed attempts on one account before it is locked, and for how long (seconds)
+export const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+export const LOCKOUT_SECONDS = parseInt(process.env.LOGIN_LOCKOUT_SECONDS) || 15 * 60;
+
+// Failed attempts from one IP within the window before it is refused outright
+export const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+export const IP_WINDOW_SECONDS = parseInt(process.env.LOGIN_IP_WINDOW_SECONDS) || 15 * 60;
+
+// Delay before answering, doubling with every recent failure up to the cap (milliseconds)
+export const BASE_DELAY_MS = 250;
+export const MAX_DELAY_MS = 8000;
+
+// Failures that count against the account; the rest are only recorded
+export const COUNTED_REASONS = ['invalid_password', 'invalid_mfa_code'];
@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import db from './db.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary key so concurrent deploys never run migrations side by side
+const MIGRATION_LOCK_ID = 727274;
+
+/**
+ * Read migration scripts from disk, ordered by version
+ * @returns {Promise<Array>} - [{ version, name, up, down }]
+ */
+const loadMigrations = async () => {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+/**
+ * Create the bookkeeping table if needed and return applied versions
+ * @param {Object} client - Database client
+ * @returns {Promise<Map>} - version => applied_at
+ */
+const getAppliedMigrations = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version varchar(32) PRIMARY KEY,
+      name varchar(255) NOT NULL,
+      applied_at timestamptz NOT NULL DEFAULT now()
+    )
+  `);
+
+  const { rows } = await client.query('SELECT version, applied_at FROM schema_migrations');
+  return new Map(rows.map(row => [row.version, row.applied_at]));
+};
+
+/**
+ * Run one migration script and record it, all in a single transaction
+ * @param {Object} client - Database client
+ * @param {Object} migration - Migration descriptor
+ * @param {string} direction - 'up' or 'down'
+ */
+const runMigration = async (client, migration, direction) => {
+  const sql = await fs.readFile(migration[direction], 'utf8');
+
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+/**
+ * Run a callback with a dedicated client holding the migration lock
+ * @param {Function} fn - Receives the client
+ */
+const withMigrationLock = async (fn) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+/**
+ * Apply every pending migration in order
+ * @returns {Promise<Array>} - Applied migrations
+ */
+export const migrateUp = () => withMigrationLock(async (client) => {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(client);
+  const pending = migrations.filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, 'up');
+  }
+
+  return pending;
+});
+
+/**
+ * Revert the most recently applied migrations
+ * @param {number} steps - Number of migrations to revert
+ * @returns {Promise<Array>} - Reverted migrations
+ */
+export const migrateRollback = (steps = 1) => withMigrationLock(async (client) => {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(client);
+
+  const unknown = [...applied.keys()].filter(version => !migrations.some(m => m.version === version));
+  if (unknown.length > 0) {
+    throw new Error(`Applied migrations missing from ${MIGRATIONS_DIR}: ${unknown.join(', ')}`);
+  }
+
+  const toRevert = migrations
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    console.log(`Reverting ${migration.version}_${migration.name}`);
+    await runMigration(client, migration, 'down');
+  }
+
+  return toRevert;
+});
+
+/**
+ * List every known migration with its applied state
+ * @returns {Promise<Array>} - [{ version, name, applied_at }]
+ */
+export const migrationStatus = () => withMigrationLock(async (client) => {
+  const migrations = await loadMigrations();
+  const applied = await getAppliedMigrations(client);
+
+  return migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.get(migration.version) || null
+  }));
+});
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'rollback': {
+      const stepsArg = args.find(arg => arg.startsWith('--steps='));
+      const steps = stepsArg ? parseInt(stepsArg.split('=')[1]) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('--steps must be a positive integer');
+      }
+      const reverted = await migrateRollback(steps);
+      console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const status = await migrationStatus();
+      for (const migration of status) {
+        const state = migration.applied_at ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}`);
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, rollback or status.`);
+  }
+};
+
+if (process.argv[1] === __filename) {
+  main()
+    .catch((error) => {
+      console.error('Migration error:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => db.pool.end());
+}
@@ -0,0 +1,175 @@
+/**
+ * Role-based permission matrix
+ * Maps each resource/action pair to the team_users roles allowed to perform it.
+ * Routes reference entries as '<resource>:<action>' through authorize().
+ */
+
+export const ROLES = ['admin', 'manager', 'agent'];
+
+const ALL = ROLES;
+const MANAGERS = ['admin', 'manager'];
+const ADMINS = ['admin'];
+
+export const PERMISSION_MATRIX = {
+  leads: {
+    read: ALL,
+    create: ALL,
+    update: ALL,
+    delete: MANAGERS,
+    tag: ALL,
+    convert: ALL,
+    assign: MANAGERS,
+    merge: MANAGERS,
+    export: MANAGERS,
+    override_transitions: ADMINS,
+    stats: ALL
+  },
+  contacts: {
+    read: ALL,
+    create: ALL,
+    update: ALL,
+    delete: MANAGERS,
+    merge: MANAGERS,
+    export: MANAGERS,
+    stats: ALL
+  },
+  companies: {
+    read: ALL,
+    create: ALL,
+    update: ALL,
+    delete: ADMINS,
+    export: MANAGERS,
+    stats: ALL
+  },
+  tasks: {
+    read: ALL,
+    create: ALL,
+    update: ALL
+  },
+  interactions: {
+    read: ALL,
+    create: ALL
+  },
+  opportunities: {
+    read: ALL,
+    create: ALL,
+    update: ALL,
+    export: MANAGERS
+  },
+  pipelines: {
+    read: ALL,
+    create: ADMINS,
+    update: ADMINS
+  },
+  users: {
+    read: MANAGERS,
+    create: ADMINS,
+    update: ADMINS,
+    sessions: ADMINS,
+    history: ADMINS
+  },
+  tenant: {
+    settings: ADMINS
+  },
+  api_keys: {
+    read: ADMINS,
+    create: ADMINS,
+    update: ADMINS,
+    delete: ADMINS
+  },
+  scoring_rules: {
+    read: MANAGERS,
+    create: ADMINS,
+    update: ADMINS,
+    delete: ADMINS
+  },
+  assignment_rules: {
+    read: MANAGERS,
+    create: ADMINS,
+    update: ADMINS,
+    delete: ADMINS
+  },
+  imports: {
+    read: MANAGERS,
+    create: MANAGERS
+  },
+  custom_fields: {
+    read: ALL,
+    create: ADMINS,
+    update: ADMINS,
+    delete: ADMINS
+  },
+  picklists: {
+    read: ALL,
+    create: ADMINS,
+    update: ADMINS,
+    delete: ADMINS
+  },
+  saved_views: {
+    read: ALL,
+    create: ALL,
+    update: ALL,
+    delete: ALL,
+    share_tenant: MANAGERS
+  }
+};
+
+// Actions covered by an API key's '<resource>:read' scope; the rest need '<resource>:write'
+const READ_ACTIONS = ['read', 'stats', 'export'];
+
+// Resources that API keys can never reach, whatever their scopes
+const USER_ONLY_RESOURCES = ['users', 'api_keys', 'tenant', 'scoring_rules', 'assignment_rules', 'imports', 'custom_fields', 'picklists', 'saved_views'];
+
+/**
+ * Scopes that can be granted to an API key, e.g. 'leads:read' or 'leads:write'
+ */
+export const API_KEY_SCOPES = Object.keys(PERMISSION_MATRIX)
+  .filter((resource) => !USER_ONLY_RESOURCES.includes(resource))
+  .flatMap((resource) => [`${resource}:read`, `${resource}:write`]);
+
+/**
+ * Look up the roles allowed for a permission
+ * @param {string} permission - '<resource>:<action>'
+ * @returns {Array|null} - Allowed roles, or null for an unknown permission
+ */
+export const getAllowedRoles = (permission) => {
+  const [resource, action] = permission.split(':');
+  return PERMISSION_MATRIX[resource]?.[action] || null;
+};
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - '<resource>:<action>'
+ * @returns {boolean} - Whether the role is allowed
+ */
+export const hasPermission = (role, permission) => {
+  const allowedRoles = getAllowedRoles(permission);
+  return Boolean(allowedRoles && allowedRoles.includes(role));
+};
+
+/**
+ * Check whether a set of API key scopes covers a permission
+ * @param {Array} scopes - Scopes granted to the key
+ * @param {string} permission - '<resource>:<action>'
+ * @returns {boolean} - Whether the scopes allow it
+ */
+export const scopesGrant = (scopes, permission) => {
+  const [resource, action] = permission.split(':');
+  if (USER_ONLY_RESOURCES.includes(resource)) {
+    return false;
+  }
+  const required = `${resource}:${READ_ACTIONS.includes(action) ? 'read' : 'write'}`;
+  return scopes.includes(required);
+};
+
+/**
+ * Check whether a principal holds a permission: users by role, API keys by
+ * their scopes
+ * @param {Object} user - req.user
+ * @param {string} permission - '<resource>:<action>'
+ * @returns {boolean} - Whether the principal is allowed
+ */
+export const isAllowed = (user, permission) => (user?.type === 'service'
+  ? scopesGrant(user.scopes, permission)
+  : hasPermission(user?.role, permission));
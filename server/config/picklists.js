@@ -0,0 +1,108 @@
+/**
+ * Picklists
+ * Record fields whose values each tenant manages, with labels, order, colors
+ * and deprecation. New tenants start with the default values. System values
+ * are written by the API itself (column defaults, conversion, imports and
+ * webhooks), so they can be relabelled and reordered but not deprecated or
+ * deleted. Deprecated values stay valid on existing records and in filters,
+ * but can no longer be set. Values of closable picklists can be marked
+ * closed; closed lead statuses end a lead's time as an open lead.
+ */
+
+export const PICKLISTS = {
+  lead_status: {
+    table: 'leads',
+    column: 'status',
+    system: ['new', 'converted'],
+    closable: true,
+    defaults: [
+      { value: 'new', label: 'New', color: '#3B82F6' },
+      { value: 'working', label: 'Working', color: '#F59E0B' },
+      { value: 'qualified', label: 'Qualified', color: '#10B981' },
+      { value: 'unqualified', label: 'Unqualified', color: '#6B7280', is_closed: true },
+      { value: 'converted', label: 'Converted', color: '#8B5CF6', is_closed: true }
+    ]
+  },
+  lead_stage: {
+    table: 'leads',
+    column: 'stage',
+    system: ['lead'],
+    defaults: [
+      { value: 'lead', label: 'Lead', color: '#6B7280' },
+      { value: 'mql', label: 'MQL', color: '#3B82F6' },
+      { value: 'sql', label: 'SQL', color: '#10B981' }
+    ]
+  },
+  lead_source: {
+    table: 'leads',
+    column: 'source',
+    system: ['fairex', 'import', 'manual'],
+    defaults: [
+      { value: 'fairex', label: 'FairEx', color: '#0EA5E9' },
+      { value: 'ads', label: 'Ads', color: '#F97316' },
+      { value: 'import', label: 'Import', color: '#6B7280' },
+      { value: 'referral', label: 'Referral', color: '#10B981' },
+      { value: 'manual', label: 'Manual', color: '#64748B' }
+    ]
+  },
+  // Contacts created for a lead take the lead's source, so these start with the lead sources
+  contact_source: {
+    table: 'contacts',
+    column: 'source',
+    system: ['fairex', 'import', 'manual', 'api'],
+    defaults: [
+      { value: 'fairex', label: 'FairEx', color: '#0EA5E9' },
+      { value: 'ads', label: 'Ads', color: '#F97316' },
+      { value: 'import', label: 'Import', color: '#6B7280' },
+      { value: 'referral', label: 'Referral', color: '#10B981' },
+      { value: 'manual', label: 'Manual', color: '#64748B' },
+      { value: 'api', label: 'API', color: '#8B5CF6' }
+    ]
+  },
+  interaction_channel: {
+    table: 'interactions',
+    column: 'channel',
+    system: [],
+    defaults: [
+      { value: 'chat', label: 'Chat', color: '#0EA5E9' },
+      { value: 'email', label: 'Email', color: '#3B82F6' },
+      { value: 'sms', label: 'SMS', color: '#F59E0B' },
+      { value: 'whatsapp', label: 'WhatsApp', color: '#22C55E' },
+      { value: 'call', label: 'Call', color: '#8B5CF6' },
+      { value: 'meeting', label: 'Meeting', color: '#EC4899' },
+      { value: 'note', label: 'Note', color: '#6B7280' }
+    ]
+  },
+  // Tasks are listed in this order, most pressing first
+  task_priority: {
+    table: 'tasks',
+    column: 'priority',
+    system: ['normal'],
+    defaults: [
+      { value: 'urgent', label: 'Urgent', color: '#EF4444' },
+      { value: 'high', label: 'High', color: '#F97316' },
+      { value: 'normal', label: 'Normal', color: '#3B82F6' },
+      { value: 'low', label: 'Low', color: '#6B7280' }
+    ]
+  },
+  opportunity_status: {
+    table: 'opportunities',
+    column: 'status',
+    system: ['open', 'won', 'lost'],
+    defaults: [
+      { value: 'open', label: 'Open', color: '#3B82F6' },
+      { value: 'won', label: 'Won', color: '#10B981' },
+      { value: 'lost', label: 'Lost', color: '#EF4444' },
+      { value: 'abandoned', label: 'Abandoned', color: '#6B7280' }
+    ]
+  }
+};
+
+export const PICKLIST_NAMES = Object.keys(PICKLISTS);
+
+// Stored in varchar(20) record columns
+export const PICKLIST_VALUE_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+
+export const PICKLIST_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
+
+export const MAX_PICKLIST_VALUES = 50;
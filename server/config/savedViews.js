@@ -0,0 +1,62 @@
+/**
+ * Saved views
+ * Named filter, sort and column sets for list endpoints, applied with
+ * `?view=<id>`. For each entity: the list query parameters a view may filter
+ * on, the filters that name a user (which accept 'me', the viewer applying the
+ * view), the query parameters carrying the sort, and whether custom field
+ * filters and columns (cf_<key>) are allowed. Entities without an export list
+ * their columns here; the rest use their export columns.
+ */
+
+export const SAVED_VIEW_ENTITIES = ['leads', 'contacts', 'companies', 'tasks', 'opportunities'];
+
+export const SAVED_VIEW_VISIBILITIES = ['private', 'team', 'tenant'];
+
+export const SAVED_VIEW_SORT_ORDERS = ['asc', 'desc'];
+
+// Filter value standing for the user applying the view
+export const CURRENT_USER_VALUE = 'me';
+
+export const SAVED_VIEW_CONFIG = {
+  leads: {
+    filters: ['status', 'stage', 'owner', 'exhibition_id', 'q'],
+    userFilters: ['owner'],
+    sort: { field: 'sort', order: 'order' },
+    customFields: true
+  },
+  contacts: {
+    filters: ['source', 'company_id', 'search'],
+    userFilters: [],
+    sort: { field: 'sort_by', order: 'sort_order', upperCase: true },
+    customFields: true
+  },
+  companies: {
+    filters: ['search', 'created_after', 'created_before'],
+    userFilters: [],
+    sort: { field: 'sort_by', order: 'sort_order' },
+    customFields: true
+  },
+  tasks: {
+    filters: ['status', 'assigned_to', 'due_before', 'due_after', 'priority'],
+    userFilters: ['assigned_to'],
+    // Tasks always sort by priority and due date
+    sort: null,
+    customFields: false,
+    columns: [
+      'id', 'title', 'status', 'priority', 'due_at', 'lead_id', 'lead_title', 'contact_id',
+      'contact_name', 'contact_email', 'assigned_to', 'assignee_name', 'assignee_email',
+      'created_at', 'updated_at'
+    ]
+  },
+  opportunities: {
+    filters: ['status', 'pipeline_id', 'stage_id', 'close_after', 'close_before', 'q'],
+    userFilters: [],
+    sort: { field: 'sort_by', order: 'sort_order' },
+    customFields: true
+  }
+};
+
+export const SAVED_VIEW_NAME_MAX_LENGTH = 100;
+
+// Per user and entity
+export const MAX_SAVED_VIEWS = 50;
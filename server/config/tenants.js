@@ -0,0 +1,25 @@
+/**
+ * Defaults applied to newly provisioned tenants
+ */
+
+// Lowercase letters, digits and inner hyphens, 3-63 characters
+export const TENANT_SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,61}[a-z0-9]$/;
+
+// Slugs kept back because they read like part of the product
+export const RESERVED_SLUGS = ['admin', 'api', 'app', 'auth', 'login', 'signup', 'support', 'www'];
+
+export const DEFAULT_TENANT_SETTINGS = {
+  mfa_required_roles: []
+};
+
+export const DEFAULT_PIPELINE = {
+  name: 'Sales Pipeline',
+  stages: [
+    { name: 'Qualification', probability: 10 },
+    { name: 'Needs Analysis', probability: 25 },
+    { name: 'Proposal', probability: 50 },
+    { name: 'Negotiation', probability: 75 },
+    { name: 'Closed Won', probability: 100 },
+    { name: 'Closed Lost', probability: 0 }
+  ]
+};
@@ -0,0 +1,92 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import ApiKeyModel from '../models/ApiKey.js';
+import { generateApiKey, hashToken } from '../utils/tokens.js';
+
+export const apiKeysController = {
+  /**
+   * Get API keys of the tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getApiKeys(req, res) {
+    try {
+      const apiKeys = await ApiKeyModel.findAll(req.user.tenant_id);
+
+      sendSuccess(res, 200, apiKeys);
+
+    } catch (error) {
+      console.error('Get API keys error:', error);
+      sendError(res, 400, 'Failed to fetch API keys');
+    }
+  },
+
+  /**
+   * Create API key. The key itself is only returned here.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, expires_at } = req.body;
+      const { key, prefix } = generateApiKey();
+
+      const apiKey = await ApiKeyModel.create({
+        tenant_id: req.user.tenant_id,
+        name,
+        key_prefix: prefix,
+        key_hash: hashToken(key),
+        scopes: [...new Set(scopes)],
+        created_by: req.user.id,
+        expires_at
+      });
+
+      sendSuccess(res, 201, { ...apiKey, key }, 'API key created successfully');
+
+    } catch (error) {
+      console.error('Create API key error:', error);
+      sendError(res, 422, 'Failed to create API key');
+    }
+  },
+
+  /**
+   * Replace the secret of an API key. The old key stops working immediately.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { key, prefix } = generateApiKey();
+
+      const apiKey = await ApiKeyModel.rotate(req.params.id, req.user.tenant_id, prefix, hashToken(key));
+      if (!apiKey) {
+        return sendError(res, 404, 'API key not found or revoked');
+      }
+
+      sendSuccess(res, 200, { ...apiKey, key }, 'API key rotated successfully');
+
+    } catch (error) {
+      console.error('Rotate API key error:', error);
+      sendError(res, 500, 'Failed to rotate API key');
+    }
+  },
+
+  /**
+   * Revoke API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const revoked = await ApiKeyModel.revoke(req.params.id, req.user.tenant_id);
+      if (!revoked) {
+        return sendError(res, 404, 'API key not found or already revoked');
+      }
+
+      sendSuccess(res, 200, null, 'API key revoked successfully');
+
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      sendError(res, 500, 'Failed to revoke API key');
+    }
+  }
+};
@@ -0,0 +1,159 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import LeadAssignmentRuleModel from '../models/LeadAssignmentRule.js';
+import ActivityLogModel from '../models/ActivityLog.js';
+import UserModel from '../models/User.js';
+import { ASSIGNMENT_ACTIONS } from '../config/leadAssignment.js';
+
+/**
+ * Find assignees that are not active users of the tenant
+ * @param {Array} assigneeIds - User UUIDs
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Array>} - Invalid user UUIDs
+ */
+const findInvalidAssignees = async (assigneeIds, tenantId) => {
+  const active = await UserModel.filterActiveIds(assigneeIds, tenantId);
+  return assigneeIds.filter((id) => !active.includes(id));
+};
+
+export const assignmentRulesController = {
+  /**
+   * Get the tenant's assignment rules in the order they are tried
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await LeadAssignmentRuleModel.findAll(req.user.tenant_id);
+
+      sendSuccess(res, 200, rules);
+
+    } catch (error) {
+      console.error('Get assignment rules error:', error);
+      sendError(res, 400, 'Failed to fetch assignment rules');
+    }
+  },
+
+  /**
+   * Create an assignment rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createRule(req, res) {
+    try {
+      const { name, priority, conditions, strategy, assignee_ids, is_active } = req.body;
+      const assigneeIds = [...new Set(assignee_ids)];
+
+      const invalid = await findInvalidAssignees(assigneeIds, req.user.tenant_id);
+      if (invalid.length > 0) {
+        return sendError(res, 422, 'Assignees must be active users', invalid.map((id) => ({
+          field: 'assignee_ids', message: `User ${id} is not an active user`
+        })));
+      }
+
+      const rule = await LeadAssignmentRuleModel.create({
+        tenant_id: req.user.tenant_id,
+        name,
+        priority,
+        conditions,
+        strategy,
+        assignee_ids: assigneeIds,
+        is_active,
+        created_by: req.user.id
+      });
+
+      sendSuccess(res, 201, rule, 'Assignment rule created successfully');
+
+    } catch (error) {
+      console.error('Create assignment rule error:', error);
+      sendError(res, 422, 'Failed to create assignment rule');
+    }
+  },
+
+  /**
+   * Update an assignment rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+      const updates = { ...req.body };
+
+      if (updates.assignee_ids) {
+        updates.assignee_ids = [...new Set(updates.assignee_ids)];
+        const invalid = await findInvalidAssignees(updates.assignee_ids, req.user.tenant_id);
+        if (invalid.length > 0) {
+          return sendError(res, 422, 'Assignees must be active users', invalid.map((userId) => ({
+            field: 'assignee_ids', message: `User ${userId} is not an active user`
+          })));
+        }
+      }
+
+      const rule = await LeadAssignmentRuleModel.update(id, req.user.tenant_id, updates);
+      if (!rule) {
+        return sendError(res, 404, 'Assignment rule not found');
+      }
+
+      sendSuccess(res, 200, rule, 'Assignment rule updated successfully');
+
+    } catch (error) {
+      console.error('Update assignment rule error:', error);
+      sendError(res, 422, 'Failed to update assignment rule');
+    }
+  },
+
+  /**
+   * Delete an assignment rule
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteRule(req, res) {
+    try {
+      const deleted = await LeadAssignmentRuleModel.delete(req.params.id, req.user.tenant_id);
+      if (!deleted) {
+        return sendError(res, 404, 'Assignment rule not found');
+      }
+
+      sendSuccess(res, 200, { deleted: true }, 'Assignment rule deleted successfully');
+
+    } catch (error) {
+      console.error('Delete assignment rule error:', error);
+      sendError(res, 500, 'Failed to delete assignment rule');
+    }
+  },
+
+  /**
+   * Get the log of assignment decisions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDecisionLog(req, res) {
+    try {
+      const { lead_id } = req.query;
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 50);
+
+      const { entries, totalCount } = await ActivityLogModel.findAll(req.user.tenant_id, {
+        entity: 'lead',
+        entity_id: lead_id,
+        actions: ASSIGNMENT_ACTIONS,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      sendSuccess(res, 200, {
+        decisions: entries,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get assignment log error:', error);
+      sendError(res, 400, 'Failed to fetch assignment log');
+    }
+  }
+};
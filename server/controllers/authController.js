@@ -1,11 +1,83 @@
-import jwt from 'jsonwebtoken';
 import bcrypt from 'bcrypt';
 import { sendError, sendSuccess } from '../utils/response.js';
 import UserModel from '../models/User.js';
+import RefreshTokenModel from '../models/RefreshToken.js';
+import RevokedTokenModel from '../models/RevokedToken.js';
+import { sessionService } from '../services/sessionService.js';
+import { passwordService } from '../services/passwordService.js';
+import { loginGuard } from '../services/loginGuard.js';
+import { mfaService } from '../services/mfaService.js';
+import { ssoService } from '../services/ssoService.js';
+import { tenantService } from '../services/tenantService.js';
+import { hashToken } from '../utils/tokens.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Self-service signup is off unless the deployment opts in
+const SIGNUP_ENABLED = process.env.SIGNUP_ENABLED === 'true';
+
+/**
+ * Find the tenant a public auth request is for, given its UUID or slug
+ * @param {Object} input - { tenant_id, tenant }
+ * @returns {Promise<string|null>} - Tenant UUID
+ */
+const resolveTenantId = async ({ tenant_id, tenant }) => {
+  if (tenant_id) {
+    return tenant_id;
+  }
+  return tenant ? tenantService.resolveSlug(tenant) : null;
+};
+
+/**
+ * User summary returned alongside issued tokens
+ * @param {Object} user - team_users row with tenant_name
+ * @returns {Object} - Public user fields
+ */
+const toAuthUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  tenant: user.tenant_name
+});
 
 export const authController = {
+  /**
+   * Sign up a new tenant with its first admin and log the admin in
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async signup(req, res) {
+    try {
+      if (!SIGNUP_ENABLED) {
+        return sendError(res, 403, 'Signup is disabled');
+      }
+
+      const { company_name, slug, name, email, password, device_id } = req.body;
+
+      const result = await tenantService.provision({ company_name, slug, name, email, password });
+      if (result.error) {
+        return sendError(res, 409, result.error);
+      }
+
+      const { tenant } = result;
+      const user = await UserModel.findByIdWithTenant(result.user.id);
+
+      const { tokens } = await sessionService.issue(user, {
+        deviceId: device_id,
+        userAgent: req.get('user-agent')
+      });
+
+      sendSuccess(res, 201, {
+        ...tokens,
+        user: toAuthUser(user),
+        tenant: { id: tenant.id, name: tenant.name, slug: tenant.slug }
+      }, 'Tenant created successfully');
+
+    } catch (error) {
+      console.error('Signup error:', error);
+      sendError(res, 500, 'Failed to create tenant');
+    }
+  },
+
   /**
    * Generate access token
    * @param {Object} req - Express request object
@@ -13,49 +85,71 @@ export const authController = {
    */
   async generateToken(req, res) {
     try {
-      const { username, password, tenant_id } = req.body;
+      const { username, password, device_id } = req.body;
+      const tenant_id = await resolveTenantId(req.body);
+      const attempt = {
+        email: username,
+        tenantId: tenant_id,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+
+      // Refuse IPs with too many recent failures
+      const ipCheck = await loginGuard.checkIp(attempt.ip);
+      if (ipCheck.blocked) {
+        await loginGuard.recordFailure(attempt, null, 'ip_blocked');
+        return sendError(res, 429, 'Too many login attempts. Please try again later.');
+      }
 
       // Find user
-      const user = await UserModel.findByEmailAndTenant(username, tenant_id);
+      const user = tenant_id && await UserModel.findByEmailAndTenant(username, tenant_id);
+
+      // Slow down repeated guessing
+      await loginGuard.delay(Math.max(ipCheck.failures, user?.failed_login_count || 0));
 
       if (!user) {
+        await loginGuard.recordFailure(attempt, null, 'unknown_user');
         return sendError(res, 401, 'Invalid credentials');
       }
 
+      if (loginGuard.isLocked(user)) {
+        await loginGuard.recordFailure(attempt, user, 'locked');
+        return sendError(res, 423, 'Account temporarily locked. Please try again later.');
+      }
+
       // Check if user has a password
       if (!user.password) {
+        await loginGuard.recordFailure(attempt, user, 'no_password');
         return sendError(res, 401, 'Account not properly configured. Please contact administrator.');
       }
 
       // Validate password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
+        const tracking = await loginGuard.recordFailure(attempt, user, 'invalid_password');
+        if (loginGuard.isLocked(tracking)) {
+          return sendError(res, 423, 'Account temporarily locked. Please try again later.');
+        }
         return sendError(res, 401, 'Invalid credentials');
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { 
-          userId: user.id,
-          tenantId: user.tenant_id,
-          email: user.email,
-          role: user.role
-        },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // Hold back tokens until the second factor is checked
+      if (user.mfa_enabled || await mfaService.isRequiredByPolicy(user)) {
+        return sendSuccess(res, 200, mfaService.createChallenge(user, { deviceId: device_id }),
+          'Two-factor authentication required');
+      }
+
+      await loginGuard.recordSuccess(attempt, user);
+
+      // Issue access token and refresh token
+      const { tokens } = await sessionService.issue(user, {
+        deviceId: device_id,
+        userAgent: req.get('user-agent')
+      });
 
       sendSuccess(res, 200, {
-        access_token: token,
-        token_type: 'Bearer',
-        expires_in: 86400, // 24 hours in seconds
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          tenant: user.tenant_name
-        }
+        ...tokens,
+        user: toAuthUser(user)
       }, 'Authentication successful');
 
     } catch (error) {
@@ -64,6 +158,316 @@ export const authController = {
     }
   },
 
+  /**
+   * Complete a login by answering the second-factor challenge.
+   * Users enrolling through the challenge confirm their first code here and
+   * receive their recovery codes.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async verifyMfa(req, res) {
+    try {
+      const { mfa_token, code, recovery_code } = req.body;
+
+      const challenge = await mfaService.resolveChallenge(mfa_token);
+      if (!challenge) {
+        return sendError(res, 401, 'Invalid or expired MFA challenge');
+      }
+
+      const { user } = challenge;
+      const attempt = {
+        email: user.email,
+        tenantId: user.tenant_id,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+
+      if (loginGuard.isLocked(user)) {
+        await loginGuard.recordFailure(attempt, user, 'locked');
+        return sendError(res, 423, 'Account temporarily locked. Please try again later.');
+      }
+
+      let recoveryCodes = null;
+      let verified;
+      if (user.mfa_enabled) {
+        verified = await mfaService.verify(user, { code, recovery_code });
+      } else {
+        if (!user.mfa_secret) {
+          return sendError(res, 422, 'Two-factor authentication is not set up yet');
+        }
+        recoveryCodes = await mfaService.activate(user, code);
+        verified = Boolean(recoveryCodes);
+      }
+
+      // Wrong codes count towards the account lockout like wrong passwords
+      if (!verified) {
+        const tracking = await loginGuard.recordFailure(attempt, user, 'invalid_mfa_code');
+        if (loginGuard.isLocked(tracking)) {
+          return sendError(res, 423, 'Account temporarily locked. Please try again later.');
+        }
+        return sendError(res, 401, 'Invalid verification code');
+      }
+
+      await loginGuard.recordSuccess(attempt, user);
+
+      const { tokens } = await sessionService.issue(user, {
+        deviceId: challenge.deviceId,
+        userAgent: req.get('user-agent')
+      });
+
+      sendSuccess(res, 200, {
+        ...tokens,
+        user: toAuthUser(user),
+        ...(recoveryCodes && { recovery_codes: recoveryCodes })
+      }, 'Authentication successful');
+
+    } catch (error) {
+      console.error('MFA verify error:', error);
+      sendError(res, 500, 'Authentication failed');
+    }
+  },
+
+  /**
+   * Redirect to the tenant's identity provider to start an SSO login
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async startSsoLogin(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const { return_to } = req.query;
+
+      if (return_to && !ssoService.isAllowedReturnTo(return_to)) {
+        return sendError(res, 422, 'return_to must point at the application');
+      }
+
+      const authorizationUrl = await ssoService.startLogin(tenantId, return_to);
+      if (!authorizationUrl) {
+        return sendError(res, 404, 'SSO is not configured for this tenant');
+      }
+
+      res.redirect(authorizationUrl);
+
+    } catch (error) {
+      console.error('SSO login error:', error);
+      sendError(res, 502, 'Failed to contact identity provider');
+    }
+  },
+
+  /**
+   * Finish an SSO login and issue tokens, passing the same lockout and
+   * second-factor checks as password logins. Logins started with return_to
+   * are sent back to the application with the tokens, or the MFA challenge,
+   * in the URL fragment.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async ssoCallback(req, res) {
+    try {
+      const result = await ssoService.completeLogin(req);
+      const attempt = {
+        email: result.email,
+        tenantId: result.tenantId,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+
+      const reject = (status, message) => {
+        if (result.returnTo) {
+          return res.redirect(`${result.returnTo}#${new URLSearchParams({ error: message })}`);
+        }
+        return sendError(res, status, message);
+      };
+
+      if (result.error) {
+        if (result.tenantId && result.email) {
+          await loginGuard.recordFailure(attempt, result.user, 'sso_rejected');
+        }
+        return reject(result.status || 401, result.error);
+      }
+
+      const ipCheck = await loginGuard.checkIp(attempt.ip);
+      if (ipCheck.blocked) {
+        await loginGuard.recordFailure(attempt, result.user, 'ip_blocked');
+        return reject(429, 'Too many login attempts. Please try again later.');
+      }
+
+      if (loginGuard.isLocked(result.user)) {
+        await loginGuard.recordFailure(attempt, result.user, 'locked');
+        return reject(423, 'Account temporarily locked. Please try again later.');
+      }
+
+      // Hold back tokens until the second factor is checked through /auth/mfa/verify
+      if (result.user.mfa_enabled || await mfaService.isRequiredByPolicy(result.user)) {
+        const challenge = mfaService.createChallenge(result.user);
+        if (result.returnTo) {
+          return res.redirect(`${result.returnTo}#${new URLSearchParams(challenge)}`);
+        }
+        return sendSuccess(res, 200, challenge, 'Two-factor authentication required');
+      }
+
+      await loginGuard.recordSuccess(attempt, result.user);
+
+      const { tokens } = await sessionService.issue(result.user, {
+        userAgent: req.get('user-agent')
+      });
+
+      if (result.returnTo) {
+        return res.redirect(`${result.returnTo}#${new URLSearchParams(tokens)}`);
+      }
+
+      sendSuccess(res, 200, {
+        ...tokens,
+        user: toAuthUser(result.user)
+      }, 'Authentication successful');
+
+    } catch (error) {
+      console.error('SSO callback error:', error);
+      sendError(res, 500, 'Authentication failed');
+    }
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refreshToken(req, res) {
+    try {
+      const { refresh_token } = req.body;
+
+      const session = await sessionService.rotate(refresh_token, {
+        userAgent: req.get('user-agent')
+      });
+
+      if (!session) {
+        return sendError(res, 401, 'Invalid or expired refresh token');
+      }
+
+      sendSuccess(res, 200, session.tokens, 'Token refreshed successfully');
+
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      sendError(res, 500, 'Failed to refresh token');
+    }
+  },
+
+  /**
+   * Log out: revoke the current access token and the given refresh token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logout(req, res) {
+    try {
+      const { refresh_token, all_devices } = req.body || {};
+
+      if (all_devices) {
+        await sessionService.revokeAll(req.user.id, req.user.tenant_id);
+      } else {
+        if (refresh_token) {
+          await RefreshTokenModel.revokeByHash(hashToken(refresh_token), req.user.id);
+        }
+        await RevokedTokenModel.revoke(req.token.jti, req.user.id, req.token.expires_at);
+      }
+
+      sendSuccess(res, 200, { logged_out: true }, 'Logged out successfully');
+
+    } catch (error) {
+      console.error('Logout error:', error);
+      sendError(res, 500, 'Failed to log out');
+    }
+  },
+
+  /**
+   * Email a password reset link
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      const tenant_id = await resolveTenantId(req.body);
+      const attempt = {
+        email,
+        tenantId: tenant_id,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      };
+
+      // Reset requests share the login limit per IP
+      const ipCheck = await loginGuard.checkIp(attempt.ip);
+      if (ipCheck.blocked) {
+        await loginGuard.recordFailure(attempt, null, 'ip_blocked');
+        return sendError(res, 429, 'Too many requests. Please try again later.');
+      }
+      await loginGuard.recordResetRequest(attempt);
+      await loginGuard.delay(ipCheck.failures);
+
+      // Look the account up only after answering, so neither the answer nor
+      // its timing shows whether the account exists
+      if (tenant_id) {
+        res.on('finish', () => {
+          passwordService.requestReset(email, tenant_id).catch((resetError) => {
+            console.error('Password reset request failed:', resetError);
+          });
+        });
+      }
+
+      sendSuccess(res, 200, null, 'If the account exists, a password reset link has been sent');
+
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      sendError(res, 500, 'Failed to send password reset link');
+    }
+  },
+
+  /**
+   * Set a new password using a reset token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetPassword(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const user = await passwordService.resetPassword(token, password);
+      if (!user) {
+        return sendError(res, 400, 'Invalid or expired reset token');
+      }
+
+      sendSuccess(res, 200, null, 'Password reset successfully');
+
+    } catch (error) {
+      console.error('Reset password error:', error);
+      sendError(res, 500, 'Failed to reset password');
+    }
+  },
+
+  /**
+   * Set the first password of an invited user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async acceptInvite(req, res) {
+    try {
+      const { token, password } = req.body;
+
+      const user = await passwordService.acceptInvite(token, password);
+      if (!user) {
+        return sendError(res, 400, 'Invalid or expired invitation');
+      }
+
+      sendSuccess(res, 200, {
+        email: user.email,
+        tenant_id: user.tenant_id
+      }, 'Invitation accepted');
+
+    } catch (error) {
+      console.error('Accept invite error:', error);
+      sendError(res, 500, 'Failed to accept invitation');
+    }
+  },
+
   /**
    * Get current user info
    * @param {Object} req - Express request object
@@ -1,5 +1,7 @@
 import { sendError, sendSuccess } from '../utils/response.js';
 import CompanyModel from '../models/Company.js';
+import { exportService } from '../services/exportService.js';
+import { customFieldService } from '../services/customFieldService.js';
 
 export const companiesController = {
   /**
@@ -14,8 +16,14 @@ export const companiesController = {
       const limit = parseInt(filters.limit || 20);
       const offset = (page - 1) * limit;
 
-      const companies = await CompanyModel.findAll(req.user.tenant_id, limit, offset, filters);
-      const totalCount = await CompanyModel.countTotal(req.user.tenant_id, filters);
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'companies', filters, filters.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+      const listFilters = { ...filters, ...listOptions };
+
+      const companies = await CompanyModel.findAll(req.user.tenant_id, limit, offset, listFilters);
+      const totalCount = await CompanyModel.countTotal(req.user.tenant_id, listFilters);
 
       sendSuccess(res, 200, {
         companies,
@@ -33,6 +41,36 @@ export const companiesController = {
     }
   },
 
+  /**
+   * Export the companies matching the list filters as CSV or XLSX
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportCompanies(req, res) {
+    try {
+      const { columns, status, error } = await exportService.resolveColumns('companies', req.query.columns, req.user.tenant_id);
+      if (error) {
+        return sendError(res, status, error);
+      }
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'companies', req.query, req.query.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+      const filters = { ...req.query, ...listOptions };
+
+      await exportService.stream(req, res, {
+        entity: 'companies',
+        format: req.query.format || 'csv',
+        columns,
+        readBatches: (batchSize) => CompanyModel.findInBatches(req.user.tenant_id, filters, batchSize)
+      });
+
+    } catch (error) {
+      console.error('Export companies error:', error);
+      sendError(res, 500, 'Failed to export companies');
+    }
+  },
+
   /**
    * Create new company
    * @param {Object} req - Express request object
@@ -50,7 +88,12 @@ export const companiesController = {
         ]);
       }
 
-      const company = await CompanyModel.create(req.user.tenant_id, companyData);
+      const fields = await customFieldService.prepareValues(req.user.tenant_id, 'companies', companyData.custom_fields);
+      if (fields.error) {
+        return sendError(res, fields.status, fields.error, fields.errors);
+      }
+
+      const company = await CompanyModel.create(req.user.tenant_id, { ...companyData, custom_fields: fields.values });
 
       sendSuccess(res, 201, company, 'Company created successfully');
 
@@ -108,6 +151,16 @@ export const companiesController = {
         }
       }
 
+      if (updates.custom_fields !== undefined) {
+        const fields = await customFieldService.prepareValues(
+          req.user.tenant_id, 'companies', updates.custom_fields, companyExists.custom_fields
+        );
+        if (fields.error) {
+          return sendError(res, fields.status, fields.error, fields.errors);
+        }
+        updates.custom_fields = fields.values;
+      }
+
       const updatedCompany = await CompanyModel.update(id, req.user.tenant_id, updates);
 
       sendSuccess(res, 200, updatedCompany, 'Company updated successfully');
@@ -1,6 +1,11 @@
 import { sendError, sendSuccess } from '../utils/response.js';
 import ContactModel from '../models/Contact.js';
 import CompanyModel from '../models/Company.js';
+import ContactAliasModel from '../models/ContactAlias.js';
+import { leadScoringService } from '../services/leadScoringService.js';
+import { contactMergeService } from '../services/contactMergeService.js';
+import { exportService } from '../services/exportService.js';
+import { customFieldService } from '../services/customFieldService.js';
 
 export const contactsController = {
   /**
@@ -15,8 +20,14 @@ export const contactsController = {
       const limit = parseInt(filters.limit || 20);
       const offset = (page - 1) * limit;
 
-      const contacts = await ContactModel.findAll(req.user.tenant_id, limit, offset, filters);
-      const totalCount = await ContactModel.countTotal(req.user.tenant_id, filters);
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'contacts', filters, filters.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+      const listFilters = { ...filters, ...listOptions };
+
+      const contacts = await ContactModel.findAll(req.user.tenant_id, limit, offset, listFilters, req.user);
+      const totalCount = await ContactModel.countTotal(req.user.tenant_id, listFilters, req.user);
 
       sendSuccess(res, 200, {
         contacts,
@@ -34,6 +45,36 @@ export const contactsController = {
     }
   },
 
+  /**
+   * Export the contacts matching the list filters as CSV or XLSX
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportContacts(req, res) {
+    try {
+      const { columns, status, error } = await exportService.resolveColumns('contacts', req.query.columns, req.user.tenant_id);
+      if (error) {
+        return sendError(res, status, error);
+      }
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'contacts', req.query, req.query.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+      const filters = { ...req.query, ...listOptions };
+
+      await exportService.stream(req, res, {
+        entity: 'contacts',
+        format: req.query.format || 'csv',
+        columns,
+        readBatches: (batchSize) => ContactModel.findInBatches(req.user.tenant_id, filters, req.user, batchSize)
+      });
+
+    } catch (error) {
+      console.error('Export contacts error:', error);
+      sendError(res, 500, 'Failed to export contacts');
+    }
+  },
+
   /**
    * Create new contact
    * @param {Object} req - Express request object
@@ -69,13 +110,20 @@ export const contactsController = {
         }
       }
 
+      const fields = await customFieldService.prepareValues(req.user.tenant_id, 'contacts', contactData.custom_fields);
+      if (fields.error) {
+        return sendError(res, fields.status, fields.error, fields.errors);
+      }
+
       const contact = await ContactModel.create(req.user.tenant_id, {
         ...contactData,
-        source: contactData.source || 'manual'
+        custom_fields: fields.values,
+        source: contactData.source || 'manual',
+        owner_user_id: req.actingUserId
       });
 
       // Get complete contact data with company info
-      const completeContact = await ContactModel.findById(contact.id, req.user.tenant_id);
+      const completeContact = await ContactModel.findById(contact.id, req.user.tenant_id, req.user);
 
       sendSuccess(res, 201, completeContact, 'Contact created successfully');
 
@@ -93,7 +141,7 @@ export const contactsController = {
   async getContactById(req, res) {
     try {
       const { id } = req.params;
-      const contact = await ContactModel.findById(id, req.user.tenant_id);
+      const contact = await ContactModel.findById(id, req.user.tenant_id, req.user);
 
       if (!contact) {
         return sendError(res, 404, 'Contact not found');
@@ -102,6 +150,7 @@ export const contactsController = {
       // Get contact with additional stats (lead count, etc.)
       const contactWithStats = {
         ...contact,
+        aliases: await ContactAliasModel.findByContact(id, req.user.tenant_id),
         stats: {
           lead_count: contact.lead_count || 0
         }
@@ -126,7 +175,7 @@ export const contactsController = {
       const updates = req.body;
 
       // Check if contact exists
-      const contactExists = await ContactModel.findById(id, req.user.tenant_id);
+      const contactExists = await ContactModel.findById(id, req.user.tenant_id, req.user);
       if (!contactExists) {
         return sendError(res, 404, 'Contact not found');
       }
@@ -157,7 +206,18 @@ export const contactsController = {
         }
       }
 
+      if (updates.custom_fields !== undefined) {
+        const fields = await customFieldService.prepareValues(
+          req.user.tenant_id, 'contacts', updates.custom_fields, contactExists.custom_fields
+        );
+        if (fields.error) {
+          return sendError(res, fields.status, fields.error, fields.errors);
+        }
+        updates.custom_fields = fields.values;
+      }
+
       const updatedContact = await ContactModel.update(id, req.user.tenant_id, updates);
+      await leadScoringService.recalculateForContact(id, req.user.tenant_id);
 
       sendSuccess(res, 200, updatedContact, 'Contact updated successfully');
 
@@ -167,6 +227,26 @@ export const contactsController = {
     }
   },
 
+  /**
+   * Merge duplicate contacts into one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mergeContacts(req, res) {
+    try {
+      const result = await contactMergeService.merge(req.body, req.user);
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
+
+      sendSuccess(res, 200, result, 'Contacts merged successfully');
+
+    } catch (error) {
+      console.error('Merge contacts error:', error);
+      sendError(res, 500, 'Failed to merge contacts');
+    }
+  },
+
   /**
    * Delete contact
    * @param {Object} req - Express request object
@@ -176,7 +256,7 @@ export const contactsController = {
     try {
       const { id } = req.params;
 
-      const deleted = await ContactModel.delete(id, req.user.tenant_id);
+      const deleted = await ContactModel.delete(id, req.user.tenant_id, req.user);
 
       if (!deleted) {
         return sendError(res, 404, 'Contact not found');
@@ -197,7 +277,7 @@ export const contactsController = {
    */
   async getContactStats(req, res) {
     try {
-      const stats = await ContactModel.getContactStats(req.user.tenant_id);
+      const stats = await ContactModel.getContactStats(req.user.tenant_id, req.user);
       sendSuccess(res, 200, { stats });
 
     } catch (error) {
@@ -228,8 +308,8 @@ export const contactsController = {
       const limit = parseInt(filters.limit || 10);
       const offset = (page - 1) * limit;
 
-      const contacts = await ContactModel.findAll(req.user.tenant_id, limit, offset, filters);
-      const totalCount = await ContactModel.countTotal(req.user.tenant_id, filters);
+      const contacts = await ContactModel.findAll(req.user.tenant_id, limit, offset, filters, req.user);
+      const totalCount = await ContactModel.countTotal(req.user.tenant_id, filters, req.user);
 
       sendSuccess(res, 200, {
         contacts,
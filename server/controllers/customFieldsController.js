@@ -0,0 +1,129 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import CustomFieldModel from '../models/CustomField.js';
+import { customFieldService } from '../services/customFieldService.js';
+import { MAX_CUSTOM_FIELDS } from '../config/customFields.js';
+
+export const customFieldsController = {
+  /**
+   * Get the tenant's custom field definitions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFields(req, res) {
+    try {
+      const fields = await CustomFieldModel.findAll(req.user.tenant_id, req.query.entity || null);
+
+      sendSuccess(res, 200, fields);
+
+    } catch (error) {
+      console.error('Get custom fields error:', error);
+      sendError(res, 500, 'Failed to fetch custom fields');
+    }
+  },
+
+  /**
+   * Define a custom field
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createField(req, res) {
+    try {
+      const { entity, key, label, type, options, is_required, default_value, position } = req.body;
+
+      const normalized = customFieldService.normalizeDefinition({ key, type, options, default_value });
+      if (normalized.error) {
+        return sendError(res, 422, normalized.error);
+      }
+
+      const existing = await CustomFieldModel.findAll(req.user.tenant_id, entity);
+      if (existing.some((field) => field.key === key)) {
+        return sendError(res, 422, 'A custom field with this key already exists', [
+          { field: 'key', message: 'Key must be unique per entity' }
+        ]);
+      }
+      if (existing.length >= MAX_CUSTOM_FIELDS) {
+        return sendError(res, 422, `Each entity can have at most ${MAX_CUSTOM_FIELDS} custom fields`);
+      }
+
+      const field = await CustomFieldModel.create({
+        tenant_id: req.user.tenant_id,
+        entity,
+        key,
+        label,
+        type,
+        options: normalized.options,
+        is_required,
+        default_value: normalized.default_value,
+        position,
+        created_by: req.user.id
+      });
+
+      sendSuccess(res, 201, field, 'Custom field created successfully');
+
+    } catch (error) {
+      console.error('Create custom field error:', error);
+      sendError(res, 422, 'Failed to create custom field');
+    }
+  },
+
+  /**
+   * Update a custom field's label, options, required flag, default or position
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateField(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await CustomFieldModel.findById(id, req.user.tenant_id);
+      if (!existing) {
+        return sendError(res, 404, 'Custom field not found');
+      }
+
+      const updates = { ...req.body };
+      const normalized = customFieldService.normalizeDefinition({
+        key: existing.key,
+        type: existing.type,
+        options: updates.options !== undefined ? updates.options : existing.options,
+        default_value: updates.default_value !== undefined ? updates.default_value : existing.default_value
+      });
+      if (normalized.error) {
+        return sendError(res, 422, normalized.error);
+      }
+      if (updates.options !== undefined) {
+        updates.options = normalized.options;
+      }
+      if (updates.default_value !== undefined) {
+        updates.default_value = normalized.default_value;
+      }
+
+      const field = await CustomFieldModel.update(id, req.user.tenant_id, updates);
+
+      sendSuccess(res, 200, field, 'Custom field updated successfully');
+
+    } catch (error) {
+      console.error('Update custom field error:', error);
+      sendError(res, 422, 'Failed to update custom field');
+    }
+  },
+
+  /**
+   * Delete a custom field and its values on every record
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteField(req, res) {
+    try {
+      const field = await CustomFieldModel.delete(req.params.id, req.user.tenant_id);
+      if (!field) {
+        return sendError(res, 404, 'Custom field not found');
+      }
+
+      sendSuccess(res, 200, { deleted: true }, 'Custom field deleted successfully');
+
+    } catch (error) {
+      console.error('Delete custom field error:', error);
+      sendError(res, 500, 'Failed to delete custom field');
+    }
+  }
+};
@@ -0,0 +1,141 @@
+import path from 'path';
+import { sendError, sendSuccess } from '../utils/response.js';
+import ImportJobModel from '../models/ImportJob.js';
+import { importService } from '../services/importService.js';
+import { afterCommit } from '../middleware/tenantContext.js';
+import { IMPORT_FIELDS, IMPORT_FILE_TYPES } from '../config/imports.js';
+
+export const importsController = {
+  /**
+   * Get the fields each import entity accepts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFields(req, res) {
+    sendSuccess(res, 200, IMPORT_FIELDS);
+  },
+
+  /**
+   * Upload a CSV or XLSX file and queue it for import
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createImport(req, res) {
+    try {
+      if (!req.file) {
+        return sendError(res, 422, 'A CSV or XLSX file is required', [{ field: 'file', message: 'File is required' }]);
+      }
+
+      const { entity, mapping, dry_run, on_duplicate } = req.body;
+      const result = await importService.createJob({
+        entity,
+        fileType: IMPORT_FILE_TYPES[path.extname(req.file.originalname).toLowerCase()],
+        buffer: req.file.buffer,
+        filename: req.file.originalname,
+        mapping,
+        dry_run: dry_run ?? false,
+        on_duplicate: on_duplicate || 'skip'
+      }, req.user);
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
+
+      afterCommit(res, () => importService.run(result.id, req.user.tenant_id));
+
+      sendSuccess(res, 202, result, result.dry_run ? 'Dry run queued' : 'Import queued');
+
+    } catch (error) {
+      console.error('Create import error:', error);
+      sendError(res, 500, 'Failed to queue import');
+    }
+  },
+
+  /**
+   * Get the tenant's imports, newest first
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImports(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (page - 1) * limit;
+
+      const { jobs, totalCount } = await ImportJobModel.findAll(req.user.tenant_id, { limit, offset });
+
+      sendSuccess(res, 200, {
+        imports: jobs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get imports error:', error);
+      sendError(res, 500, 'Failed to fetch imports');
+    }
+  },
+
+  /**
+   * Get an import's status and counts
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImport(req, res) {
+    try {
+      const job = await ImportJobModel.findById(req.params.id, req.user.tenant_id);
+      if (!job) {
+        return sendError(res, 404, 'Import not found');
+      }
+
+      sendSuccess(res, 200, job);
+
+    } catch (error) {
+      console.error('Get import error:', error);
+      sendError(res, 500, 'Failed to fetch import');
+    }
+  },
+
+  /**
+   * Get an import's row errors as JSON, or as a CSV download with format=csv
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getImportErrors(req, res) {
+    try {
+      const job = await ImportJobModel.findById(req.params.id, req.user.tenant_id);
+      if (!job) {
+        return sendError(res, 404, 'Import not found');
+      }
+
+      if (req.query.format === 'csv') {
+        const csv = await importService.buildErrorCsv(job);
+        const name = path.basename(job.filename, path.extname(job.filename)).replace(/[^\w.-]+/g, '_');
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${name}-errors.csv"`);
+        return res.status(200).send(csv);
+      }
+
+      const { page = 1, limit = 50 } = req.query;
+      const offset = (page - 1) * limit;
+      const { errors, totalCount } = await ImportJobModel.findErrors(job.id, req.user.tenant_id, { limit, offset });
+
+      sendSuccess(res, 200, {
+        headers: job.headers,
+        errors,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get import errors error:', error);
+      sendError(res, 500, 'Failed to fetch import errors');
+    }
+  }
+};
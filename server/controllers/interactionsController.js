@@ -1,7 +1,8 @@
 import { sendError, sendSuccess } from '../utils/response.js';
-import InteractionModel from '../models/Interaction.js';
-import db from '../config/db.js';
-import format from "pg-format";
+import InteractionModel from '../models/interaction.js';
+import LeadModel from '../models/Lead.js';
+import ContactModel from '../models/Contact.js';
+import { leadScoringService } from '../services/leadScoringService.js';
 
 export const interactionsController = {
   /**
@@ -12,7 +13,7 @@ export const interactionsController = {
   async getInteractions(req, res) {
     try {
       const filters = req.query;
-      const { interactions, totalCount } = await InteractionModel.getInteractionsWithFilters(req.user.tenant_id, filters);
+      const { interactions, totalCount } = await InteractionModel.getInteractionsWithFilters(req.user.tenant_id, filters, req.user);
       
       const page = parseInt(filters.page || 1);
       const limit = parseInt(filters.limit || 20);
@@ -39,32 +40,37 @@ export const interactionsController = {
    * @param {Object} res - Express response object
    */
   async createInteraction(req, res) {
-    const client = await db.pool.connect();
-    
     try {
-      await client.query('BEGIN');
-      const setTenantSQL = format("SET LOCAL app.tenant_id = %L", req.user.tenant_id);
-      await client.query(setTenantSQL);
-
       const interactionData = req.body;
 
+      // Records can only be attached to leads and contacts the user can see
+      if (interactionData.lead_id && !(await LeadModel.exists(interactionData.lead_id, req.user.tenant_id, req.user))) {
+        return sendError(res, 422, 'Lead not found', [{ field: 'lead_id', message: 'Lead not found' }]);
+      }
+      if (interactionData.contact_id && !(await ContactModel.findById(interactionData.contact_id, req.user.tenant_id, req.user))) {
+        return sendError(res, 422, 'Contact not found', [{ field: 'contact_id', message: 'Contact not found' }]);
+      }
+
       // Create interaction
       const interaction = await InteractionModel.create(req.user.tenant_id, {
         ...interactionData,
-        created_by: req.user.id,
+        created_by: req.actingUserId,
         occurred_at: interactionData.occurred_at || new Date()
       });
 
-      await client.query('COMMIT');
+      // Interaction counts and recency feed lead scores
+      if (interaction.contact_id) {
+        await leadScoringService.recalculateForContact(interaction.contact_id, req.user.tenant_id);
+      }
+      if (interaction.lead_id) {
+        await leadScoringService.recalculate(interaction.lead_id, req.user.tenant_id);
+      }
 
       sendSuccess(res, 201, interaction, 'Interaction logged successfully');
 
     } catch (error) {
-      await client.query('ROLLBACK');
       console.error('Create interaction error:', error);
       sendError(res, 422, 'Failed to log interaction');
-    } finally {
-      client.release();
     }
   }
 };
\ No newline at end of file
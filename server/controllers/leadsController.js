@@ -3,8 +3,52 @@ import LeadModel from '../models/Lead.js';
 import ContactModel from '../models/Contact.js';
 import TagModel from '../models/Tag.js';
 import UserModel from '../models/User.js';
-import db from '../config/db.js';
-import format from "pg-format";
+import LeadStageHistoryModel from '../models/LeadStageHistory.js';
+import { leadConversionService } from '../services/leadConversionService.js';
+import { leadScoringService } from '../services/leadScoringService.js';
+import { leadAssignmentService } from '../services/leadAssignmentService.js';
+import { leadDuplicateService } from '../services/leadDuplicateService.js';
+import { leadBulkService } from '../services/leadBulkService.js';
+import { leadTransitionService } from '../services/leadTransitionService.js';
+import { customFieldService } from '../services/customFieldService.js';
+import { exportService } from '../services/exportService.js';
+import { isAllowed } from '../config/permissions.js';
+
+/**
+ * Resolve the leads a bulk request selects and run the operation on them,
+ * or only count them when the request is a preview
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} operation - Async function receiving the lead IDs and returning per-lead results
+ * @param {string} message - Success message
+ */
+const runBulk = async (req, res, operation, message) => {
+  const { ids, filters, preview } = req.body;
+
+  const selection = await leadBulkService.select(req.user.tenant_id, { ids, filters }, req.user);
+  if (selection.error) {
+    return sendError(res, selection.status, selection.error);
+  }
+  const { leadIds, missingIds } = selection;
+
+  if (preview) {
+    return sendSuccess(res, 200, { preview: true, matched: leadIds.length, not_found: missingIds });
+  }
+
+  const results = [
+    ...(await operation(leadIds)),
+    ...missingIds.map((id) => ({ id, success: false, error: 'Lead not found' }))
+  ];
+  const succeeded = results.filter((result) => result.success).length;
+
+  // Partial failures still answer 200 so the successful changes are committed
+  sendSuccess(res, 200, {
+    matched: leadIds.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results
+  }, message);
+};
 
 export const leadsController = {
   /**
@@ -15,7 +59,15 @@ export const leadsController = {
   async getLeads(req, res) {
     try {
       const filters = req.query;
-      const { leads, totalCount } = await LeadModel.getLeadsWithFilters(req.user.tenant_id, filters);
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'leads', filters, filters.sort);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+
+      const { leads, totalCount } = await LeadModel.getLeadsWithFilters(req.user.tenant_id, {
+        ...filters,
+        ...listOptions
+      }, req.user);
       
       const page = parseInt(filters.page || 1);
       const limit = parseInt(filters.limit || 20);
@@ -37,22 +89,61 @@ export const leadsController = {
   },
 
   /**
-   * Create new lead
+   * Export the leads matching the list filters as CSV or XLSX
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async createLead(req, res) {
-    const client = await db.pool.connect();
-    
+  async exportLeads(req, res) {
     try {
-      await client.query('BEGIN');
-      const setTenantSQL = format("SET LOCAL app.tenant_id = %L", req.user.tenant_id);
-await client.query(setTenantSQL);
+      const { columns, status, error } = await exportService.resolveColumns('leads', req.query.columns, req.user.tenant_id);
+      if (error) {
+        return sendError(res, status, error);
+      }
+      const withTags = columns.some((column) => column.key === 'tags');
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'leads', req.query, req.query.sort);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
 
+      await exportService.stream(req, res, {
+        entity: 'leads',
+        format: req.query.format || 'csv',
+        columns,
+        readBatches: async function* (batchSize) {
+          const batches = LeadModel.findInBatches(req.user.tenant_id, { ...req.query, ...listOptions }, req.user, batchSize);
+          for await (const leads of batches) {
+            if (withTags && leads.length > 0) {
+              const tags = await TagModel.findNamesByLeads(leads.map((lead) => lead.id), req.user.tenant_id);
+              leads.forEach((lead) => {
+                lead.tags = tags[lead.id] || [];
+              });
+            }
+            yield leads;
+          }
+        }
+      });
 
-      const { contact, ...leadData } = req.body;
+    } catch (error) {
+      console.error('Export leads error:', error);
+      sendError(res, 500, 'Failed to export leads');
+    }
+  },
+
+  /**
+   * Create new lead
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createLead(req, res) {
+    try {
+      const { contact, custom_fields, ...leadData } = req.body;
       let contactId = null;
 
+      const leadFields = await customFieldService.prepareValues(req.user.tenant_id, 'leads', custom_fields);
+      if (leadFields.error) {
+        return sendError(res, leadFields.status, leadFields.error, leadFields.errors);
+      }
+
       // Handle contact creation/finding
       if (contact) {
         if (contact.email || contact.phone) {
@@ -66,10 +157,17 @@ await client.query(setTenantSQL);
           if (existingContact) {
             contactId = existingContact.id;
           } else {
+            const contactFields = await customFieldService.prepareValues(req.user.tenant_id, 'contacts', contact.custom_fields);
+            if (contactFields.error) {
+              return sendError(res, contactFields.status, contactFields.error, contactFields.errors);
+            }
+
             // Create new contact
             const newContact = await ContactModel.create(req.user.tenant_id, {
               ...contact,
-              source: leadData.source || 'manual'
+              custom_fields: contactFields.values,
+              source: leadData.source || 'manual',
+              owner_user_id: req.actingUserId
             });
             contactId = newContact.id;
           }
@@ -79,11 +177,16 @@ await client.query(setTenantSQL);
       // Create lead
       const lead = await LeadModel.create(req.user.tenant_id, {
         ...leadData,
+        custom_fields: leadFields.values,
         contact_id: contactId,
-        owner_user_id: req.user.id // Default owner to current user
+        // Default owner to the acting user (none for API keys that name no one), unless a rule assigns someone
+        owner_user_id: req.actingUserId
+      }, req.user.id);
+      await leadAssignmentService.assign(lead.id, req.user.tenant_id, {
+        actorId: req.user.id,
+        trigger: 'lead_created'
       });
-
-      await client.query('COMMIT');
+      await leadScoringService.recalculate(lead.id, req.user.tenant_id);
 
       // Fetch complete lead data
       const completeLead = await LeadModel.getCompleteLeadData(lead.id);
@@ -91,11 +194,8 @@ await client.query(setTenantSQL);
       sendSuccess(res, 201, completeLead, 'Lead created successfully');
 
     } catch (error) {
-      await client.query('ROLLBACK');
       console.error('Create lead error:', error);
       sendError(res, 500, 'Failed to create lead');
-    } finally {
-      client.release();
     }
   },
 
@@ -107,7 +207,7 @@ await client.query(setTenantSQL);
   async getLeadById(req, res) {
     try {
       const { id } = req.params;
-      const lead = await LeadModel.findByIdWithDetails(id, req.user.tenant_id);
+      const lead = await LeadModel.findByIdWithDetails(id, req.user.tenant_id, req.user);
 
       if (!lead) {
         return sendError(res, 404, 'Lead not found');
@@ -129,14 +229,41 @@ await client.query(setTenantSQL);
   async updateLead(req, res) {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const { reason, override, custom_fields, ...updates } = req.body;
 
-      // Check if lead exists
-      const leadExists = await LeadModel.exists(id, req.user.tenant_id);
-      if (!leadExists) {
+      if (override && !leadTransitionService.canOverride(req.user)) {
+        return sendError(res, 403, 'Only admins can override lead transitions');
+      }
+      // Owners change only with the permission auto-assign asks for
+      if (updates.owner_user_id !== undefined && !isAllowed(req.user, 'leads:assign')) {
+        return sendError(res, 403, 'Insufficient permissions to reassign leads');
+      }
+
+      // Lock the lead so the transition is checked against its current values
+      const lead = await LeadModel.findByIdForUpdate(id, req.user.tenant_id, req.user);
+      if (!lead) {
         return sendError(res, 404, 'Lead not found');
       }
 
+      const rules = await leadTransitionService.getRules(req.user.tenant_id);
+      const check = leadTransitionService.check(lead, updates, { reason, override }, rules);
+      if (check.error) {
+        return sendError(res, check.status, check.error, check.errors);
+      }
+
+      if (custom_fields !== undefined) {
+        const fields = await customFieldService.prepareValues(req.user.tenant_id, 'leads', custom_fields, lead.custom_fields);
+        if (fields.error) {
+          return sendError(res, fields.status, fields.error, fields.errors);
+        }
+        updates.custom_fields = fields.values;
+      }
+
+      // Scores come from the rules once a tenant has any
+      if (updates.score !== undefined && await leadScoringService.hasActiveRules(req.user.tenant_id)) {
+        return sendError(res, 422, 'Score is calculated from scoring rules');
+      }
+
       // Validate owner exists if provided
       if (updates.owner_user_id) {
         const ownerValid = await UserModel.validateUser(updates.owner_user_id, req.user.tenant_id);
@@ -145,7 +272,11 @@ await client.query(setTenantSQL);
         }
       }
 
-      const updatedLead = await LeadModel.update(id, req.user.tenant_id, updates);
+      const updatedLead = await LeadModel.update(id, req.user.tenant_id, updates, req.user.id, check.transition);
+      const score = await leadScoringService.recalculate(id, req.user.tenant_id);
+      if (score !== null) {
+        updatedLead.score = score;
+      }
 
       sendSuccess(res, 200, updatedLead, 'Lead updated successfully');
 
@@ -156,24 +287,122 @@ await client.query(setTenantSQL);
   },
 
   /**
-   * Add tags to lead
+   * Re-run the assignment rules on a lead
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
-  async addTagsToLead(req, res) {
-    const client = await db.pool.connect();
+  async autoAssignLead(req, res) {
+    try {
+      const { id } = req.params;
+
+      const leadExists = await LeadModel.exists(id, req.user.tenant_id, req.user);
+      if (!leadExists) {
+        return sendError(res, 404, 'Lead not found');
+      }
+
+      const assignment = await leadAssignmentService.assign(id, req.user.tenant_id, {
+        actorId: req.user.id,
+        trigger: 'manual'
+      });
+      // Unmatched leads still answer 200 so the logged decision is kept
+      if (!assignment) {
+        return sendSuccess(res, 200, { assigned: false }, 'No assignment rule could assign this lead');
+      }
+
+      sendSuccess(res, 200, { assigned: true, ...assignment }, 'Lead assigned successfully');
 
+    } catch (error) {
+      console.error('Auto-assign lead error:', error);
+      sendError(res, 500, 'Failed to assign lead');
+    }
+  },
+
+  /**
+   * Explain how a lead's score is calculated
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLeadScore(req, res) {
     try {
-      await client.query('BEGIN');
- const setTenantSQL = format("SET LOCAL app.tenant_id = %L", req.user.tenant_id);
-await client.query(setTenantSQL);
+      const { id } = req.params;
+
+      const leadExists = await LeadModel.exists(id, req.user.tenant_id, req.user);
+      if (!leadExists) {
+        return sendError(res, 404, 'Lead not found');
+      }
+
+      const breakdown = await leadScoringService.explain(id, req.user.tenant_id);
 
+      sendSuccess(res, 200, breakdown);
 
+    } catch (error) {
+      console.error('Get lead score error:', error);
+      sendError(res, 500, 'Failed to fetch lead score');
+    }
+  },
+
+  /**
+   * Get a lead's status and stage transitions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLeadHistory(req, res) {
+    try {
+      const { id } = req.params;
+
+      const leadExists = await LeadModel.exists(id, req.user.tenant_id, req.user);
+      if (!leadExists) {
+        return sendError(res, 404, 'Lead not found');
+      }
+
+      const history = await LeadStageHistoryModel.findByLead(id, req.user.tenant_id);
+
+      sendSuccess(res, 200, { history });
+
+    } catch (error) {
+      console.error('Get lead history error:', error);
+      sendError(res, 500, 'Failed to fetch lead history');
+    }
+  },
+
+  /**
+   * Convert a lead into a contact, company and opportunity
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async convertLead(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (req.body?.override && !leadTransitionService.canOverride(req.user)) {
+        return sendError(res, 403, 'Only admins can override lead transitions');
+      }
+
+      const result = await leadConversionService.convert(id, req.body || {}, req.user);
+      if (result.error) {
+        return sendError(res, result.status, result.error, result.errors);
+      }
+
+      sendSuccess(res, 200, result, 'Lead converted successfully');
+
+    } catch (error) {
+      console.error('Convert lead error:', error);
+      sendError(res, 500, 'Failed to convert lead');
+    }
+  },
+
+  /**
+   * Add tags to lead
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async addTagsToLead(req, res) {
+    try {
       const { id } = req.params;
       const { tags } = req.body;
 
       // Check if lead exists
-      const leadExists = await LeadModel.exists(id, req.user.tenant_id);
+      const leadExists = await LeadModel.exists(id, req.user.tenant_id, req.user);
       if (!leadExists) {
         return sendError(res, 404, 'Lead not found');
       }
@@ -188,17 +417,13 @@ await client.query(setTenantSQL);
         await TagModel.linkToLead(id, tag.id);
         addedTags.push(tag);
       }
-
-      await client.query('COMMIT');
+      await leadScoringService.recalculate(id, req.user.tenant_id);
 
       sendSuccess(res, 200, { tags: addedTags }, 'Tags added successfully');
 
     } catch (error) {
-      await client.query('ROLLBACK');
       console.error('Add tags error:', error);
       sendError(res, 500, 'Failed to add tags');
-    } finally {
-      client.release();
     }
   },
 
@@ -211,11 +436,18 @@ await client.query(setTenantSQL);
     try {
       const { id, tagName } = req.params;
 
+      // Check if lead exists
+      const leadExists = await LeadModel.exists(id, req.user.tenant_id, req.user);
+      if (!leadExists) {
+        return sendError(res, 404, 'Lead not found');
+      }
+
       const removed = await TagModel.removeFromLead(id, tagName, req.user.tenant_id);
 
       if (!removed) {
         return sendError(res, 404, 'Tag not found on this lead');
       }
+      await leadScoringService.recalculate(id, req.user.tenant_id);
 
       sendSuccess(res, 200, { removed: tagName }, 'Tag removed successfully');
 
@@ -234,7 +466,7 @@ await client.query(setTenantSQL);
     try {
       const { id } = req.params;
 
-      const deleted = await LeadModel.delete(id, req.user.tenant_id);
+      const deleted = await LeadModel.delete(id, req.user.tenant_id, req.user);
 
       if (!deleted) {
         return sendError(res, 404, 'Lead not found');
@@ -255,7 +487,7 @@ await client.query(setTenantSQL);
    */
   async getLeadStats(req, res) {
     try {
-      const stats = await LeadModel.getLeadStats(req.user.tenant_id);
+      const stats = await LeadModel.getLeadStats(req.user.tenant_id, req.user);
       sendSuccess(res, 200, { stats });
 
     } catch (error) {
@@ -272,12 +504,171 @@ await client.query(setTenantSQL);
   async getLeaderboard(req, res) {
     try {
       const limit = parseInt(req.query.limit) || 10;
-      const leaderboard = await LeadModel.getLeaderboard(req.user.tenant_id, limit);
+      const leaderboard = await LeadModel.getLeaderboard(req.user.tenant_id, limit, req.user);
       sendSuccess(res, 200, { leaderboard });
 
     } catch (error) {
       console.error('Get leaderboard error:', error);
       sendError(res, 500, 'Failed to fetch leaderboard');
     }
+  },
+
+  /**
+   * Get the status and stage transitions the tenant allows
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTransitions(req, res) {
+    try {
+      const rules = await leadTransitionService.getRules(req.user.tenant_id);
+
+      sendSuccess(res, 200, rules);
+
+    } catch (error) {
+      console.error('Get lead transitions error:', error);
+      sendError(res, 500, 'Failed to fetch lead transitions');
+    }
+  },
+
+  /**
+   * Report average time in each status or stage and transition counts,
+   * grouped by owner, source or exhibition
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getStageReport(req, res) {
+    try {
+      const { field = 'stage', group_by = 'owner', from, to } = req.query;
+      const groups = await LeadStageHistoryModel.getReport(req.user.tenant_id, {
+        field,
+        groupBy: group_by,
+        from,
+        to
+      }, req.user);
+
+      sendSuccess(res, 200, { field, group_by, from: from || null, to: to || null, groups });
+
+    } catch (error) {
+      console.error('Get stage report error:', error);
+      sendError(res, 500, 'Failed to build stage report');
+    }
+  },
+
+  /**
+   * Update status, stage or owner of many leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bulkUpdateLeads(req, res) {
+    try {
+      const { updates, reason, override } = req.body;
+
+      if (override && !leadTransitionService.canOverride(req.user)) {
+        return sendError(res, 403, 'Only admins can override lead transitions');
+      }
+      if (updates.owner_user_id !== undefined && !isAllowed(req.user, 'leads:assign')) {
+        return sendError(res, 403, 'Insufficient permissions to reassign leads');
+      }
+
+      if (updates.owner_user_id) {
+        const ownerValid = await UserModel.validateUser(updates.owner_user_id, req.user.tenant_id);
+        if (!ownerValid) {
+          return sendError(res, 422, 'Invalid owner user ID');
+        }
+      }
+
+      await runBulk(req, res, (leadIds) => leadBulkService.update(leadIds, req.user.tenant_id, updates, req.user.id, { reason, override }),
+        'Bulk update completed');
+
+    } catch (error) {
+      console.error('Bulk update leads error:', error);
+      sendError(res, 500, 'Failed to update leads');
+    }
+  },
+
+  /**
+   * Add and remove tags on many leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bulkTagLeads(req, res) {
+    try {
+      const { add, remove } = req.body;
+
+      await runBulk(req, res, (leadIds) => leadBulkService.tag(leadIds, req.user.tenant_id, { add, remove }),
+        'Bulk tagging completed');
+
+    } catch (error) {
+      console.error('Bulk tag leads error:', error);
+      sendError(res, 500, 'Failed to tag leads');
+    }
+  },
+
+  /**
+   * Delete many leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async bulkDeleteLeads(req, res) {
+    try {
+      await runBulk(req, res, (leadIds) => leadBulkService.delete(leadIds, req.user.tenant_id),
+        'Bulk delete completed');
+
+    } catch (error) {
+      console.error('Bulk delete leads error:', error);
+      sendError(res, 500, 'Failed to delete leads');
+    }
+  },
+
+  /**
+   * Report groups of likely duplicate leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDuplicates(req, res) {
+    try {
+      const page = parseInt(req.query.page || 1);
+      const limit = parseInt(req.query.limit || 20);
+
+      const { groups, totalCount } = await leadDuplicateService.findDuplicates(req.user.tenant_id, {
+        lead_id: req.query.lead_id,
+        page,
+        limit
+      }, req.user);
+
+      sendSuccess(res, 200, {
+        groups,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get duplicate leads error:', error);
+      sendError(res, 500, 'Failed to find duplicate leads');
+    }
+  },
+
+  /**
+   * Merge duplicate leads into one
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async mergeLeads(req, res) {
+    try {
+      const result = await leadDuplicateService.merge(req.body, req.user);
+      if (result.error) {
+        return sendError(res, result.status, result.error);
+      }
+
+      sendSuccess(res, 200, result, 'Leads merged successfully');
+
+    } catch (error) {
+      console.error('Merge leads error:', error);
+      sendError(res, 500, 'Failed to merge leads');
+    }
   }
 };
\ No newline at end of file
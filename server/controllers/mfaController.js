@@ -0,0 +1,118 @@
+import bcrypt from 'bcrypt';
+import { sendError, sendSuccess } from '../utils/response.js';
+import UserModel from '../models/User.js';
+import { mfaService } from '../services/mfaService.js';
+
+export const mfaController = {
+  /**
+   * Start two-factor enrollment with a new TOTP secret
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async setup(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id, req.user.tenant_id);
+
+      const enrollment = await mfaService.setup(user);
+      if (!enrollment) {
+        return sendError(res, 422, 'Two-factor authentication is already enabled');
+      }
+
+      sendSuccess(res, 200, enrollment, 'Scan the code with an authenticator app, then confirm a code to finish');
+
+    } catch (error) {
+      console.error('MFA setup error:', error);
+      sendError(res, 500, 'Failed to start two-factor setup');
+    }
+  },
+
+  /**
+   * Finish enrollment for a logged-in user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async activate(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id, req.user.tenant_id);
+
+      if (!user.mfa_secret || user.mfa_enabled) {
+        return sendError(res, 422, 'Start two-factor setup first');
+      }
+
+      const recoveryCodes = await mfaService.activate(user, req.body.code);
+      if (!recoveryCodes) {
+        return sendError(res, 401, 'Invalid verification code');
+      }
+
+      sendSuccess(res, 200, { recovery_codes: recoveryCodes }, 'Two-factor authentication enabled');
+
+    } catch (error) {
+      console.error('MFA activate error:', error);
+      sendError(res, 500, 'Failed to enable two-factor authentication');
+    }
+  },
+
+  /**
+   * Turn off two-factor authentication after confirming the password and a
+   * second factor, so a stolen password and session are not enough
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async disable(req, res) {
+    try {
+      const { password, code, recovery_code } = req.body;
+      const user = await UserModel.findById(req.user.id, req.user.tenant_id);
+
+      if (!user.password || !(await bcrypt.compare(password, user.password))) {
+        return sendError(res, 401, 'Invalid password');
+      }
+
+      if (!user.mfa_enabled) {
+        return sendError(res, 422, 'Two-factor authentication is not enabled');
+      }
+
+      if (await mfaService.isRequiredByPolicy(user)) {
+        return sendError(res, 422, 'Two-factor authentication is required for your role');
+      }
+
+      if (!(await mfaService.verify(user, { code, recovery_code }))) {
+        return sendError(res, 401, 'Invalid verification code');
+      }
+
+      await mfaService.disable(user.id, user.tenant_id);
+
+      sendSuccess(res, 200, null, 'Two-factor authentication disabled');
+
+    } catch (error) {
+      console.error('MFA disable error:', error);
+      sendError(res, 500, 'Failed to disable two-factor authentication');
+    }
+  },
+
+  /**
+   * Replace recovery codes after confirming a current code
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const user = await UserModel.findById(req.user.id, req.user.tenant_id);
+
+      if (!user.mfa_enabled) {
+        return sendError(res, 422, 'Two-factor authentication is not enabled');
+      }
+
+      if (!(await mfaService.verify(user, { code: req.body.code }))) {
+        return sendError(res, 401, 'Invalid verification code');
+      }
+
+      const recoveryCodes = await mfaService.regenerateRecoveryCodes(user.id);
+
+      sendSuccess(res, 200, { recovery_codes: recoveryCodes }, 'Recovery codes regenerated');
+
+    } catch (error) {
+      console.error('MFA recovery codes error:', error);
+      sendError(res, 500, 'Failed to regenerate recovery codes');
+    }
+  }
+};
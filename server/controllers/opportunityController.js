@@ -1,5 +1,7 @@
 import { sendError, sendSuccess } from '../utils/response.js';
 import OpportunityModel from '../models/Opportunity.js';
+import { exportService } from '../services/exportService.js';
+import { customFieldService } from '../services/customFieldService.js';
 
 export const opportunityController = {
   /**
@@ -10,6 +12,11 @@ export const opportunityController = {
   async getOpportunities(req, res) {
     try {
       const tenant_id = req.user.tenant_id;
+      const listOptions = await customFieldService.resolveListOptions(tenant_id, 'opportunities', req.query, req.query.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+
       const filters = {
         status: req.query.status,
         close_before: req.query.close_before,
@@ -17,6 +24,9 @@ export const opportunityController = {
         pipeline_id: req.query.pipeline_id,
         stage_id: req.query.stage_id,
         q: req.query.q,
+        sort_by: req.query.sort_by,
+        sort_order: req.query.sort_order,
+        ...listOptions,
         limit: req.query.limit,
         offset: req.query.offset
       };
@@ -29,6 +39,47 @@ export const opportunityController = {
     }
   },
 
+  /**
+   * Export the opportunities matching the list filters as CSV or XLSX
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async exportOpportunities(req, res) {
+    try {
+      const { columns, status, error } = await exportService.resolveColumns('opportunities', req.query.columns, req.user.tenant_id);
+      if (error) {
+        return sendError(res, status, error);
+      }
+      const listOptions = await customFieldService.resolveListOptions(req.user.tenant_id, 'opportunities', req.query, req.query.sort_by);
+      if (listOptions.error) {
+        return sendError(res, listOptions.status, listOptions.error);
+      }
+
+      const filters = {
+        status: req.query.status,
+        close_before: req.query.close_before,
+        close_after: req.query.close_after,
+        pipeline_id: req.query.pipeline_id,
+        stage_id: req.query.stage_id,
+        q: req.query.q,
+        sort_by: req.query.sort_by,
+        sort_order: req.query.sort_order,
+        ...listOptions
+      };
+
+      await exportService.stream(req, res, {
+        entity: 'opportunities',
+        format: req.query.format || 'csv',
+        columns,
+        readBatches: (batchSize) => OpportunityModel.findInBatches(req.user.tenant_id, filters, batchSize)
+      });
+
+    } catch (error) {
+      console.error('Export opportunities error:', error);
+      sendError(res, 500, 'Failed to export opportunities');
+    }
+  },
+
   /**
    * Create a new opportunity
    * @param {Object} req - Express request object
@@ -45,11 +96,17 @@ export const opportunityController = {
         stage_id,
         amount,
         currency,
-        close_date
+        close_date,
+        custom_fields
       } = req.body;
       
       const tenant_id = req.user.tenant_id;
 
+      const fields = await customFieldService.prepareValues(tenant_id, 'opportunities', custom_fields);
+      if (fields.error) {
+        return sendError(res, fields.status, fields.error, fields.errors);
+      }
+
       const opportunity = await OpportunityModel.create({
         tenant_id,
         name,
@@ -60,7 +117,8 @@ export const opportunityController = {
         stage_id,
         amount,
         currency,
-        close_date
+        close_date,
+        custom_fields: fields.values
       });
 
       sendSuccess(res, 201, opportunity, 'Opportunity created successfully');
@@ -95,6 +153,16 @@ export const opportunityController = {
         name: req.body.name
       };
 
+      if (req.body.custom_fields !== undefined) {
+        const fields = await customFieldService.prepareValues(
+          tenant_id, 'opportunities', req.body.custom_fields, existingOpportunity.custom_fields
+        );
+        if (fields.error) {
+          return sendError(res, fields.status, fields.error, fields.errors);
+        }
+        updateData.custom_fields = fields.values;
+      }
+
       const updatedOpportunity = await OpportunityModel.update(id, tenant_id, updateData);
       sendSuccess(res, 200, updatedOpportunity, 'Opportunity updated successfully');
     } catch (error) {
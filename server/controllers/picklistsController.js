@@ -0,0 +1,180 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import PicklistValueModel from '../models/PicklistValue.js';
+import { picklistService } from '../services/picklistService.js';
+import { MAX_PICKLIST_VALUES, PICKLISTS } from '../config/picklists.js';
+import { LEAD_TRANSITION_PICKLISTS } from '../config/leadTransitions.js';
+
+const LEAD_TRANSITION_PICKLIST_NAMES = Object.values(LEAD_TRANSITION_PICKLISTS);
+
+export const picklistsController = {
+  /**
+   * Get every picklist of the tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPicklists(req, res) {
+    try {
+      const picklists = await picklistService.getAll(req.user.tenant_id);
+
+      sendSuccess(res, 200, picklists);
+
+    } catch (error) {
+      console.error('Get picklists error:', error);
+      sendError(res, 500, 'Failed to fetch picklists');
+    }
+  },
+
+  /**
+   * Get one picklist's values, in display order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getPicklist(req, res) {
+    try {
+      const values = await PicklistValueModel.findAll(req.user.tenant_id, req.params.picklist);
+
+      sendSuccess(res, 200, values);
+
+    } catch (error) {
+      console.error('Get picklist error:', error);
+      sendError(res, 500, 'Failed to fetch picklist');
+    }
+  },
+
+  /**
+   * Add a value to a picklist, after its current values unless a position is given
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createValue(req, res) {
+    try {
+      const { picklist } = req.params;
+      const { value, label, color, position, is_closed } = req.body;
+
+      if (is_closed !== undefined && !PICKLISTS[picklist].closable) {
+        return sendError(res, 422, `${picklist} values cannot be closed`, [
+          { field: 'is_closed', message: 'Only lead statuses can be closed' }
+        ]);
+      }
+
+      const existing = await PicklistValueModel.findAll(req.user.tenant_id, picklist);
+      if (existing.some((row) => row.value === value)) {
+        return sendError(res, 422, 'Value already exists in this picklist', [
+          { field: 'value', message: 'Value must be unique per picklist' }
+        ]);
+      }
+      if (existing.length >= MAX_PICKLIST_VALUES) {
+        return sendError(res, 422, `Picklists can have at most ${MAX_PICKLIST_VALUES} values`);
+      }
+
+      const created = await PicklistValueModel.create({
+        tenant_id: req.user.tenant_id,
+        picklist,
+        value,
+        label,
+        color,
+        position: position ?? existing.reduce((max, row) => Math.max(max, row.position + 1), 0),
+        is_closed
+      });
+
+      // The transition graphs only know the values they list
+      const message = LEAD_TRANSITION_PICKLIST_NAMES.includes(picklist)
+        ? 'Picklist value created; add it to the lead transitions so leads can move to and from it'
+        : 'Picklist value created successfully';
+      sendSuccess(res, 201, created, message);
+
+    } catch (error) {
+      console.error('Create picklist value error:', error);
+      sendError(res, 422, 'Failed to create picklist value');
+    }
+  },
+
+  /**
+   * Update a value's label, color, position, deprecation or closing
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateValue(req, res) {
+    try {
+      const { picklist, value } = req.params;
+
+      const existing = await PicklistValueModel.findByValue(req.user.tenant_id, picklist, value);
+      if (!existing) {
+        return sendError(res, 404, 'Picklist value not found');
+      }
+      if (req.body.is_deprecated && PICKLISTS[picklist].system.includes(value)) {
+        return sendError(res, 422, `${value} is used by the system and cannot be deprecated`);
+      }
+      if (req.body.is_closed !== undefined && !PICKLISTS[picklist].closable) {
+        return sendError(res, 422, `${picklist} values cannot be closed`, [
+          { field: 'is_closed', message: 'Only lead statuses can be closed' }
+        ]);
+      }
+
+      const updated = await PicklistValueModel.update(req.user.tenant_id, picklist, value, req.body);
+
+      sendSuccess(res, 200, updated, 'Picklist value updated successfully');
+
+    } catch (error) {
+      console.error('Update picklist value error:', error);
+      sendError(res, 422, 'Failed to update picklist value');
+    }
+  },
+
+  /**
+   * Put a picklist's values in a new order
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reorderValues(req, res) {
+    try {
+      const { picklist } = req.params;
+      const { values } = req.body;
+
+      const existing = await PicklistValueModel.findAll(req.user.tenant_id, picklist);
+      const current = existing.map((row) => row.value);
+      if (values.length !== current.length || new Set(values).size !== values.length
+        || values.some((value) => !current.includes(value))) {
+        return sendError(res, 422, `values must list each of: ${current.join(', ')}`);
+      }
+
+      const reordered = await PicklistValueModel.reorder(req.user.tenant_id, picklist, values);
+
+      sendSuccess(res, 200, reordered, 'Picklist reordered successfully');
+
+    } catch (error) {
+      console.error('Reorder picklist error:', error);
+      sendError(res, 422, 'Failed to reorder picklist');
+    }
+  },
+
+  /**
+   * Delete a value no record uses; values in use can be deprecated instead
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteValue(req, res) {
+    try {
+      const { picklist, value } = req.params;
+
+      const existing = await PicklistValueModel.findByValue(req.user.tenant_id, picklist, value);
+      if (!existing) {
+        return sendError(res, 404, 'Picklist value not found');
+      }
+      if (PICKLISTS[picklist].system.includes(value)) {
+        return sendError(res, 422, `${value} is used by the system and cannot be deleted`);
+      }
+      if (await PicklistValueModel.isInUse(req.user.tenant_id, picklist, value)) {
+        return sendError(res, 409, `${value} is still used by records; deprecate it instead`);
+      }
+
+      await PicklistValueModel.delete(req.user.tenant_id, picklist, value);
+
+      sendSuccess(res, 200, { deleted: true }, 'Picklist value deleted successfully');
+
+    } catch (error) {
+      console.error('Delete picklist value error:', error);
+      sendError(res, 500, 'Failed to delete picklist value');
+    }
+  }
+};
@@ -0,0 +1,157 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import SavedViewModel from '../models/SavedView.js';
+import { savedViewService } from '../services/savedViewService.js';
+import { MAX_SAVED_VIEWS } from '../config/savedViews.js';
+
+export const savedViewsController = {
+  /**
+   * Get the saved views the user may see
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getViews(req, res) {
+    try {
+      const views = await SavedViewModel.findVisible(req.user.tenant_id, req.user, req.query.entity || null);
+
+      sendSuccess(res, 200, views);
+
+    } catch (error) {
+      console.error('Get saved views error:', error);
+      sendError(res, 500, 'Failed to fetch saved views');
+    }
+  },
+
+  /**
+   * Get a saved view by ID
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getView(req, res) {
+    try {
+      const view = await SavedViewModel.findVisibleById(req.params.id, req.user.tenant_id, req.user);
+      if (!view) {
+        return sendError(res, 404, 'Saved view not found');
+      }
+
+      sendSuccess(res, 200, view);
+
+    } catch (error) {
+      console.error('Get saved view error:', error);
+      sendError(res, 500, 'Failed to fetch saved view');
+    }
+  },
+
+  /**
+   * Save a view of an entity's list
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createView(req, res) {
+    try {
+      const { entity, name, visibility = 'private', filters = {}, sort = null, columns = [] } = req.body;
+      const tenant_id = req.user.tenant_id;
+
+      if (visibility === 'tenant' && !savedViewService.canShareWithTenant(req.user)) {
+        return sendError(res, 403, 'Only managers and admins can share views with the whole tenant');
+      }
+
+      const normalized = await savedViewService.normalize(tenant_id, entity, { filters, sort, columns });
+      if (normalized.error) {
+        return sendError(res, normalized.status, normalized.error);
+      }
+
+      if (await SavedViewModel.findByOwnerAndName(tenant_id, req.user.id, entity, name)) {
+        return sendError(res, 422, 'You already have a view with this name', [
+          { field: 'name', message: 'Name must be unique per entity' }
+        ]);
+      }
+      if (await SavedViewModel.countByOwner(tenant_id, req.user.id, entity) >= MAX_SAVED_VIEWS) {
+        return sendError(res, 422, `Each user can save at most ${MAX_SAVED_VIEWS} views per entity`);
+      }
+
+      const view = await SavedViewModel.create({
+        tenant_id,
+        owner_user_id: req.user.id,
+        entity,
+        name,
+        visibility,
+        ...normalized
+      });
+
+      sendSuccess(res, 201, view, 'Saved view created successfully');
+
+    } catch (error) {
+      console.error('Create saved view error:', error);
+      sendError(res, 422, 'Failed to create saved view');
+    }
+  },
+
+  /**
+   * Update a saved view's name, visibility, filters, sort or columns
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateView(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, visibility, filters, sort, columns } = req.body;
+      const tenant_id = req.user.tenant_id;
+
+      const existing = await SavedViewModel.findVisibleById(id, tenant_id, req.user);
+      if (!existing) {
+        return sendError(res, 404, 'Saved view not found');
+      }
+      if (!savedViewService.canManage(existing, req.user)) {
+        return sendError(res, 403, 'Only the owner can change this view');
+      }
+      if (visibility === 'tenant' && existing.visibility !== 'tenant' && !savedViewService.canShareWithTenant(req.user)) {
+        return sendError(res, 403, 'Only managers and admins can share views with the whole tenant');
+      }
+
+      const normalized = await savedViewService.normalize(tenant_id, existing.entity, { filters, sort, columns });
+      if (normalized.error) {
+        return sendError(res, normalized.status, normalized.error);
+      }
+
+      if (name !== undefined && name !== existing.name
+        && await SavedViewModel.findByOwnerAndName(tenant_id, existing.owner_user_id, existing.entity, name)) {
+        return sendError(res, 422, 'The owner already has a view with this name', [
+          { field: 'name', message: 'Name must be unique per entity' }
+        ]);
+      }
+
+      const view = await SavedViewModel.update(id, tenant_id, { name, visibility, ...normalized });
+
+      sendSuccess(res, 200, view, 'Saved view updated successfully');
+
+    } catch (error) {
+      console.error('Update saved view error:', error);
+      sendError(res, 422, 'Failed to update saved view');
+    }
+  },
+
+  /**
+   * Delete a saved view
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteView(req, res) {
+    try {
+      const existing = await SavedViewModel.findVisibleById(req.params.id, req.user.tenant_id, req.user);
+      if (!existing) {
+        return sendError(res, 404, 'Saved view not found');
+      }
+      if (!savedViewService.canManage(existing, req.user)) {
+        return sendError(res, 403, 'Only the owner can delete this view');
+      }
+
+      await SavedViewModel.delete(req.params.id, req.user.tenant_id);
+
+      sendSuccess(res, 200, { deleted: true }, 'Saved view deleted successfully');
+
+    } catch (error) {
+      console.error('Delete saved view error:', error);
+      sendError(res, 500, 'Failed to delete saved view');
+    }
+  }
+};
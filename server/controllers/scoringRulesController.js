@@ -0,0 +1,186 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import LeadScoringRuleModel from '../models/LeadScoringRule.js';
+import { leadScoringService } from '../services/leadScoringService.js';
+import { afterCommit } from '../middleware/tenantContext.js';
+import {
+  ARRAY_OPERATORS,
+  SCORING_FIELDS,
+  SCORING_OPERATORS,
+  VALUELESS_OPERATORS
+} from '../config/leadScoring.js';
+
+/**
+ * Check that a rule's operator and value fit its field
+ * @param {Object} rule - { field, operator, value }
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+const checkRule = ({ field, operator, value }) => {
+  const { type } = SCORING_FIELDS[field];
+
+  if (!SCORING_OPERATORS[type].includes(operator)) {
+    return `Operator ${operator} is not supported for ${field}`;
+  }
+  if (VALUELESS_OPERATORS.includes(operator)) {
+    return null;
+  }
+  if (ARRAY_OPERATORS.includes(operator)) {
+    return Array.isArray(value) && value.length > 0 ? null : `${operator} needs a non-empty array value`;
+  }
+  if (type === 'number') {
+    return typeof value === 'number' ? null : `${field} needs a numeric value`;
+  }
+  return typeof value === 'string' && value !== '' ? null : `${field} needs a text value`;
+};
+
+/**
+ * Rescore the tenant's leads once the request's rule change is saved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rescoreAfterCommit = (req, res) =>
+  afterCommit(res, () => leadScoringService.recalculateAll(req.user.tenant_id));
+
+export const scoringRulesController = {
+  /**
+   * Get the tenant's scoring rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await LeadScoringRuleModel.findAll(req.user.tenant_id);
+
+      sendSuccess(res, 200, rules);
+
+    } catch (error) {
+      console.error('Get scoring rules error:', error);
+      sendError(res, 500, 'Failed to fetch scoring rules');
+    }
+  },
+
+  /**
+   * List the lead attributes and operators rules can use
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFields(req, res) {
+    const fields = Object.entries(SCORING_FIELDS).map(([name, { type, description }]) => ({
+      name,
+      type,
+      description,
+      operators: SCORING_OPERATORS[type]
+    }));
+
+    sendSuccess(res, 200, fields);
+  },
+
+  /**
+   * Create a scoring rule and rescore the tenant's leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async createRule(req, res) {
+    try {
+      const { name, field, operator, value, points, is_active } = req.body;
+
+      const ruleError = checkRule({ field, operator, value });
+      if (ruleError) {
+        return sendError(res, 422, ruleError);
+      }
+
+      const rule = await LeadScoringRuleModel.create({
+        tenant_id: req.user.tenant_id,
+        name,
+        field,
+        operator,
+        value: VALUELESS_OPERATORS.includes(operator) ? null : value,
+        points,
+        is_active,
+        created_by: req.user.id
+      });
+
+      rescoreAfterCommit(req, res);
+
+      sendSuccess(res, 201, { rule }, 'Scoring rule created; lead scores are being recalculated');
+
+    } catch (error) {
+      console.error('Create scoring rule error:', error);
+      sendError(res, 500, 'Failed to create scoring rule');
+    }
+  },
+
+  /**
+   * Update a scoring rule and rescore the tenant's leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateRule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const existing = await LeadScoringRuleModel.findById(id, req.user.tenant_id);
+      if (!existing) {
+        return sendError(res, 404, 'Scoring rule not found');
+      }
+
+      const updates = { ...req.body };
+      const merged = { ...existing, ...updates };
+      const ruleError = checkRule(merged);
+      if (ruleError) {
+        return sendError(res, 422, ruleError);
+      }
+      if (VALUELESS_OPERATORS.includes(merged.operator)) {
+        updates.value = null;
+      }
+
+      const rule = await LeadScoringRuleModel.update(id, req.user.tenant_id, updates);
+
+      rescoreAfterCommit(req, res);
+
+      sendSuccess(res, 200, { rule }, 'Scoring rule updated; lead scores are being recalculated');
+
+    } catch (error) {
+      console.error('Update scoring rule error:', error);
+      sendError(res, 500, 'Failed to update scoring rule');
+    }
+  },
+
+  /**
+   * Delete a scoring rule and rescore the tenant's leads
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deleteRule(req, res) {
+    try {
+      const deleted = await LeadScoringRuleModel.delete(req.params.id, req.user.tenant_id);
+      if (!deleted) {
+        return sendError(res, 404, 'Scoring rule not found');
+      }
+
+      rescoreAfterCommit(req, res);
+
+      sendSuccess(res, 200, { deleted: true }, 'Scoring rule deleted; lead scores are being recalculated');
+
+    } catch (error) {
+      console.error('Delete scoring rule error:', error);
+      sendError(res, 500, 'Failed to delete scoring rule');
+    }
+  },
+
+  /**
+   * Rescore every lead of the tenant, e.g. to refresh recency-based rules
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async recalculateScores(req, res) {
+    try {
+      rescoreAfterCommit(req, res);
+
+      sendSuccess(res, 202, null, 'Lead score recalculation started');
+
+    } catch (error) {
+      console.error('Recalculate scores error:', error);
+      sendError(res, 500, 'Failed to start lead score recalculation');
+    }
+  }
+};
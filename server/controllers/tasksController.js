@@ -1,8 +1,8 @@
 import { sendError, sendSuccess } from '../utils/response.js';
 import TaskModel from '../models/Task.js';
 import UserModel from '../models/User.js';
-import db from '../config/db.js';
-import format from "pg-format";
+import LeadModel from '../models/Lead.js';
+import ContactModel from '../models/Contact.js';
 
 export const tasksController = {
   /**
@@ -13,7 +13,7 @@ export const tasksController = {
   async getTasks(req, res) {
     try {
       const filters = req.query;
-      const { tasks, totalCount } = await TaskModel.getTasksWithFilters(req.user.tenant_id, filters);
+      const { tasks, totalCount } = await TaskModel.getTasksWithFilters(req.user.tenant_id, filters, req.user);
       
       const page = parseInt(filters.page || 1);
       const limit = parseInt(filters.limit || 20);
@@ -40,15 +40,17 @@ export const tasksController = {
    * @param {Object} res - Express response object
    */
   async createTask(req, res) {
-    const client = await db.pool.connect();
-    
     try {
-      await client.query('BEGIN');
-      const setTenantSQL = format("SET LOCAL app.tenant_id = %L", req.user.tenant_id);
-      await client.query(setTenantSQL);
-
       const taskData = req.body;
 
+      // Records can only be attached to leads and contacts the user can see
+      if (taskData.lead_id && !(await LeadModel.exists(taskData.lead_id, req.user.tenant_id, req.user))) {
+        return sendError(res, 422, 'Lead not found', [{ field: 'lead_id', message: 'Lead not found' }]);
+      }
+      if (taskData.contact_id && !(await ContactModel.findById(taskData.contact_id, req.user.tenant_id, req.user))) {
+        return sendError(res, 422, 'Contact not found', [{ field: 'contact_id', message: 'Contact not found' }]);
+      }
+
       // Validate assigned_to user exists if provided
       if (taskData.assigned_to) {
         const userValid = await UserModel.validateUser(taskData.assigned_to, req.user.tenant_id);
@@ -60,19 +62,14 @@ export const tasksController = {
       // Create task
       const task = await TaskModel.create(req.user.tenant_id, {
         ...taskData,
-        created_by: req.user.id
+        created_by: req.actingUserId
       });
 
-      await client.query('COMMIT');
-
       sendSuccess(res, 201, task, 'Task created successfully');
 
     } catch (error) {
-      await client.query('ROLLBACK');
       console.error('Create task error:', error);
       sendError(res, 422, 'Failed to create task');
-    } finally {
-      client.release();
     }
   },
 
@@ -92,7 +89,7 @@ export const tasksController = {
       const { status } = req.body;
 
       // Check if task exists
-      const taskExists = await TaskModel.exists(id, req.user.tenant_id);
+      const taskExists = await TaskModel.exists(id, req.user.tenant_id, req.user);
       if (!taskExists) {
         return sendError(res, 404, 'Task not found');
       }
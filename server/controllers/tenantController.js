@@ -0,0 +1,82 @@
+import { sendError, sendSuccess } from '../utils/response.js';
+import TenantModel from '../models/Tenant.js';
+
+/**
+ * Hide secrets before settings leave the server
+ * @param {Object} settings - Tenant settings
+ * @returns {Object} - Settings safe to return
+ */
+const toPublicSettings = (settings) => {
+  if (!settings.sso) {
+    return settings;
+  }
+  const { client_secret, ...sso } = settings.sso;
+  return { ...settings, sso: { ...sso, client_secret_set: Boolean(client_secret) } };
+};
+
+export const tenantController = {
+  /**
+   * Get settings of the current tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSettings(req, res) {
+    try {
+      const settings = await TenantModel.getSettings(req.user.tenant_id);
+
+      sendSuccess(res, 200, toPublicSettings(settings));
+
+    } catch (error) {
+      console.error('Get tenant settings error:', error);
+      sendError(res, 500, 'Failed to fetch tenant settings');
+    }
+  },
+
+  /**
+   * Update settings of the current tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateSettings(req, res) {
+    try {
+      const { mfa_required_roles, sso, lead_transitions } = req.body;
+
+      const updates = {};
+      if (mfa_required_roles !== undefined) {
+        updates.mfa_required_roles = [...new Set(mfa_required_roles)];
+      }
+      const current = (sso !== undefined || lead_transitions !== undefined)
+        ? await TenantModel.getSettings(req.user.tenant_id)
+        : null;
+      if (sso !== undefined) {
+        // SSO fields merge into the current config, so the secret only has to be sent once
+        const fields = ['enabled', 'issuer', 'client_id', 'client_secret', 'default_role', 'allowed_domains'];
+        updates.sso = { ...current.sso };
+        for (const field of fields) {
+          if (sso[field] !== undefined) {
+            updates.sso[field] = sso[field];
+          }
+        }
+      }
+      if (lead_transitions !== undefined) {
+        // Each field's graph is replaced whole; null goes back to the default
+        updates.lead_transitions = { ...current.lead_transitions };
+        for (const [field, graph] of Object.entries(lead_transitions)) {
+          if (graph === null) {
+            delete updates.lead_transitions[field];
+          } else {
+            updates.lead_transitions[field] = { allowed: graph.allowed, required: graph.required || {} };
+          }
+        }
+      }
+
+      const settings = await TenantModel.updateSettings(req.user.tenant_id, updates);
+
+      sendSuccess(res, 200, toPublicSettings(settings), 'Tenant settings updated successfully');
+
+    } catch (error) {
+      console.error('Update tenant settings error:', error);
+      sendError(res, 422, 'Failed to update tenant settings');
+    }
+  }
+};
@@ -0,0 +1,430 @@
+import bcrypt from 'bcrypt';
+import { sendError, sendSuccess } from '../utils/response.js';
+import UserModel from '../models/User.js';
+import LeadModel from '../models/Lead.js';
+import TaskModel from '../models/Task.js';
+import LoginHistoryModel from '../models/LoginHistory.js';
+import { sessionService } from '../services/sessionService.js';
+import { passwordService } from '../services/passwordService.js';
+import { mfaService } from '../services/mfaService.js';
+import { afterCommit } from '../middleware/tenantContext.js';
+
+const BCRYPT_ROUNDS = 10;
+
+const EMAIL_TAKEN = [{ field: 'email', message: 'Email must be unique within the tenant' }];
+
+/**
+ * Strip credentials and internal columns from a team_users row
+ * @param {Object} user - team_users row
+ * @returns {Object} - User safe to return to clients
+ */
+const toPublicUser = (user) => ({
+  id: user.id,
+  tenant_id: user.tenant_id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  manager_id: user.manager_id,
+  is_active: user.is_active,
+  mfa_enabled: user.mfa_enabled,
+  locked_until: user.locked_until,
+  last_login_at: user.last_login_at,
+  created_at: user.created_at,
+  updated_at: user.updated_at
+});
+
+/**
+ * Check that a user can act as someone's manager
+ * @param {string} managerId - Proposed manager UUID
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<boolean>} - Whether the manager is valid
+ */
+const isValidManager = async (managerId, tenantId) => {
+  const manager = await UserModel.findById(managerId, tenantId);
+  return Boolean(manager && manager.is_active && manager.role !== 'agent');
+};
+
+export const usersController = {
+  /**
+   * Get team users with filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUsers(req, res) {
+    try {
+      const users = await UserModel.findAll(req.user.tenant_id, req.query);
+
+      sendSuccess(res, 200, users.map(toPublicUser));
+
+    } catch (error) {
+      console.error('Get users error:', error);
+      sendError(res, 400, 'Failed to fetch users');
+    }
+  },
+
+  /**
+   * Get user statistics by role
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUserStats(req, res) {
+    try {
+      const stats = await UserModel.getUserStats(req.user.tenant_id);
+
+      sendSuccess(res, 200, stats);
+
+    } catch (error) {
+      console.error('Get user stats error:', error);
+      sendError(res, 500, 'Failed to fetch user statistics');
+    }
+  },
+
+  /**
+   * Get user details
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getUserById(req, res) {
+    try {
+      const user = await UserModel.findById(req.params.id, req.user.tenant_id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      sendSuccess(res, 200, toPublicUser(user));
+
+    } catch (error) {
+      console.error('Get user error:', error);
+      sendError(res, 500, 'Failed to fetch user');
+    }
+  },
+
+  /**
+   * Invite a new team user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async inviteUser(req, res) {
+    try {
+      const { email, name, role, password, manager_id } = req.body;
+      const tenantId = req.user.tenant_id;
+
+      if (await UserModel.emailExists(email, tenantId)) {
+        return sendError(res, 422, 'User with this email already exists', EMAIL_TAKEN);
+      }
+
+      if (manager_id && !(await isValidManager(manager_id, tenantId))) {
+        return sendError(res, 422, 'Invalid manager', [
+          { field: 'manager_id', message: 'Manager must be an active admin or manager' }
+        ]);
+      }
+
+      const user = await UserModel.create({
+        tenant_id: tenantId,
+        email,
+        name,
+        role,
+        manager_id,
+        password: password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null
+      });
+
+      // Users created without a password set one through the emailed link
+      if (!password) {
+        const token = await passwordService.issueInvite(user);
+        afterCommit(res, () => {
+          passwordService.sendInvite(user, req.user, token).catch((mailError) => {
+            console.error(`Invite email to user ${user.id} failed:`, mailError);
+          });
+        });
+      }
+
+      sendSuccess(res, 201, toPublicUser(user), 'User invited successfully');
+
+    } catch (error) {
+      // Lost a race with another invite for the same email
+      if (error.code === '23505') {
+        return sendError(res, 422, 'User with this email already exists', EMAIL_TAKEN);
+      }
+      console.error('Invite user error:', error);
+      sendError(res, 500, 'Failed to invite user');
+    }
+  },
+
+  /**
+   * Update user profile, role, manager or password
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async updateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const tenantId = req.user.tenant_id;
+      const { email, name, role, password, manager_id } = req.body;
+
+      const user = await UserModel.findById(id, tenantId);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      if (email && await UserModel.emailExists(email, tenantId, id)) {
+        return sendError(res, 422, 'User with this email already exists', [
+          { field: 'email', message: 'Email must be unique within the tenant' }
+        ]);
+      }
+
+      if (manager_id) {
+        if (manager_id === id || !(await isValidManager(manager_id, tenantId))) {
+          return sendError(res, 422, 'Invalid manager', [
+            { field: 'manager_id', message: 'Manager must be another active admin or manager' }
+          ]);
+        }
+      }
+
+      // Never leave the tenant without an admin
+      if (user.role === 'admin' && role && role !== 'admin' && user.is_active) {
+        const remainingAdmins = await UserModel.countActiveAdmins(tenantId, id);
+        if (remainingAdmins === 0) {
+          return sendError(res, 422, 'Tenant must keep at least one active admin');
+        }
+      }
+
+      const updated = await UserModel.update(id, tenantId, {
+        email,
+        name,
+        role,
+        manager_id,
+        password: password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : undefined
+      });
+
+      // A new password ends every session opened with the old one
+      if (password) {
+        await sessionService.revokeAll(id, tenantId);
+      }
+
+      sendSuccess(res, 200, toPublicUser(updated), 'User updated successfully');
+
+    } catch (error) {
+      console.error('Update user error:', error);
+      sendError(res, 422, 'Failed to update user');
+    }
+  },
+
+  /**
+   * Deactivate a user, optionally handing their open work to someone else.
+   * Open leads and tasks left behind are reported so they can be reassigned.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deactivateUser(req, res) {
+    try {
+      const { id } = req.params;
+      const tenantId = req.user.tenant_id;
+      const { reassign_to } = req.body || {};
+
+      if (id === req.user.id) {
+        return sendError(res, 422, 'You cannot deactivate your own account');
+      }
+
+      const user = await UserModel.findById(id, tenantId);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      if (!user.is_active) {
+        return sendError(res, 422, 'User is already inactive');
+      }
+
+      const reassigned = { leads: 0, tasks: 0 };
+
+      if (reassign_to) {
+        if (reassign_to === id || !(await UserModel.validateUser(reassign_to, tenantId))) {
+          return sendError(res, 422, 'Invalid reassignment target', [
+            { field: 'reassign_to', message: 'Must be another active user in the tenant' }
+          ]);
+        }
+
+        reassigned.leads = await LeadModel.reassignOpenLeads(tenantId, id, reassign_to);
+        reassigned.tasks = await TaskModel.reassignOpenTasks(tenantId, id, reassign_to);
+      }
+
+      const updated = await UserModel.update(id, tenantId, { is_active: false });
+      await sessionService.revokeAll(id, tenantId);
+
+      const openLeads = await LeadModel.countOpenByOwner(tenantId, id);
+      const openTasks = await TaskModel.countOpenByAssignee(tenantId, id);
+      const reassignmentRequired = openLeads > 0 || openTasks > 0;
+
+      sendSuccess(res, 200, {
+        user: toPublicUser(updated),
+        reassigned,
+        open_leads: openLeads,
+        open_tasks: openTasks,
+        reassignment_required: reassignmentRequired
+      }, reassignmentRequired
+        ? 'User deactivated; open leads and tasks still need to be reassigned'
+        : 'User deactivated successfully');
+
+    } catch (error) {
+      console.error('Deactivate user error:', error);
+      sendError(res, 500, 'Failed to deactivate user');
+    }
+  },
+
+  /**
+   * Reactivate a deactivated user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reactivateUser(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await UserModel.findById(id, req.user.tenant_id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      if (user.is_active) {
+        return sendError(res, 422, 'User is already active');
+      }
+
+      const updated = await UserModel.update(id, req.user.tenant_id, { is_active: true });
+
+      sendSuccess(res, 200, toPublicUser(updated), 'User reactivated successfully');
+
+    } catch (error) {
+      console.error('Reactivate user error:', error);
+      sendError(res, 500, 'Failed to reactivate user');
+    }
+  },
+
+  /**
+   * Move a user's open leads and tasks to another active user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async reassignWork(req, res) {
+    try {
+      const { id } = req.params;
+      const tenantId = req.user.tenant_id;
+      const { to_user_id } = req.body;
+
+      const user = await UserModel.findById(id, tenantId);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      if (to_user_id === id || !(await UserModel.validateUser(to_user_id, tenantId))) {
+        return sendError(res, 422, 'Invalid reassignment target', [
+          { field: 'to_user_id', message: 'Must be another active user in the tenant' }
+        ]);
+      }
+
+      const leads = await LeadModel.reassignOpenLeads(tenantId, id, to_user_id);
+      const tasks = await TaskModel.reassignOpenTasks(tenantId, id, to_user_id);
+
+      sendSuccess(res, 200, { reassigned: { leads, tasks } }, 'Work reassigned successfully');
+
+    } catch (error) {
+      console.error('Reassign work error:', error);
+      sendError(res, 500, 'Failed to reassign work');
+    }
+  },
+
+  /**
+   * Lift a login lockout
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async unlockUser(req, res) {
+    try {
+      const user = await UserModel.unlock(req.params.id, req.user.tenant_id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      sendSuccess(res, 200, toPublicUser(user), 'User unlocked successfully');
+
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      sendError(res, 500, 'Failed to unlock user');
+    }
+  },
+
+  /**
+   * Turn off two-factor for a user who lost their authenticator and recovery codes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetMfa(req, res) {
+    try {
+      const user = await mfaService.disable(req.params.id, req.user.tenant_id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      await sessionService.revokeAll(user.id, req.user.tenant_id);
+
+      sendSuccess(res, 200, toPublicUser(user), 'Two-factor authentication reset');
+
+    } catch (error) {
+      console.error('Reset MFA error:', error);
+      sendError(res, 500, 'Failed to reset two-factor authentication');
+    }
+  },
+
+  /**
+   * Get login history of the tenant with filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getLoginHistory(req, res) {
+    try {
+      const filters = req.query;
+      const page = parseInt(filters.page || 1);
+      const limit = parseInt(filters.limit || 50);
+      const offset = (page - 1) * limit;
+
+      const history = await LoginHistoryModel.findAll(req.user.tenant_id, limit, offset, filters);
+      const totalCount = await LoginHistoryModel.countTotal(req.user.tenant_id, filters);
+
+      sendSuccess(res, 200, {
+        history,
+        pagination: {
+          page,
+          limit,
+          total: totalCount,
+          pages: Math.ceil(totalCount / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Get login history error:', error);
+      sendError(res, 400, 'Failed to fetch login history');
+    }
+  },
+
+  /**
+   * Revoke every session of a user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await UserModel.findById(id, req.user.tenant_id);
+      if (!user) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      const revoked = await sessionService.revokeAll(id, req.user.tenant_id);
+
+      sendSuccess(res, 200, { revoked_refresh_tokens: revoked }, 'Sessions revoked successfully');
+
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      sendError(res, 500, 'Failed to revoke sessions');
+    }
+  }
+};
@@ -21,6 +21,18 @@ import tasksRoutes from './routes/taskRoutes.js';
 import interactionsRoutes from './routes/interactionRoutes.js';
 import opportunityRoutes from './routes/opportunityRoutes.js';
 import pipelineRoutes from './routes/pipelineRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import tenantRoutes from './routes/tenantRoutes.js';
+import scoringRuleRoutes from './routes/scoringRuleRoutes.js';
+import assignmentRuleRoutes from './routes/assignmentRuleRoutes.js';
+import importRoutes from './routes/importRoutes.js';
+import customFieldRoutes from './routes/customFieldRoutes.js';
+import picklistRoutes from './routes/picklistRoutes.js';
+import savedViewRoutes from './routes/savedViewRoutes.js';
+import { importService } from './services/importService.js';
+import { leadScoringService } from './services/leadScoringService.js';
+import { SCORE_REFRESH_INTERVAL_HOURS } from './config/leadScoring.js';
 // Load environment variables
 dotenv.config();
 
@@ -28,6 +40,31 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Parse TRUST_PROXY for Express's trust proxy setting: true/false, a number
+ * of proxy hops, or a comma separated list of addresses, subnets and names
+ * such as loopback. Unset trusts no proxy, so req.ip is the socket address.
+ * @param {string} value - Raw setting
+ * @returns {boolean|number|string}
+ */
+const parseTrustProxy = (value = '') => {
+  const setting = value.trim();
+  if (setting === '' || setting === 'false') {
+    return false;
+  }
+  if (setting === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(setting)) {
+    return parseInt(setting);
+  }
+  return setting;
+};
+
+// Clients behind a reverse proxy are only told apart by IP, e.g. by the login
+// throttle, when the proxy's X-Forwarded-For is trusted
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Get directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -58,12 +95,20 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
       },
     },
     security: [
       {
         bearerAuth: [],
       },
+      {
+        apiKeyAuth: [],
+      },
     ],
   },
   apis: ['./routes/*.js'],  
@@ -94,6 +139,15 @@ app.use('/api/tasks', tasksRoutes);
 app.use('/api/interactions', interactionsRoutes);
 app.use('/api/opportunities',opportunityRoutes);
 app.use('/api/pipelines',pipelineRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/tenant', tenantRoutes);
+app.use('/api/scoring-rules', scoringRuleRoutes);
+app.use('/api/assignment-rules', assignmentRuleRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
+app.use('/api/picklists', picklistRoutes);
+app.use('/api/saved-views', savedViewRoutes);
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -141,4 +195,18 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(` Server running on port ${PORT}`);
   console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
+
+  // Imports run in this process, so any still open were cut off by a restart
+  importService.failInterrupted().catch((error) => {
+    console.error('Failed to clean up interrupted imports:', error);
+  });
+
+  // Recency rules such as interactions.days_since_last go stale without any lead changing
+  if (SCORE_REFRESH_INTERVAL_HOURS > 0) {
+    setInterval(() => {
+      leadScoringService.refreshRecencyScores().catch((error) => {
+        console.error('Failed to refresh recency-based lead scores:', error);
+      });
+    }, SCORE_REFRESH_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+  }
 });
\ No newline at end of file
@@ -1,31 +1,58 @@
 import jwt from 'jsonwebtoken';
 import { sendError } from '../utils/response.js';
 import User from '../models/User.js';
-import db from '../config/db.js';
-import format from "pg-format";
-
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+import RevokedTokenModel from '../models/RevokedToken.js';
+import ApiKeyModel from '../models/ApiKey.js';
+import { bindTenantTransaction } from './tenantContext.js';
+import { mfaService } from '../services/mfaService.js';
+import { getAllowedRoles, isAllowed } from '../config/permissions.js';
+import { API_KEY_PREFIX, JWT_SECRET, hashToken } from '../utils/tokens.js';
 
 /**
- * Set tenant context for RLS
+ * Authenticate an API key and build its service principal
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} rawKey - API key from the request
  */
-const setTenantContext = async (tenantId) => {
-  try {
-    const query = format("SET LOCAL app.tenant_id = %L", tenantId);
-    await db.query(query);
-  } catch (error) {
-    console.error("Error setting tenant context:", error);
+const authenticateApiKey = async (req, res, next, rawKey) => {
+  const apiKey = await ApiKeyModel.findActiveByHash(hashToken(rawKey));
+
+  if (!apiKey) {
+    return sendError(res, 401, 'Invalid or revoked API key');
   }
-};
 
+  await ApiKeyModel.touchLastUsed(apiKey.id);
+
+  // Service principal: owns no records and is limited by the key's scopes
+  req.user = {
+    id: null,
+    type: 'service',
+    api_key_id: apiKey.id,
+    email: null,
+    name: apiKey.name,
+    role: null,
+    scopes: apiKey.scopes,
+    tenant_id: apiKey.tenant_id,
+    tenant_name: apiKey.tenant_name
+  };
+
+  await bindTenantTransaction(req, res, next);
+};
 
 /**
- * JWT Authentication middleware
+ * Authentication middleware
+ * Accepts a JWT access token or an API key, either as a Bearer token or in X-API-Key.
  */
 export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
+    const apiKey = req.headers['x-api-key'] || (token?.startsWith(API_KEY_PREFIX) ? token : null);
+
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
 
     if (!token) {
       return sendError(res, 401, 'Access token required');
@@ -42,6 +69,11 @@ export const authenticateToken = async (req, res, next) => {
       return sendError(res, 401, 'Invalid token');
     }
 
+    // Second-factor challenges are not access tokens
+    if (decoded.purpose) {
+      return sendError(res, 401, 'Invalid token');
+    }
+
     // Verify user exists and is active
     const user = await User.findByIdWithTenant(decoded.userId);
     
@@ -54,24 +86,146 @@ export const authenticateToken = async (req, res, next) => {
       return sendError(res, 401, 'Token tenant mismatch');
     }
 
+    // Reject tokens revoked by logout or by a session revocation
+    if (decoded.tokenVersion !== user.token_version) {
+      return sendError(res, 401, 'Token revoked');
+    }
+    if (!decoded.jti || await RevokedTokenModel.isRevoked(decoded.jti)) {
+      return sendError(res, 401, 'Token revoked');
+    }
+
     // Set user info in request
     req.user = {
       id: user.id,
+      type: 'user',
       email: user.email,
       name: user.name,
       role: user.role,
       tenant_id: user.tenant_id,
       tenant_name: user.tenant_name
     };
+    req.token = {
+      jti: decoded.jti,
+      expires_at: new Date(decoded.exp * 1000)
+    };
 
-    // Set tenant context for RLS
-    await setTenantContext(req.user.tenant_id);
-    
-    next();
+    // Run the rest of the request in a tenant-bound transaction for RLS
+    await bindTenantTransaction(req, res, next);
   } catch (error) {
+    // Bad credentials are answered above; what gets here is the database
+    // failing, which must not make clients drop a valid session
     console.error('Auth middleware error:', error);
-    return sendError(res, 401, 'Authentication failed');
+    return sendError(res, 503, 'Authentication temporarily unavailable');
+  }
+};
+
+/**
+ * Authenticate with an access token, or with the second-factor challenge in
+ * req.body.mfa_token for users who must enroll before they can log in
+ */
+export const authenticateTokenOrMfaChallenge = async (req, res, next) => {
+  const mfaToken = req.body?.mfa_token;
+  if (!mfaToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const challenge = await mfaService.resolveChallenge(mfaToken);
+    if (!challenge) {
+      return sendError(res, 401, 'Invalid or expired MFA challenge');
+    }
+
+    const { user } = challenge;
+    req.user = {
+      id: user.id,
+      type: 'user',
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      tenant_id: user.tenant_id,
+      tenant_name: user.tenant_name
+    };
+    req.mfaChallenge = challenge;
+    next();
+  } catch (error) {
+    console.error('MFA challenge auth error:', error);
+    return sendError(res, 503, 'Authentication temporarily unavailable');
+  }
+};
+
+/**
+ * Reject API keys on endpoints that only make sense for a logged-in person.
+ * Must run after authenticateToken.
+ */
+export const requireUserSession = (req, res, next) => {
+  if (req.user?.type !== 'user') {
+    return sendError(res, 403, 'This endpoint requires a user session');
+  }
+  next();
+};
+
+/**
+ * Resolve the user a create request records as the owner or creator, into
+ * req.actingUserId. Users act as themselves and cannot name anyone else. API
+ * keys belong to no user, so they name an active user of the tenant in
+ * `field`. Without it the request is refused, unless optional is set, which
+ * leaves the record unassigned. Must run after authenticateToken.
+ * @param {string} field - Body field naming the user, e.g. 'owner_user_id'
+ * @param {Object} options - { optional }
+ */
+export const resolveActingUser = (field, { optional = false } = {}) => async (req, res, next) => {
+  try {
+    const named = req.body?.[field];
+
+    if (req.user.type !== 'service') {
+      if (named !== undefined && named !== req.user.id) {
+        return sendError(res, 422, `${field} can only be set by API keys`, [
+          { field, message: 'Records you create belong to you' }
+        ]);
+      }
+      req.actingUserId = req.user.id;
+      return next();
+    }
+
+    if (named === undefined || named === null) {
+      if (!optional) {
+        return sendError(res, 422, `API keys must set ${field} to the user the record belongs to`, [
+          { field, message: `${field} is required with an API key` }
+        ]);
+      }
+      req.actingUserId = null;
+      return next();
+    }
+
+    if (!(await User.validateUser(named, req.user.tenant_id))) {
+      return sendError(res, 422, `Invalid ${field}`, [
+        { field, message: `${field} must be an active user of the tenant` }
+      ]);
+    }
+    req.actingUserId = named;
+    next();
+  } catch (error) {
+    console.error('Resolve acting user error:', error);
+    return sendError(res, 500, 'Failed to check the acting user');
   }
 };
 
+/**
+ * Role authorization middleware
+ * Must run after authenticateToken. API keys are checked against their scopes instead of a role.
+ * @param {string} permission - Permission from the matrix, e.g. 'leads:delete'
+ */
+export const authorize = (permission) => {
+  if (!getAllowedRoles(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return (req, res, next) => {
+    if (!isAllowed(req.user, permission)) {
+      return sendError(res, 403, 'Insufficient permissions');
+    }
+    next();
+  };
+};
+
 export { JWT_SECRET };
\ No newline at end of file
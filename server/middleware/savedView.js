@@ -0,0 +1,50 @@
+import { sendError } from '../utils/response.js';
+import SavedViewModel from '../models/SavedView.js';
+import { savedViewService } from '../services/savedViewService.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Apply `?view=<id>` to a list or export request: the saved view's filters,
+ * sort and columns become query parameters, and parameters sent with the
+ * request override them. Must run after authenticateToken and before the
+ * route's validators, which then check the combined query.
+ * @param {string} entity - Entity the endpoint lists, e.g. 'leads'
+ */
+export const applySavedView = (entity) => async (req, res, next) => {
+  const { view: viewId, ...query } = req.query;
+  if (viewId === undefined) {
+    return next();
+  }
+
+  try {
+    if (typeof viewId !== 'string' || !UUID_PATTERN.test(viewId)) {
+      return sendError(res, 422, 'View must be a valid saved view ID');
+    }
+
+    const view = await SavedViewModel.findVisibleById(viewId, req.user.tenant_id, req.user);
+    if (!view) {
+      return sendError(res, 404, 'Saved view not found');
+    }
+    if (view.entity !== entity) {
+      return sendError(res, 422, `Saved view is for ${view.entity}, not ${entity}`);
+    }
+
+    const applied = savedViewService.toQuery(view, req.user);
+    if (applied.error) {
+      return sendError(res, applied.status, applied.error);
+    }
+
+    // Express parses req.query again on every read, so the combined query shadows it
+    Object.defineProperty(req, 'query', {
+      value: { ...applied.query, ...query },
+      configurable: true,
+      enumerable: true,
+      writable: true
+    });
+    next();
+  } catch (error) {
+    console.error('Apply saved view error:', error);
+    return sendError(res, 500, 'Failed to apply saved view');
+  }
+};
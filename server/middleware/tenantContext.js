@@ -0,0 +1,78 @@
+import db from '../config/db.js';
+
+/**
+ * Bind the rest of the request to one tenant-scoped connection and transaction.
+ *
+ * Every model call made while handling the request runs on that connection, so
+ * RLS sees app.tenant_id and all writes commit or roll back together. The
+ * transaction is settled when the response is ended: COMMIT for status < 400,
+ * ROLLBACK otherwise. The response is held back until COMMIT succeeds, so
+ * clients never see a success for writes that were not saved.
+ *
+ * Handlers that only read and then stream for a long time, such as exports,
+ * call req.releaseTenantTransaction() first to hand the connection back.
+ * Queries made on the released context afterwards fail.
+ */
+export const bindTenantTransaction = async (req, res, next) => {
+  const context = await db.openTenantTransaction(req.user.tenant_id);
+
+  const settle = async (commit) => {
+    context.released = true;
+    try {
+      await context.client.query(commit ? 'COMMIT' : 'ROLLBACK');
+    } catch (error) {
+      if (commit) {
+        await context.client.query('ROLLBACK').catch(() => {});
+      }
+      throw error;
+    } finally {
+      context.client.release();
+    }
+  };
+
+  const end = res.end;
+  res.end = function (...args) {
+    res.end = end;
+
+    settle(res.statusCode < 400).then(
+      () => end.apply(res, args),
+      (error) => {
+        console.error('Tenant transaction error:', error);
+        if (res.headersSent) {
+          return end.apply(res, args);
+        }
+        const payload = JSON.stringify({ success: false, message: 'Failed to save changes', errors: null });
+        res.statusCode = 500;
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Length', Buffer.byteLength(payload));
+        res.removeHeader('ETag');
+        end.call(res, payload);
+      }
+    );
+
+    return res;
+  };
+
+  req.releaseTenantTransaction = async () => {
+    res.end = end;
+    await settle(true);
+  };
+
+  db.runInContext(context, () => next());
+};
+
+/**
+ * Run work after the request's transaction has committed, e.g. jobs that read
+ * what the request wrote. res.end above holds the response back until COMMIT,
+ * so 'finish' comes after it; a status of 400 or more means nothing was saved
+ * and the work is skipped.
+ * @param {Object} res - Express response object
+ * @param {Function} fn - Callback; handles its own errors
+ */
+export const afterCommit = (res, fn) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400) {
+      fn();
+    }
+  });
+};
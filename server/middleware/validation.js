@@ -1,5 +1,7 @@
 import { validationResult } from 'express-validator';
 import { sendError } from '../utils/response.js';
+import { picklistService } from '../services/picklistService.js';
+import { allowedValues } from '../utils/picklists.js';
 
 /**
  * Validation middleware
@@ -10,4 +12,32 @@ export const validate = (req, res, next) => {
     return sendError(res, 422, 'Validation error', errors.array());
   }
   next();
-};
\ No newline at end of file
+};
+
+/**
+ * Load the tenant's picklists once per request
+ * @param {Object} req - Express request object, after authentication
+ * @returns {Promise<Object>} - Picklists from picklistService.getAll
+ */
+export const getRequestPicklists = (req) => {
+  if (!req.picklists) {
+    req.picklists = picklistService.getAll(req.user.tenant_id);
+  }
+  return req.picklists;
+};
+
+/**
+ * Custom validator for a field that takes a value from one of the tenant's
+ * picklists. Routes must authenticate before validating.
+ * @param {string} picklist - Picklist name, e.g. 'lead_status'
+ * @param {Object} options - { allowDeprecated } for filters, which match existing records
+ * @returns {Function} - express-validator custom validator
+ */
+export const isPicklistValue = (picklist, options = {}) => async (value, { req }) => {
+  const picklists = await getRequestPicklists(req);
+  const allowed = allowedValues(picklists[picklist], options);
+  if (!allowed.includes(value)) {
+    throw new Error(`Must be one of: ${allowed.join(', ')}`);
+  }
+  return true;
+};
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS team_users;
+DROP TABLE IF EXISTS tenants;
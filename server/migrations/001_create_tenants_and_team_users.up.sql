@@ -0,0 +1,25 @@
+-- Tenants and the team users that log into them.
+-- gen_random_uuid() ships with pgcrypto before PostgreSQL 13.
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE tenants (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name varchar(255) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE team_users (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  email varchar(255) NOT NULL,
+  name varchar(255),
+  role varchar(20) NOT NULL DEFAULT 'agent' CHECK (role IN ('admin', 'manager', 'agent')),
+  password varchar(255),
+  is_active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (email, tenant_id)
+);
+
+CREATE INDEX idx_team_users_tenant ON team_users (tenant_id);
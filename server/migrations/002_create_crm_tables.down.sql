@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS interactions;
+DROP TABLE IF EXISTS tasks;
+DROP TABLE IF EXISTS lead_tags;
+DROP TABLE IF EXISTS tags;
+DROP TABLE IF EXISTS leads;
+DROP TABLE IF EXISTS contacts;
+DROP TABLE IF EXISTS companies;
@@ -0,0 +1,124 @@
+-- Companies, contacts, leads and the records hanging off them.
+
+CREATE TABLE companies (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  website varchar(500),
+  phone varchar(50),
+  address varchar(500),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_companies_tenant ON companies (tenant_id);
+CREATE INDEX idx_companies_tenant_lower_name ON companies (tenant_id, LOWER(name));
+
+CREATE TABLE contacts (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  company_id uuid REFERENCES companies(id) ON DELETE SET NULL,
+  first_name varchar(255),
+  last_name varchar(255),
+  email varchar(255),
+  phone varchar(50),
+  dob date,
+  kf_visitor_id bigint,
+  -- Leads pass their own source through when they create a contact
+  source varchar(20) NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('fairex', 'ads', 'import', 'referral', 'manual', 'api')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_contacts_tenant ON contacts (tenant_id);
+CREATE INDEX idx_contacts_tenant_email ON contacts (tenant_id, email);
+CREATE INDEX idx_contacts_tenant_phone ON contacts (tenant_id, phone);
+CREATE INDEX idx_contacts_company ON contacts (company_id);
+
+CREATE TABLE leads (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  contact_id uuid REFERENCES contacts(id) ON DELETE SET NULL,
+  owner_user_id uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  title varchar(255),
+  status varchar(20) NOT NULL DEFAULT 'new'
+    CHECK (status IN ('new', 'working', 'qualified', 'unqualified', 'converted')),
+  stage varchar(20) NOT NULL DEFAULT 'lead'
+    CHECK (stage IN ('lead', 'mql', 'sql')),
+  score integer NOT NULL DEFAULT 0 CHECK (score BETWEEN 0 AND 100),
+  source varchar(20) NOT NULL DEFAULT 'manual'
+    CHECK (source IN ('fairex', 'ads', 'import', 'referral', 'manual')),
+  exhibition_id bigint,
+  join_id bigint,
+  utm_source varchar(255),
+  utm_medium varchar(255),
+  utm_campaign varchar(255),
+  notes text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_leads_tenant_created ON leads (tenant_id, created_at DESC);
+CREATE INDEX idx_leads_tenant_status_stage ON leads (tenant_id, status, stage);
+CREATE INDEX idx_leads_owner ON leads (owner_user_id);
+CREATE INDEX idx_leads_contact ON leads (contact_id);
+CREATE INDEX idx_leads_tenant_exhibition ON leads (tenant_id, exhibition_id);
+
+CREATE TABLE tags (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(100) NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, name)
+);
+
+CREATE TABLE lead_tags (
+  lead_id uuid NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  tag_id uuid NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (lead_id, tag_id)
+);
+
+CREATE INDEX idx_lead_tags_tag ON lead_tags (tag_id);
+
+CREATE TABLE tasks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  lead_id uuid REFERENCES leads(id) ON DELETE CASCADE,
+  contact_id uuid REFERENCES contacts(id) ON DELETE SET NULL,
+  assigned_to uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  title varchar(255) NOT NULL,
+  due_at timestamptz,
+  priority varchar(10) NOT NULL DEFAULT 'normal'
+    CHECK (priority IN ('low', 'normal', 'high', 'urgent')),
+  status varchar(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'in_progress', 'done', 'canceled')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_tasks_tenant_status ON tasks (tenant_id, status);
+CREATE INDEX idx_tasks_assigned_to ON tasks (assigned_to);
+CREATE INDEX idx_tasks_lead ON tasks (lead_id);
+
+CREATE TABLE interactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  lead_id uuid REFERENCES leads(id) ON DELETE CASCADE,
+  contact_id uuid REFERENCES contacts(id) ON DELETE SET NULL,
+  channel varchar(20) NOT NULL
+    CHECK (channel IN ('chat', 'email', 'sms', 'whatsapp', 'call', 'meeting', 'note')),
+  direction varchar(3) NOT NULL DEFAULT 'out' CHECK (direction IN ('in', 'out')),
+  subject varchar(500),
+  body text NOT NULL,
+  meta jsonb,
+  occurred_at timestamptz NOT NULL DEFAULT now(),
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_interactions_tenant_occurred ON interactions (tenant_id, occurred_at DESC);
+CREATE INDEX idx_interactions_lead ON interactions (lead_id);
+CREATE INDEX idx_interactions_contact ON interactions (contact_id);
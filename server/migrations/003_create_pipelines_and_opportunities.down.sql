@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS opportunities;
+DROP TABLE IF EXISTS pipeline_stages;
+DROP TABLE IF EXISTS pipelines;
@@ -0,0 +1,48 @@
+-- Sales pipelines, their ordered stages and the opportunities moving through them.
+
+CREATE TABLE pipelines (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  is_default boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_pipelines_tenant ON pipelines (tenant_id);
+-- At most one default pipeline per tenant
+CREATE UNIQUE INDEX idx_pipelines_tenant_default ON pipelines (tenant_id) WHERE is_default;
+
+CREATE TABLE pipeline_stages (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  pipeline_id uuid NOT NULL REFERENCES pipelines(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  position integer NOT NULL,
+  probability integer NOT NULL DEFAULT 0 CHECK (probability BETWEEN 0 AND 100),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (pipeline_id, position)
+);
+
+CREATE TABLE opportunities (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  lead_id uuid REFERENCES leads(id) ON DELETE SET NULL,
+  contact_id uuid REFERENCES contacts(id) ON DELETE SET NULL,
+  company_id uuid REFERENCES companies(id) ON DELETE SET NULL,
+  pipeline_id uuid NOT NULL REFERENCES pipelines(id),
+  stage_id uuid NOT NULL REFERENCES pipeline_stages(id),
+  amount numeric(14, 2) NOT NULL DEFAULT 0,
+  currency char(3) NOT NULL DEFAULT 'INR',
+  close_date date,
+  status varchar(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'won', 'lost', 'abandoned')),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_opportunities_tenant_created ON opportunities (tenant_id, created_at DESC);
+CREATE INDEX idx_opportunities_pipeline_stage ON opportunities (pipeline_id, stage_id);
+CREATE INDEX idx_opportunities_company ON opportunities (company_id);
+CREATE INDEX idx_opportunities_lead ON opportunities (lead_id);
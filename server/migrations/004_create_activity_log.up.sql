@@ -0,0 +1,15 @@
+-- Append-only audit trail of changes to CRM records.
+
+CREATE TABLE activity_log (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  entity varchar(50) NOT NULL,
+  entity_id uuid NOT NULL,
+  action varchar(100) NOT NULL,
+  actor_user_id uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  before_data jsonb,
+  after_data jsonb,
+  occurred_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_activity_log_entity ON activity_log (tenant_id, entity, entity_id, occurred_at DESC);
@@ -0,0 +1,13 @@
+DO $$
+DECLARE
+  tbl text;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY[
+    'companies', 'contacts', 'leads', 'tags', 'lead_tags', 'tasks', 'interactions',
+    'pipelines', 'pipeline_stages', 'opportunities', 'activity_log'
+  ]
+  LOOP
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tbl);
+    EXECUTE format('ALTER TABLE %I DISABLE ROW LEVEL SECURITY', tbl);
+  END LOOP;
+END $$;
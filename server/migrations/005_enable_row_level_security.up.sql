@@ -0,0 +1,29 @@
+-- Tenant isolation for every tenant-scoped CRM table, keyed off the
+-- app.tenant_id setting the API sets per transaction. tenants and team_users
+-- are left out because login has to resolve them before a tenant is known.
+-- Policies do not apply to the table owner, so run the API as a separate role.
+
+DO $$
+DECLARE
+  tbl text;
+BEGIN
+  FOREACH tbl IN ARRAY ARRAY[
+    'companies', 'contacts', 'leads', 'tags', 'tasks', 'interactions',
+    'pipelines', 'pipeline_stages', 'opportunities', 'activity_log'
+  ]
+  LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tbl);
+    EXECUTE format(
+      'CREATE POLICY tenant_isolation ON %I
+         USING (tenant_id = NULLIF(current_setting(''app.tenant_id'', true), '''')::uuid)
+         WITH CHECK (tenant_id = NULLIF(current_setting(''app.tenant_id'', true), '''')::uuid)',
+      tbl
+    );
+  END LOOP;
+END $$;
+
+-- lead_tags has no tenant column of its own; it follows the lead
+ALTER TABLE lead_tags ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON lead_tags
+  USING (EXISTS (SELECT 1 FROM leads l WHERE l.id = lead_tags.lead_id))
+  WITH CHECK (EXISTS (SELECT 1 FROM leads l WHERE l.id = lead_tags.lead_id));
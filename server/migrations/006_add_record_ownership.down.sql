@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_interactions_created_by;
+DROP INDEX IF EXISTS idx_tasks_created_by;
+ALTER TABLE contacts DROP COLUMN IF EXISTS owner_user_id;
+ALTER TABLE team_users DROP COLUMN IF EXISTS manager_id;
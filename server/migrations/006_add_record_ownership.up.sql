@@ -0,0 +1,13 @@
+-- Reporting lines for manager visibility, and an owner for contacts.
+
+ALTER TABLE team_users
+  ADD COLUMN manager_id uuid REFERENCES team_users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_team_users_manager ON team_users (manager_id);
+
+ALTER TABLE contacts
+  ADD COLUMN owner_user_id uuid REFERENCES team_users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_contacts_owner ON contacts (owner_user_id);
+CREATE INDEX idx_tasks_created_by ON tasks (created_by);
+CREATE INDEX idx_interactions_created_by ON interactions (created_by);
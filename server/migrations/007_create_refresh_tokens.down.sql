@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS revoked_access_tokens;
+DROP TABLE IF EXISTS refresh_tokens;
+ALTER TABLE team_users DROP COLUMN IF EXISTS token_version;
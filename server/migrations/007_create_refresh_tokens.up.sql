@@ -0,0 +1,31 @@
+-- Rotating refresh tokens and access token revocation.
+-- Not tenant-isolated by RLS: these are read before a tenant context exists.
+
+ALTER TABLE team_users
+  ADD COLUMN token_version integer NOT NULL DEFAULT 0;
+
+CREATE TABLE refresh_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES team_users(id) ON DELETE CASCADE,
+  token_hash char(64) NOT NULL UNIQUE,
+  -- Every rotation of one login shares a family, so reuse can revoke them all
+  family_id uuid NOT NULL,
+  device_id varchar(255),
+  user_agent text,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens (user_id);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family_id);
+
+CREATE TABLE revoked_access_tokens (
+  jti uuid PRIMARY KEY,
+  user_id uuid NOT NULL REFERENCES team_users(id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL
+);
+
+CREATE INDEX idx_revoked_access_tokens_expires ON revoked_access_tokens (expires_at);
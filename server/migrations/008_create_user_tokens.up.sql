@@ -0,0 +1,15 @@
+-- Single-use tokens for password resets and invitations.
+-- Not tenant-isolated by RLS: these are redeemed before a tenant context exists.
+
+CREATE TABLE user_tokens (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES team_users(id) ON DELETE CASCADE,
+  purpose varchar(20) NOT NULL CHECK (purpose IN ('password_reset', 'invite')),
+  token_hash char(64) NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  used_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_user_tokens_user ON user_tokens (user_id, purpose);
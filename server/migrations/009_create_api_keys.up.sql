@@ -0,0 +1,20 @@
+-- Tenant API keys for machine-to-machine integrations.
+-- Not tenant-isolated by RLS: keys are looked up before a tenant context exists.
+
+CREATE TABLE api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  -- Leading part of the key, kept in clear so admins can tell keys apart
+  key_prefix varchar(32) NOT NULL,
+  key_hash char(64) NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT '{}',
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  last_used_at timestamptz,
+  expires_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_api_keys_tenant ON api_keys (tenant_id);
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS login_history;
+ALTER TABLE team_users
+  DROP COLUMN IF EXISTS last_login_at,
+  DROP COLUMN IF EXISTS locked_until,
+  DROP COLUMN IF EXISTS failed_login_count;
@@ -0,0 +1,25 @@
+-- Login attempt tracking and temporary account lockout.
+-- login_history is not tenant-isolated by RLS: it is written before a tenant
+-- context exists, and per-IP throttling counts failures across tenants.
+
+ALTER TABLE team_users
+  ADD COLUMN failed_login_count integer NOT NULL DEFAULT 0,
+  ADD COLUMN locked_until timestamptz,
+  ADD COLUMN last_login_at timestamptz;
+
+CREATE TABLE login_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- NULL when the attempt named a tenant that does not exist
+  tenant_id uuid REFERENCES tenants(id) ON DELETE CASCADE,
+  user_id uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  email varchar(255) NOT NULL,
+  ip_address varchar(45),
+  user_agent text,
+  success boolean NOT NULL,
+  failure_reason varchar(30),
+  occurred_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_login_history_tenant ON login_history (tenant_id, occurred_at DESC);
+CREATE INDEX idx_login_history_user ON login_history (user_id, occurred_at DESC);
+CREATE INDEX idx_login_history_ip ON login_history (ip_address, occurred_at DESC) WHERE NOT success;
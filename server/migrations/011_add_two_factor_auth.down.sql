@@ -0,0 +1,6 @@
+ALTER TABLE tenants DROP COLUMN IF EXISTS settings;
+ALTER TABLE team_users
+  DROP COLUMN IF EXISTS mfa_last_step,
+  DROP COLUMN IF EXISTS mfa_recovery_codes,
+  DROP COLUMN IF EXISTS mfa_secret,
+  DROP COLUMN IF EXISTS mfa_enabled;
@@ -0,0 +1,14 @@
+-- TOTP two-factor authentication and per-tenant settings.
+
+ALTER TABLE team_users
+  ADD COLUMN mfa_enabled boolean NOT NULL DEFAULT false,
+  -- Base32 TOTP secret; set during setup, before mfa_enabled is turned on
+  ADD COLUMN mfa_secret varchar(64),
+  -- SHA-256 hashes of the unused recovery codes
+  ADD COLUMN mfa_recovery_codes text[] NOT NULL DEFAULT '{}',
+  -- Last accepted TOTP time step, so a code cannot be replayed
+  ADD COLUMN mfa_last_step bigint;
+
+-- Tenant-wide settings, e.g. {"mfa_required_roles": ["admin"]}
+ALTER TABLE tenants
+  ADD COLUMN settings jsonb NOT NULL DEFAULT '{}';
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS sso_login_states;
+DROP INDEX IF EXISTS idx_team_users_sso_subject;
+ALTER TABLE team_users DROP COLUMN IF EXISTS sso_subject;
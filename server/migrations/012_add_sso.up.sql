@@ -0,0 +1,21 @@
+-- OpenID Connect single sign-on. Per-tenant provider settings live in
+-- tenants.settings->'sso'.
+
+ALTER TABLE team_users
+  -- Identity provider "sub" claim of a user who has logged in through SSO
+  ADD COLUMN sso_subject varchar(255);
+
+CREATE UNIQUE INDEX idx_team_users_sso_subject
+  ON team_users (tenant_id, sso_subject) WHERE sso_subject IS NOT NULL;
+
+-- Pending authorization requests, consumed by the callback.
+-- Not tenant-isolated by RLS: the callback finds the tenant from the state.
+CREATE TABLE sso_login_states (
+  state varchar(64) PRIMARY KEY,
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  nonce varchar(64) NOT NULL,
+  code_verifier varchar(128) NOT NULL,
+  return_to text,
+  expires_at timestamptz NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
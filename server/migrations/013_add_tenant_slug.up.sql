@@ -0,0 +1,26 @@
+-- URL-friendly tenant identifiers, so users can log in without a tenant UUID.
+
+ALTER TABLE tenants ADD COLUMN slug varchar(63);
+
+-- Existing tenants get a slug from their name; duplicates keep the first one
+-- and the rest get part of their id appended
+WITH named AS (
+  SELECT id,
+         trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')) AS base,
+         row_number() OVER (
+           PARTITION BY trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'))
+           ORDER BY created_at, id
+         ) AS n
+  FROM tenants
+)
+UPDATE tenants t
+SET slug = CASE
+    WHEN named.n = 1 AND length(named.base) >= 3 THEN left(named.base, 63)
+    ELSE concat_ws('-', nullif(trim(both '-' from left(named.base, 54)), ''), left(t.id::text, 8))
+  END
+FROM named
+WHERE named.id = t.id;
+
+ALTER TABLE tenants
+  ALTER COLUMN slug SET NOT NULL,
+  ADD CONSTRAINT tenants_slug_key UNIQUE (slug);
@@ -0,0 +1,2 @@
+ALTER TABLE leads DROP COLUMN IF EXISTS score_calculated_at;
+DROP TABLE IF EXISTS lead_scoring_rules;
@@ -0,0 +1,27 @@
+-- Tenant-defined rules that add up to a lead's score.
+
+CREATE TABLE lead_scoring_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  -- Lead attribute the rule looks at, e.g. 'source' or 'interactions.count'
+  field varchar(50) NOT NULL,
+  operator varchar(20) NOT NULL,
+  -- Comparison value; a string, number or array depending on the operator
+  value jsonb,
+  points integer NOT NULL CHECK (points BETWEEN -100 AND 100),
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_lead_scoring_rules_tenant ON lead_scoring_rules (tenant_id);
+
+ALTER TABLE lead_scoring_rules ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON lead_scoring_rules
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+-- When the rules last set the score
+ALTER TABLE leads ADD COLUMN score_calculated_at timestamptz;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_activity_log_tenant_action;
+DROP TABLE IF EXISTS lead_assignment_rules;
@@ -0,0 +1,29 @@
+-- Rules that pick an owner for new leads. Decisions are logged to activity_log.
+
+CREATE TABLE lead_assignment_rules (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  name varchar(255) NOT NULL,
+  -- Rules are tried in ascending priority; the first that can assign wins
+  priority integer NOT NULL DEFAULT 100,
+  -- e.g. {"source": ["fairex"], "tags": ["vip"]}; every listed attribute must match
+  conditions jsonb NOT NULL DEFAULT '{}',
+  strategy varchar(20) NOT NULL
+    CHECK (strategy IN ('round_robin', 'least_open_leads', 'fixed')),
+  -- Users the rule assigns to, in round-robin order
+  assignee_ids uuid[] NOT NULL,
+  last_assigned_user_id uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  is_active boolean NOT NULL DEFAULT true,
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_lead_assignment_rules_tenant ON lead_assignment_rules (tenant_id, priority);
+
+ALTER TABLE lead_assignment_rules ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON lead_assignment_rules
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+CREATE INDEX idx_activity_log_tenant_action ON activity_log (tenant_id, action, occurred_at DESC);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_contacts_name_trgm;
+DROP INDEX IF EXISTS idx_contacts_tenant_phone_digits;
+DROP INDEX IF EXISTS idx_contacts_tenant_lower_email;
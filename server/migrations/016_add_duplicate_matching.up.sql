@@ -0,0 +1,12 @@
+-- Indexes for finding duplicate leads by contact email, phone and fuzzy name.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX idx_contacts_tenant_lower_email ON contacts (tenant_id, LOWER(email));
+
+-- Phones compare on digits only, so "+1 (555) 010-2000" matches "15550102000"
+CREATE INDEX idx_contacts_tenant_phone_digits
+  ON contacts (tenant_id, regexp_replace(phone, '\D', '', 'g'));
+
+CREATE INDEX idx_contacts_name_trgm
+  ON contacts USING gin (LOWER(COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')) gin_trgm_ops);
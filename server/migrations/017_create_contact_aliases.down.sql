@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS idx_contacts_tenant_kf_visitor;
+DROP TABLE IF EXISTS contact_aliases;
@@ -0,0 +1,22 @@
+-- Identifiers of merged contacts, kept so future leads still match the survivor.
+
+CREATE TABLE contact_aliases (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  contact_id uuid NOT NULL REFERENCES contacts(id) ON DELETE CASCADE,
+  kind varchar(20) NOT NULL CHECK (kind IN ('email', 'phone', 'kf_visitor_id')),
+  value varchar(255) NOT NULL,
+  -- The merged contact the identifier came from; that row no longer exists
+  merged_from_contact_id uuid,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, kind, value)
+);
+
+CREATE INDEX idx_contact_aliases_contact ON contact_aliases (contact_id);
+
+ALTER TABLE contact_aliases ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON contact_aliases
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+CREATE INDEX idx_contacts_tenant_kf_visitor ON contacts (tenant_id, kf_visitor_id);
@@ -0,0 +1,57 @@
+-- Background CSV/XLSX imports and their per-row errors.
+
+CREATE TABLE import_jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  entity varchar(20) NOT NULL CHECK (entity IN ('leads', 'contacts', 'companies')),
+  status varchar(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed')),
+  -- Dry runs validate and dedupe every row without writing anything
+  dry_run boolean NOT NULL DEFAULT false,
+  on_duplicate varchar(10) NOT NULL DEFAULT 'skip' CHECK (on_duplicate IN ('skip', 'update')),
+  filename varchar(255) NOT NULL,
+  -- Column headers of the uploaded file, in file order
+  headers jsonb NOT NULL,
+  -- Spreadsheet column header -> import field
+  mapping jsonb NOT NULL,
+  -- Rows waiting to be processed, as { row_number, values } in header order;
+  -- cleared when the job finishes
+  rows jsonb,
+  total_rows integer NOT NULL DEFAULT 0,
+  processed_rows integer NOT NULL DEFAULT 0,
+  created_count integer NOT NULL DEFAULT 0,
+  updated_count integer NOT NULL DEFAULT 0,
+  skipped_count integer NOT NULL DEFAULT 0,
+  error_count integer NOT NULL DEFAULT 0,
+  error text,
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  started_at timestamptz,
+  finished_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_import_jobs_tenant_created ON import_jobs (tenant_id, created_at DESC);
+
+CREATE TABLE import_job_errors (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  job_id uuid NOT NULL REFERENCES import_jobs(id) ON DELETE CASCADE,
+  -- Line in the uploaded file, counting the header as line 1
+  row_number integer NOT NULL,
+  field varchar(50),
+  message text NOT NULL,
+  row_data jsonb,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_import_job_errors_job ON import_job_errors (job_id, row_number);
+
+ALTER TABLE import_jobs ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON import_jobs
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+ALTER TABLE import_job_errors ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON import_job_errors
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
@@ -0,0 +1,29 @@
+-- Every lead status and stage transition, for lead history and time-in-stage reports.
+
+CREATE TABLE lead_stage_history (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  lead_id uuid NOT NULL REFERENCES leads(id) ON DELETE CASCADE,
+  field varchar(10) NOT NULL CHECK (field IN ('status', 'stage')),
+  -- NULL when the lead was created with to_value
+  from_value varchar(20),
+  to_value varchar(20) NOT NULL,
+  changed_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  -- clock_timestamp() keeps transitions within one transaction in order
+  changed_at timestamptz NOT NULL DEFAULT clock_timestamp()
+);
+
+CREATE INDEX idx_lead_stage_history_lead ON lead_stage_history (lead_id, field, changed_at);
+CREATE INDEX idx_lead_stage_history_tenant ON lead_stage_history (tenant_id, field, changed_at);
+
+ALTER TABLE lead_stage_history ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON lead_stage_history
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+-- Existing leads start their history with their current values. Earlier
+-- transitions were never recorded, so they are dated at lead creation.
+INSERT INTO lead_stage_history (tenant_id, lead_id, field, from_value, to_value, changed_at)
+SELECT tenant_id, id, 'status', NULL, status, created_at FROM leads
+UNION ALL
+SELECT tenant_id, id, 'stage', NULL, stage, created_at FROM leads;
@@ -0,0 +1,3 @@
+ALTER TABLE lead_stage_history
+  DROP COLUMN IF EXISTS overridden,
+  DROP COLUMN IF EXISTS reason;
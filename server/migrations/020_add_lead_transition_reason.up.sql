@@ -0,0 +1,6 @@
+-- Reasons given for lead transitions, and whether an admin overrode the
+-- tenant's allowed transitions to make them.
+
+ALTER TABLE lead_stage_history
+  ADD COLUMN reason text,
+  ADD COLUMN overridden boolean NOT NULL DEFAULT false;
@@ -0,0 +1,39 @@
+-- Tenant-defined fields on leads, contacts, companies and opportunities.
+-- Values live in each record's custom_fields column, keyed by field key.
+
+CREATE TABLE custom_field_definitions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  entity varchar(20) NOT NULL
+    CHECK (entity IN ('leads', 'contacts', 'companies', 'opportunities')),
+  -- Name used in custom_fields, filters (cf_<key>) and export columns
+  key varchar(50) NOT NULL,
+  label varchar(100) NOT NULL,
+  type varchar(20) NOT NULL
+    CHECK (type IN ('text', 'number', 'date', 'picklist', 'multi_select', 'boolean')),
+  -- Choices for picklist and multi_select fields
+  options jsonb NOT NULL DEFAULT '[]',
+  is_required boolean NOT NULL DEFAULT false,
+  -- Applied to records created without a value
+  default_value jsonb,
+  position integer NOT NULL DEFAULT 0,
+  created_by uuid REFERENCES team_users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, entity, key)
+);
+
+ALTER TABLE custom_field_definitions ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON custom_field_definitions
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+ALTER TABLE leads ADD COLUMN custom_fields jsonb NOT NULL DEFAULT '{}';
+ALTER TABLE contacts ADD COLUMN custom_fields jsonb NOT NULL DEFAULT '{}';
+ALTER TABLE companies ADD COLUMN custom_fields jsonb NOT NULL DEFAULT '{}';
+ALTER TABLE opportunities ADD COLUMN custom_fields jsonb NOT NULL DEFAULT '{}';
+
+CREATE INDEX idx_leads_custom_fields ON leads USING gin (custom_fields);
+CREATE INDEX idx_contacts_custom_fields ON contacts USING gin (custom_fields);
+CREATE INDEX idx_companies_custom_fields ON companies USING gin (custom_fields);
+CREATE INDEX idx_opportunities_custom_fields ON opportunities USING gin (custom_fields);
@@ -0,0 +1,15 @@
+-- Fails while records still use values added through picklists
+ALTER TABLE opportunities ADD CONSTRAINT opportunities_status_check
+  CHECK (status IN ('open', 'won', 'lost', 'abandoned'));
+ALTER TABLE tasks
+  ALTER COLUMN priority TYPE varchar(10),
+  ADD CONSTRAINT tasks_priority_check CHECK (priority IN ('low', 'normal', 'high', 'urgent'));
+ALTER TABLE interactions ADD CONSTRAINT interactions_channel_check
+  CHECK (channel IN ('chat', 'email', 'sms', 'whatsapp', 'call', 'meeting', 'note'));
+ALTER TABLE contacts ADD CONSTRAINT contacts_source_check
+  CHECK (source IN ('fairex', 'ads', 'import', 'referral', 'manual', 'api'));
+ALTER TABLE leads
+  ADD CONSTRAINT leads_source_check CHECK (source IN ('fairex', 'ads', 'import', 'referral', 'manual')),
+  ADD CONSTRAINT leads_stage_check CHECK (stage IN ('lead', 'mql', 'sql')),
+  ADD CONSTRAINT leads_status_check CHECK (status IN ('new', 'working', 'qualified', 'unqualified', 'converted'));
+DROP TABLE IF EXISTS picklist_values;
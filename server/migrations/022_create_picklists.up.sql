@@ -0,0 +1,80 @@
+-- Per-tenant values for lead status, stage and source, contact source,
+-- interaction channel, task priority and opportunity status, replacing the
+-- fixed CHECK lists on those columns.
+
+CREATE TABLE picklist_values (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  picklist varchar(30) NOT NULL
+    CHECK (picklist IN ('lead_status', 'lead_stage', 'lead_source', 'contact_source',
+                        'interaction_channel', 'task_priority', 'opportunity_status')),
+  -- Stored on records; never changes once created
+  value varchar(20) NOT NULL,
+  label varchar(100) NOT NULL,
+  color varchar(7),
+  position integer NOT NULL DEFAULT 0,
+  -- Kept on existing records and in filters, but can no longer be set
+  is_deprecated boolean NOT NULL DEFAULT false,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, picklist, value)
+);
+
+CREATE INDEX idx_picklist_values_tenant ON picklist_values (tenant_id, picklist, position);
+
+ALTER TABLE picklist_values ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON picklist_values
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
+
+-- Every existing tenant starts with the values the CHECK lists allowed
+INSERT INTO picklist_values (tenant_id, picklist, value, label, color, position)
+SELECT t.id, d.picklist, d.value, d.label, d.color, d.position
+FROM tenants t
+CROSS JOIN (VALUES
+  ('lead_status', 'new', 'New', '#3B82F6', 0),
+  ('lead_status', 'working', 'Working', '#F59E0B', 1),
+  ('lead_status', 'qualified', 'Qualified', '#10B981', 2),
+  ('lead_status', 'unqualified', 'Unqualified', '#6B7280', 3),
+  ('lead_status', 'converted', 'Converted', '#8B5CF6', 4),
+  ('lead_stage', 'lead', 'Lead', '#6B7280', 0),
+  ('lead_stage', 'mql', 'MQL', '#3B82F6', 1),
+  ('lead_stage', 'sql', 'SQL', '#10B981', 2),
+  ('lead_source', 'fairex', 'FairEx', '#0EA5E9', 0),
+  ('lead_source', 'ads', 'Ads', '#F97316', 1),
+  ('lead_source', 'import', 'Import', '#6B7280', 2),
+  ('lead_source', 'referral', 'Referral', '#10B981', 3),
+  ('lead_source', 'manual', 'Manual', '#64748B', 4),
+  ('contact_source', 'fairex', 'FairEx', '#0EA5E9', 0),
+  ('contact_source', 'ads', 'Ads', '#F97316', 1),
+  ('contact_source', 'import', 'Import', '#6B7280', 2),
+  ('contact_source', 'referral', 'Referral', '#10B981', 3),
+  ('contact_source', 'manual', 'Manual', '#64748B', 4),
+  ('contact_source', 'api', 'API', '#8B5CF6', 5),
+  ('interaction_channel', 'chat', 'Chat', '#0EA5E9', 0),
+  ('interaction_channel', 'email', 'Email', '#3B82F6', 1),
+  ('interaction_channel', 'sms', 'SMS', '#F59E0B', 2),
+  ('interaction_channel', 'whatsapp', 'WhatsApp', '#22C55E', 3),
+  ('interaction_channel', 'call', 'Call', '#8B5CF6', 4),
+  ('interaction_channel', 'meeting', 'Meeting', '#EC4899', 5),
+  ('interaction_channel', 'note', 'Note', '#6B7280', 6),
+  ('task_priority', 'urgent', 'Urgent', '#EF4444', 0),
+  ('task_priority', 'high', 'High', '#F97316', 1),
+  ('task_priority', 'normal', 'Normal', '#3B82F6', 2),
+  ('task_priority', 'low', 'Low', '#6B7280', 3),
+  ('opportunity_status', 'open', 'Open', '#3B82F6', 0),
+  ('opportunity_status', 'won', 'Won', '#10B981', 1),
+  ('opportunity_status', 'lost', 'Lost', '#EF4444', 2),
+  ('opportunity_status', 'abandoned', 'Abandoned', '#6B7280', 3)
+) AS d(picklist, value, label, color, position);
+
+ALTER TABLE leads
+  DROP CONSTRAINT IF EXISTS leads_status_check,
+  DROP CONSTRAINT IF EXISTS leads_stage_check,
+  DROP CONSTRAINT IF EXISTS leads_source_check;
+ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_source_check;
+ALTER TABLE interactions DROP CONSTRAINT IF EXISTS interactions_channel_check;
+ALTER TABLE tasks
+  DROP CONSTRAINT IF EXISTS tasks_priority_check,
+  ALTER COLUMN priority TYPE varchar(20);
+ALTER TABLE opportunities DROP CONSTRAINT IF EXISTS opportunities_status_check;
@@ -0,0 +1,29 @@
+-- Named filter, sort and column sets for list endpoints, applied with ?view=<id>.
+-- Private views are only visible to their owner, team views also to the
+-- owner's manager, direct reports and fellow reports, and tenant views to everyone.
+
+CREATE TABLE saved_views (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id uuid NOT NULL REFERENCES tenants(id) ON DELETE CASCADE,
+  owner_user_id uuid NOT NULL REFERENCES team_users(id) ON DELETE CASCADE,
+  entity varchar(20) NOT NULL
+    CHECK (entity IN ('leads', 'contacts', 'companies', 'tasks', 'opportunities')),
+  name varchar(100) NOT NULL,
+  visibility varchar(10) NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'team', 'tenant')),
+  -- List query parameters, e.g. {"status": "working", "owner": "me"}
+  filters jsonb NOT NULL DEFAULT '{}',
+  -- {"field": "score", "order": "desc"}, or null for the list's default order
+  sort jsonb,
+  columns text[] NOT NULL DEFAULT '{}',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (tenant_id, owner_user_id, entity, name)
+);
+
+CREATE INDEX idx_saved_views_tenant_entity ON saved_views (tenant_id, entity);
+
+ALTER TABLE saved_views ENABLE ROW LEVEL SECURITY;
+CREATE POLICY tenant_isolation ON saved_views
+  USING (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid)
+  WITH CHECK (tenant_id = NULLIF(current_setting('app.tenant_id', true), '')::uuid);
@@ -0,0 +1,2 @@
+ALTER TABLE lead_stage_history
+  DROP COLUMN IF EXISTS merged_from_lead_id;
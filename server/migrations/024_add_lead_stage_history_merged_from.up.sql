@@ -0,0 +1,5 @@
+-- History rows moved to a lead by a merge keep the merged lead's ID, so
+-- durations are still measured within the lead they were recorded on.
+
+ALTER TABLE lead_stage_history
+  ADD COLUMN merged_from_lead_id uuid;
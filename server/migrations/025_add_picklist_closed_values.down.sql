@@ -0,0 +1,2 @@
+ALTER TABLE picklist_values
+  DROP COLUMN IF EXISTS is_closed;
@@ -0,0 +1,10 @@
+-- Lead statuses that close a lead. Closed leads no longer count towards their
+-- owner's open leads for assignment, and stay with their owner when a user's
+-- open leads are handed over.
+
+ALTER TABLE picklist_values
+  ADD COLUMN is_closed boolean NOT NULL DEFAULT false;
+
+UPDATE picklist_values
+SET is_closed = true
+WHERE picklist = 'lead_status' AND value IN ('converted', 'unqualified');
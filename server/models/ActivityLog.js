@@ -0,0 +1,85 @@
+import db from '../config/db.js';
+
+/**
+ * Activity Log Model
+ * Handles database operations for the append-only activity_log table
+ */
+const ActivityLogModel = {
+  /**
+   * Record an activity
+   * @param {Object} entry - { tenant_id, entity, entity_id, action, actor_user_id, before_data, after_data }
+   * @returns {Promise<Object>} - Created entry
+   */
+  async create(entry) {
+    const {
+      tenant_id,
+      entity,
+      entity_id,
+      action,
+      actor_user_id,
+      before_data,
+      after_data
+    } = entry;
+
+    const query = `
+      INSERT INTO activity_log (id, tenant_id, entity, entity_id, action, actor_user_id, before_data, after_data)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      tenant_id,
+      entity,
+      entity_id,
+      action,
+      actor_user_id || null,
+      before_data ? JSON.stringify(before_data) : null,
+      after_data ? JSON.stringify(after_data) : null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Get activities with filters, newest first
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - { entity, entity_id, actions, limit, offset }
+   * @returns {Promise<Object>} - { entries, totalCount }
+   */
+  async findAll(tenantId, filters = {}) {
+    const { entity, entity_id, actions, limit = 50, offset = 0 } = filters;
+
+    const conditions = ['tenant_id = $1'];
+    const params = [tenantId];
+
+    if (entity) {
+      params.push(entity);
+      conditions.push(`entity = $${params.length}`);
+    }
+    if (entity_id) {
+      params.push(entity_id);
+      conditions.push(`entity_id = $${params.length}`);
+    }
+    if (actions) {
+      params.push(actions);
+      conditions.push(`action = ANY($${params.length})`);
+    }
+
+    const query = `
+      SELECT *, COUNT(*) OVER() as total_count
+      FROM activity_log
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY occurred_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const { rows } = await db.query(query, [...params, limit, offset]);
+    return {
+      entries: rows.map(({ total_count, ...entry }) => entry),
+      totalCount: rows.length > 0 ? parseInt(rows[0].total_count) : 0
+    };
+  }
+};
+
+export default ActivityLogModel;
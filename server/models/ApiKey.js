@@ -0,0 +1,145 @@
+import db from '../config/db.js';
+
+// Every column except the key hash
+const PUBLIC_COLUMNS = `
+  id, tenant_id, name, key_prefix, scopes, created_by,
+  last_used_at, expires_at, revoked_at, created_at, updated_at
+`;
+
+/**
+ * API Key Model
+ * Handles database operations for the api_keys table
+ */
+const ApiKeyModel = {
+  /**
+   * Store a new API key
+   * @param {Object} keyData - Key information
+   * @returns {Promise<Object>} - New API key, without its hash
+   */
+  async create(keyData) {
+    const {
+      tenant_id,
+      name,
+      key_prefix,
+      key_hash,
+      scopes,
+      created_by,
+      expires_at
+    } = keyData;
+
+    const query = `
+      INSERT INTO api_keys (id, tenant_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7)
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+
+    const values = [
+      tenant_id,
+      name,
+      key_prefix,
+      key_hash,
+      scopes,
+      created_by || null,
+      expires_at || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Get all API keys of a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - API keys, without their hashes
+   */
+  async findAll(tenantId) {
+    const query = `
+      SELECT ${PUBLIC_COLUMNS} FROM api_keys
+      WHERE tenant_id = $1
+      ORDER BY created_at DESC
+    `;
+    const { rows } = await db.query(query, [tenantId]);
+    return rows;
+  },
+
+  /**
+   * Find API key by ID
+   * @param {string} keyId - API key UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - API key, without its hash
+   */
+  async findById(keyId, tenantId) {
+    const query = `SELECT ${PUBLIC_COLUMNS} FROM api_keys WHERE id = $1 AND tenant_id = $2`;
+    const { rows } = await db.query(query, [keyId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Find a usable API key by hash with tenant information
+   * @param {string} keyHash - SHA-256 hash of the key
+   * @returns {Promise<Object>} - API key with tenant_name
+   */
+  async findActiveByHash(keyHash) {
+    const query = `
+      SELECT ak.id, ak.tenant_id, ak.name, ak.scopes, t.name as tenant_name
+      FROM api_keys ak
+      JOIN tenants t ON ak.tenant_id = t.id
+      WHERE ak.key_hash = $1
+        AND ak.revoked_at IS NULL
+        AND (ak.expires_at IS NULL OR ak.expires_at > now())
+    `;
+    const { rows } = await db.query(query, [keyHash]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Replace the secret of an active key, keeping its name and scopes
+   * @param {string} keyId - API key UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} keyPrefix - New display prefix
+   * @param {string} keyHash - New key hash
+   * @returns {Promise<Object>} - Updated API key, or null if not found or revoked
+   */
+  async rotate(keyId, tenantId, keyPrefix, keyHash) {
+    const query = `
+      UPDATE api_keys
+      SET key_prefix = $3, key_hash = $4, last_used_at = NULL, updated_at = now()
+      WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+    const { rows } = await db.query(query, [keyId, tenantId, keyPrefix, keyHash]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - API key UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<boolean>} - Whether an active key was revoked
+   */
+  async revoke(keyId, tenantId) {
+    const query = `
+      UPDATE api_keys
+      SET revoked_at = now(), updated_at = now()
+      WHERE id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [keyId, tenantId]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Record that a key was used, at most once a minute
+   * @param {string} keyId - API key UUID
+   * @returns {Promise<void>}
+   */
+  async touchLastUsed(keyId) {
+    const query = `
+      UPDATE api_keys
+      SET last_used_at = now()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < now() - interval '1 minute')
+    `;
+    await db.query(query, [keyId]);
+  }
+};
+
+export default ApiKeyModel;
@@ -1,4 +1,86 @@
 import db from '../config/db.js';
+import { buildCustomFieldConditions, buildCustomFieldOrder } from '../utils/customFields.js';
+
+/**
+ * Build the company list query with its sort, without pagination
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} filters - Filter and sort options
+ * @returns {Object} - { query, queryParams }
+ */
+const buildListQuery = (tenantId, filters) => {
+  let query = `
+    SELECT 
+      c.*,
+      COUNT(DISTINCT cont.id) as contact_count,
+      COUNT(DISTINCT opp.id) as opportunity_count,
+      COALESCE(SUM(CASE WHEN opp.status = 'won' THEN opp.amount ELSE 0 END), 0) as total_won_value,
+      MAX(cont.created_at) as last_contact_date
+    FROM companies c
+    LEFT JOIN contacts cont ON c.id = cont.company_id
+    LEFT JOIN opportunities opp ON c.id = opp.company_id
+    WHERE c.tenant_id = $1
+  `;
+  
+  const queryParams = [tenantId];
+  let paramIndex = 2;
+
+  // Add search filter
+  if (filters.search) {
+    query += ` AND (
+      c.name ILIKE $${paramIndex} OR
+      c.website ILIKE $${paramIndex} OR
+      c.phone ILIKE $${paramIndex} OR
+      c.address ILIKE $${paramIndex}
+    )`;
+    queryParams.push(`%${filters.search}%`);
+    paramIndex++;
+  }
+
+  // Add date range filter
+  if (filters.created_after) {
+    query += ` AND c.created_at >= $${paramIndex}`;
+    queryParams.push(filters.created_after);
+    paramIndex++;
+  }
+
+  if (filters.created_before) {
+    query += ` AND c.created_at <= $${paramIndex}`;
+    queryParams.push(filters.created_before);
+    paramIndex++;
+  }
+
+  const customFilters = buildCustomFieldConditions('c.custom_fields', filters.custom, paramIndex);
+  customFilters.conditions.forEach((condition) => {
+    query += ` AND ${condition}`;
+  });
+  queryParams.push(...customFilters.params);
+
+  query += ' GROUP BY c.id';
+
+  // Add sorting
+  if (filters.customSort) {
+    const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    query += ` ORDER BY ${buildCustomFieldOrder('c.custom_fields', filters.customSort, sortOrder)}, c.id`;
+  } else if (filters.sort_by) {
+    const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
+    const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    
+    // Handle aggregate columns
+    if (sortField === 'contact_count') {
+      query += ` ORDER BY COUNT(DISTINCT cont.id) ${sortOrder}, c.id`;
+    } else if (sortField === 'opportunity_count') {
+      query += ` ORDER BY COUNT(DISTINCT opp.id) ${sortOrder}, c.id`;
+    } else if (sortField === 'total_won_value') {
+      query += ` ORDER BY COALESCE(SUM(CASE WHEN opp.status = 'won' THEN opp.amount ELSE 0 END), 0) ${sortOrder}, c.id`;
+    } else {
+      query += ` ORDER BY c.${sortField} ${sortOrder}, c.id`;
+    }
+  } else {
+    query += ' ORDER BY c.created_at DESC, c.id';
+  }
+
+  return { query, queryParams };
+};
 
 /**
  * Company Model
@@ -32,12 +114,13 @@ const CompanyModel = {
       name, 
       website, 
       phone, 
-      address 
+      address,
+      custom_fields = {}
     } = companyData;
     
     const query = `
-      INSERT INTO companies (id, tenant_id, name, website, phone, address)
-      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5)
+      INSERT INTO companies (id, tenant_id, name, website, phone, address, custom_fields)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6)
       RETURNING *
     `;
     
@@ -46,7 +129,8 @@ const CompanyModel = {
       name,
       website || null,
       phone || null,
-      address || null
+      address || null,
+      JSON.stringify(custom_fields)
     ];
     
     const { rows } = await db.query(query, values);
@@ -85,76 +169,25 @@ const CompanyModel = {
    * @returns {Promise<Array>} - Array of companies
    */
   async findAll(tenantId, limit = 20, offset = 0, filters = {}) {
-    let query = `
-      SELECT 
-        c.*,
-        COUNT(DISTINCT cont.id) as contact_count,
-        COUNT(DISTINCT opp.id) as opportunity_count,
-        COALESCE(SUM(CASE WHEN opp.status = 'won' THEN opp.amount ELSE 0 END), 0) as total_won_value,
-        MAX(cont.created_at) as last_contact_date
-      FROM companies c
-      LEFT JOIN contacts cont ON c.id = cont.company_id
-      LEFT JOIN opportunities opp ON c.id = opp.company_id
-      WHERE c.tenant_id = $1
-    `;
-    
-    const queryParams = [tenantId];
-    let paramIndex = 2;
+    const { query, queryParams } = buildListQuery(tenantId, filters);
+    const paramIndex = queryParams.length + 1;
 
-    // Add search filter
-    if (filters.search) {
-      query += ` AND (
-        c.name ILIKE $${paramIndex} OR
-        c.website ILIKE $${paramIndex} OR
-        c.phone ILIKE $${paramIndex} OR
-        c.address ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-      paramIndex++;
-    }
-
-    // Add date range filter
-    if (filters.created_after) {
-      query += ` AND c.created_at >= $${paramIndex}`;
-      queryParams.push(filters.created_after);
-      paramIndex++;
-    }
-
-    if (filters.created_before) {
-      query += ` AND c.created_at <= $${paramIndex}`;
-      queryParams.push(filters.created_before);
-      paramIndex++;
-    }
-
-    query += ' GROUP BY c.id';
-
-    // Add sorting
-    if (filters.sort_by) {
-      const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
-      const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-      
-      // Handle aggregate columns
-      if (sortField === 'contact_count') {
-        query += ` ORDER BY COUNT(DISTINCT cont.id) ${sortOrder}`;
-      } else if (sortField === 'opportunity_count') {
-        query += ` ORDER BY COUNT(DISTINCT opp.id) ${sortOrder}`;
-      } else if (sortField === 'total_won_value') {
-        query += ` ORDER BY COALESCE(SUM(CASE WHEN opp.status = 'won' THEN opp.amount ELSE 0 END), 0) ${sortOrder}`;
-      } else {
-        query += ` ORDER BY c.${sortField} ${sortOrder}`;
-      }
-    } else {
-      query += ' ORDER BY c.created_at DESC';
-    }
-
-    // Add pagination
-    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
-
-    const { rows } = await db.query(query, queryParams);
+    const { rows } = await db.query(`${query} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`, [...queryParams, limit, offset]);
     return rows;
   },
 
+  /**
+   * Read every company matching the list filters, in the list's order, in batches
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - Filter and sort options
+   * @param {number} batchSize - Companies per batch
+   * @returns {AsyncGenerator<Array>} - Batches of companies
+   */
+  findInBatches(tenantId, filters, batchSize) {
+    const { query, queryParams } = buildListQuery(tenantId, filters);
+    return db.cursor(query, queryParams, batchSize);
+  },
+
   /**
    * Update company information
    * @param {string} companyId - Company UUID
@@ -167,7 +200,8 @@ const CompanyModel = {
       name,
       website,
       phone,
-      address
+      address,
+      custom_fields
     } = companyData;
 
     const query = `
@@ -177,6 +211,7 @@ const CompanyModel = {
         website = COALESCE($2, website),
         phone = COALESCE($3, phone),
         address = COALESCE($4, address),
+        custom_fields = COALESCE($7::jsonb, custom_fields),
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $5 AND tenant_id = $6
       RETURNING *
@@ -188,7 +223,8 @@ const CompanyModel = {
       phone,
       address,
       companyId,
-      tenantId
+      tenantId,
+      custom_fields ? JSON.stringify(custom_fields) : null
     ];
 
     const { rows } = await db.query(query, values);
@@ -240,8 +276,15 @@ const CompanyModel = {
     if (filters.created_before) {
       query += ` AND c.created_at <= $${paramIndex}`;
       queryParams.push(filters.created_before);
+      paramIndex++;
     }
 
+    const customFilters = buildCustomFieldConditions('c.custom_fields', filters.custom, paramIndex);
+    customFilters.conditions.forEach((condition) => {
+      query += ` AND ${condition}`;
+    });
+    queryParams.push(...customFilters.params);
+
     const { rows } = await db.query(query, queryParams);
     return parseInt(rows[0].count);
   },
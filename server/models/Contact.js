@@ -1,4 +1,95 @@
 import db from '../config/db.js';
+import { buildVisibilityCondition } from '../utils/visibility.js';
+import { buildCustomFieldConditions, buildCustomFieldOrder } from '../utils/customFields.js';
+
+// Contacts are visible to their owner and to the owners of their leads
+const VISIBILITY_COLUMNS = [
+  'c.owner_user_id',
+  (match) => `EXISTS (SELECT 1 FROM leads vl WHERE vl.contact_id = c.id AND ${match('vl.owner_user_id')})`
+];
+
+/**
+ * Build the contact list query with its sort, without pagination
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} filters - Filter and sort options
+ * @param {Object} viewer - Requesting user, for record visibility
+ * @returns {Object} - { query, queryParams }
+ */
+const buildListQuery = (tenantId, filters, viewer) => {
+  let query = `
+    SELECT 
+      c.*,
+      comp.name as company_name,
+      comp.website as company_website,
+      owner.name as owner_name,
+      COUNT(l.id) as lead_count
+    FROM contacts c
+    LEFT JOIN companies comp ON c.company_id = comp.id
+    LEFT JOIN team_users owner ON c.owner_user_id = owner.id
+    LEFT JOIN leads l ON c.id = l.contact_id
+    WHERE c.tenant_id = $1
+  `;
+  
+  const queryParams = [tenantId];
+  let paramIndex = 2;
+
+  // Add source filter
+  if (filters.source) {
+    query += ` AND c.source = $${paramIndex}`;
+    queryParams.push(filters.source);
+    paramIndex++;
+  }
+
+  // Add company filter
+  if (filters.company_id) {
+    query += ` AND c.company_id = $${paramIndex}`;
+    queryParams.push(filters.company_id);
+    paramIndex++;
+  }
+
+  // Add search filter
+  if (filters.search) {
+    query += ` AND (
+      c.first_name ILIKE $${paramIndex} OR
+      c.last_name ILIKE $${paramIndex} OR
+      c.email ILIKE $${paramIndex} OR
+      c.phone ILIKE $${paramIndex} OR
+      comp.name ILIKE $${paramIndex}
+    )`;
+    queryParams.push(`%${filters.search}%`);
+    paramIndex++;
+  }
+
+  const customFilters = buildCustomFieldConditions('c.custom_fields', filters.custom, paramIndex);
+  customFilters.conditions.forEach((condition) => {
+    query += ` AND ${condition}`;
+  });
+  queryParams.push(...customFilters.params);
+  paramIndex += customFilters.params.length;
+
+  // Restrict to contacts the viewer may see
+  const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+  if (visibility.condition) {
+    query += ` AND ${visibility.condition}`;
+    queryParams.push(...visibility.params);
+  }
+
+  query += ' GROUP BY c.id, comp.id, owner.id';
+
+  // Add sorting
+  if (filters.customSort) {
+    const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    query += ` ORDER BY ${buildCustomFieldOrder('c.custom_fields', filters.customSort, sortOrder)}, c.id`;
+  } else if (filters.sort_by) {
+    const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
+    const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
+    query += ` ORDER BY ${sortField} ${sortOrder}, c.id`;
+  } else {
+    query += ' ORDER BY c.created_at DESC, c.id';
+  }
+
+  return { query, queryParams };
+};
 
 /**
  * Contact Model
@@ -6,21 +97,34 @@ import db from '../config/db.js';
  */
 const ContactModel = {
   /**
-   * Find existing contact by email or phone
+   * Find existing contact by email, phone or FairEx visitor ID, including the
+   * identifiers of contacts merged into it. The oldest match wins.
    * @param {string} tenantId - Tenant UUID
    * @param {string} email - Contact email
    * @param {string} phone - Contact phone
+   * @param {number} kfVisitorId - Optional FairEx visitor ID
    * @returns {Promise<Object>} - Contact object
    */
-  async findByEmailOrPhone(tenantId, email, phone) {
+  async findByEmailOrPhone(tenantId, email, phone, kfVisitorId) {
     const query = `
       SELECT c.*, comp.name as company_name 
       FROM contacts c
       LEFT JOIN companies comp ON c.company_id = comp.id
-      WHERE c.tenant_id = $1 AND (c.email = $2 OR c.phone = $3)
+      WHERE c.tenant_id = $1 AND (
+        c.email = $2 OR c.phone = $3 OR c.kf_visitor_id = $4
+        OR c.id IN (
+          SELECT ca.contact_id FROM contact_aliases ca
+          WHERE ca.tenant_id = $1 AND (
+            (ca.kind = 'email' AND ca.value = $2)
+            OR (ca.kind = 'phone' AND ca.value = $3)
+            OR (ca.kind = 'kf_visitor_id' AND ca.value = $4::text)
+          )
+        )
+      )
+      ORDER BY c.created_at, c.id
       LIMIT 1
     `;
-    const { rows } = await db.query(query, [tenantId, email || null, phone || null]);
+    const { rows } = await db.query(query, [tenantId, email || null, phone || null, kfVisitorId || null]);
     return rows[0] || null;
   },
 
@@ -39,12 +143,16 @@ const ContactModel = {
       dob,
       company_id, 
       kf_visitor_id,
-      source 
+      source,
+      owner_user_id,
+      custom_fields = {}
     } = contactData;
     
     const query = `
-      INSERT INTO contacts (id, tenant_id, first_name, last_name, email, phone, dob, company_id, kf_visitor_id, source)
-      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9)
+      INSERT INTO contacts (
+        id, tenant_id, first_name, last_name, email, phone, dob, company_id, kf_visitor_id, source, owner_user_id, custom_fields
+      )
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `;
     
@@ -57,7 +165,9 @@ const ContactModel = {
       dob || null,
       company_id || null,
       kf_visitor_id || null,
-      source || 'manual'
+      source || 'manual',
+      owner_user_id || null,
+      JSON.stringify(custom_fields)
     ];
     
     const { rows } = await db.query(query, values);
@@ -68,16 +178,38 @@ const ContactModel = {
    * Find contact by ID
    * @param {string} contactId - Contact UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Contact object with company info
    */
-  async findById(contactId, tenantId) {
+  async findById(contactId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
     const query = `
       SELECT c.*, comp.name as company_name, comp.website as company_website
       FROM contacts c
       LEFT JOIN companies comp ON c.company_id = comp.id
       WHERE c.id = $1 AND c.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+    `;
+    const { rows } = await db.query(query, [contactId, tenantId, ...visibility.params]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Get a contact and lock it for the rest of the transaction
+   * @param {string} contactId - Contact UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @returns {Promise<Object>} - Contact object
+   */
+  async findByIdForUpdate(contactId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      SELECT c.* FROM contacts c
+      WHERE c.id = $1 AND c.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+      FOR UPDATE
     `;
-    const { rows } = await db.query(query, [contactId, tenantId]);
+    const { rows } = await db.query(query, [contactId, tenantId, ...visibility.params]);
     return rows[0] || null;
   },
 
@@ -87,70 +219,30 @@ const ContactModel = {
    * @param {number} limit - Number of results per page
    * @param {number} offset - Pagination offset
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Array of contacts
    */
-  async findAll(tenantId, limit = 20, offset = 0, filters = {}) {
-    let query = `
-      SELECT 
-        c.*,
-        comp.name as company_name,
-        comp.website as company_website,
-        COUNT(l.id) as lead_count
-      FROM contacts c
-      LEFT JOIN companies comp ON c.company_id = comp.id
-      LEFT JOIN leads l ON c.id = l.contact_id
-      WHERE c.tenant_id = $1
-    `;
-    
-    const queryParams = [tenantId];
-    let paramIndex = 2;
-
-    // Add source filter
-    if (filters.source) {
-      query += ` AND c.source = $${paramIndex}`;
-      queryParams.push(filters.source);
-      paramIndex++;
-    }
-
-    // Add company filter
-    if (filters.company_id) {
-      query += ` AND c.company_id = $${paramIndex}`;
-      queryParams.push(filters.company_id);
-      paramIndex++;
-    }
+  async findAll(tenantId, limit = 20, offset = 0, filters = {}, viewer) {
+    const { query, queryParams } = buildListQuery(tenantId, filters, viewer);
+    const paramIndex = queryParams.length + 1;
 
-    // Add search filter
-    if (filters.search) {
-      query += ` AND (
-        c.first_name ILIKE $${paramIndex} OR
-        c.last_name ILIKE $${paramIndex} OR
-        c.email ILIKE $${paramIndex} OR
-        c.phone ILIKE $${paramIndex} OR
-        comp.name ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.search}%`);
-      paramIndex++;
-    }
-
-    query += ' GROUP BY c.id, comp.id';
-
-    // Add sorting
-    if (filters.sort_by) {
-      const sortField = filters.sort_by.replace(/[^a-zA-Z0-9_.]/g, '');
-      const sortOrder = filters.sort_order?.toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
-      query += ` ORDER BY ${sortField} ${sortOrder}`;
-    } else {
-      query += ' ORDER BY c.created_at DESC';
-    }
-
-    // Add pagination
-    query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    queryParams.push(limit, offset);
-
-    const { rows } = await db.query(query, queryParams);
+    const { rows } = await db.query(`${query} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`, [...queryParams, limit, offset]);
     return rows;
   },
 
+  /**
+   * Read every contact matching the list filters, in the list's order, in batches
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - Filter and sort options
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @param {number} batchSize - Contacts per batch
+   * @returns {AsyncGenerator<Array>} - Batches of contacts
+   */
+  findInBatches(tenantId, filters, viewer, batchSize) {
+    const { query, queryParams } = buildListQuery(tenantId, filters, viewer);
+    return db.cursor(query, queryParams, batchSize);
+  },
+
   /**
    * Update contact information
    * @param {string} contactId - Contact UUID
@@ -165,7 +257,8 @@ const ContactModel = {
       email,
       phone,
       dob,
-      company_id
+      company_id,
+      custom_fields
     } = contactData;
 
     const query = `
@@ -177,6 +270,7 @@ const ContactModel = {
         phone = COALESCE($4, phone),
         dob = COALESCE($5, dob),
         company_id = COALESCE($6, company_id),
+        custom_fields = COALESCE($9::jsonb, custom_fields),
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $7 AND tenant_id = $8
       RETURNING *
@@ -190,22 +284,51 @@ const ContactModel = {
       dob,
       company_id,
       contactId,
-      tenantId
+      tenantId,
+      custom_fields ? JSON.stringify(custom_fields) : null
     ];
 
     const { rows } = await db.query(query, values);
     return rows[0];
   },
 
+  /**
+   * Set contact fields to exact values, including null
+   * @param {string} contactId - Contact UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} fields - Column values to set
+   * @returns {Promise<Object>} - Updated contact object
+   */
+  async setFields(contactId, tenantId, fields) {
+    const columns = Object.keys(fields);
+    const setClause = columns.map((column, index) => `${column} = $${index + 3}`).join(', ');
+
+    const query = `
+      UPDATE contacts
+      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, [contactId, tenantId, ...Object.values(fields)]);
+    return rows[0] || null;
+  },
+
   /**
    * Delete a contact
    * @param {string} contactId - Contact UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<boolean>} - Success status
    */
-  async delete(contactId, tenantId) {
-    const query = 'DELETE FROM contacts WHERE id = $1 AND tenant_id = $2';
-    const { rowCount } = await db.query(query, [contactId, tenantId]);
+  async delete(contactId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      DELETE FROM contacts c
+      WHERE c.id = $1 AND c.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+    `;
+    const { rowCount } = await db.query(query, [contactId, tenantId, ...visibility.params]);
     return rowCount > 0;
   },
 
@@ -213,9 +336,10 @@ const ContactModel = {
    * Count total contacts
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<number>} - Total contact count
    */
-  async countTotal(tenantId, filters = {}) {
+  async countTotal(tenantId, filters = {}, viewer) {
     let query = 'SELECT COUNT(*) FROM contacts c LEFT JOIN companies comp ON c.company_id = comp.id WHERE c.tenant_id = $1';
     const queryParams = [tenantId];
     let paramIndex = 2;
@@ -244,6 +368,20 @@ const ContactModel = {
         comp.name ILIKE $${paramIndex}
       )`;
       queryParams.push(`%${filters.search}%`);
+      paramIndex++;
+    }
+
+    const customFilters = buildCustomFieldConditions('c.custom_fields', filters.custom, paramIndex);
+    customFilters.conditions.forEach((condition) => {
+      query += ` AND ${condition}`;
+    });
+    queryParams.push(...customFilters.params);
+    paramIndex += customFilters.params.length;
+
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      query += ` AND ${visibility.condition}`;
+      queryParams.push(...visibility.params);
     }
 
     const { rows } = await db.query(query, queryParams);
@@ -253,21 +391,25 @@ const ContactModel = {
   /**
    * Get contact statistics by source
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Contact stats by source
    */
-  async getContactStats(tenantId) {
+  async getContactStats(tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 2);
+
     const query = `
       SELECT 
-        source,
+        c.source,
         COUNT(*) as count,
-        COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days') as recent_count
-      FROM contacts
-      WHERE tenant_id = $1
-      GROUP BY source
+        COUNT(*) FILTER (WHERE c.created_at >= CURRENT_DATE - INTERVAL '30 days') as recent_count
+      FROM contacts c
+      WHERE c.tenant_id = $1
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+      GROUP BY c.source
       ORDER BY count DESC
     `;
     
-    const { rows } = await db.query(query, [tenantId]);
+    const { rows } = await db.query(query, [tenantId, ...visibility.params]);
     return rows;
   }
 };
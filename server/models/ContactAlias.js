@@ -0,0 +1,67 @@
+import db from '../config/db.js';
+
+/**
+ * Contact Alias Model
+ * Handles database operations for the contact_aliases table
+ */
+const ContactAliasModel = {
+  /**
+   * Record identifiers for a contact, skipping any that are already aliases
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} contactId - Contact UUID the identifiers now belong to
+   * @param {Array} aliases - { kind, value, merged_from_contact_id }
+   * @returns {Promise<Array>} - Created aliases
+   */
+  async createMany(tenantId, contactId, aliases) {
+    if (aliases.length === 0) {
+      return [];
+    }
+
+    const query = `
+      INSERT INTO contact_aliases (id, tenant_id, contact_id, kind, value, merged_from_contact_id)
+      SELECT gen_random_uuid(), $1, $2, a.kind, a.value, a.merged_from_contact_id
+      FROM jsonb_to_recordset($3::jsonb) as a(kind text, value text, merged_from_contact_id uuid)
+      ON CONFLICT (tenant_id, kind, value) DO NOTHING
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, [tenantId, contactId, JSON.stringify(aliases)]);
+    return rows;
+  },
+
+  /**
+   * Get a contact's aliases
+   * @param {string} contactId - Contact UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - Aliases, oldest first
+   */
+  async findByContact(contactId, tenantId) {
+    const query = `
+      SELECT id, kind, value, merged_from_contact_id, created_at
+      FROM contact_aliases
+      WHERE contact_id = $1 AND tenant_id = $2
+      ORDER BY created_at, kind, value
+    `;
+    const { rows } = await db.query(query, [contactId, tenantId]);
+    return rows;
+  },
+
+  /**
+   * Move the aliases of merged contacts onto the surviving contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromContactIds - Merged contact UUIDs
+   * @param {string} toContactId - Surviving contact UUID
+   * @returns {Promise<number>} - Number of aliases moved
+   */
+  async reassignContact(tenantId, fromContactIds, toContactId) {
+    const query = `
+      UPDATE contact_aliases
+      SET contact_id = $3
+      WHERE tenant_id = $1 AND contact_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromContactIds, toContactId]);
+    return rowCount;
+  }
+};
+
+export default ContactAliasModel;
@@ -0,0 +1,146 @@
+import db from '../config/db.js';
+import { CUSTOM_FIELD_ENTITIES } from '../config/customFields.js';
+
+/**
+ * Custom Field Model
+ * Handles database operations for the custom_field_definitions table
+ */
+const CustomFieldModel = {
+  /**
+   * Create a custom field definition
+   * @param {Object} fieldData - Definition information
+   * @returns {Promise<Object>} - Created definition
+   */
+  async create(fieldData) {
+    const {
+      tenant_id,
+      entity,
+      key,
+      label,
+      type,
+      options = [],
+      is_required = false,
+      default_value,
+      position = 0,
+      created_by
+    } = fieldData;
+
+    const query = `
+      INSERT INTO custom_field_definitions (
+        id, tenant_id, entity, key, label, type, options, is_required, default_value, position, created_by
+      )
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+
+    const values = [
+      tenant_id,
+      entity,
+      key,
+      label,
+      type,
+      JSON.stringify(options),
+      is_required,
+      default_value === undefined || default_value === null ? null : JSON.stringify(default_value),
+      position,
+      created_by || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Get the tenant's definitions, in display order
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - Optional entity to limit the result to
+   * @returns {Promise<Array>} - Definitions
+   */
+  async findAll(tenantId, entity = null) {
+    const query = `
+      SELECT * FROM custom_field_definitions
+      WHERE tenant_id = $1 AND ($2::text IS NULL OR entity = $2)
+      ORDER BY entity, position, created_at
+    `;
+    const { rows } = await db.query(query, [tenantId, entity]);
+    return rows;
+  },
+
+  /**
+   * Find a definition by ID
+   * @param {string} fieldId - Definition UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Definition
+   */
+  async findById(fieldId, tenantId) {
+    const { rows } = await db.query(
+      'SELECT * FROM custom_field_definitions WHERE id = $1 AND tenant_id = $2',
+      [fieldId, tenantId]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Update a definition. Entity, key and type never change.
+   * @param {string} fieldId - Definition UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} updates - { label, options, is_required, default_value, position }
+   * @returns {Promise<Object>} - Updated definition
+   */
+  async update(fieldId, tenantId, updates) {
+    const { label, options, is_required, default_value, position } = updates;
+
+    const query = `
+      UPDATE custom_field_definitions
+      SET
+        label = COALESCE($3, label),
+        options = COALESCE($4::jsonb, options),
+        is_required = COALESCE($5, is_required),
+        default_value = CASE WHEN $6 THEN $7::jsonb ELSE default_value END,
+        position = COALESCE($8, position),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+
+    const values = [
+      fieldId,
+      tenantId,
+      label ?? null,
+      options === undefined ? null : JSON.stringify(options),
+      is_required ?? null,
+      default_value !== undefined,
+      default_value === undefined || default_value === null ? null : JSON.stringify(default_value),
+      position ?? null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0] || null;
+  },
+
+  /**
+   * Delete a definition and remove its values from the entity's records
+   * @param {string} fieldId - Definition UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Deleted definition, or null if none matched
+   */
+  async delete(fieldId, tenantId) {
+    const { rows } = await db.query(
+      'DELETE FROM custom_field_definitions WHERE id = $1 AND tenant_id = $2 RETURNING *',
+      [fieldId, tenantId]
+    );
+    const field = rows[0];
+    if (!field || !CUSTOM_FIELD_ENTITIES.includes(field.entity)) {
+      return field || null;
+    }
+
+    // Entity names are also their table names
+    await db.query(
+      `UPDATE ${field.entity} SET custom_fields = custom_fields - $2 WHERE tenant_id = $1 AND custom_fields ? $2`,
+      [tenantId, field.key]
+    );
+    return field;
+  }
+};
+
+export default CustomFieldModel;
@@ -0,0 +1,212 @@
+import db from '../config/db.js';
+
+// Every column except the queued rows, which can be large
+const JOB_COLUMNS = `
+  id, tenant_id, entity, status, dry_run, on_duplicate, filename, headers, mapping,
+  total_rows, processed_rows, created_count, updated_count, skipped_count, error_count,
+  error, created_by, started_at, finished_at, created_at
+`;
+
+/**
+ * Import Job Model
+ * Handles database operations for the import_jobs and import_job_errors tables
+ */
+const ImportJobModel = {
+  /**
+   * Queue an import
+   * @param {Object} jobData - { tenant_id, entity, dry_run, on_duplicate, filename, headers, mapping, rows, created_by }
+   * @returns {Promise<Object>} - Created job, without its rows
+   */
+  async create(jobData) {
+    const {
+      tenant_id,
+      entity,
+      dry_run,
+      on_duplicate,
+      filename,
+      headers,
+      mapping,
+      rows,
+      created_by
+    } = jobData;
+
+    const query = `
+      INSERT INTO import_jobs (
+        id, tenant_id, entity, dry_run, on_duplicate, filename, headers, mapping, rows, total_rows, created_by
+      )
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING ${JOB_COLUMNS}
+    `;
+
+    const values = [
+      tenant_id,
+      entity,
+      dry_run,
+      on_duplicate,
+      filename,
+      JSON.stringify(headers),
+      JSON.stringify(mapping),
+      JSON.stringify(rows),
+      rows.length,
+      created_by
+    ];
+
+    const { rows: created } = await db.query(query, values);
+    return created[0];
+  },
+
+  /**
+   * Find a job by ID
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Job, without its rows
+   */
+  async findById(jobId, tenantId) {
+    const query = `SELECT ${JOB_COLUMNS} FROM import_jobs WHERE id = $1 AND tenant_id = $2`;
+    const { rows } = await db.query(query, [jobId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Get a tenant's jobs, newest first
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} - { jobs, totalCount }
+   */
+  async findAll(tenantId, { limit = 20, offset = 0 } = {}) {
+    const query = `
+      SELECT ${JOB_COLUMNS}, COUNT(*) OVER() as total_count
+      FROM import_jobs
+      WHERE tenant_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `;
+    const { rows } = await db.query(query, [tenantId, limit, offset]);
+    return {
+      jobs: rows.map(({ total_count, ...job }) => job),
+      totalCount: rows.length > 0 ? parseInt(rows[0].total_count) : 0
+    };
+  },
+
+  /**
+   * Mark a pending job as processing and hand over its rows
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object|null>} - Job with rows, or null if it is not pending
+   */
+  async claim(jobId, tenantId) {
+    const query = `
+      UPDATE import_jobs
+      SET status = 'processing', started_at = now()
+      WHERE id = $1 AND tenant_id = $2 AND status = 'pending'
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [jobId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Add a processed chunk's counts to a job
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} counts - { processed, created, updated, skipped, errors }
+   * @returns {Promise<void>}
+   */
+  async addProgress(jobId, tenantId, counts) {
+    const query = `
+      UPDATE import_jobs
+      SET
+        processed_rows = processed_rows + $3,
+        created_count = created_count + $4,
+        updated_count = updated_count + $5,
+        skipped_count = skipped_count + $6,
+        error_count = error_count + $7
+      WHERE id = $1 AND tenant_id = $2
+    `;
+    await db.query(query, [
+      jobId,
+      tenantId,
+      counts.processed,
+      counts.created,
+      counts.updated,
+      counts.skipped,
+      counts.errors
+    ]);
+  },
+
+  /**
+   * Finish a job and drop its queued rows
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} status - 'completed' or 'failed'
+   * @param {string} error - Optional failure reason
+   * @returns {Promise<void>}
+   */
+  async finish(jobId, tenantId, status, error) {
+    const query = `
+      UPDATE import_jobs
+      SET status = $3, error = $4, rows = NULL, finished_at = now()
+      WHERE id = $1 AND tenant_id = $2
+    `;
+    await db.query(query, [jobId, tenantId, status, error || null]);
+  },
+
+  /**
+   * Fail the jobs of a tenant that were running when the server stopped
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<number>} - Number of jobs failed
+   */
+  async failUnfinished(tenantId) {
+    const query = `
+      UPDATE import_jobs
+      SET status = 'failed', error = 'Interrupted by a server restart', rows = NULL, finished_at = now()
+      WHERE tenant_id = $1 AND status IN ('pending', 'processing')
+    `;
+    const { rowCount } = await db.query(query, [tenantId]);
+    return rowCount;
+  },
+
+  /**
+   * Record row errors for a job
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} errors - { row_number, field, message, row_data }, row_data being the row's cells
+   * @returns {Promise<void>}
+   */
+  async addErrors(jobId, tenantId, errors) {
+    if (errors.length === 0) {
+      return;
+    }
+
+    const query = `
+      INSERT INTO import_job_errors (id, tenant_id, job_id, row_number, field, message, row_data)
+      SELECT gen_random_uuid(), $1, $2, e.row_number, e.field, e.message, e.row_data
+      FROM jsonb_to_recordset($3::jsonb) as e(row_number integer, field text, message text, row_data jsonb)
+    `;
+    await db.query(query, [tenantId, jobId, JSON.stringify(errors)]);
+  },
+
+  /**
+   * Get a job's row errors in file order
+   * @param {string} jobId - Job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { limit, offset }; omit limit for every error
+   * @returns {Promise<Object>} - { errors, totalCount }
+   */
+  async findErrors(jobId, tenantId, { limit = null, offset = 0 } = {}) {
+    const query = `
+      SELECT row_number, field, message, row_data, COUNT(*) OVER() as total_count
+      FROM import_job_errors
+      WHERE job_id = $1 AND tenant_id = $2
+      ORDER BY row_number, created_at
+      LIMIT $3 OFFSET $4
+    `;
+    const { rows } = await db.query(query, [jobId, tenantId, limit, offset]);
+    return {
+      errors: rows.map(({ total_count, ...error }) => error),
+      totalCount: rows.length > 0 ? parseInt(rows[0].total_count) : 0
+    };
+  }
+};
+
+export default ImportJobModel;
@@ -1,4 +1,134 @@
 import db from '../config/db.js';
+import { buildVisibilityCondition } from '../utils/visibility.js';
+import { buildCustomFieldConditions, buildCustomFieldOrder } from '../utils/customFields.js';
+
+// Lead visibility follows the lead owner
+const VISIBILITY_COLUMNS = ['l.owner_user_id'];
+
+/**
+ * Build the WHERE conditions for the lead list filters. Queries using them
+ * must join contacts as c.
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} filters - { status, stage, owner, exhibition_id, q, custom }
+ * @param {Object} viewer - Requesting user, for record visibility
+ * @returns {Object} - { whereConditions, queryParams }
+ */
+const buildFilterConditions = (tenantId, filters, viewer) => {
+  const { status, stage, owner, exhibition_id, q, custom } = filters;
+
+  let whereConditions = ['l.tenant_id = $1'];
+  let queryParams = [tenantId];
+  let paramIndex = 2;
+
+  // Build dynamic WHERE clause
+  if (status) {
+    whereConditions.push(`l.status = $${paramIndex++}`);
+    queryParams.push(status);
+  }
+  if (stage) {
+    whereConditions.push(`l.stage = $${paramIndex++}`);
+    queryParams.push(stage);
+  }
+  if (owner) {
+    whereConditions.push(`l.owner_user_id = $${paramIndex++}`);
+    queryParams.push(owner);
+  }
+  if (exhibition_id) {
+    whereConditions.push(`l.exhibition_id = $${paramIndex++}`);
+    queryParams.push(exhibition_id);
+  }
+  if (q) {
+    whereConditions.push(`(
+      l.title ILIKE $${paramIndex} OR 
+      c.first_name ILIKE $${paramIndex} OR 
+      c.last_name ILIKE $${paramIndex} OR 
+      c.email ILIKE $${paramIndex}
+    )`);
+    queryParams.push(`%${q}%`);
+    paramIndex++;
+  }
+
+  const customFilters = buildCustomFieldConditions('l.custom_fields', custom, paramIndex);
+  whereConditions.push(...customFilters.conditions);
+  queryParams.push(...customFilters.params);
+  paramIndex += customFilters.params.length;
+
+  // Restrict to leads the viewer may see
+  const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+  if (visibility.condition) {
+    whereConditions.push(visibility.condition);
+    queryParams.push(...visibility.params);
+  }
+
+  return { whereConditions, queryParams };
+};
+
+/**
+ * Build the lead list query with its sort, without pagination
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} filters - List filters, plus { sort, order, customSort }
+ * @param {Object} viewer - Requesting user, for record visibility
+ * @param {Object} options - { withCount } adds each row's total_count
+ * @returns {Object} - { query, queryParams }
+ */
+const buildListQuery = (tenantId, filters, viewer, { withCount = false } = {}) => {
+  const { sort = 'created_at', order = 'desc', customSort } = filters;
+
+  const { whereConditions, queryParams } = buildFilterConditions(tenantId, filters, viewer);
+
+  const whereClause = whereConditions.join(' AND ');
+  const sortOrder = order.toUpperCase();
+
+  const query = `
+    SELECT 
+      l.*,
+      c.first_name,
+      c.last_name,
+      c.email,
+      c.phone,
+      comp.name as company_name,
+      tu.name as owner_name${withCount ? `,
+      COUNT(*) OVER() as total_count` : ''}
+    FROM leads l
+    LEFT JOIN contacts c ON l.contact_id = c.id
+    LEFT JOIN companies comp ON c.company_id = comp.id
+    LEFT JOIN team_users tu ON l.owner_user_id = tu.id
+    WHERE ${whereClause}
+    ORDER BY ${customSort ? buildCustomFieldOrder('l.custom_fields', customSort, sortOrder) : `l.${sort} ${sortOrder}`}, l.id
+  `;
+
+  return { query, queryParams };
+};
+
+// Lead columns whose changes are kept in lead_stage_history
+const TRACKED_FIELDS = ['status', 'stage'];
+
+// Open leads have a status the tenant has not marked closed; $1 is the tenant
+const OPEN_STATUS_CONDITION = `status NOT IN (
+  SELECT value FROM picklist_values WHERE tenant_id = $1 AND picklist = 'lead_status' AND is_closed
+)`;
+
+/**
+ * Record status and stage transitions of a lead
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} leadId - Lead UUID
+ * @param {Array} changes - { field, from_value, to_value }
+ * @param {string} actorId - User UUID, or null for system changes
+ * @param {Object} transition - { reason, overridden } recorded with each change
+ * @returns {Promise<void>}
+ */
+const recordStageChanges = async (tenantId, leadId, changes, actorId, { reason = null, overridden = false } = {}) => {
+  if (changes.length === 0) {
+    return;
+  }
+
+  const query = `
+    INSERT INTO lead_stage_history (id, tenant_id, lead_id, field, from_value, to_value, changed_by, reason, overridden)
+    SELECT gen_random_uuid(), $1, $2, h.field, h.from_value, h.to_value, $4, $5, $6
+    FROM jsonb_to_recordset($3::jsonb) as h(field text, from_value text, to_value text)
+  `;
+  await db.query(query, [tenantId, leadId, JSON.stringify(changes), actorId || null, reason, overridden]);
+};
 
 /**
  * Lead Model
@@ -9,80 +139,17 @@ const LeadModel = {
    * Get leads with filters and pagination
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter and pagination options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Leads data with pagination info
    */
-  async getLeadsWithFilters(tenantId, filters) {
-    const { 
-      status, 
-      stage, 
-      owner, 
-      exhibition_id, 
-      q, 
-      page = 1, 
-      limit = 20, 
-      sort = 'created_at', 
-      order = 'desc' 
-    } = filters;
-    
+  async getLeadsWithFilters(tenantId, filters, viewer) {
+    const { page = 1, limit = 20 } = filters;
     const offset = (page - 1) * limit;
 
-    let whereConditions = ['l.tenant_id = $1'];
-    let queryParams = [tenantId];
-    let paramIndex = 2;
+    const { query, queryParams } = buildListQuery(tenantId, filters, viewer, { withCount: true });
+    const paramIndex = queryParams.length + 1;
 
-    // Build dynamic WHERE clause
-    if (status) {
-      whereConditions.push(`l.status = $${paramIndex++}`);
-      queryParams.push(status);
-    }
-    if (stage) {
-      whereConditions.push(`l.stage = $${paramIndex++}`);
-      queryParams.push(stage);
-    }
-    if (owner) {
-      whereConditions.push(`l.owner_user_id = $${paramIndex++}`);
-      queryParams.push(owner);
-    }
-    if (exhibition_id) {
-      whereConditions.push(`l.exhibition_id = $${paramIndex++}`);
-      queryParams.push(exhibition_id);
-    }
-    if (q) {
-      whereConditions.push(`(
-        l.title ILIKE $${paramIndex} OR 
-        c.first_name ILIKE $${paramIndex} OR 
-        c.last_name ILIKE $${paramIndex} OR 
-        c.email ILIKE $${paramIndex}
-      )`);
-      queryParams.push(`%${q}%`);
-      paramIndex++;
-    }
-
-    const whereClause = whereConditions.join(' AND ');
-    const sortOrder = order.toUpperCase();
-
-    const query = `
-      SELECT 
-        l.*,
-        c.first_name,
-        c.last_name,
-        c.email,
-        c.phone,
-        comp.name as company_name,
-        tu.name as owner_name,
-        COUNT(*) OVER() as total_count
-      FROM leads l
-      LEFT JOIN contacts c ON l.contact_id = c.id
-      LEFT JOIN companies comp ON c.company_id = comp.id
-      LEFT JOIN team_users tu ON l.owner_user_id = tu.id
-      WHERE ${whereClause}
-      ORDER BY l.${sort} ${sortOrder}
-      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
-    `;
-
-    queryParams.push(limit, offset);
-    
-    const { rows } = await db.query(query, queryParams);
+    const { rows } = await db.query(`${query} LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`, [...queryParams, limit, offset]);
     const totalCount = rows.length > 0 ? parseInt(rows[0].total_count) : 0;
     
     return {
@@ -95,12 +162,54 @@ const LeadModel = {
   },
 
   /**
-   * Create new lead
+   * Read every lead matching the list filters, in the list's order, in batches
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - List filter and sort options
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @param {number} batchSize - Leads per batch
+   * @returns {AsyncGenerator<Array>} - Batches of leads
+   */
+  findInBatches(tenantId, filters, viewer, batchSize) {
+    const { query, queryParams } = buildListQuery(tenantId, filters, viewer);
+    return db.cursor(query, queryParams, batchSize);
+  },
+
+  /**
+   * Get the IDs of the leads matching the list filters, oldest first
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - { status, stage, owner, exhibition_id, q }
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @param {Object} options - { ids, limit }; ids restricts the match to those leads
+   * @returns {Promise<Array>} - Lead UUIDs
+   */
+  async findIdsWithFilters(tenantId, filters, viewer, { ids, limit }) {
+    const { whereConditions, queryParams } = buildFilterConditions(tenantId, filters, viewer);
+    if (ids) {
+      queryParams.push(ids);
+      whereConditions.push(`l.id = ANY($${queryParams.length})`);
+    }
+
+    const query = `
+      SELECT l.id
+      FROM leads l
+      LEFT JOIN contacts c ON l.contact_id = c.id
+      WHERE ${whereConditions.join(' AND ')}
+      ORDER BY l.created_at, l.id
+      LIMIT $${queryParams.length + 1}
+    `;
+
+    const { rows } = await db.query(query, [...queryParams, limit]);
+    return rows.map((row) => row.id);
+  },
+
+  /**
+   * Create new lead and start its status and stage history
    * @param {string} tenantId - Tenant UUID
    * @param {Object} leadData - Lead information
+   * @param {string} actorId - Creating user UUID, or null for system changes
    * @returns {Promise<Object>} - New lead object
    */
-  async create(tenantId, leadData) {
+  async create(tenantId, leadData, actorId = null) {
     const {
       contact_id,
       owner_user_id,
@@ -114,16 +223,17 @@ const LeadModel = {
       utm_source,
       utm_medium,
       utm_campaign,
-      notes
+      notes,
+      custom_fields = {}
     } = leadData;
 
     const query = `
       INSERT INTO leads (
         id, tenant_id, contact_id, owner_user_id, title, status, stage, score, 
-        source, exhibition_id, join_id, utm_source, utm_medium, utm_campaign, notes
+        source, exhibition_id, join_id, utm_source, utm_medium, utm_campaign, notes, custom_fields
       )
       VALUES (
-        gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14
+        gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15
       )
       RETURNING *
     `;
@@ -142,20 +252,32 @@ const LeadModel = {
       utm_source,
       utm_medium,
       utm_campaign,
-      notes
+      notes,
+      JSON.stringify(custom_fields)
     ];
 
     const { rows } = await db.query(query, values);
-    return rows[0];
+    const lead = rows[0];
+
+    await recordStageChanges(tenantId, lead.id, TRACKED_FIELDS.map((field) => ({
+      field,
+      from_value: null,
+      to_value: lead[field]
+    })), actorId);
+
+    return lead;
   },
 
   /**
    * Get lead by ID with full details
    * @param {string} leadId - Lead UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Lead object with related data
    */
-  async findByIdWithDetails(leadId, tenantId) {
+  async findByIdWithDetails(leadId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+
     const query = `
       SELECT 
         l.*,
@@ -181,10 +303,11 @@ const LeadModel = {
       LEFT JOIN lead_tags lt ON l.id = lt.lead_id
       LEFT JOIN tags t ON lt.tag_id = t.id
       WHERE l.id = $1 AND l.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
       GROUP BY l.id, c.id, comp.id, tu.id
     `;
 
-    const { rows } = await db.query(query, [leadId, tenantId]);
+    const { rows } = await db.query(query, [leadId, tenantId, ...visibility.params]);
     return rows[0] || null;
   },
 
@@ -193,13 +316,25 @@ const LeadModel = {
    * @param {string} leadId - Lead UUID
    * @param {string} tenantId - Tenant UUID
    * @param {Object} updates - Lead data to update
+   * @param {string} actorId - Updating user UUID, recorded with status and stage changes
+   * @param {Object} transition - { reason, overridden } recorded with status and stage changes
    * @returns {Promise<Object>} - Updated lead object
    */
-  async update(leadId, tenantId, updates) {
+  async update(leadId, tenantId, updates, actorId = null, transition = {}) {
     const fields = Object.keys(updates);
     const setClause = fields.map((field, index) => `${field} = $${index + 3}`).join(', ');
     const values = Object.values(updates);
 
+    // Lock the current values so concurrent updates record transitions in order
+    let previous = null;
+    if (TRACKED_FIELDS.some((field) => fields.includes(field))) {
+      const { rows } = await db.query(
+        'SELECT status, stage FROM leads WHERE id = $1 AND tenant_id = $2 FOR UPDATE',
+        [leadId, tenantId]
+      );
+      previous = rows[0];
+    }
+
     const query = `
       UPDATE leads 
       SET ${setClause}, updated_at = CURRENT_TIMESTAMP
@@ -208,18 +343,247 @@ const LeadModel = {
     `;
 
     const { rows } = await db.query(query, [leadId, tenantId, ...values]);
+    const lead = rows[0] || null;
+
+    if (lead && previous) {
+      await recordStageChanges(tenantId, leadId, TRACKED_FIELDS
+        .filter((field) => lead[field] !== previous[field])
+        .map((field) => ({ field, from_value: previous[field], to_value: lead[field] })), actorId, transition);
+    }
+
+    return lead;
+  },
+
+  /**
+   * Get a lead and lock it for the rest of the transaction
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @returns {Promise<Object>} - Lead object
+   */
+  async findByIdForUpdate(leadId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      SELECT l.* FROM leads l
+      WHERE l.id = $1 AND l.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+      FOR UPDATE
+    `;
+    const { rows } = await db.query(query, [leadId, tenantId, ...visibility.params]);
     return rows[0] || null;
   },
 
+  /**
+   * Get the lead attributes scoring rules are evaluated against
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Lead with contact, company, tag and interaction data
+   */
+  async getScoringFacts(leadId, tenantId) {
+    const query = `
+      SELECT
+        l.*,
+        c.email as contact_email,
+        c.phone as contact_phone,
+        comp.name as company_name,
+        COALESCE(
+          (SELECT array_agg(t.name) FROM lead_tags lt JOIN tags t ON lt.tag_id = t.id WHERE lt.lead_id = l.id),
+          '{}'
+        ) as tags,
+        i.interaction_count,
+        i.inbound_count,
+        i.last_interaction_at
+      FROM leads l
+      LEFT JOIN contacts c ON l.contact_id = c.id
+      LEFT JOIN companies comp ON c.company_id = comp.id
+      LEFT JOIN LATERAL (
+        SELECT
+          COUNT(*)::int as interaction_count,
+          (COUNT(*) FILTER (WHERE direction = 'in'))::int as inbound_count,
+          MAX(occurred_at) as last_interaction_at
+        FROM interactions
+        WHERE lead_id = l.id OR (l.contact_id IS NOT NULL AND contact_id = l.contact_id)
+      ) i ON true
+      WHERE l.id = $1 AND l.tenant_id = $2
+    `;
+    const { rows } = await db.query(query, [leadId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Store a calculated score without touching updated_at
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {number} score - Score between 0 and 100
+   * @returns {Promise<void>}
+   */
+  async setScore(leadId, tenantId, score) {
+    await db.query(
+      'UPDATE leads SET score = $3, score_calculated_at = CURRENT_TIMESTAMP WHERE id = $1 AND tenant_id = $2',
+      [leadId, tenantId, score]
+    );
+  },
+
+  /**
+   * Get the IDs of a tenant's leads, optionally only those of one contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} contactId - Optional contact UUID
+   * @returns {Promise<Array>} - Lead UUIDs
+   */
+  async findIds(tenantId, contactId) {
+    const query = `
+      SELECT id FROM leads
+      WHERE tenant_id = $1 ${contactId ? 'AND contact_id = $2' : ''}
+      ORDER BY created_at
+    `;
+    const { rows } = await db.query(query, contactId ? [tenantId, contactId] : [tenantId]);
+    return rows.map((row) => row.id);
+  },
+
+  /**
+   * Find pairs of leads that look like the same person: a shared contact, a
+   * contact email or phone in common, or similar contact names at similar companies
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { leadId, nameSimilarity, companySimilarity }
+   * @param {Object} viewer - Requesting user; both leads of a pair must be visible
+   * @returns {Promise<Array>} - { lead_a, lead_b, reasons }, lead_a sorting before lead_b
+   */
+  async findDuplicatePairs(tenantId, options, viewer) {
+    const { leadId, nameSimilarity, companySimilarity } = options;
+    const queryParams = [tenantId, nameSimilarity, companySimilarity];
+
+    const conditions = [];
+    if (leadId) {
+      queryParams.push(leadId);
+      conditions.push(`(lp.lead_a = $${queryParams.length} OR lp.lead_b = $${queryParams.length})`);
+    }
+
+    // Both sides share the viewer parameter
+    const visibilityA = buildVisibilityCondition(viewer, ['la.owner_user_id'], queryParams.length + 1);
+    const visibilityB = buildVisibilityCondition(viewer, ['lb.owner_user_id'], queryParams.length + 1);
+    if (visibilityA.condition) {
+      conditions.push(visibilityA.condition, visibilityB.condition);
+      queryParams.push(...visibilityA.params);
+    }
+
+    // The % operator narrows name candidates through the trigram index
+    const query = `
+      WITH contact_pairs AS (
+        SELECT a.id as a_id, b.id as b_id, 'email' as reason
+        FROM contacts a
+        JOIN contacts b ON b.tenant_id = a.tenant_id AND LOWER(b.email) = LOWER(a.email) AND b.id > a.id
+        WHERE a.tenant_id = $1 AND a.email <> ''
+        UNION ALL
+        SELECT a.id, b.id, 'phone'
+        FROM contacts a
+        JOIN contacts b ON b.tenant_id = a.tenant_id
+          AND regexp_replace(b.phone, '\\D', '', 'g') = regexp_replace(a.phone, '\\D', '', 'g')
+          AND b.id > a.id
+        WHERE a.tenant_id = $1 AND length(regexp_replace(a.phone, '\\D', '', 'g')) >= 7
+        UNION ALL
+        SELECT a.id, b.id, 'name_company'
+        FROM contacts a
+        JOIN contacts b
+          ON LOWER(COALESCE(b.first_name, '') || ' ' || COALESCE(b.last_name, ''))
+             % LOWER(COALESCE(a.first_name, '') || ' ' || COALESCE(a.last_name, ''))
+          AND b.tenant_id = a.tenant_id AND b.id > a.id
+        JOIN companies ca ON ca.id = a.company_id
+        JOIN companies cb ON cb.id = b.company_id
+        WHERE a.tenant_id = $1
+          AND similarity(
+            LOWER(COALESCE(a.first_name, '') || ' ' || COALESCE(a.last_name, '')),
+            LOWER(COALESCE(b.first_name, '') || ' ' || COALESCE(b.last_name, ''))
+          ) >= $2
+          AND similarity(LOWER(ca.name), LOWER(cb.name)) >= $3
+      ),
+      lead_pairs AS (
+        SELECT l1.id as lead_a, l2.id as lead_b, 'same_contact' as reason
+        FROM leads l1
+        JOIN leads l2 ON l2.contact_id = l1.contact_id AND l2.id > l1.id
+        WHERE l1.tenant_id = $1
+        UNION ALL
+        SELECT LEAST(l1.id, l2.id), GREATEST(l1.id, l2.id), cp.reason
+        FROM contact_pairs cp
+        JOIN leads l1 ON l1.contact_id = cp.a_id
+        JOIN leads l2 ON l2.contact_id = cp.b_id
+      )
+      SELECT lp.lead_a, lp.lead_b, array_agg(DISTINCT lp.reason ORDER BY lp.reason) as reasons
+      FROM lead_pairs lp
+      JOIN leads la ON la.id = lp.lead_a
+      JOIN leads lb ON lb.id = lp.lead_b
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY lp.lead_a, lp.lead_b
+    `;
+
+    const { rows } = await db.query(query, queryParams);
+    return rows;
+  },
+
+  /**
+   * Get a short summary of each lead, for duplicate reports
+   * @param {Array} leadIds - Lead UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - Lead summaries, oldest first
+   */
+  async findSummaries(leadIds, tenantId) {
+    const query = `
+      SELECT
+        l.id,
+        l.title,
+        l.status,
+        l.stage,
+        l.source,
+        l.score,
+        l.owner_user_id,
+        l.contact_id,
+        l.created_at,
+        c.first_name,
+        c.last_name,
+        c.email,
+        c.phone,
+        comp.name as company_name
+      FROM leads l
+      LEFT JOIN contacts c ON l.contact_id = c.id
+      LEFT JOIN companies comp ON c.company_id = comp.id
+      WHERE l.id = ANY($1) AND l.tenant_id = $2
+      ORDER BY l.created_at, l.id
+    `;
+    const { rows } = await db.query(query, [leadIds, tenantId]);
+    return rows;
+  },
+
+  /**
+   * Point leads of merged contacts at the surviving contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromContactIds - Merged contact UUIDs
+   * @param {string} toContactId - Surviving contact UUID
+   * @returns {Promise<number>} - Number of leads moved
+   */
+  async reassignContact(tenantId, fromContactIds, toContactId) {
+    const query = `
+      UPDATE leads
+      SET contact_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND contact_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromContactIds, toContactId]);
+    return rowCount;
+  },
+
   /**
    * Check if lead exists
    * @param {string} leadId - Lead UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<boolean>} - Existence status
    */
-  async exists(leadId, tenantId) {
-    const query = 'SELECT id FROM leads WHERE id = $1 AND tenant_id = $2';
-    const { rows } = await db.query(query, [leadId, tenantId]);
+  async exists(leadId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      SELECT l.id FROM leads l
+      WHERE l.id = $1 AND l.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+    `;
+    const { rows } = await db.query(query, [leadId, tenantId, ...visibility.params]);
     return rows.length > 0;
   },
 
@@ -251,11 +615,17 @@ const LeadModel = {
    * Delete a lead
    * @param {string} leadId - Lead UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<boolean>} - Success status
    */
-  async delete(leadId, tenantId) {
-    const query = 'DELETE FROM leads WHERE id = $1 AND tenant_id = $2';
-    const { rowCount } = await db.query(query, [leadId, tenantId]);
+  async delete(leadId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      DELETE FROM leads l
+      WHERE l.id = $1 AND l.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+    `;
+    const { rowCount } = await db.query(query, [leadId, tenantId, ...visibility.params]);
     return rowCount > 0;
   },
 
@@ -263,9 +633,10 @@ const LeadModel = {
    * Count total leads
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<number>} - Total lead count
    */
-  async countTotal(tenantId, filters = {}) {
+  async countTotal(tenantId, filters = {}, viewer) {
     let query = 'SELECT COUNT(*) FROM leads l WHERE l.tenant_id = $1';
     const queryParams = [tenantId];
     let paramIndex = 2;
@@ -286,6 +657,12 @@ const LeadModel = {
       paramIndex++;
     }
 
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      query += ` AND ${visibility.condition}`;
+      queryParams.push(...visibility.params);
+    }
+
     const { rows } = await db.query(query, queryParams);
     return parseInt(rows[0].count);
   },
@@ -293,9 +670,12 @@ const LeadModel = {
   /**
    * Get lead statistics by status and stage
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Lead stats
    */
-  async getLeadStats(tenantId) {
+  async getLeadStats(tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 2);
+
     const query = `
       SELECT 
         status,
@@ -303,23 +683,78 @@ const LeadModel = {
         COUNT(*) as count,
         AVG(score) as avg_score,
         COUNT(*) FILTER (WHERE created_at >= CURRENT_DATE - INTERVAL '30 days') as recent_count
-      FROM leads
-      WHERE tenant_id = $1
+      FROM leads l
+      WHERE l.tenant_id = $1
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
       GROUP BY status, stage
       ORDER BY count DESC
     `;
     
-    const { rows } = await db.query(query, [tenantId]);
+    const { rows } = await db.query(query, [tenantId, ...visibility.params]);
     return rows;
   },
 
+  /**
+   * Count open leads owned by a user
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} ownerId - Owner user UUID
+   * @returns {Promise<number>} - Open lead count
+   */
+  async countOpenByOwner(tenantId, ownerId) {
+    const query = `
+      SELECT COUNT(*) FROM leads
+      WHERE tenant_id = $1 AND owner_user_id = $2
+        AND ${OPEN_STATUS_CONDITION}
+    `;
+    const { rows } = await db.query(query, [tenantId, ownerId]);
+    return parseInt(rows[0].count);
+  },
+
+  /**
+   * Count open leads for each of several owners
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} ownerIds - Owner UUIDs
+   * @returns {Promise<Object>} - Open lead count keyed by owner UUID; owners without leads are left out
+   */
+  async countOpenByOwners(tenantId, ownerIds) {
+    const query = `
+      SELECT owner_user_id, COUNT(*) FROM leads
+      WHERE tenant_id = $1 AND owner_user_id = ANY($2)
+        AND ${OPEN_STATUS_CONDITION}
+      GROUP BY owner_user_id
+    `;
+    const { rows } = await db.query(query, [tenantId, ownerIds]);
+    return Object.fromEntries(rows.map((row) => [row.owner_user_id, parseInt(row.count)]));
+  },
+
+  /**
+   * Move open leads from one owner to another
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} fromUserId - Current owner UUID
+   * @param {string} toUserId - New owner UUID
+   * @returns {Promise<number>} - Number of leads reassigned
+   */
+  async reassignOpenLeads(tenantId, fromUserId, toUserId) {
+    const query = `
+      UPDATE leads
+      SET owner_user_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND owner_user_id = $2
+        AND ${OPEN_STATUS_CONDITION}
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromUserId, toUserId]);
+    return rowCount;
+  },
+
   /**
    * Get leads by owner for leaderboard
    * @param {string} tenantId - Tenant UUID
    * @param {number} limit - Number of results
+   * @param {Object} viewer - Requesting user; only visible owners are ranked
    * @returns {Promise<Array>} - Leaderboard data
    */
-  async getLeaderboard(tenantId, limit = 10) {
+  async getLeaderboard(tenantId, limit = 10, viewer) {
+    const visibility = buildVisibilityCondition(viewer, ['tu.id'], 3);
+
     const query = `
       SELECT 
         tu.name as owner_name,
@@ -334,13 +769,14 @@ const LeadModel = {
       FROM team_users tu
       LEFT JOIN leads l ON tu.id = l.owner_user_id AND l.tenant_id = tu.tenant_id
       WHERE tu.tenant_id = $1 AND tu.is_active = true
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
       GROUP BY tu.id, tu.name, tu.email
       HAVING COUNT(l.id) > 0
       ORDER BY converted_leads DESC, total_leads DESC
       LIMIT $2
     `;
     
-    const { rows } = await db.query(query, [tenantId, limit]);
+    const { rows } = await db.query(query, [tenantId, limit, ...visibility.params]);
     return rows;
   }
 };
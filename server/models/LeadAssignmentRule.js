@@ -0,0 +1,153 @@
+import db from '../config/db.js';
+
+/**
+ * Lead Assignment Rule Model
+ * Handles database operations for the lead_assignment_rules table
+ */
+const LeadAssignmentRuleModel = {
+  /**
+   * Create a new assignment rule
+   * @param {Object} ruleData - Rule information
+   * @returns {Promise<Object>} - Created rule
+   */
+  async create(ruleData) {
+    const {
+      tenant_id,
+      name,
+      priority = 100,
+      conditions = {},
+      strategy,
+      assignee_ids,
+      is_active = true,
+      created_by
+    } = ruleData;
+
+    const query = `
+      INSERT INTO lead_assignment_rules (
+        id, tenant_id, name, priority, conditions, strategy, assignee_ids, is_active, created_by
+      )
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      tenant_id,
+      name,
+      priority,
+      JSON.stringify(conditions),
+      strategy,
+      assignee_ids,
+      is_active,
+      created_by || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Get all assignment rules of a tenant in the order they are tried
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - { active_only }
+   * @returns {Promise<Array>} - Rules
+   */
+  async findAll(tenantId, filters = {}) {
+    const query = `
+      SELECT * FROM lead_assignment_rules
+      WHERE tenant_id = $1 ${filters.active_only ? 'AND is_active' : ''}
+      ORDER BY priority ASC, created_at ASC
+    `;
+    const { rows } = await db.query(query, [tenantId]);
+    return rows;
+  },
+
+  /**
+   * Find assignment rule by ID
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Rule
+   */
+  async findById(ruleId, tenantId) {
+    const query = 'SELECT * FROM lead_assignment_rules WHERE id = $1 AND tenant_id = $2';
+    const { rows } = await db.query(query, [ruleId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Lock a rule so concurrent round-robin picks see each other's turn
+   * @param {string} ruleId - Rule UUID
+   * @returns {Promise<Object>} - Rule
+   */
+  async lock(ruleId) {
+    const { rows } = await db.query('SELECT * FROM lead_assignment_rules WHERE id = $1 FOR UPDATE', [ruleId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Update an assignment rule
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} updates - { name, priority, conditions, strategy, assignee_ids, is_active }
+   * @returns {Promise<Object>} - Updated rule
+   */
+  async update(ruleId, tenantId, updates) {
+    const { name, priority, conditions, strategy, assignee_ids, is_active } = updates;
+
+    const query = `
+      UPDATE lead_assignment_rules
+      SET
+        name = COALESCE($3, name),
+        priority = COALESCE($4, priority),
+        conditions = COALESCE($5, conditions),
+        strategy = COALESCE($6, strategy),
+        assignee_ids = COALESCE($7, assignee_ids),
+        is_active = COALESCE($8, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+
+    const values = [
+      ruleId,
+      tenantId,
+      name ?? null,
+      priority ?? null,
+      conditions ? JSON.stringify(conditions) : null,
+      strategy ?? null,
+      assignee_ids ?? null,
+      is_active ?? null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0] || null;
+  },
+
+  /**
+   * Remember who a round-robin rule assigned last
+   * @param {string} ruleId - Rule UUID
+   * @param {string} userId - Assigned user UUID
+   * @returns {Promise<void>}
+   */
+  async setLastAssigned(ruleId, userId) {
+    await db.query(
+      'UPDATE lead_assignment_rules SET last_assigned_user_id = $2 WHERE id = $1',
+      [ruleId, userId]
+    );
+  },
+
+  /**
+   * Delete an assignment rule
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<boolean>} - Whether a rule was deleted
+   */
+  async delete(ruleId, tenantId) {
+    const { rowCount } = await db.query(
+      'DELETE FROM lead_assignment_rules WHERE id = $1 AND tenant_id = $2',
+      [ruleId, tenantId]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default LeadAssignmentRuleModel;
@@ -0,0 +1,129 @@
+import db from '../config/db.js';
+
+/**
+ * Lead Scoring Rule Model
+ * Handles database operations for the lead_scoring_rules table
+ */
+const LeadScoringRuleModel = {
+  /**
+   * Create a new scoring rule
+   * @param {Object} ruleData - Rule information
+   * @returns {Promise<Object>} - Created rule
+   */
+  async create(ruleData) {
+    const {
+      tenant_id,
+      name,
+      field,
+      operator,
+      value,
+      points,
+      is_active = true,
+      created_by
+    } = ruleData;
+
+    const query = `
+      INSERT INTO lead_scoring_rules (id, tenant_id, name, field, operator, value, points, is_active, created_by)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      tenant_id,
+      name,
+      field,
+      operator,
+      JSON.stringify(value ?? null),
+      points,
+      is_active,
+      created_by || null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Get all scoring rules of a tenant
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - { active_only }
+   * @returns {Promise<Array>} - Rules
+   */
+  async findAll(tenantId, filters = {}) {
+    const query = `
+      SELECT * FROM lead_scoring_rules
+      WHERE tenant_id = $1 ${filters.active_only ? 'AND is_active' : ''}
+      ORDER BY created_at ASC
+    `;
+    const { rows } = await db.query(query, [tenantId]);
+    return rows;
+  },
+
+  /**
+   * Find scoring rule by ID
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Rule
+   */
+  async findById(ruleId, tenantId) {
+    const query = 'SELECT * FROM lead_scoring_rules WHERE id = $1 AND tenant_id = $2';
+    const { rows } = await db.query(query, [ruleId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Update a scoring rule
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} updates - { name, field, operator, value, points, is_active }
+   * @returns {Promise<Object>} - Updated rule
+   */
+  async update(ruleId, tenantId, updates) {
+    const { name, field, operator, value, points, is_active } = updates;
+
+    const query = `
+      UPDATE lead_scoring_rules
+      SET
+        name = COALESCE($3, name),
+        field = COALESCE($4, field),
+        operator = COALESCE($5, operator),
+        value = CASE WHEN $6 THEN $7::jsonb ELSE value END,
+        points = COALESCE($8, points),
+        is_active = COALESCE($9, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+
+    const values = [
+      ruleId,
+      tenantId,
+      name ?? null,
+      field ?? null,
+      operator ?? null,
+      value !== undefined,
+      JSON.stringify(value ?? null),
+      points ?? null,
+      is_active ?? null
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0] || null;
+  },
+
+  /**
+   * Delete a scoring rule
+   * @param {string} ruleId - Rule UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<boolean>} - Whether a rule was deleted
+   */
+  async delete(ruleId, tenantId) {
+    const { rowCount } = await db.query(
+      'DELETE FROM lead_scoring_rules WHERE id = $1 AND tenant_id = $2',
+      [ruleId, tenantId]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default LeadScoringRuleModel;
@@ -0,0 +1,182 @@
+import db from '../config/db.js';
+import { buildVisibilityCondition } from '../utils/visibility.js';
+
+// Lead visibility follows the lead owner
+const VISIBILITY_COLUMNS = ['l.owner_user_id'];
+
+// Report groupings: the grouping key and a readable label for it
+const REPORT_GROUPS = {
+  owner: { key: 'l.owner_user_id::text', label: 'tu.name' },
+  source: { key: 'l.source', label: 'l.source' },
+  exhibition: { key: 'l.exhibition_id::text', label: 'l.exhibition_id::text' }
+};
+
+/**
+ * Build the WHERE conditions shared by the report queries. Queries using them
+ * must alias the history table as h and join leads as l.
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} options - { field, from, to }
+ * @param {Object} viewer - Requesting user, for record visibility
+ * @returns {Object} - { whereConditions, queryParams }
+ */
+const buildReportConditions = (tenantId, { field, from, to }, viewer) => {
+  const whereConditions = ['h.tenant_id = $1', 'h.field = $2'];
+  const queryParams = [tenantId, field];
+
+  if (from) {
+    queryParams.push(from);
+    whereConditions.push(`h.changed_at >= $${queryParams.length}`);
+  }
+  if (to) {
+    queryParams.push(to);
+    whereConditions.push(`h.changed_at < $${queryParams.length}`);
+  }
+
+  const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, queryParams.length + 1);
+  if (visibility.condition) {
+    whereConditions.push(visibility.condition);
+    queryParams.push(...visibility.params);
+  }
+
+  return { whereConditions, queryParams };
+};
+
+/**
+ * Lead Stage History Model
+ * Reads the lead_stage_history table, which LeadModel writes on every status
+ * and stage change
+ */
+const LeadStageHistoryModel = {
+  /**
+   * Get a lead's transitions, oldest first, with how long each value lasted
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - Transitions; left_at is null for current values,
+   *   and for the last values of leads merged into this one, whose duration is unknown
+   */
+  async findByLead(leadId, tenantId) {
+    const query = `
+      SELECT
+        h.id,
+        h.field,
+        h.from_value,
+        h.to_value,
+        h.changed_by,
+        tu.name as changed_by_name,
+        h.reason,
+        h.overridden,
+        h.merged_from_lead_id,
+        h.changed_at,
+        LEAD(h.changed_at) OVER w as left_at,
+        -- The last stay of a merged lead ended at the merge, whose time is not kept
+        EXTRACT(EPOCH FROM COALESCE(
+          LEAD(h.changed_at) OVER w,
+          CASE WHEN h.merged_from_lead_id IS NULL THEN now() END
+        ) - h.changed_at)::integer as duration_seconds
+      FROM lead_stage_history h
+      LEFT JOIN team_users tu ON h.changed_by = tu.id
+      WHERE h.lead_id = $1 AND h.tenant_id = $2
+      WINDOW w AS (PARTITION BY h.field, h.merged_from_lead_id ORDER BY h.changed_at, h.id)
+      ORDER BY h.changed_at, h.field
+    `;
+    const { rows } = await db.query(query, [leadId, tenantId]);
+    return rows;
+  },
+
+  /**
+   * Move the history of merged leads to the survivor, marking each row with
+   * the lead it was recorded on
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromLeadIds - Merged lead UUIDs
+   * @param {string} toLeadId - Surviving lead UUID
+   * @returns {Promise<number>} - Number of rows moved
+   */
+  async reassignLead(tenantId, fromLeadIds, toLeadId) {
+    const query = `
+      UPDATE lead_stage_history
+      SET lead_id = $3, merged_from_lead_id = COALESCE(merged_from_lead_id, lead_id)
+      WHERE tenant_id = $1 AND lead_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromLeadIds, toLeadId]);
+    return rowCount;
+  },
+
+  /**
+   * Average time spent in each value and transition counts, per group.
+   * A stay counts towards a period when it began in it; averages cover
+   * finished stays, and leads still in a value are reported separately.
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { field: status|stage, groupBy: owner|source|exhibition, from, to }
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @returns {Promise<Array>} - { key, label, time_in_stage, transitions } per group
+   */
+  async getReport(tenantId, { field, groupBy, from, to }, viewer) {
+    const group = REPORT_GROUPS[groupBy];
+    const { whereConditions, queryParams } = buildReportConditions(tenantId, { field, from, to }, viewer);
+    const whereClause = whereConditions.join(' AND ');
+
+    // Stays are cut at the next transition of the same field, so the window
+    // runs over the whole history before the period filter applies
+    const timeQuery = `
+      WITH stays AS (
+        SELECT
+          h.*,
+          LEAD(h.changed_at) OVER (PARTITION BY h.lead_id, h.merged_from_lead_id ORDER BY h.changed_at, h.id) as left_at
+        FROM lead_stage_history h
+        WHERE h.tenant_id = $1 AND h.field = $2
+      )
+      SELECT
+        ${group.key} as group_key,
+        ${group.label} as group_label,
+        h.to_value as value,
+        COUNT(*) FILTER (WHERE h.left_at IS NOT NULL)::integer as exits,
+        ROUND(AVG(EXTRACT(EPOCH FROM h.left_at - h.changed_at)) FILTER (WHERE h.left_at IS NOT NULL))::integer as avg_seconds,
+        COUNT(*) FILTER (WHERE h.left_at IS NULL AND h.merged_from_lead_id IS NULL)::integer as current_leads,
+        ROUND(AVG(EXTRACT(EPOCH FROM now() - h.changed_at))
+          FILTER (WHERE h.left_at IS NULL AND h.merged_from_lead_id IS NULL))::integer as avg_current_seconds
+      FROM stays h
+      JOIN leads l ON h.lead_id = l.id
+      LEFT JOIN team_users tu ON l.owner_user_id = tu.id
+      WHERE ${whereClause}
+      GROUP BY 1, 2, 3
+      ORDER BY 2, 1, 3
+    `;
+
+    const transitionsQuery = `
+      SELECT
+        ${group.key} as group_key,
+        ${group.label} as group_label,
+        h.from_value,
+        h.to_value,
+        COUNT(*)::integer as count
+      FROM lead_stage_history h
+      JOIN leads l ON h.lead_id = l.id
+      LEFT JOIN team_users tu ON l.owner_user_id = tu.id
+      WHERE ${whereClause} AND h.from_value IS NOT NULL
+      GROUP BY 1, 2, 3, 4
+      ORDER BY 2, 1, count DESC, 3, 4
+    `;
+
+    const { rows: stays } = await db.query(timeQuery, queryParams);
+    const { rows: transitions } = await db.query(transitionsQuery, queryParams);
+
+    const groups = new Map();
+    const groupFor = (row) => {
+      if (!groups.has(row.group_key)) {
+        groups.set(row.group_key, { key: row.group_key, label: row.group_label, time_in_stage: [], transitions: [] });
+      }
+      return groups.get(row.group_key);
+    };
+
+    for (const { group_key, group_label, ...stay } of stays) {
+      groupFor({ group_key, group_label }).time_in_stage.push(stay);
+    }
+    for (const { group_key, group_label, ...transition } of transitions) {
+      groupFor({ group_key, group_label }).transitions.push(transition);
+    }
+
+    return [...groups.values()];
+  }
+};
+
+export default LeadStageHistoryModel;
@@ -0,0 +1,150 @@
+import db from '../config/db.js';
+
+/**
+ * Login History Model
+ * Handles database operations for the login_history table
+ */
+const LoginHistoryModel = {
+  /**
+   * Record a login attempt
+   * @param {Object} attemptData - Attempt information
+   * @returns {Promise<void>}
+   */
+  async create(attemptData) {
+    const {
+      tenant_id,
+      user_id,
+      email,
+      ip_address,
+      user_agent,
+      success,
+      failure_reason
+    } = attemptData;
+
+    // Attempts may name a tenant that does not exist; keep them without one
+    const query = `
+      INSERT INTO login_history (
+        id, tenant_id, user_id, email, ip_address, user_agent, success, failure_reason
+      )
+      VALUES (
+        gen_random_uuid(), (SELECT id FROM tenants WHERE id = $1), $2, $3, $4, $5, $6, $7
+      )
+    `;
+
+    const values = [
+      tenant_id,
+      user_id || null,
+      email,
+      ip_address || null,
+      user_agent || null,
+      success,
+      failure_reason || null
+    ];
+
+    await db.query(query, values);
+  },
+
+  /**
+   * Count recent failed attempts from an IP address, across tenants
+   * @param {string} ipAddress - Client IP
+   * @param {number} windowSeconds - How far back to look
+   * @returns {Promise<number>} - Failed attempt count
+   */
+  async countRecentFailuresByIp(ipAddress, windowSeconds) {
+    const query = `
+      SELECT COUNT(*) FROM login_history
+      WHERE ip_address = $1 AND NOT success
+        AND occurred_at > now() - make_interval(secs => $2)
+    `;
+    const { rows } = await db.query(query, [ipAddress, windowSeconds]);
+    return parseInt(rows[0].count);
+  },
+
+  /**
+   * Build the WHERE clause shared by findAll and countTotal
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - Filter options
+   * @returns {Object} - { where, params }
+   */
+  buildFilters(tenantId, filters = {}) {
+    let where = 'WHERE lh.tenant_id = $1';
+    const params = [tenantId];
+    let paramIndex = 2;
+
+    if (filters.user_id) {
+      where += ` AND lh.user_id = $${paramIndex}`;
+      params.push(filters.user_id);
+      paramIndex++;
+    }
+
+    if (filters.email) {
+      where += ` AND lh.email ILIKE $${paramIndex}`;
+      params.push(`%${filters.email}%`);
+      paramIndex++;
+    }
+
+    if (filters.ip_address) {
+      where += ` AND lh.ip_address = $${paramIndex}`;
+      params.push(filters.ip_address);
+      paramIndex++;
+    }
+
+    if (filters.success !== undefined) {
+      where += ` AND lh.success = $${paramIndex}`;
+      params.push(filters.success === 'true' || filters.success === true);
+      paramIndex++;
+    }
+
+    if (filters.from) {
+      where += ` AND lh.occurred_at >= $${paramIndex}`;
+      params.push(filters.from);
+      paramIndex++;
+    }
+
+    if (filters.to) {
+      where += ` AND lh.occurred_at <= $${paramIndex}`;
+      params.push(filters.to);
+      paramIndex++;
+    }
+
+    return { where, params };
+  },
+
+  /**
+   * Get login history of a tenant with filters
+   * @param {string} tenantId - Tenant UUID
+   * @param {number} limit - Number of records
+   * @param {number} offset - Offset for pagination
+   * @param {Object} filters - Filter options
+   * @returns {Promise<Array>} - Login attempts, newest first
+   */
+  async findAll(tenantId, limit = 50, offset = 0, filters = {}) {
+    const { where, params } = LoginHistoryModel.buildFilters(tenantId, filters);
+
+    const query = `
+      SELECT lh.*, tu.name as user_name
+      FROM login_history lh
+      LEFT JOIN team_users tu ON lh.user_id = tu.id
+      ${where}
+      ORDER BY lh.occurred_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const { rows } = await db.query(query, [...params, limit, offset]);
+    return rows;
+  },
+
+  /**
+   * Count login attempts matching filters
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - Filter options
+   * @returns {Promise<number>} - Total count
+   */
+  async countTotal(tenantId, filters = {}) {
+    const { where, params } = LoginHistoryModel.buildFilters(tenantId, filters);
+    const { rows } = await db.query(`SELECT COUNT(*) FROM login_history lh ${where}`, params);
+    return parseInt(rows[0].count);
+  }
+};
+
+export default LoginHistoryModel;
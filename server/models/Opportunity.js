@@ -1,4 +1,101 @@
 import db from '../config/db.js';
+import { buildCustomFieldConditions, buildCustomFieldOrder } from '../utils/customFields.js';
+
+// Columns the opportunity list can be sorted by
+const SORT_COLUMNS = ['created_at', 'close_date', 'amount', 'name'];
+
+/**
+ * Build the opportunity list query with its sort, without pagination
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} filters - Filter and sort options
+ * @returns {Object} - { query, queryParams }
+ */
+const buildListQuery = (tenantId, filters) => {
+  let query = `
+    SELECT 
+      o.*,
+      c.first_name || ' ' || c.last_name as contact_name,
+      c.email as contact_email,
+      comp.name as company_name,
+      p.name as pipeline_name,
+      ps.name as stage_name,
+      l.title as lead_title
+    FROM opportunities o
+    LEFT JOIN contacts c ON o.contact_id = c.id
+    LEFT JOIN companies comp ON o.company_id = comp.id
+    LEFT JOIN pipelines p ON o.pipeline_id = p.id
+    LEFT JOIN pipeline_stages ps ON o.stage_id = ps.id
+    LEFT JOIN leads l ON o.lead_id = l.id
+    WHERE o.tenant_id = $1
+  `;
+
+  const queryParams = [tenantId];
+  let paramIndex = 2;
+
+  // Status filter
+  if (filters.status) {
+    query += ` AND o.status = $${paramIndex}`;
+    queryParams.push(filters.status);
+    paramIndex++;
+  }
+
+  // Close date filters
+  if (filters.close_before) {
+    query += ` AND o.close_date <= $${paramIndex}`;
+    queryParams.push(filters.close_before);
+    paramIndex++;
+  }
+
+  if (filters.close_after) {
+    query += ` AND o.close_date >= $${paramIndex}`;
+    queryParams.push(filters.close_after);
+    paramIndex++;
+  }
+
+  // Pipeline filter
+  if (filters.pipeline_id) {
+    query += ` AND o.pipeline_id = $${paramIndex}`;
+    queryParams.push(filters.pipeline_id);
+    paramIndex++;
+  }
+
+  // Stage filter
+  if (filters.stage_id) {
+    query += ` AND o.stage_id = $${paramIndex}`;
+    queryParams.push(filters.stage_id);
+    paramIndex++;
+  }
+
+  // Search filter
+  if (filters.q) {
+    query += ` AND (
+      o.name ILIKE $${paramIndex} OR
+      c.first_name ILIKE $${paramIndex} OR
+      c.last_name ILIKE $${paramIndex} OR
+      comp.name ILIKE $${paramIndex}
+    )`;
+    queryParams.push(`%${filters.q}%`);
+    paramIndex++;
+  }
+
+  const customFilters = buildCustomFieldConditions('o.custom_fields', filters.custom, paramIndex);
+  customFilters.conditions.forEach((condition) => {
+    query += ` AND ${condition}`;
+  });
+  queryParams.push(...customFilters.params);
+
+  // Sorting
+  const sortOrder = filters.sort_order?.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+  let orderBy = 'o.created_at DESC';
+  if (filters.customSort) {
+    orderBy = buildCustomFieldOrder('o.custom_fields', filters.customSort, sortOrder);
+  } else if (SORT_COLUMNS.includes(filters.sort_by)) {
+    orderBy = `o.${filters.sort_by} ${sortOrder}`;
+  }
+  query += ` ORDER BY ${orderBy}, o.id`;
+
+  return { query, queryParams };
+};
 
 /**
  * Opportunity Model
@@ -21,21 +118,23 @@ const OpportunityModel = {
       stage_id,
       amount,
       currency,
-      close_date
+      close_date,
+      custom_fields = {}
     } = opportunityData;
 
     const query = `
       INSERT INTO opportunities (
         id, tenant_id, name, lead_id, contact_id, company_id,
-        pipeline_id, stage_id, amount, currency, close_date, status
+        pipeline_id, stage_id, amount, currency, close_date, status, custom_fields
       )
-      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'open')
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'open', $11)
       RETURNING *
     `;
 
     const values = [
       tenant_id, name, lead_id, contact_id, company_id,
-      pipeline_id, stage_id, amount || 0, currency || 'INR', close_date
+      pipeline_id, stage_id, amount || 0, currency || 'INR', close_date,
+      JSON.stringify(custom_fields)
     ];
 
     const { rows } = await db.query(query, values);
@@ -49,92 +148,35 @@ const OpportunityModel = {
    * @returns {Promise<Array>} - Array of opportunities
    */
   async findAll(tenantId, filters = {}) {
-    let query = `
-      SELECT 
-        o.*,
-        c.first_name || ' ' || c.last_name as contact_name,
-        c.email as contact_email,
-        comp.name as company_name,
-        p.name as pipeline_name,
-        ps.name as stage_name,
-        l.title as lead_title
-      FROM opportunities o
-      LEFT JOIN contacts c ON o.contact_id = c.id
-      LEFT JOIN companies comp ON o.company_id = comp.id
-      LEFT JOIN pipelines p ON o.pipeline_id = p.id
-      LEFT JOIN pipeline_stages ps ON o.stage_id = ps.id
-      LEFT JOIN leads l ON o.lead_id = l.id
-      WHERE o.tenant_id = $1
-    `;
-
-    const queryParams = [tenantId];
-    let paramIndex = 2;
-
-    // Status filter
-    if (filters.status) {
-      query += ` AND o.status = $${paramIndex}`;
-      queryParams.push(filters.status);
-      paramIndex++;
-    }
-
-    // Close date filters
-    if (filters.close_before) {
-      query += ` AND o.close_date <= $${paramIndex}`;
-      queryParams.push(filters.close_before);
-      paramIndex++;
-    }
-
-    if (filters.close_after) {
-      query += ` AND o.close_date >= $${paramIndex}`;
-      queryParams.push(filters.close_after);
-      paramIndex++;
-    }
-
-    // Pipeline filter
-    if (filters.pipeline_id) {
-      query += ` AND o.pipeline_id = $${paramIndex}`;
-      queryParams.push(filters.pipeline_id);
-      paramIndex++;
-    }
-
-    // Stage filter
-    if (filters.stage_id) {
-      query += ` AND o.stage_id = $${paramIndex}`;
-      queryParams.push(filters.stage_id);
-      paramIndex++;
-    }
-
-    // Search filter
-    if (filters.q) {
-      query += ` AND (
-        o.name ILIKE $${paramIndex} OR
-        c.first_name ILIKE $${paramIndex} OR
-        c.last_name ILIKE $${paramIndex} OR
-        comp.name ILIKE $${paramIndex}
-      )`;
-      queryParams.push(`%${filters.q}%`);
-      paramIndex++;
-    }
+    let { query, queryParams } = buildListQuery(tenantId, filters);
 
     // Pagination
     if (filters.limit) {
-      query += ` ORDER BY o.created_at DESC LIMIT $${paramIndex}`;
       queryParams.push(parseInt(filters.limit));
-      paramIndex++;
+      query += ` LIMIT $${queryParams.length}`;
 
       if (filters.offset) {
-        query += ` OFFSET $${paramIndex}`;
         queryParams.push(parseInt(filters.offset));
-        paramIndex++;
+        query += ` OFFSET $${queryParams.length}`;
       }
-    } else {
-      query += ' ORDER BY o.created_at DESC';
     }
 
     const { rows } = await db.query(query, queryParams);
     return rows;
   },
 
+  /**
+   * Read every opportunity matching the list filters, in the list's order, in batches
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} filters - Filter and sort options
+   * @param {number} batchSize - Opportunities per batch
+   * @returns {AsyncGenerator<Array>} - Batches of opportunities
+   */
+  findInBatches(tenantId, filters, batchSize) {
+    const { query, queryParams } = buildListQuery(tenantId, filters);
+    return db.cursor(query, queryParams, batchSize);
+  },
+
   /**
    * Get opportunity by ID
    * @param {string} opportunityId - Opportunity UUID
@@ -182,7 +224,8 @@ const OpportunityModel = {
       amount,
       currency,
       close_date,
-      name
+      name,
+      custom_fields
     } = updateData;
 
     const query = `
@@ -194,6 +237,7 @@ const OpportunityModel = {
         currency = COALESCE($4, currency),
         close_date = COALESCE($5, close_date),
         name = COALESCE($6, name),
+        custom_fields = COALESCE($9::jsonb, custom_fields),
         updated_at = now()
       WHERE id = $7 AND tenant_id = $8
       RETURNING *
@@ -207,13 +251,48 @@ const OpportunityModel = {
       close_date,
       name,
       opportunityId,
-      tenantId
+      tenantId,
+      custom_fields ? JSON.stringify(custom_fields) : null
     ];
 
     const { rows } = await db.query(query, values);
     return rows[0];
   },
 
+  /**
+   * Move opportunities from merged leads onto the surviving lead
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromLeadIds - Merged lead UUIDs
+   * @param {string} toLeadId - Surviving lead UUID
+   * @returns {Promise<number>} - Number of opportunities moved
+   */
+  async reassignLead(tenantId, fromLeadIds, toLeadId) {
+    const query = `
+      UPDATE opportunities
+      SET lead_id = $3, updated_at = now()
+      WHERE tenant_id = $1 AND lead_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromLeadIds, toLeadId]);
+    return rowCount;
+  },
+
+  /**
+   * Point opportunities of merged contacts at the surviving contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromContactIds - Merged contact UUIDs
+   * @param {string} toContactId - Surviving contact UUID
+   * @returns {Promise<number>} - Number of opportunities moved
+   */
+  async reassignContact(tenantId, fromContactIds, toContactId) {
+    const query = `
+      UPDATE opportunities
+      SET contact_id = $3, updated_at = now()
+      WHERE tenant_id = $1 AND contact_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromContactIds, toContactId]);
+    return rowCount;
+  },
+
   /**
    * Get opportunity statistics
    * @param {string} tenantId - Tenant UUID
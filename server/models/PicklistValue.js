@@ -0,0 +1,161 @@
+import db from '../config/db.js';
+import { PICKLISTS } from '../config/picklists.js';
+
+/**
+ * Picklist Value Model
+ * Handles database operations for the picklist_values table
+ */
+const PicklistValueModel = {
+  /**
+   * Add a value to a picklist
+   * @param {Object} valueData - { tenant_id, picklist, value, label, color, position, is_deprecated, is_closed }
+   * @returns {Promise<Object>} - Created value
+   */
+  async create(valueData) {
+    const {
+      tenant_id, picklist, value, label, color, position = 0, is_deprecated = false, is_closed = false
+    } = valueData;
+
+    const query = `
+      INSERT INTO picklist_values (tenant_id, picklist, value, label, color, position, is_deprecated, is_closed)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [
+      tenant_id, picklist, value, label, color || null, position, is_deprecated, is_closed
+    ]);
+    return rows[0];
+  },
+
+  /**
+   * Give a new tenant the default values of every picklist
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async createDefaults(tenantId) {
+    for (const [picklist, { defaults }] of Object.entries(PICKLISTS)) {
+      for (const [position, { value, label, color, is_closed }] of defaults.entries()) {
+        await PicklistValueModel.create({ tenant_id: tenantId, picklist, value, label, color, position, is_closed });
+      }
+    }
+  },
+
+  /**
+   * Get the tenant's picklist values, in display order
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Optional picklist to limit the result to
+   * @returns {Promise<Array>} - Values
+   */
+  async findAll(tenantId, picklist = null) {
+    const query = `
+      SELECT * FROM picklist_values
+      WHERE tenant_id = $1 AND ($2::text IS NULL OR picklist = $2)
+      ORDER BY picklist, position, created_at
+    `;
+    const { rows } = await db.query(query, [tenantId, picklist]);
+    return rows;
+  },
+
+  /**
+   * Find one value of a picklist
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Picklist name
+   * @param {string} value - Stored value
+   * @returns {Promise<Object>} - Value, or null
+   */
+  async findByValue(tenantId, picklist, value) {
+    const { rows } = await db.query(
+      'SELECT * FROM picklist_values WHERE tenant_id = $1 AND picklist = $2 AND value = $3',
+      [tenantId, picklist, value]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Update a value's label, color, position, deprecation or closing
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Picklist name
+   * @param {string} value - Stored value
+   * @param {Object} updates - { label, color, position, is_deprecated, is_closed }
+   * @returns {Promise<Object>} - Updated value, or null
+   */
+  async update(tenantId, picklist, value, updates) {
+    const { label, color, position, is_deprecated, is_closed } = updates;
+
+    const query = `
+      UPDATE picklist_values
+      SET
+        label = COALESCE($4, label),
+        color = CASE WHEN $5 THEN $6 ELSE color END,
+        position = COALESCE($7, position),
+        is_deprecated = COALESCE($8, is_deprecated),
+        is_closed = COALESCE($9, is_closed),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND picklist = $2 AND value = $3
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [
+      tenantId,
+      picklist,
+      value,
+      label ?? null,
+      color !== undefined,
+      color ?? null,
+      position ?? null,
+      is_deprecated ?? null,
+      is_closed ?? null
+    ]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Set the order of a picklist's values
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Picklist name
+   * @param {Array} values - Every stored value of the picklist, in the new order
+   * @returns {Promise<Array>} - Values in their new order
+   */
+  async reorder(tenantId, picklist, values) {
+    await db.query(
+      `UPDATE picklist_values p
+       SET position = o.position - 1, updated_at = CURRENT_TIMESTAMP
+       FROM unnest($3::text[]) WITH ORDINALITY AS o(value, position)
+       WHERE p.tenant_id = $1 AND p.picklist = $2 AND p.value = o.value`,
+      [tenantId, picklist, values]
+    );
+    return PicklistValueModel.findAll(tenantId, picklist);
+  },
+
+  /**
+   * Check whether any record holds a value
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Picklist name
+   * @param {string} value - Stored value
+   * @returns {Promise<boolean>} - Whether the value is in use
+   */
+  async isInUse(tenantId, picklist, value) {
+    const { table, column } = PICKLISTS[picklist];
+    const { rows } = await db.query(
+      `SELECT EXISTS (SELECT 1 FROM ${table} WHERE tenant_id = $1 AND ${column} = $2) AS in_use`,
+      [tenantId, value]
+    );
+    return rows[0].in_use;
+  },
+
+  /**
+   * Delete a value
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} picklist - Picklist name
+   * @param {string} value - Stored value
+   * @returns {Promise<boolean>} - Whether a value was deleted
+   */
+  async delete(tenantId, picklist, value) {
+    const { rowCount } = await db.query(
+      'DELETE FROM picklist_values WHERE tenant_id = $1 AND picklist = $2 AND value = $3',
+      [tenantId, picklist, value]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default PicklistValueModel;
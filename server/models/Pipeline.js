@@ -11,15 +11,15 @@ const PipelineModel = {
    * @returns {Promise<Object>} - Created pipeline
    */
   async create(pipelineData) {
-    const { tenant_id, name } = pipelineData;
+    const { tenant_id, name, is_default = false } = pipelineData;
 
     const query = `
       INSERT INTO pipelines (id, tenant_id, name, is_default)
-      VALUES (gen_random_uuid(), $1, $2, false)
+      VALUES (gen_random_uuid(), $1, $2, $3)
       RETURNING *
     `;
 
-    const values = [tenant_id, name];
+    const values = [tenant_id, name, is_default];
     const { rows } = await db.query(query, values);
     return rows[0];
   },
@@ -31,7 +31,7 @@ const PipelineModel = {
    * @returns {Promise<Object>} - Created stage
    */
   async createStage(pipelineId, stageData) {
-    const { tenant_id, name } = stageData;
+    const { tenant_id, name, probability = 0 } = stageData;
 
     // Get the next position for this pipeline
     const positionQuery = `
@@ -48,7 +48,7 @@ const PipelineModel = {
       RETURNING *
     `;
 
-    const values = [tenant_id, pipelineId, name, nextPosition, 0]; // Default probability is 0
+    const values = [tenant_id, pipelineId, name, nextPosition, probability];
     const { rows } = await db.query(query, values);
     return rows[0];
   },
@@ -84,6 +84,19 @@ const PipelineModel = {
     return rows;
   },
 
+  /**
+   * Get the tenant's default pipeline
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Pipeline with stages
+   */
+  async findDefault(tenantId) {
+    const { rows } = await db.query(
+      'SELECT id FROM pipelines WHERE tenant_id = $1 AND is_default',
+      [tenantId]
+    );
+    return rows[0] ? PipelineModel.findById(rows[0].id, tenantId) : null;
+  },
+
   /**
    * Get pipeline by ID
    * @param {string} pipelineId - Pipeline UUID
@@ -0,0 +1,121 @@
+import db from '../config/db.js';
+
+/**
+ * Refresh Token Model
+ * Handles database operations for the refresh_tokens table
+ */
+const RefreshTokenModel = {
+  /**
+   * Store a new refresh token
+   * @param {Object} tokenData - Token information
+   * @returns {Promise<Object>} - New refresh token row
+   */
+  async create(tokenData) {
+    const {
+      tenant_id,
+      user_id,
+      token_hash,
+      family_id,
+      device_id,
+      user_agent,
+      expires_at
+    } = tokenData;
+
+    const query = `
+      INSERT INTO refresh_tokens (
+        id, tenant_id, user_id, token_hash, family_id, device_id, user_agent, expires_at
+      )
+      VALUES (gen_random_uuid(), $1, $2, $3, COALESCE($4, gen_random_uuid()), $5, $6, $7)
+      RETURNING *
+    `;
+
+    const values = [
+      tenant_id,
+      user_id,
+      token_hash,
+      family_id || null,
+      device_id || null,
+      user_agent || null,
+      expires_at
+    ];
+
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Find refresh token by hash
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {boolean} forUpdate - Lock the row against concurrent rotation
+   * @returns {Promise<Object>} - Refresh token row
+   */
+  async findByHash(tokenHash, forUpdate = false) {
+    const query = `SELECT * FROM refresh_tokens WHERE token_hash = $1${forUpdate ? ' FOR UPDATE' : ''}`;
+    const { rows } = await db.query(query, [tokenHash]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Mark a token as rotated into its successor
+   * @param {string} tokenId - Refresh token UUID
+   * @param {string} replacedBy - Successor token UUID
+   * @returns {Promise<void>}
+   */
+  async markRotated(tokenId, replacedBy) {
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = now(), replaced_by = $2
+      WHERE id = $1
+    `;
+    await db.query(query, [tokenId, replacedBy]);
+  },
+
+  /**
+   * Revoke a single token belonging to a user
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {string} userId - User UUID
+   * @returns {Promise<boolean>} - Whether a live token was revoked
+   */
+  async revokeByHash(tokenHash, userId) {
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = now()
+      WHERE token_hash = $1 AND user_id = $2 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [tokenHash, userId]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Revoke every token in a rotation family
+   * @param {string} familyId - Family UUID
+   * @returns {Promise<number>} - Number of tokens revoked
+   */
+  async revokeFamily(familyId) {
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = now()
+      WHERE family_id = $1 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [familyId]);
+    return rowCount;
+  },
+
+  /**
+   * Revoke every token of a user
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<number>} - Number of tokens revoked
+   */
+  async revokeAllForUser(userId, tenantId) {
+    const query = `
+      UPDATE refresh_tokens
+      SET revoked_at = now()
+      WHERE user_id = $1 AND tenant_id = $2 AND revoked_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [userId, tenantId]);
+    return rowCount;
+  }
+};
+
+export default RefreshTokenModel;
@@ -0,0 +1,39 @@
+import db from '../config/db.js';
+
+/**
+ * Revoked Token Model
+ * Handles database operations for the revoked_access_tokens table
+ */
+const RevokedTokenModel = {
+  /**
+   * Revoke an access token until it would have expired anyway
+   * @param {string} jti - Token ID claim
+   * @param {string} userId - User UUID
+   * @param {Date} expiresAt - Token expiry
+   * @returns {Promise<void>}
+   */
+  async revoke(jti, userId, expiresAt) {
+    // Expired entries can never match a valid token again
+    await db.query('DELETE FROM revoked_access_tokens WHERE expires_at < now()');
+
+    const query = `
+      INSERT INTO revoked_access_tokens (jti, user_id, expires_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (jti) DO NOTHING
+    `;
+    await db.query(query, [jti, userId, expiresAt]);
+  },
+
+  /**
+   * Check whether an access token has been revoked
+   * @param {string} jti - Token ID claim
+   * @returns {Promise<boolean>} - Revocation status
+   */
+  async isRevoked(jti) {
+    const query = 'SELECT 1 FROM revoked_access_tokens WHERE jti = $1';
+    const { rows } = await db.query(query, [jti]);
+    return rows.length > 0;
+  }
+};
+
+export default RevokedTokenModel;
@@ -0,0 +1,181 @@
+import db from '../config/db.js';
+
+/**
+ * Build the condition matching the saved views a viewer may see: their own,
+ * tenant views, and team views owned by their manager, direct reports or
+ * fellow reports. Admins see every shared view so they can manage them.
+ * @param {number} paramIndex - Index of the viewer ID parameter; the next one holds the admin flag
+ * @returns {string} - SQL condition on saved_views sv
+ */
+const visibleCondition = (paramIndex) => `(
+  sv.visibility = 'tenant'
+  OR sv.owner_user_id = $${paramIndex}
+  OR (sv.visibility = 'team' AND $${paramIndex + 1}::boolean)
+  OR (sv.visibility = 'team' AND sv.owner_user_id IN (
+    SELECT tu.id FROM team_users tu
+    JOIN team_users viewer ON viewer.id = $${paramIndex}
+    WHERE tu.id = viewer.manager_id OR tu.manager_id = viewer.id OR tu.manager_id = viewer.manager_id
+  ))
+)`;
+
+/**
+ * Saved View Model
+ * Handles database operations for the saved_views table
+ */
+const SavedViewModel = {
+  /**
+   * Create a saved view
+   * @param {Object} viewData - { tenant_id, owner_user_id, entity, name, visibility, filters, sort, columns }
+   * @returns {Promise<Object>} - Created view
+   */
+  async create(viewData) {
+    const {
+      tenant_id,
+      owner_user_id,
+      entity,
+      name,
+      visibility = 'private',
+      filters = {},
+      sort = null,
+      columns = []
+    } = viewData;
+
+    const query = `
+      INSERT INTO saved_views (id, tenant_id, owner_user_id, entity, name, visibility, filters, sort, columns)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, [
+      tenant_id,
+      owner_user_id,
+      entity,
+      name,
+      visibility,
+      JSON.stringify(filters),
+      sort ? JSON.stringify(sort) : null,
+      columns
+    ]);
+    return rows[0];
+  },
+
+  /**
+   * Get the views a viewer may see, by entity and name
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user (req.user)
+   * @param {string} entity - Optional entity to limit the result to
+   * @returns {Promise<Array>} - Views with their owner's name
+   */
+  async findVisible(tenantId, viewer, entity = null) {
+    const query = `
+      SELECT sv.*, tu.name as owner_name
+      FROM saved_views sv
+      LEFT JOIN team_users tu ON sv.owner_user_id = tu.id
+      WHERE sv.tenant_id = $1 AND ($2::text IS NULL OR sv.entity = $2) AND ${visibleCondition(3)}
+      ORDER BY sv.entity, sv.name, sv.created_at
+    `;
+    const { rows } = await db.query(query, [tenantId, entity, viewer.id, viewer.role === 'admin']);
+    return rows;
+  },
+
+  /**
+   * Find a view by ID, if the viewer may see it
+   * @param {string} viewId - View UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user (req.user)
+   * @returns {Promise<Object>} - View with its owner's name, or null
+   */
+  async findVisibleById(viewId, tenantId, viewer) {
+    const query = `
+      SELECT sv.*, tu.name as owner_name
+      FROM saved_views sv
+      LEFT JOIN team_users tu ON sv.owner_user_id = tu.id
+      WHERE sv.id = $1 AND sv.tenant_id = $2 AND ${visibleCondition(3)}
+    `;
+    const { rows } = await db.query(query, [viewId, tenantId, viewer.id, viewer.role === 'admin']);
+    return rows[0] || null;
+  },
+
+  /**
+   * Count a user's views of an entity
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} ownerId - Owner user UUID
+   * @param {string} entity - Entity
+   * @returns {Promise<number>} - Number of views
+   */
+  async countByOwner(tenantId, ownerId, entity) {
+    const { rows } = await db.query(
+      'SELECT COUNT(*) FROM saved_views WHERE tenant_id = $1 AND owner_user_id = $2 AND entity = $3',
+      [tenantId, ownerId, entity]
+    );
+    return parseInt(rows[0].count);
+  },
+
+  /**
+   * Find one of a user's views of an entity by name
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} ownerId - Owner user UUID
+   * @param {string} entity - Entity
+   * @param {string} name - View name
+   * @returns {Promise<Object>} - View, or null
+   */
+  async findByOwnerAndName(tenantId, ownerId, entity, name) {
+    const { rows } = await db.query(
+      'SELECT * FROM saved_views WHERE tenant_id = $1 AND owner_user_id = $2 AND entity = $3 AND name = $4',
+      [tenantId, ownerId, entity, name]
+    );
+    return rows[0] || null;
+  },
+
+  /**
+   * Update a view. Entity and owner never change.
+   * @param {string} viewId - View UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} updates - { name, visibility, filters, sort, columns }
+   * @returns {Promise<Object>} - Updated view, or null
+   */
+  async update(viewId, tenantId, updates) {
+    const { name, visibility, filters, sort, columns } = updates;
+
+    const query = `
+      UPDATE saved_views
+      SET
+        name = COALESCE($3, name),
+        visibility = COALESCE($4, visibility),
+        filters = COALESCE($5::jsonb, filters),
+        sort = CASE WHEN $6 THEN $7::jsonb ELSE sort END,
+        columns = COALESCE($8, columns),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, [
+      viewId,
+      tenantId,
+      name ?? null,
+      visibility ?? null,
+      filters === undefined ? null : JSON.stringify(filters),
+      sort !== undefined,
+      sort ? JSON.stringify(sort) : null,
+      columns ?? null
+    ]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Delete a view
+   * @param {string} viewId - View UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<boolean>} - Whether a view was deleted
+   */
+  async delete(viewId, tenantId) {
+    const { rowCount } = await db.query(
+      'DELETE FROM saved_views WHERE id = $1 AND tenant_id = $2',
+      [viewId, tenantId]
+    );
+    return rowCount > 0;
+  }
+};
+
+export default SavedViewModel;
@@ -0,0 +1,49 @@
+import db from '../config/db.js';
+
+/**
+ * SSO Login State Model
+ * Handles database operations for the sso_login_states table
+ */
+const SsoLoginStateModel = {
+  /**
+   * Store a pending authorization request
+   * @param {Object} stateData - State information
+   * @returns {Promise<void>}
+   */
+  async create(stateData) {
+    const {
+      state,
+      tenant_id,
+      nonce,
+      code_verifier,
+      return_to,
+      expires_at
+    } = stateData;
+
+    // Abandoned logins are never consumed, so clear them out as we go
+    await db.query('DELETE FROM sso_login_states WHERE expires_at < now()');
+
+    const query = `
+      INSERT INTO sso_login_states (state, tenant_id, nonce, code_verifier, return_to, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `;
+    await db.query(query, [state, tenant_id, nonce, code_verifier, return_to || null, expires_at]);
+  },
+
+  /**
+   * Remove and return an unexpired pending request
+   * @param {string} state - State parameter from the callback
+   * @returns {Promise<Object>} - State row, or null if unknown or expired
+   */
+  async consume(state) {
+    const query = `
+      DELETE FROM sso_login_states
+      WHERE state = $1
+      RETURNING *, expires_at > now() as is_valid
+    `;
+    const { rows } = await db.query(query, [state]);
+    return rows[0]?.is_valid ? rows[0] : null;
+  }
+};
+
+export default SsoLoginStateModel;
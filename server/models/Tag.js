@@ -80,6 +80,42 @@ const TagModel = {
     await db.query(query, [leadId, tagId]);
   },
 
+  /**
+   * Copy the tags of merged leads onto the surviving lead
+   * @param {Array} fromLeadIds - Merged lead UUIDs
+   * @param {string} toLeadId - Surviving lead UUID
+   * @returns {Promise<number>} - Number of tags the surviving lead gained
+   */
+  async copyLeadTags(fromLeadIds, toLeadId) {
+    const query = `
+      INSERT INTO lead_tags (lead_id, tag_id)
+      SELECT DISTINCT $2::uuid, tag_id FROM lead_tags WHERE lead_id = ANY($1)
+      ON CONFLICT (lead_id, tag_id) DO NOTHING
+    `;
+
+    const { rowCount } = await db.query(query, [fromLeadIds, toLeadId]);
+    return rowCount;
+  },
+
+  /**
+   * Get the tag names of several leads
+   * @param {Array} leadIds - Lead UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Lead UUID -> tag names, for leads with tags
+   */
+  async findNamesByLeads(leadIds, tenantId) {
+    const query = `
+      SELECT lt.lead_id, array_agg(t.name ORDER BY t.name) as tags
+      FROM lead_tags lt
+      JOIN tags t ON lt.tag_id = t.id
+      WHERE lt.lead_id = ANY($1) AND t.tenant_id = $2
+      GROUP BY lt.lead_id
+    `;
+
+    const { rows } = await db.query(query, [leadIds, tenantId]);
+    return Object.fromEntries(rows.map((row) => [row.lead_id, row.tags]));
+  },
+
   /**
    * Remove tag from lead
    * @param {string} leadId - Lead UUID
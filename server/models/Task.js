@@ -1,4 +1,8 @@
 import db from '../config/db.js';
+import { buildVisibilityCondition } from '../utils/visibility.js';
+
+// Task visibility follows the assignee and the creator
+const VISIBILITY_COLUMNS = ['t.assigned_to', 't.created_by'];
 
 /**
  * Task Model
@@ -9,9 +13,10 @@ const TaskModel = {
    * Get tasks with filters and pagination
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter and pagination options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Tasks data with pagination info
    */
-  async getTasksWithFilters(tenantId, filters) {
+  async getTasksWithFilters(tenantId, filters, viewer) {
     const { 
       status, 
       assigned_to, 
@@ -50,6 +55,14 @@ const TaskModel = {
       queryParams.push(priority);
     }
 
+    // Restrict to tasks the viewer may see
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      whereConditions.push(visibility.condition);
+      queryParams.push(...visibility.params);
+      paramIndex += visibility.params.length;
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const query = `
@@ -67,12 +80,11 @@ const TaskModel = {
       LEFT JOIN team_users tu ON t.assigned_to = tu.id
       WHERE ${whereClause}
       ORDER BY 
-        CASE 
-          WHEN t.priority = 'urgent' THEN 1
-          WHEN t.priority = 'high' THEN 2
-          WHEN t.priority = 'normal' THEN 3
-          WHEN t.priority = 'low' THEN 4
-        END,
+        -- Priorities in the order of the tenant's task_priority picklist
+        (
+          SELECT pv.position FROM picklist_values pv
+          WHERE pv.tenant_id = t.tenant_id AND pv.picklist = 'task_priority' AND pv.value = t.priority
+        ) NULLS LAST,
         t.due_at ASC NULLS LAST,
         t.created_at DESC
       LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -103,6 +115,7 @@ const TaskModel = {
       lead_id,
       contact_id,
       assigned_to,
+      created_by,
       title,
       due_at,
       priority = 'normal'
@@ -110,10 +123,10 @@ const TaskModel = {
 
     const query = `
       INSERT INTO tasks (
-        id, tenant_id, lead_id, contact_id, assigned_to, title, due_at, priority
+        id, tenant_id, lead_id, contact_id, assigned_to, created_by, title, due_at, priority
       )
       VALUES (
-        gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7
+        gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7, $8
       )
       RETURNING *
     `;
@@ -123,6 +136,7 @@ const TaskModel = {
       lead_id,
       contact_id,
       assigned_to,
+      created_by,
       title,
       due_at,
       priority
@@ -136,11 +150,17 @@ const TaskModel = {
    * Check if task exists
    * @param {string} taskId - Task UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<boolean>} - Existence status
    */
-  async exists(taskId, tenantId) {
-    const query = 'SELECT id FROM tasks WHERE id = $1 AND tenant_id = $2';
-    const { rows } = await db.query(query, [taskId, tenantId]);
+  async exists(taskId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+    const query = `
+      SELECT t.id FROM tasks t
+      WHERE t.id = $1 AND t.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
+    `;
+    const { rows } = await db.query(query, [taskId, tenantId, ...visibility.params]);
     return rows.length > 0;
   },
 
@@ -167,9 +187,12 @@ const TaskModel = {
    * Get task by ID with details
    * @param {string} taskId - Task UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Task object with related data
    */
-  async findByIdWithDetails(taskId, tenantId) {
+  async findByIdWithDetails(taskId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+
     const query = `
       SELECT 
         t.*,
@@ -183,31 +206,102 @@ const TaskModel = {
       LEFT JOIN contacts c ON t.contact_id = c.id
       LEFT JOIN team_users tu ON t.assigned_to = tu.id
       WHERE t.id = $1 AND t.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
     `;
 
-    const { rows } = await db.query(query, [taskId, tenantId]);
+    const { rows } = await db.query(query, [taskId, tenantId, ...visibility.params]);
     return rows[0] || null;
   },
 
+  /**
+   * Count open tasks assigned to a user
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} userId - Assignee UUID
+   * @returns {Promise<number>} - Open task count
+   */
+  async countOpenByAssignee(tenantId, userId) {
+    const query = `
+      SELECT COUNT(*) FROM tasks
+      WHERE tenant_id = $1 AND assigned_to = $2 AND status IN ('open', 'in_progress')
+    `;
+    const { rows } = await db.query(query, [tenantId, userId]);
+    return parseInt(rows[0].count);
+  },
+
+  /**
+   * Move open tasks from one assignee to another
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} fromUserId - Current assignee UUID
+   * @param {string} toUserId - New assignee UUID
+   * @returns {Promise<number>} - Number of tasks reassigned
+   */
+  async reassignOpenTasks(tenantId, fromUserId, toUserId) {
+    const query = `
+      UPDATE tasks
+      SET assigned_to = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND assigned_to = $2 AND status IN ('open', 'in_progress')
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromUserId, toUserId]);
+    return rowCount;
+  },
+
+  /**
+   * Move tasks from merged leads onto the surviving lead
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromLeadIds - Merged lead UUIDs
+   * @param {string} toLeadId - Surviving lead UUID
+   * @returns {Promise<number>} - Number of tasks moved
+   */
+  async reassignLead(tenantId, fromLeadIds, toLeadId) {
+    const query = `
+      UPDATE tasks
+      SET lead_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND lead_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromLeadIds, toLeadId]);
+    return rowCount;
+  },
+
+  /**
+   * Point tasks of merged contacts at the surviving contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromContactIds - Merged contact UUIDs
+   * @param {string} toContactId - Surviving contact UUID
+   * @returns {Promise<number>} - Number of tasks moved
+   */
+  async reassignContact(tenantId, fromContactIds, toContactId) {
+    const query = `
+      UPDATE tasks
+      SET contact_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE tenant_id = $1 AND contact_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromContactIds, toContactId]);
+    return rowCount;
+  },
+
   /**
    * Get task statistics
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Task stats
    */
-  async getTaskStats(tenantId) {
+  async getTaskStats(tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 2);
+
     const query = `
       SELECT 
         status,
         priority,
         COUNT(*) as count,
         COUNT(*) FILTER (WHERE due_at < CURRENT_TIMESTAMP AND status NOT IN ('done', 'canceled')) as overdue_count
-      FROM tasks
-      WHERE tenant_id = $1
+      FROM tasks t
+      WHERE t.tenant_id = $1
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
       GROUP BY status, priority
       ORDER BY count DESC
     `;
     
-    const { rows } = await db.query(query, [tenantId]);
+    const { rows } = await db.query(query, [tenantId, ...visibility.params]);
     return rows;
   }
 };
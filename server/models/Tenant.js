@@ -0,0 +1,94 @@
+import db from '../config/db.js';
+
+/**
+ * Tenant Model
+ * Handles database operations for the tenants table
+ */
+const TenantModel = {
+  /**
+   * Create a new tenant
+   * @param {Object} tenantData - Tenant information
+   * @returns {Promise<Object>} - Created tenant
+   */
+  async create(tenantData) {
+    const { id, name, slug, settings } = tenantData;
+
+    const query = `
+      INSERT INTO tenants (id, name, slug, settings)
+      VALUES (COALESCE($1, gen_random_uuid()), $2, $3, $4)
+      RETURNING *
+    `;
+
+    const values = [id || null, name, slug, JSON.stringify(settings || {})];
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Find tenant by slug
+   * @param {string} slug - Tenant slug
+   * @returns {Promise<Object>} - Tenant object
+   */
+  async findBySlug(slug) {
+    const { rows } = await db.query('SELECT * FROM tenants WHERE slug = $1', [String(slug).toLowerCase()]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Check whether a slug is already taken
+   * @param {string} slug - Tenant slug
+   * @returns {Promise<boolean>} - Whether the slug exists
+   */
+  async slugExists(slug) {
+    const { rows } = await db.query('SELECT 1 FROM tenants WHERE slug = $1', [slug]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Find tenant by ID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Tenant object
+   */
+  async findById(tenantId) {
+    const { rows } = await db.query('SELECT * FROM tenants WHERE id = $1', [tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Get the IDs of all tenants
+   * @returns {Promise<Array>} - Tenant UUIDs
+   */
+  async findAllIds() {
+    const { rows } = await db.query('SELECT id FROM tenants ORDER BY created_at');
+    return rows.map((row) => row.id);
+  },
+
+  /**
+   * Get tenant settings
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Settings object, empty if none are set
+   */
+  async getSettings(tenantId) {
+    const { rows } = await db.query('SELECT settings FROM tenants WHERE id = $1', [tenantId]);
+    return rows[0]?.settings || {};
+  },
+
+  /**
+   * Merge new values into tenant settings
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} settings - Settings to set
+   * @returns {Promise<Object>} - Updated settings
+   */
+  async updateSettings(tenantId, settings) {
+    const query = `
+      UPDATE tenants
+      SET settings = settings || $2::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING settings
+    `;
+    const { rows } = await db.query(query, [tenantId, JSON.stringify(settings)]);
+    return rows[0]?.settings || null;
+  }
+};
+
+export default TenantModel;
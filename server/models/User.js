@@ -21,6 +21,18 @@ const UserModel = {
     return rows[0] || null;
   },
 
+  /**
+   * Find user by ID within a tenant, active or not
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - User object
+   */
+  async findById(userId, tenantId) {
+    const query = 'SELECT * FROM team_users WHERE id = $1 AND tenant_id = $2';
+    const { rows } = await db.query(query, [userId, tenantId]);
+    return rows[0] || null;
+  },
+
   /**
    * Find user by email and tenant
    * @param {string} email - User email
@@ -32,14 +44,31 @@ const UserModel = {
       SELECT tu.*, t.name as tenant_name 
       FROM team_users tu 
       JOIN tenants t ON tu.tenant_id = t.id 
-      WHERE tu.email = $1 AND tu.tenant_id = $2 AND tu.is_active = true
+      WHERE LOWER(tu.email) = LOWER($1) AND tu.tenant_id = $2 AND tu.is_active = true
     `;
     const { rows } = await db.query(query, [email, tenantId]);
     return rows[0] || null;
   },
 
   /**
-   * Create or update user with password
+   * Check whether an email is taken in a tenant, by active or inactive users
+   * @param {string} email - User email
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} excludeUserId - User UUID to leave out
+   * @returns {Promise<boolean>} - Whether the email is in use
+   */
+  async emailExists(email, tenantId, excludeUserId = null) {
+    const query = `
+      SELECT 1 FROM team_users
+      WHERE LOWER(email) = LOWER($1) AND tenant_id = $2 AND ($3::uuid IS NULL OR id <> $3::uuid)
+    `;
+    const { rows } = await db.query(query, [email, tenantId, excludeUserId]);
+    return rows.length > 0;
+  },
+
+  /**
+   * Create a user. An existing email in the tenant fails with a unique
+   * violation (23505) rather than overwriting that user.
    * @param {Object} userData - User information
    * @returns {Promise<Object>} - User object
    */
@@ -49,18 +78,13 @@ const UserModel = {
       email,
       name,
       role,
-      password
+      password,
+      manager_id
     } = userData;
 
     const query = `
-      INSERT INTO team_users (id, tenant_id, email, name, role, password, is_active)
-      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6)
-      ON CONFLICT (email, tenant_id) 
-      DO UPDATE SET 
-        name = EXCLUDED.name,
-        role = EXCLUDED.role,
-        password = EXCLUDED.password,
-        is_active = EXCLUDED.is_active
+      INSERT INTO team_users (id, tenant_id, email, name, role, password, is_active, manager_id)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5, $6, $7)
       RETURNING *
     `;
 
@@ -70,7 +94,8 @@ const UserModel = {
       name,
       role || 'agent',
       password,
-      true
+      true,
+      manager_id || null
     ];
 
     const { rows } = await db.query(query, values);
@@ -93,7 +118,22 @@ const UserModel = {
   },
 
   /**
-   * Get all active users in tenant
+   * Pick the active users out of a list of user IDs
+   * @param {Array} userIds - User UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - IDs of the active users, in no particular order
+   */
+  async filterActiveIds(userIds, tenantId) {
+    const query = `
+      SELECT id FROM team_users
+      WHERE id = ANY($1) AND tenant_id = $2 AND is_active = true
+    `;
+    const { rows } = await db.query(query, [userIds, tenantId]);
+    return rows.map((row) => row.id);
+  },
+
+  /**
+   * Get users in tenant, active only unless filters.status says otherwise
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter options
    * @returns {Promise<Array>} - Array of users
@@ -103,12 +143,19 @@ const UserModel = {
       SELECT tu.*, t.name as tenant_name
       FROM team_users tu
       JOIN tenants t ON tu.tenant_id = t.id
-      WHERE tu.tenant_id = $1 AND tu.is_active = true
+      WHERE tu.tenant_id = $1
     `;
     
     const queryParams = [tenantId];
     let paramIndex = 2;
 
+    // Add status filter
+    if (filters.status === 'inactive') {
+      query += ' AND tu.is_active = false';
+    } else if (filters.status !== 'all') {
+      query += ' AND tu.is_active = true';
+    }
+
     // Add role filter
     if (filters.role) {
       query += ` AND tu.role = $${paramIndex}`;
@@ -116,6 +163,13 @@ const UserModel = {
       paramIndex++;
     }
 
+    // Add manager filter
+    if (filters.manager_id) {
+      query += ` AND tu.manager_id = $${paramIndex}`;
+      queryParams.push(filters.manager_id);
+      paramIndex++;
+    }
+
     // Add search filter
     if (filters.search) {
       query += ` AND (
@@ -152,9 +206,11 @@ const UserModel = {
       name,
       role,
       is_active,
-      password
+      password,
+      manager_id
     } = userData;
 
+    // manager_id may be explicitly cleared with null, so COALESCE won't do
     const query = `
       UPDATE team_users
       SET 
@@ -162,7 +218,9 @@ const UserModel = {
         name = COALESCE($2, name),
         role = COALESCE($3, role),
         is_active = COALESCE($4, is_active),
-        password = COALESCE($5, password)
+        password = COALESCE($5, password),
+        manager_id = CASE WHEN $8 THEN $9::uuid ELSE manager_id END,
+        updated_at = CURRENT_TIMESTAMP
       WHERE id = $6 AND tenant_id = $7
       RETURNING *
     `;
@@ -174,13 +232,255 @@ const UserModel = {
       is_active,
       password,
       userId,
-      tenantId
+      tenantId,
+      manager_id !== undefined,
+      manager_id || null
     ];
 
     const { rows } = await db.query(query, values);
     return rows[0];
   },
 
+  /**
+   * Invalidate every access token issued to a user so far
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<number>} - New token version
+   */
+  async incrementTokenVersion(userId, tenantId) {
+    const query = `
+      UPDATE team_users
+      SET token_version = token_version + 1
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING token_version
+    `;
+    const { rows } = await db.query(query, [userId, tenantId]);
+    return rows[0]?.token_version ?? null;
+  },
+
+  /**
+   * Count a failed login
+   * @param {string} userId - User UUID
+   * @returns {Promise<Object>} - { failed_login_count, locked_until }
+   */
+  async registerFailedLogin(userId) {
+    const query = `
+      UPDATE team_users
+      SET failed_login_count = failed_login_count + 1
+      WHERE id = $1
+      RETURNING failed_login_count, locked_until
+    `;
+    const { rows } = await db.query(query, [userId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Lock an account for a while
+   * @param {string} userId - User UUID
+   * @param {number} lockSeconds - Lock duration in seconds
+   * @returns {Promise<Object>} - { failed_login_count, locked_until }
+   */
+  async lock(userId, lockSeconds) {
+    const query = `
+      UPDATE team_users
+      SET locked_until = now() + make_interval(secs => $2)
+      WHERE id = $1
+      RETURNING failed_login_count, locked_until
+    `;
+    const { rows } = await db.query(query, [userId, lockSeconds]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Clear failed login tracking after a successful login
+   * @param {string} userId - User UUID
+   * @returns {Promise<void>}
+   */
+  async registerSuccessfulLogin(userId) {
+    const query = `
+      UPDATE team_users
+      SET failed_login_count = 0, locked_until = NULL, last_login_at = now()
+      WHERE id = $1
+    `;
+    await db.query(query, [userId]);
+  },
+
+  /**
+   * Lift a lockout and reset the failure count
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Updated user object
+   */
+  async unlock(userId, tenantId) {
+    const query = `
+      UPDATE team_users
+      SET failed_login_count = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [userId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Store a TOTP secret for a user who has not finished enrolling
+   * @param {string} userId - User UUID
+   * @param {string} secret - Base32 TOTP secret
+   * @returns {Promise<boolean>} - False if two-factor is already enabled
+   */
+  async setMfaSecret(userId, secret) {
+    const query = `
+      UPDATE team_users
+      SET mfa_secret = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND mfa_enabled = false
+    `;
+    const { rowCount } = await db.query(query, [userId, secret]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Turn on two-factor authentication
+   * @param {string} userId - User UUID
+   * @param {Array} recoveryCodeHashes - Hashed recovery codes
+   * @param {number} step - TOTP step of the code that confirmed enrollment
+   * @returns {Promise<boolean>} - False if already enabled
+   */
+  async enableMfa(userId, recoveryCodeHashes, step) {
+    const query = `
+      UPDATE team_users
+      SET mfa_enabled = true, mfa_recovery_codes = $2, mfa_last_step = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND mfa_enabled = false AND mfa_secret IS NOT NULL
+    `;
+    const { rowCount } = await db.query(query, [userId, recoveryCodeHashes, step]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Accept a TOTP step unless it (or a later one) was already used
+   * @param {string} userId - User UUID
+   * @param {number} step - TOTP step of the code
+   * @returns {Promise<boolean>} - False for a replayed code
+   */
+  async consumeMfaStep(userId, step) {
+    const query = `
+      UPDATE team_users
+      SET mfa_last_step = $2
+      WHERE id = $1 AND (mfa_last_step IS NULL OR mfa_last_step < $2)
+    `;
+    const { rowCount } = await db.query(query, [userId, step]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Use up a recovery code
+   * @param {string} userId - User UUID
+   * @param {string} codeHash - Hash of the recovery code
+   * @returns {Promise<boolean>} - False if the code is unknown or already used
+   */
+  async consumeRecoveryCode(userId, codeHash) {
+    const query = `
+      UPDATE team_users
+      SET mfa_recovery_codes = array_remove(mfa_recovery_codes, $2)
+      WHERE id = $1 AND $2 = ANY(mfa_recovery_codes)
+    `;
+    const { rowCount } = await db.query(query, [userId, codeHash]);
+    return rowCount > 0;
+  },
+
+  /**
+   * Replace all recovery codes
+   * @param {string} userId - User UUID
+   * @param {Array} recoveryCodeHashes - Hashed recovery codes
+   * @returns {Promise<void>}
+   */
+  async setRecoveryCodes(userId, recoveryCodeHashes) {
+    const query = 'UPDATE team_users SET mfa_recovery_codes = $2 WHERE id = $1';
+    await db.query(query, [userId, recoveryCodeHashes]);
+  },
+
+  /**
+   * Turn off two-factor authentication and forget the secret
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Updated user object
+   */
+  async disableMfa(userId, tenantId) {
+    const query = `
+      UPDATE team_users
+      SET mfa_enabled = false, mfa_secret = NULL, mfa_recovery_codes = '{}', mfa_last_step = NULL,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND tenant_id = $2
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [userId, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Find user by identity provider subject, active or not
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} subject - Identity provider "sub" claim
+   * @returns {Promise<Object>} - User object with tenant info
+   */
+  async findBySsoSubject(tenantId, subject) {
+    const query = `
+      SELECT tu.*, t.name as tenant_name
+      FROM team_users tu
+      JOIN tenants t ON tu.tenant_id = t.id
+      WHERE tu.tenant_id = $1 AND tu.sso_subject = $2
+    `;
+    const { rows } = await db.query(query, [tenantId, subject]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Find user by email regardless of case, active or not
+   * @param {string} email - User email
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - User object with tenant info
+   */
+  async findByEmailIgnoreCase(email, tenantId) {
+    const query = `
+      SELECT tu.*, t.name as tenant_name
+      FROM team_users tu
+      JOIN tenants t ON tu.tenant_id = t.id
+      WHERE lower(tu.email) = lower($1) AND tu.tenant_id = $2
+    `;
+    const { rows } = await db.query(query, [email, tenantId]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Link a user to their identity provider subject
+   * @param {string} userId - User UUID
+   * @param {string} subject - Identity provider "sub" claim
+   * @returns {Promise<void>}
+   */
+  async linkSsoSubject(userId, subject) {
+    const query = `
+      UPDATE team_users
+      SET sso_subject = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    await db.query(query, [userId, subject]);
+  },
+
+  /**
+   * Count active admins in tenant, optionally ignoring one user
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} excludeUserId - User UUID to leave out
+   * @returns {Promise<number>} - Active admin count
+   */
+  async countActiveAdmins(tenantId, excludeUserId = null) {
+    const query = `
+      SELECT COUNT(*) FROM team_users
+      WHERE tenant_id = $1 AND role = 'admin' AND is_active = true
+        AND ($2::uuid IS NULL OR id <> $2::uuid)
+    `;
+    const { rows } = await db.query(query, [tenantId, excludeUserId]);
+    return parseInt(rows[0].count);
+  },
+
   /**
    * Get user statistics
    * @param {string} tenantId - Tenant UUID
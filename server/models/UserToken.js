@@ -0,0 +1,75 @@
+import db from '../config/db.js';
+
+/**
+ * User Token Model
+ * Handles database operations for the user_tokens table
+ */
+const UserTokenModel = {
+  /**
+   * Store a new one-time token
+   * @param {Object} tokenData - Token information
+   * @returns {Promise<Object>} - New user token row
+   */
+  async create(tokenData) {
+    const {
+      tenant_id,
+      user_id,
+      purpose,
+      token_hash,
+      expires_at
+    } = tokenData;
+
+    const query = `
+      INSERT INTO user_tokens (id, tenant_id, user_id, purpose, token_hash, expires_at)
+      VALUES (gen_random_uuid(), $1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+
+    const { rows } = await db.query(query, [tenant_id, user_id, purpose, token_hash, expires_at]);
+    return rows[0];
+  },
+
+  /**
+   * Find an unused, unexpired token by hash and lock it
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @param {string} purpose - 'password_reset' or 'invite'
+   * @returns {Promise<Object>} - User token row
+   */
+  async findUsableByHash(tokenHash, purpose) {
+    const query = `
+      SELECT * FROM user_tokens
+      WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > now()
+      FOR UPDATE
+    `;
+    const { rows } = await db.query(query, [tokenHash, purpose]);
+    return rows[0] || null;
+  },
+
+  /**
+   * Find which tenant a token belongs to, without locking
+   * @param {string} tokenHash - SHA-256 hash of the token
+   * @returns {Promise<string|null>} - Tenant UUID
+   */
+  async findTenantByHash(tokenHash) {
+    const { rows } = await db.query('SELECT tenant_id FROM user_tokens WHERE token_hash = $1', [tokenHash]);
+    return rows[0]?.tenant_id || null;
+  },
+
+  /**
+   * Use up every outstanding token of a user for one purpose
+   * @param {string} userId - User UUID
+   * @param {string} purpose - 'password_reset' or 'invite'
+   * @returns {Promise<number>} - Number of tokens consumed
+   */
+  async consumeAllForUser(userId, purpose) {
+    const query = `
+      UPDATE user_tokens
+      SET used_at = now()
+      WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+    `;
+    const { rowCount } = await db.query(query, [userId, purpose]);
+    return rowCount;
+  }
+};
+
+export default UserTokenModel;
@@ -1,4 +1,8 @@
 import db from '../config/db.js';
+import { buildVisibilityCondition } from '../utils/visibility.js';
+
+// Interactions are visible to their author and to the owner of their lead
+const VISIBILITY_COLUMNS = ['i.created_by', 'l.owner_user_id'];
 
 /**
  * Interaction Model
@@ -9,9 +13,10 @@ const InteractionModel = {
    * Get interactions with filters and pagination
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter and pagination options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Interactions data with pagination info
    */
-  async getInteractionsWithFilters(tenantId, filters) {
+  async getInteractionsWithFilters(tenantId, filters, viewer) {
     const { 
       lead_id,
       contact_id, 
@@ -55,6 +60,14 @@ const InteractionModel = {
       queryParams.push(date_to);
     }
 
+    // Restrict to interactions the viewer may see
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      whereConditions.push(visibility.condition);
+      queryParams.push(...visibility.params);
+      paramIndex += visibility.params.length;
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const query = `
@@ -136,13 +149,50 @@ const InteractionModel = {
     return rows[0];
   },
 
+  /**
+   * Move interactions from merged leads onto the surviving lead
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromLeadIds - Merged lead UUIDs
+   * @param {string} toLeadId - Surviving lead UUID
+   * @returns {Promise<number>} - Number of interactions moved
+   */
+  async reassignLead(tenantId, fromLeadIds, toLeadId) {
+    const query = `
+      UPDATE interactions
+      SET lead_id = $3
+      WHERE tenant_id = $1 AND lead_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromLeadIds, toLeadId]);
+    return rowCount;
+  },
+
+  /**
+   * Point interactions of merged contacts at the surviving contact
+   * @param {string} tenantId - Tenant UUID
+   * @param {Array} fromContactIds - Merged contact UUIDs
+   * @param {string} toContactId - Surviving contact UUID
+   * @returns {Promise<number>} - Number of interactions moved
+   */
+  async reassignContact(tenantId, fromContactIds, toContactId) {
+    const query = `
+      UPDATE interactions
+      SET contact_id = $3
+      WHERE tenant_id = $1 AND contact_id = ANY($2)
+    `;
+    const { rowCount } = await db.query(query, [tenantId, fromContactIds, toContactId]);
+    return rowCount;
+  },
+
   /**
    * Get interaction by ID with details
    * @param {string} interactionId - Interaction UUID
    * @param {string} tenantId - Tenant UUID
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Object>} - Interaction object with related data
    */
-  async findByIdWithDetails(interactionId, tenantId) {
+  async findByIdWithDetails(interactionId, tenantId, viewer) {
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, 3);
+
     const query = `
       SELECT 
         i.*,
@@ -156,9 +206,10 @@ const InteractionModel = {
       LEFT JOIN contacts c ON i.contact_id = c.id
       LEFT JOIN team_users tu ON i.created_by = tu.id
       WHERE i.id = $1 AND i.tenant_id = $2
+        ${visibility.condition ? `AND ${visibility.condition}` : ''}
     `;
 
-    const { rows } = await db.query(query, [interactionId, tenantId]);
+    const { rows } = await db.query(query, [interactionId, tenantId, ...visibility.params]);
     return rows[0] || null;
   },
 
@@ -167,9 +218,10 @@ const InteractionModel = {
    * @param {string} tenantId - Tenant UUID
    * @param {string} leadId - Lead UUID (optional)
    * @param {string} contactId - Contact UUID (optional)
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Array of interactions
    */
-  async getTimeline(tenantId, leadId = null, contactId = null) {
+  async getTimeline(tenantId, leadId = null, contactId = null, viewer) {
     let whereConditions = ['i.tenant_id = $1'];
     let queryParams = [tenantId];
     let paramIndex = 2;
@@ -183,6 +235,12 @@ const InteractionModel = {
       queryParams.push(contactId);
     }
 
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      whereConditions.push(visibility.condition);
+      queryParams.push(...visibility.params);
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const query = `
@@ -191,6 +249,7 @@ const InteractionModel = {
         tu.name as creator_name,
         tu.email as creator_email
       FROM interactions i
+      LEFT JOIN leads l ON i.lead_id = l.id
       LEFT JOIN team_users tu ON i.created_by = tu.id
       WHERE ${whereClause}
       ORDER BY i.occurred_at DESC
@@ -205,34 +264,42 @@ const InteractionModel = {
    * Get interaction statistics
    * @param {string} tenantId - Tenant UUID
    * @param {Object} filters - Filter options
+   * @param {Object} viewer - Requesting user, for record visibility
    * @returns {Promise<Array>} - Interaction stats
    */
-  async getInteractionStats(tenantId, filters = {}) {
-    let whereConditions = ['tenant_id = $1'];
+  async getInteractionStats(tenantId, filters = {}, viewer) {
+    let whereConditions = ['i.tenant_id = $1'];
     let queryParams = [tenantId];
     let paramIndex = 2;
 
     // Add date filters if provided
     if (filters.date_from) {
-      whereConditions.push(`DATE(occurred_at) >= $${paramIndex++}`);
+      whereConditions.push(`DATE(i.occurred_at) >= $${paramIndex++}`);
       queryParams.push(filters.date_from);
     }
     if (filters.date_to) {
-      whereConditions.push(`DATE(occurred_at) <= $${paramIndex++}`);
+      whereConditions.push(`DATE(i.occurred_at) <= $${paramIndex++}`);
       queryParams.push(filters.date_to);
     }
 
+    const visibility = buildVisibilityCondition(viewer, VISIBILITY_COLUMNS, paramIndex);
+    if (visibility.condition) {
+      whereConditions.push(visibility.condition);
+      queryParams.push(...visibility.params);
+    }
+
     const whereClause = whereConditions.join(' AND ');
 
     const query = `
       SELECT 
-        channel,
-        direction,
+        i.channel,
+        i.direction,
         COUNT(*) as count,
-        COUNT(*) FILTER (WHERE occurred_at >= CURRENT_DATE - INTERVAL '7 days') as recent_count
-      FROM interactions
+        COUNT(*) FILTER (WHERE i.occurred_at >= CURRENT_DATE - INTERVAL '7 days') as recent_count
+      FROM interactions i
+      LEFT JOIN leads l ON i.lead_id = l.id
       WHERE ${whereClause}
-      GROUP BY channel, direction
+      GROUP BY i.channel, i.direction
       ORDER BY count DESC
     `;
     
@@ -0,0 +1,233 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { apiKeysController } from '../controllers/apiKeysController.js';
+import { API_KEY_SCOPES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         tenant_id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: Website form sync
+ *         key_prefix:
+ *           type: string
+ *           example: kf_9c2e71ab
+ *           description: Start of the key, shown so keys can be told apart
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [leads:read, leads:write]
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     
+ *     ApiKeyWithSecret:
+ *       allOf:
+ *         - $ref: '#/components/schemas/ApiKey'
+ *         - type: object
+ *           properties:
+ *             key:
+ *               type: string
+ *               example: kf_9c2e71ab.6Jx3mYlq0v7kYf0m1sN5Qb9Zr2cT8wUe4pHdLgAaXoI
+ *               description: The full key. Only returned once; store it securely.
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     tags:
+ *       - API Keys
+ *     summary: Get API keys
+ *     description: List the tenant's API keys, including revoked ones. Secrets are never returned. Admin only.
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authorize('api_keys:read'), apiKeysController.getApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     tags:
+ *       - API Keys
+ *     summary: Create API key
+ *     description: |
+ *       Create a key for a machine-to-machine integration. Admin only.
+ *       A `<resource>:read` scope allows reading and statistics on that resource,
+ *       `<resource>:write` allows every other action. Requests made with the key
+ *       see every record in the tenant, and records they create have no owner.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Website form sync
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [leads:read, leads:write, contacts:read, contacts:write, companies:read, companies:write, tasks:read, tasks:write, interactions:read, interactions:write, opportunities:read, opportunities:write, pipelines:read, pipelines:write]
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API key created successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error
+ */
+router.post('/', authorize('api_keys:create'), [
+  body('name').notEmpty().trim().isLength({ max: 255 }).withMessage('Name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage('Invalid scope'),
+  body('expires_at').optional().isISO8601().withMessage('Invalid date format')
+], validate, apiKeysController.createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     tags:
+ *       - API Keys
+ *     summary: Rotate API key
+ *     description: Issue a new secret for the key, keeping its name and scopes. The previous secret stops working immediately. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: API key rotated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKeyWithSecret'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: API key not found or revoked
+ */
+router.post('/:id/rotate', authorize('api_keys:update'), [
+  param('id').isUUID().withMessage('Valid API key ID required')
+], validate, apiKeysController.rotateApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     tags:
+ *       - API Keys
+ *     summary: Revoke API key
+ *     description: Permanently disable the key. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: API key not found or already revoked
+ */
+router.delete('/:id', authorize('api_keys:delete'), [
+  param('id').isUUID().withMessage('Valid API key ID required')
+], validate, apiKeysController.revokeApiKey);
+
+export default router;
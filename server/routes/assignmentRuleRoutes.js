@@ -0,0 +1,289 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { assignmentRulesController } from '../controllers/assignmentRulesController.js';
+import { ASSIGNMENT_CONDITION_FIELDS, ASSIGNMENT_STRATEGIES } from '../config/leadAssignment.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * Check that conditions map known lead attributes to non-empty value lists
+ * @param {Object} conditions - Rule conditions
+ * @returns {boolean} - True when valid; throws otherwise
+ */
+const isValidConditions = (conditions) => {
+  for (const [field, values] of Object.entries(conditions)) {
+    if (!ASSIGNMENT_CONDITION_FIELDS.includes(field)) {
+      throw new Error(`Unknown condition field ${field}`);
+    }
+    if (!Array.isArray(values) || values.length === 0
+      || !values.every((value) => ['string', 'number'].includes(typeof value))) {
+      throw new Error(`Condition ${field} must be a non-empty array of values`);
+    }
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AssignmentRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: FairEx leads
+ *         priority:
+ *           type: integer
+ *           example: 10
+ *           description: Rules are tried in ascending priority
+ *         conditions:
+ *           type: object
+ *           example: { "source": ["fairex"], "exhibition_id": [42] }
+ *           description: |
+ *             Lead attributes (source, exhibition_id, utm_source, utm_medium,
+ *             utm_campaign, tags) mapped to accepted values. Every listed attribute
+ *             must match; tags match when the lead has any of the values. Empty
+ *             conditions match every lead.
+ *         strategy:
+ *           type: string
+ *           enum: [round_robin, least_open_leads, fixed]
+ *           description: |
+ *             round_robin takes turns, least_open_leads picks the assignee with
+ *             the fewest open leads, fixed picks the first active assignee
+ *         assignee_ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         last_assigned_user_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         is_active:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     AssignmentRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         priority:
+ *           type: integer
+ *           default: 100
+ *         conditions:
+ *           type: object
+ *         strategy:
+ *           type: string
+ *           enum: [round_robin, least_open_leads, fixed]
+ *         assignee_ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/assignment-rules:
+ *   get:
+ *     tags:
+ *       - Lead Assignment
+ *     summary: Get assignment rules
+ *     description: List the tenant's lead assignment rules in the order they are tried. Managers and admins.
+ *     responses:
+ *       200:
+ *         description: Assignment rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AssignmentRule'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authorize('assignment_rules:read'), assignmentRulesController.getRules);
+
+/**
+ * @swagger
+ * /api/assignment-rules/log:
+ *   get:
+ *     tags:
+ *       - Lead Assignment
+ *     summary: Get assignment decisions
+ *     description: |
+ *       Every time the rules run on a lead, an auto_assigned or
+ *       assignment_unmatched entry records the outcome, the rule and strategy
+ *       used, and any matching rules or inactive users that were skipped.
+ *       Managers and admins.
+ *     parameters:
+ *       - in: query
+ *         name: lead_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Assignment decisions retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/log', authorize('assignment_rules:read'), [
+  query('lead_id').optional().isUUID().withMessage('Valid lead ID required'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 200 })
+], validate, assignmentRulesController.getDecisionLog);
+
+/**
+ * @swagger
+ * /api/assignment-rules:
+ *   post:
+ *     tags:
+ *       - Lead Assignment
+ *     summary: Create assignment rule
+ *     description: |
+ *       New leads, from the API or the FairEx webhook, are assigned by the first
+ *       matching rule with an active assignee. Leads no rule assigns keep their
+ *       default owner: the creator, or nobody for webhook leads. Admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AssignmentRuleInput'
+ *               - required: [name, strategy, assignee_ids]
+ *     responses:
+ *       201:
+ *         description: Assignment rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AssignmentRule'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error
+ */
+router.post('/', authorize('assignment_rules:create'), [
+  body('name').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Name is required'),
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer').toInt(),
+  body('conditions').optional().isObject().withMessage('Conditions must be an object').bail().custom(isValidConditions),
+  body('strategy').isIn(ASSIGNMENT_STRATEGIES).withMessage('Invalid strategy'),
+  body('assignee_ids').isArray({ min: 1 }).withMessage('At least one assignee is required'),
+  body('assignee_ids.*').isUUID().withMessage('Invalid user ID'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], validate, assignmentRulesController.createRule);
+
+/**
+ * @swagger
+ * /api/assignment-rules/{id}:
+ *   patch:
+ *     tags:
+ *       - Lead Assignment
+ *     summary: Update assignment rule
+ *     description: Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AssignmentRuleInput'
+ *     responses:
+ *       200:
+ *         description: Assignment rule updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Assignment rule not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id', authorize('assignment_rules:update'), [
+  param('id').isUUID().withMessage('Valid rule ID required'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 255 }),
+  body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a non-negative integer').toInt(),
+  body('conditions').optional().isObject().withMessage('Conditions must be an object').bail().custom(isValidConditions),
+  body('strategy').optional().isIn(ASSIGNMENT_STRATEGIES).withMessage('Invalid strategy'),
+  body('assignee_ids').optional().isArray({ min: 1 }).withMessage('At least one assignee is required'),
+  body('assignee_ids.*').isUUID().withMessage('Invalid user ID'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], validate, assignmentRulesController.updateRule);
+
+/**
+ * @swagger
+ * /api/assignment-rules/{id}:
+ *   delete:
+ *     tags:
+ *       - Lead Assignment
+ *     summary: Delete assignment rule
+ *     description: Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Assignment rule deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Assignment rule not found
+ */
+router.delete('/:id', authorize('assignment_rules:delete'), [
+  param('id').isUUID().withMessage('Valid rule ID required')
+], validate, assignmentRulesController.deleteRule);
+
+export default router;
@@ -1,8 +1,14 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import {
+  authenticateToken,
+  authenticateTokenOrMfaChallenge,
+  requireUserSession
+} from '../middleware/auth.js';
 import { authController } from '../controllers/authController.js';
+import { mfaController } from '../controllers/mfaController.js';
+import { RESERVED_SLUGS, TENANT_SLUG_PATTERN } from '../config/tenants.js';
 
 const router = express.Router();
 
@@ -15,7 +21,6 @@ const router = express.Router();
  *       required:
  *         - username
  *         - password
- *         - tenant_id
  *       properties:
  *         username:
  *           type: string
@@ -30,7 +35,38 @@ const router = express.Router();
  *           type: string
  *           format: uuid
  *           example: 123e4567-e89b-12d3-a456-426614174000
- *           description: Tenant UUID
+ *           description: Tenant UUID; either tenant_id or tenant is required
+ *         tenant:
+ *           type: string
+ *           example: acme
+ *           description: Tenant slug, accepted instead of tenant_id; send one, not both
+ *         device_id:
+ *           type: string
+ *           example: web-3f9c2a
+ *           description: Optional client device identifier, stored with the refresh token
+ *     
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         access_token:
+ *           type: string
+ *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *           description: JWT access token
+ *         token_type:
+ *           type: string
+ *           example: Bearer
+ *         expires_in:
+ *           type: integer
+ *           example: 900
+ *           description: Access token lifetime in seconds
+ *         refresh_token:
+ *           type: string
+ *           example: 6Jx3mYlq0v7kYf0m1sN5Qb9Zr2cT8wUe4pHdLgAaXoI
+ *           description: Single-use refresh token; each refresh returns a new one
+ *         refresh_expires_in:
+ *           type: integer
+ *           example: 2592000
+ *           description: Refresh token lifetime in seconds
  *     
  *     User:
  *       type: object
@@ -67,18 +103,45 @@ const router = express.Router();
  *           type: string
  *           example: Authentication successful
  *         data:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TokenPair'
+ *             - type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *     
+ *     MfaChallengeResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: Two-factor authentication required
+ *         data:
  *           type: object
  *           properties:
- *             access_token:
+ *             mfa_required:
+ *               type: boolean
+ *               example: true
+ *             enrollment_required:
+ *               type: boolean
+ *               example: false
+ *               description: The user must set up two-factor first, via /api/auth/mfa/setup with this mfa_token
+ *             mfa_token:
  *               type: string
- *               example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
- *               description: JWT access token
+ *               description: Challenge to send to /api/auth/mfa/verify
  *             expires_in:
  *               type: integer
- *               example: 86400
- *               description: Token expiration time in seconds
- *             user:
- *               $ref: '#/components/schemas/User'
+ *               example: 300
+ *     
+ *     RecoveryCodes:
+ *       type: array
+ *       items:
+ *         type: string
+ *       example: [3f9a1-c27be, 81d0e-4a6f2]
+ *       description: Single-use codes that replace a TOTP code. Only shown once.
  *     
  *     ErrorResponse:
  *       type: object
@@ -95,6 +158,109 @@ const router = express.Router();
  *             type: object
  */
 
+/**
+ * @swagger
+ * /api/auth/signup:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Sign up a new tenant
+ *     description: |
+ *       Create a tenant with its first admin user, default settings and a default
+ *       sales pipeline, and log the admin in. Without a slug, one is derived from
+ *       the company name. Disabled unless SIGNUP_ENABLED is true.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - company_name
+ *               - name
+ *               - email
+ *               - password
+ *             properties:
+ *               company_name:
+ *                 type: string
+ *                 example: Acme Corp
+ *               slug:
+ *                 type: string
+ *                 example: acme
+ *                 description: Lowercase letters, digits and hyphens, 3-63 characters
+ *               name:
+ *                 type: string
+ *                 example: Jane Admin
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               device_id:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tenant created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Tenant created successfully
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/TokenPair'
+ *                     - type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *                         tenant:
+ *                           type: object
+ *                           properties:
+ *                             id:
+ *                               type: string
+ *                               format: uuid
+ *                             name:
+ *                               type: string
+ *                             slug:
+ *                               type: string
+ *       403:
+ *         description: Signup is disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Tenant slug is already taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/signup', [
+  body('company_name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Company name is required'),
+  body('slug').optional().isString().trim().toLowerCase()
+    .matches(TENANT_SLUG_PATTERN).withMessage('Slug must be 3-63 lowercase letters, digits or hyphens')
+    .not().isIn(RESERVED_SLUGS).withMessage('Slug is reserved'),
+  body('name').isString().trim().isLength({ min: 1, max: 255 }).withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('device_id').optional().isString().isLength({ max: 255 }).withMessage('Device ID must be at most 255 characters')
+], validate, authController.signup);
+
 /**
  * @swagger
  * /api/auth/token:
@@ -102,7 +268,10 @@ const router = express.Router();
  *     tags:
  *       - Authentication
  *     summary: Generate access token
- *     description: Authenticate user with email, password, and tenant ID to receive JWT token
+ *     description: |
+ *       Authenticate user with email, password, and tenant ID or slug to receive JWT token.
+ *       Users with two-factor enabled, or whose role the tenant requires it for,
+ *       get a challenge instead, to be completed at /api/auth/mfa/verify.
  *     security: []
  *     requestBody:
  *       required: true
@@ -112,11 +281,13 @@ const router = express.Router();
  *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Authentication successful
+ *         description: Authentication successful, or second factor required
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/MfaChallengeResponse'
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -141,6 +312,21 @@ const router = express.Router();
  *                   "message": "Valid email required"
  *                 }
  *               ]
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: Account temporarily locked. Please try again later.
+ *       429:
+ *         description: Too many failed attempts from this IP address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Authentication failed
  *         content:
@@ -151,9 +337,342 @@ const router = express.Router();
 router.post('/token', [
   body('username').isEmail().withMessage('Valid email required'),
   body('password').isLength({ min: 1 }).withMessage('Password required'),
-  body('tenant_id').isUUID().withMessage('Valid tenant ID required')
+  body('tenant_id').if(body('tenant').not().exists()).isUUID().withMessage('Valid tenant ID or tenant slug required'),
+  body('tenant').optional().isString().trim().toLowerCase()
+    .custom((value, { req }) => req.body.tenant_id === undefined).withMessage('Send either tenant_id or tenant, not both'),
+  body('device_id').optional().isString().isLength({ max: 255 }).withMessage('Device ID must be at most 255 characters')
 ], validate, authController.generateToken);
 
+/**
+ * @swagger
+ * /api/auth/sso/{tenantId}/login:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Start single sign-on
+ *     description: Redirect the browser to the tenant's OpenID Connect identity provider. After the callback, the browser is sent to return_to with the tokens in the URL fragment, or receives them as JSON when return_to is omitted.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: return_to
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Frontend URL to return to; must be on APP_URL
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: SSO is not configured for this tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       502:
+ *         description: Identity provider could not be reached
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/sso/:tenantId/login', [
+  param('tenantId').isUUID().withMessage('Invalid tenant ID'),
+  query('return_to').optional().isURL({ require_tld: false }).withMessage('return_to must be a URL')
+], validate, authController.startSsoLogin);
+
+/**
+ * @swagger
+ * /api/auth/sso/callback:
+ *   get:
+ *     tags:
+ *       - Authentication
+ *     summary: Single sign-on callback
+ *     description: Redirect URI registered at the identity provider. Users are matched by linked identity, then by email when the provider marks it verified (email_verified true); unknown users from the tenant's allowed domains are created with its default role. Locked accounts are refused, and users with two-factor authentication on, or required by the tenant, get a challenge to complete at /api/auth/mfa/verify instead of tokens.
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       302:
+ *         description: Redirect to return_to with the tokens, the MFA challenge or an error in the URL fragment
+ *       401:
+ *         description: Login rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: A concurrent first login created the account; signing in again succeeds
+ *       423:
+ *         description: Account temporarily locked
+ *       429:
+ *         description: Too many login attempts from this IP
+ */
+router.get('/sso/callback', authController.ssoCallback);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Refresh access token
+ *     description: Exchange a refresh token for a new access token and a new refresh token. The presented refresh token is consumed; reusing it revokes every token issued from the same login.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Token refreshed successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/TokenPair'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/refresh', [
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token required')
+], validate, authController.refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Log out
+ *     description: Revoke the current access token and, if given, the refresh token of this device. With all_devices, every session of the user is revoked.
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *               all_devices:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Failed to log out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/logout', authenticateToken, requireUserSession, [
+  body('refresh_token').optional().isString(),
+  body('all_devices').optional().isBoolean()
+], validate, authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Request password reset
+ *     description: Email a single-use password reset link to the user. The response is the same whether or not the account exists, and the link is sent after it. Requests count toward the per-IP login limit.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               tenant_id:
+ *                 type: string
+ *                 format: uuid
+ *               tenant:
+ *                 type: string
+ *                 description: Tenant slug, accepted instead of tenant_id; send one, not both
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       422:
+ *         description: Validation error
+ *       429:
+ *         description: Too many recent failed attempts or reset requests from this IP
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Valid email required'),
+  body('tenant_id').if(body('tenant').not().exists()).isUUID().withMessage('Valid tenant ID or tenant slug required'),
+  body('tenant').optional().isString().trim().toLowerCase()
+    .custom((value, { req }) => req.body.tenant_id === undefined).withMessage('Send either tenant_id or tenant, not both')
+], validate, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Reset password
+ *     description: Set a new password with the token from a reset email. The token can be used once, and every existing session of the user is revoked.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired reset token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ */
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Token required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], validate, authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/accept-invite:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Accept invitation
+ *     description: Set the first password of an invited user with the token from the invitation email. The user can then log in with /api/auth/token.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Invitation accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Invitation accepted
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     email:
+ *                       type: string
+ *                       format: email
+ *                     tenant_id:
+ *                       type: string
+ *                       format: uuid
+ *       400:
+ *         description: Invalid or expired invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ */
+router.post('/accept-invite', [
+  body('token').notEmpty().withMessage('Token required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+], validate, authController.acceptInvite);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -187,6 +706,15 @@ router.post('/token', [
  *             example:
  *               success: false
  *               message: Access token required
+ *       403:
+ *         description: API keys have no user to describe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: This endpoint requires a user session
  *       404:
  *         description: User not found
  *         content:
@@ -203,6 +731,250 @@ router.post('/token', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/me', authenticateToken, authController.getCurrentUser);
+router.get('/me', authenticateToken, requireUserSession, authController.getCurrentUser);
+
+/**
+ * @swagger
+ * /api/auth/mfa/verify:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Complete two-factor login
+ *     description: |
+ *       Answer the challenge from /api/auth/token with a code from the authenticator
+ *       app or a recovery code. Users finishing a required enrollment confirm their
+ *       first code here and also receive their recovery codes. Wrong codes count
+ *       towards the account lockout.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '492039'
+ *               recovery_code:
+ *                 type: string
+ *                 example: 3f9a1-c27be
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         recovery_codes:
+ *                           $ref: '#/components/schemas/RecoveryCodes'
+ *       401:
+ *         description: Invalid challenge or verification code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error, or enrollment not started
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ */
+router.post('/mfa/verify', [
+  body('mfa_token').notEmpty().withMessage('MFA token required'),
+  body('code').if(body('recovery_code').not().exists()).notEmpty().withMessage('Code or recovery code required')
+], validate, authController.verifyMfa);
+
+/**
+ * @swagger
+ * /api/auth/mfa/setup:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Start two-factor setup
+ *     description: |
+ *       Generate a TOTP secret and otpauth URI for an authenticator app. Call with an
+ *       access token, or with the mfa_token from a login that requires enrollment.
+ *       Calling again replaces a secret that has not been confirmed yet.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *                 description: Login challenge, when not using an access token
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauth_uri:
+ *                       type: string
+ *                       example: otpauth://totp/KF%20CRM%3Ajohn%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=KF%20CRM&algorithm=SHA1&digits=6&period=30
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/mfa/setup', authenticateTokenOrMfaChallenge, requireUserSession, mfaController.setup);
+
+/**
+ * @swagger
+ * /api/auth/mfa/activate:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Enable two-factor authentication
+ *     description: Confirm a code from the secret returned by /api/auth/mfa/setup. Returns recovery codes once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '492039'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication enabled
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       $ref: '#/components/schemas/RecoveryCodes'
+ *       401:
+ *         description: Invalid verification code
+ *       422:
+ *         description: Setup not started or already enabled
+ */
+router.post('/mfa/activate', authenticateToken, requireUserSession, [
+  body('code').notEmpty().withMessage('Code required')
+], validate, mfaController.activate);
+
+/**
+ * @swagger
+ * /api/auth/mfa/disable:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Disable two-factor authentication
+ *     description: Turn off two-factor after confirming the password and a current TOTP code or an unused recovery code. Not allowed while the tenant requires it for the user's role.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '492039'
+ *               recovery_code:
+ *                 type: string
+ *                 example: 3f9a1-c27be
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or verification code
+ *       422:
+ *         description: Two-factor authentication is not enabled, or is required for the user's role
+ */
+router.post('/mfa/disable', authenticateToken, requireUserSession, [
+  body('password').notEmpty().withMessage('Password required'),
+  body('code').if(body('recovery_code').not().exists()).notEmpty().withMessage('Code or recovery code required')
+], validate, mfaController.disable);
+
+/**
+ * @swagger
+ * /api/auth/mfa/recovery-codes:
+ *   post:
+ *     tags:
+ *       - Authentication
+ *     summary: Regenerate recovery codes
+ *     description: Replace every recovery code after confirming a current TOTP code.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '492039'
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Recovery codes regenerated
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       $ref: '#/components/schemas/RecoveryCodes'
+ *       401:
+ *         description: Invalid verification code
+ *       422:
+ *         description: Two-factor authentication is not enabled
+ */
+router.post('/mfa/recovery-codes', authenticateToken, requireUserSession, [
+  body('code').notEmpty().withMessage('Code required')
+], validate, mfaController.regenerateRecoveryCodes);
 
 export default router;
\ No newline at end of file
@@ -1,14 +1,22 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
 import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { applySavedView } from '../middleware/savedView.js';
 import { companiesController } from '../controllers/companiesController.js';
+import { EXPORT_FORMATS } from '../config/exports.js';
+import { CUSTOM_FIELD_PARAM_PREFIX } from '../config/customFields.js';
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+const COMPANY_SORT_FIELDS = ['name', 'created_at', 'contact_count', 'opportunity_count', 'total_won_value'];
+
+// Built-in sort fields, or cf_<key> for a custom field
+const isCompanySort = (value) => COMPANY_SORT_FIELDS.includes(value) || value.startsWith(CUSTOM_FIELD_PARAM_PREFIX);
+
 /**
  * @swagger
  * components:
@@ -45,6 +53,8 @@ router.use(authenticateToken);
  *         total_won_value:
  *           type: number
  *           example: 150000.00
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -73,6 +83,8 @@ router.use(authenticateToken);
  *           type: string
  *           example: 123 Business Street, Delhi, India
  *           description: Company address
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *     
  *     CompanyUpdate:
  *       type: object
@@ -89,6 +101,8 @@ router.use(authenticateToken);
  *         address:
  *           type: string
  *           example: 456 New Business Street, Mumbai, India
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *     
  *     CompanyListResponse:
  *       type: object
@@ -117,8 +131,12 @@ router.use(authenticateToken);
  *     tags:
  *       - Companies
  *     summary: Get companies with filters
- *     description: Retrieve list of companies with optional filtering and pagination
+ *     description: |
+ *       Retrieve list of companies with optional filtering and pagination.
+ *       Custom fields filter on cf_<key>=value (cf_<key>_from and cf_<key>_to for
+ *       number and date fields) and sort on sort_by=cf_<key>.
  *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
  *       - in: query
  *         name: page
  *         schema:
@@ -140,8 +158,7 @@ router.use(authenticateToken);
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [name, created_at, contact_count, opportunity_count, total_won_value]
- *         description: Sort field
+ *         description: Sort field; name, created_at, contact_count, opportunity_count, total_won_value or cf_<key>
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -175,15 +192,67 @@ router.use(authenticateToken);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', [
+router.get('/', authorize('companies:read'), applySavedView('companies'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('sort_by').optional().isIn(['name', 'created_at', 'contact_count', 'opportunity_count', 'total_won_value']).withMessage('Invalid sort field'),
+  query('sort_by').optional().custom(isCompanySort).withMessage('Invalid sort field'),
   query('sort_order').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
   query('created_after').optional().isISO8601().withMessage('Invalid date format'),
   query('created_before').optional().isISO8601().withMessage('Invalid date format')
 ], validate, companiesController.getCompanies);
 
+/**
+ * @swagger
+ * /api/companies/export:
+ *   get:
+ *     tags:
+ *       - Companies
+ *     summary: Export companies as CSV or XLSX
+ *     description: |
+ *       Takes the same filters and sorting as GET /api/companies and streams
+ *       every matching company. Columns: id, name, website, phone, address,
+ *       contact_count, opportunity_count, total_won_value, created_at, then
+ *       cf_<key> for each custom field.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: created_after
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: created_before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/ExportColumns'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       422:
+ *         description: Invalid filters, format or columns
+ */
+router.get('/export', authorize('companies:export'), applySavedView('companies'), [
+  query('sort_by').optional().custom(isCompanySort).withMessage('Invalid sort field'),
+  query('sort_order').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc'),
+  query('created_after').optional().isISO8601().withMessage('Invalid date format'),
+  query('created_before').optional().isISO8601().withMessage('Invalid date format'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv or xlsx')
+], validate, companiesController.exportCompanies);
+
 /**
  * @swagger
  * /api/companies:
@@ -224,11 +293,12 @@ router.get('/', [
  *               success: false
  *               message: Company with this name already exists
  */
-router.post('/', [
+router.post('/', authorize('companies:create'), [
   body('name').notEmpty().trim().withMessage('Company name is required'),
   body('website').optional().isURL().withMessage('Invalid website URL'),
   body('phone').optional().isMobilePhone('any').withMessage('Invalid phone number'),
-  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long')
+  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long'),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
 ], validate, companiesController.createCompany);
 
 /**
@@ -270,7 +340,7 @@ router.post('/', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', [
+router.get('/:id', authorize('companies:read'), [
   param('id').isUUID().withMessage('Valid company ID required')
 ], validate, companiesController.getCompanyById);
 
@@ -317,12 +387,13 @@ router.get('/:id', [
  *       422:
  *         description: Validation error
  */
-router.patch('/:id', [
+router.patch('/:id', authorize('companies:update'), [
   param('id').isUUID().withMessage('Valid company ID required'),
   body('name').optional().notEmpty().trim().withMessage('Company name cannot be empty'),
   body('website').optional().isURL().withMessage('Invalid website URL'),
   body('phone').optional().isMobilePhone('any').withMessage('Invalid phone number'),
-  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long')
+  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long'),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
 ], validate, companiesController.updateCompany);
 
 /**
@@ -361,10 +432,12 @@ router.patch('/:id', [
  *                     deleted:
  *                       type: boolean
  *                       example: true
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         description: Company not found
  */
-router.delete('/:id', [
+router.delete('/:id', authorize('companies:delete'), [
   param('id').isUUID().withMessage('Valid company ID required')
 ], validate, companiesController.deleteCompany);
 
@@ -407,6 +480,6 @@ router.delete('/:id', [
  *                         avg_revenue_per_company:
  *                           type: number
  */
-router.get('/stats', companiesController.getCompanyStats);
+router.get('/stats', authorize('companies:stats'), companiesController.getCompanyStats);
 
 export default router;
\ No newline at end of file
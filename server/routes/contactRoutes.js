@@ -1,8 +1,10 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { isPicklistValue, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize, resolveActingUser } from '../middleware/auth.js';
+import { applySavedView } from '../middleware/savedView.js';
 import { contactsController } from '../controllers/contactController.js';
+import { EXPORT_FORMATS } from '../config/exports.js';
 
 const router = express.Router();
 
@@ -54,13 +56,30 @@ router.use(authenticateToken);
  *         kf_visitor_id:
  *           type: integer
  *           example: 12345
+ *         aliases:
+ *           type: array
+ *           description: Identifiers of contacts merged into this one. Only on contact details.
+ *           items:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [email, phone, kf_visitor_id]
+ *               value:
+ *                 type: string
+ *               merged_from_contact_id:
+ *                 type: string
+ *                 format: uuid
+ *                 nullable: true
  *         source:
  *           type: string
- *           enum: [fairex, import, manual, api]
+ *           description: One of the tenant's contact_source picklist values
  *           example: manual
  *         lead_count:
  *           type: integer
  *           example: 3
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -100,9 +119,14 @@ router.use(authenticateToken);
  *           description: Associated company ID
  *         source:
  *           type: string
- *           enum: [fairex, import, manual, api]
  *           example: manual
  *           description: Source of contact creation
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
+ *         owner_user_id:
+ *           type: string
+ *           format: uuid
+ *           description: Required with an API key, which owns no records; users own the contacts they create
  *       description: At least one of first_name, last_name, email, or phone is required
  *     
  *     ContactUpdate:
@@ -129,6 +153,8 @@ router.use(authenticateToken);
  *           type: string
  *           format: uuid
  *           example: 123e4567-e89b-12d3-a456-426614174000
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *     
  *     ContactStats:
  *       type: object
@@ -152,8 +178,12 @@ router.use(authenticateToken);
  *     tags:
  *       - Contacts
  *     summary: Get contacts with filters
- *     description: Retrieve a list of contacts with optional filtering, searching, and pagination
+ *     description: |
+ *       Retrieve a list of contacts with optional filtering, searching, and pagination.
+ *       Custom fields filter on cf_<key>=value (cf_<key>_from and cf_<key>_to for
+ *       number and date fields) and sort on sort_by=cf_<key>.
  *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
  *       - in: query
  *         name: page
  *         schema:
@@ -170,7 +200,7 @@ router.use(authenticateToken);
  *         name: source
  *         schema:
  *           type: string
- *           enum: [fairex, import, manual, api]
+ *           description: One of the tenant's contact_source picklist values
  *         description: Filter by contact source
  *       - in: query
  *         name: company_id
@@ -187,7 +217,7 @@ router.use(authenticateToken);
  *         name: sort_by
  *         schema:
  *           type: string
- *         description: Field to sort by (e.g., created_at, first_name, email)
+ *         description: Field to sort by (e.g., created_at, first_name, email, cf_<key>)
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -238,14 +268,64 @@ router.use(authenticateToken);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', [
+router.get('/', authorize('contacts:read'), applySavedView('contacts'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('source').optional().isIn(['fairex', 'import', 'manual', 'api']).withMessage('Invalid source'),
+  query('source').optional().custom(isPicklistValue('contact_source', { allowDeprecated: true })),
   query('company_id').optional().isUUID().withMessage('Company ID must be a valid UUID'),
   query('sort_order').optional().isIn(['ASC', 'DESC']).withMessage('Sort order must be ASC or DESC')
 ], validate, contactsController.getContacts);
 
+/**
+ * @swagger
+ * /api/contacts/export:
+ *   get:
+ *     tags:
+ *       - Contacts
+ *     summary: Export contacts as CSV or XLSX
+ *     description: |
+ *       Takes the same filters and sorting as GET /api/contacts and streams every
+ *       matching contact the caller can see. Columns: id, first_name, last_name,
+ *       email, phone, dob, company_name, company_website, owner_name, source,
+ *       kf_visitor_id, lead_count, created_at, then cf_<key> for each custom field.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: company_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/ExportColumns'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       422:
+ *         description: Invalid filters, format or columns
+ */
+router.get('/export', authorize('contacts:export'), applySavedView('contacts'), [
+  query('source').optional().custom(isPicklistValue('contact_source', { allowDeprecated: true })),
+  query('company_id').optional().isUUID().withMessage('Company ID must be a valid UUID'),
+  query('sort_order').optional().isIn(['ASC', 'DESC']).withMessage('Sort order must be ASC or DESC'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv or xlsx')
+], validate, contactsController.exportContacts);
+
 /**
  * @swagger
  * /api/contacts:
@@ -299,15 +379,125 @@ router.get('/', [
  *                 }
  *               ]
  */
-router.post('/', [
+router.post('/', authorize('contacts:create'), [
   body('first_name').optional().isString().trim().isLength({ max: 255 }).withMessage('First name must be a string with max 255 characters'),
   body('last_name').optional().isString().trim().isLength({ max: 255 }).withMessage('Last name must be a string with max 255 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Must be a valid email'),
   body('phone').optional().isString().trim().isLength({ max: 20 }).withMessage('Phone must be a string with max 20 characters'),
   body('dob').optional().isDate().withMessage('Date of birth must be a valid date'),
   body('company_id').optional().isUUID().withMessage('Company ID must be a valid UUID'),
-  body('source').optional().isIn(['fairex', 'import', 'manual', 'api']).withMessage('Invalid source')
-], validate, contactsController.createContact);
+  body('source').optional().custom(isPicklistValue('contact_source')),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object'),
+  body('owner_user_id').optional().isUUID().withMessage('Owner must be a valid user ID')
+], validate, resolveActingUser('owner_user_id'), contactsController.createContact);
+
+/**
+ * @swagger
+ * /api/contacts/merge:
+ *   post:
+ *     tags:
+ *       - Contacts
+ *     summary: Merge contacts
+ *     description: |
+ *       Merge two or more contacts into a survivor (the oldest unless survivor_id
+ *       is given). For each field in `fields`, the value of the named contact
+ *       wins; other fields keep the survivor's value, or take the oldest other
+ *       contact's when the survivor has none. Leads, tasks, interactions and
+ *       opportunities are repointed to the survivor and the other contacts are
+ *       deleted. Emails, phones and FairEx visitor IDs that no longer belong to
+ *       the survivor are kept as aliases, so new leads and webhook scans with
+ *       them still match it. Managers and admins.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [contact_ids]
+ *             properties:
+ *               contact_ids:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               survivor_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: One of contact_ids
+ *               fields:
+ *                 type: object
+ *                 description: |
+ *                   Field name (first_name, last_name, email, phone, dob,
+ *                   company_id, kf_visitor_id, owner_user_id) mapped to the
+ *                   contact whose value wins
+ *                 additionalProperties:
+ *                   type: string
+ *                   format: uuid
+ *           example:
+ *             contact_ids: ["123e4567-e89b-12d3-a456-426614174000", "123e4567-e89b-12d3-a456-426614174001"]
+ *             survivor_id: "123e4567-e89b-12d3-a456-426614174000"
+ *             fields:
+ *               email: "123e4567-e89b-12d3-a456-426614174001"
+ *     responses:
+ *       200:
+ *         description: Contacts merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Contacts merged successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     contact:
+ *                       $ref: '#/components/schemas/Contact'
+ *                     merged_contact_ids:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         format: uuid
+ *                     moved:
+ *                       type: object
+ *                       properties:
+ *                         leads:
+ *                           type: integer
+ *                         tasks:
+ *                           type: integer
+ *                         interactions:
+ *                           type: integer
+ *                         opportunities:
+ *                           type: integer
+ *                         aliases:
+ *                           type: integer
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Contact not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/merge', authorize('contacts:merge'), [
+  body('contact_ids').isArray({ min: 2, max: 50 }).withMessage('Between 2 and 50 contact IDs required'),
+  body('contact_ids.*').isUUID().withMessage('Contact ID must be a valid UUID'),
+  body('survivor_id').optional().isUUID().withMessage('Survivor ID must be a valid UUID'),
+  body('fields').optional().isObject().withMessage('Fields must be an object'),
+  body('fields.*').isUUID().withMessage('Each field must name a contact ID')
+], validate, contactsController.mergeContacts);
 
 /**
  * @swagger
@@ -351,7 +541,7 @@ router.post('/', [
  *               success: false
  *               message: Contact not found
  */
-router.get('/:id', [
+router.get('/:id', authorize('contacts:read'), [
   param('id').isUUID().withMessage('Contact ID must be a valid UUID')
 ], validate, contactsController.getContactById);
 
@@ -410,14 +600,15 @@ router.get('/:id', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id', [
+router.patch('/:id', authorize('contacts:update'), [
   param('id').isUUID().withMessage('Contact ID must be a valid UUID'),
   body('first_name').optional().isString().trim().isLength({ max: 255 }).withMessage('First name must be a string with max 255 characters'),
   body('last_name').optional().isString().trim().isLength({ max: 255 }).withMessage('Last name must be a string with max 255 characters'),
   body('email').optional().isEmail().normalizeEmail().withMessage('Must be a valid email'),
   body('phone').optional().isString().trim().isLength({ max: 20 }).withMessage('Phone must be a string with max 20 characters'),
   body('dob').optional().isDate().withMessage('Date of birth must be a valid date'),
-  body('company_id').optional().isUUID().withMessage('Company ID must be a valid UUID')
+  body('company_id').optional().isUUID().withMessage('Company ID must be a valid UUID'),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
 ], validate, contactsController.updateContact);
 
 /**
@@ -456,6 +647,8 @@ router.patch('/:id', [
  *                     deleted:
  *                       type: boolean
  *                       example: true
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         description: Contact not found
  *         content:
@@ -469,7 +662,7 @@ router.patch('/:id', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', [
+router.delete('/:id', authorize('contacts:delete'), [
   param('id').isUUID().withMessage('Contact ID must be a valid UUID')
 ], validate, contactsController.deleteContact);
 
@@ -509,6 +702,6 @@ router.delete('/:id', [
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', contactsController.getContactStats);
+router.get('/stats', authorize('contacts:stats'), contactsController.getContactStats);
 
 export default router;
\ No newline at end of file
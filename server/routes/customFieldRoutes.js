@@ -0,0 +1,272 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { customFieldsController } from '../controllers/customFieldsController.js';
+import {
+  CUSTOM_FIELD_ENTITIES,
+  CUSTOM_FIELD_KEY_PATTERN,
+  CUSTOM_FIELD_TYPES,
+  MAX_CUSTOM_FIELD_OPTIONS
+} from '../config/customFields.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CustomField:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         entity:
+ *           type: string
+ *           enum: [leads, contacts, companies, opportunities]
+ *         key:
+ *           type: string
+ *           example: industry_segment
+ *           description: Key of the value in the record's custom_fields, and cf_<key> in list filters
+ *         label:
+ *           type: string
+ *           example: Industry segment
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, picklist, multi_select, boolean]
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [SMB, Mid-market, Enterprise]
+ *           description: Allowed values of picklist and multi_select fields
+ *         is_required:
+ *           type: boolean
+ *         default_value:
+ *           description: Value given to new records that do not set the field
+ *           example: SMB
+ *         position:
+ *           type: integer
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     CustomFieldInput:
+ *       type: object
+ *       properties:
+ *         entity:
+ *           type: string
+ *           enum: [leads, contacts, companies, opportunities]
+ *         key:
+ *           type: string
+ *           pattern: '^[a-z][a-z0-9_]{0,49}$'
+ *           example: industry_segment
+ *         label:
+ *           type: string
+ *           example: Industry segment
+ *         type:
+ *           type: string
+ *           enum: [text, number, date, picklist, multi_select, boolean]
+ *         options:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [SMB, Mid-market, Enterprise]
+ *         is_required:
+ *           type: boolean
+ *           default: false
+ *         default_value:
+ *           example: SMB
+ *         position:
+ *           type: integer
+ *           default: 0
+ *     CustomFieldValues:
+ *       type: object
+ *       additionalProperties: true
+ *       description: |
+ *         Values of the tenant's custom fields for this entity, keyed by field key
+ *         (see GET /api/custom-fields). Numbers are JSON numbers, dates are
+ *         YYYY-MM-DD, multi_select values are arrays of options. On update only
+ *         the keys sent change; null or an empty string clears a value.
+ *       example:
+ *         industry_segment: Enterprise
+ *         seats: 250
+ */
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   get:
+ *     tags:
+ *       - Custom Fields
+ *     summary: Get custom fields
+ *     description: List the tenant's custom field definitions, in display order.
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [leads, contacts, companies, opportunities]
+ *     responses:
+ *       200:
+ *         description: Custom fields retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CustomField'
+ */
+router.get('/', authorize('custom_fields:read'), [
+  query('entity').optional().isIn(CUSTOM_FIELD_ENTITIES).withMessage('Invalid entity')
+], validate, customFieldsController.getFields);
+
+/**
+ * @swagger
+ * /api/custom-fields:
+ *   post:
+ *     tags:
+ *       - Custom Fields
+ *     summary: Create custom field
+ *     description: |
+ *       Define a field for leads, contacts, companies or opportunities. Records
+ *       store its value under custom_fields.<key>; list endpoints filter on
+ *       cf_<key> (cf_<key>_from and cf_<key>_to for number and date fields) and
+ *       sort on cf_<key>, and exports can include a cf_<key> column. Admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CustomFieldInput'
+ *               - required: [entity, key, label, type]
+ *     responses:
+ *       201:
+ *         description: Custom field created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomField'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error, or the key is already used
+ */
+router.post('/', authorize('custom_fields:create'), [
+  body('entity').isIn(CUSTOM_FIELD_ENTITIES).withMessage('Invalid entity'),
+  body('key').isString().matches(CUSTOM_FIELD_KEY_PATTERN)
+    .withMessage('Key must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 50)'),
+  body('label').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Label is required (max 100 characters)'),
+  body('type').isIn(CUSTOM_FIELD_TYPES).withMessage('Invalid type'),
+  body('options').optional().isArray({ max: MAX_CUSTOM_FIELD_OPTIONS }).withMessage('Options must be an array'),
+  body('is_required').optional().isBoolean().withMessage('is_required must be a boolean').toBoolean(),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt()
+], validate, customFieldsController.createField);
+
+/**
+ * @swagger
+ * /api/custom-fields/{id}:
+ *   patch:
+ *     tags:
+ *       - Custom Fields
+ *     summary: Update custom field
+ *     description: |
+ *       Change a field's label, options, required flag, default value or
+ *       position. Entity, key and type cannot change. Making a field required
+ *       does not touch existing records; they must fill it the next time they
+ *       send it. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               is_required:
+ *                 type: boolean
+ *               default_value:
+ *                 description: null removes the default
+ *               position:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Custom field updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Custom field not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id', authorize('custom_fields:update'), [
+  param('id').isUUID().withMessage('Valid custom field ID required'),
+  body(['entity', 'key', 'type']).not().exists().withMessage('Entity, key and type cannot be changed'),
+  body('label').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Label cannot be empty (max 100 characters)'),
+  body('options').optional().isArray({ max: MAX_CUSTOM_FIELD_OPTIONS }).withMessage('Options must be an array'),
+  body('is_required').optional().isBoolean().withMessage('is_required must be a boolean').toBoolean(),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt()
+], validate, customFieldsController.updateField);
+
+/**
+ * @swagger
+ * /api/custom-fields/{id}:
+ *   delete:
+ *     tags:
+ *       - Custom Fields
+ *     summary: Delete custom field
+ *     description: Delete the field and remove its value from every record. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Custom field deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Custom field not found
+ */
+router.delete('/:id', authorize('custom_fields:delete'), [
+  param('id').isUUID().withMessage('Valid custom field ID required')
+], validate, customFieldsController.deleteField);
+
+export default router;
@@ -0,0 +1,333 @@
+import express from 'express';
+import path from 'path';
+import multer from 'multer';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize, requireUserSession } from '../middleware/auth.js';
+import { importsController } from '../controllers/importsController.js';
+import { sendError } from '../utils/response.js';
+import { IMPORT_ENTITIES, IMPORT_FILE_TYPES, MAX_IMPORT_FILE_SIZE } from '../config/imports.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes; imported records belong to the user
+// who started the job, so API keys cannot import
+router.use(authenticateToken, requireUserSession);
+
+// Uploads are kept in memory; the parsed rows are stored on the job
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!IMPORT_FILE_TYPES[path.extname(file.originalname).toLowerCase()]) {
+      return cb(new Error('Only .csv and .xlsx files can be imported'));
+    }
+    cb(null, true);
+  }
+});
+
+/**
+ * Accept the "file" field, answering upload problems with a 422
+ */
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files are limited to ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`
+        : error.message;
+      return sendError(res, 422, message, [{ field: 'file', message }]);
+    }
+    next();
+  });
+};
+
+/**
+ * Parse the mapping form field: a JSON object of column header to import
+ * field, where null or an empty string ignores the column
+ * @param {string} value - Form field value
+ * @returns {boolean} - True when valid; throws otherwise
+ */
+const isValidMapping = (value) => {
+  let mapping;
+  try {
+    mapping = JSON.parse(value);
+  } catch {
+    throw new Error('Mapping must be a JSON object');
+  }
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)
+    || !Object.values(mapping).every((field) => field === null || typeof field === 'string')) {
+    throw new Error('Mapping must map column headers to field names');
+  }
+  return true;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ImportJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         entity:
+ *           type: string
+ *           enum: [leads, contacts, companies]
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed]
+ *         dry_run:
+ *           type: boolean
+ *           description: Dry runs validate and dedupe every row without saving anything
+ *         on_duplicate:
+ *           type: string
+ *           enum: [skip, update]
+ *         filename:
+ *           type: string
+ *           example: expo-visitors.csv
+ *         headers:
+ *           type: array
+ *           items:
+ *             type: string
+ *         mapping:
+ *           type: object
+ *           example: { "E-mail": "email", "Company": "company_name", "Labels": "tags" }
+ *         total_rows:
+ *           type: integer
+ *         processed_rows:
+ *           type: integer
+ *         created_count:
+ *           type: integer
+ *         updated_count:
+ *           type: integer
+ *         skipped_count:
+ *           type: integer
+ *         error_count:
+ *           type: integer
+ *           description: Rows that were not imported
+ *         error:
+ *           type: string
+ *           nullable: true
+ *           description: Why the whole job failed
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         started_at:
+ *           type: string
+ *           format: date-time
+ *         finished_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     ImportRowError:
+ *       type: object
+ *       properties:
+ *         row_number:
+ *           type: integer
+ *           description: Line in the file, counting the header as line 1
+ *         field:
+ *           type: string
+ *           nullable: true
+ *         message:
+ *           type: string
+ *         row_data:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: The row's cells, in the order of the job's headers
+ */
+
+/**
+ * @swagger
+ * /api/imports/fields:
+ *   get:
+ *     tags:
+ *       - Imports
+ *     summary: Get the fields each import entity accepts
+ *     responses:
+ *       200:
+ *         description: Fields per entity, with their type
+ */
+router.get('/fields', authorize('imports:read'), importsController.getFields);
+
+/**
+ * @swagger
+ * /api/imports:
+ *   get:
+ *     tags:
+ *       - Imports
+ *     summary: Get the tenant's imports, newest first
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Imports and pagination
+ */
+router.get('/', authorize('imports:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], validate, importsController.getImports);
+
+/**
+ * @swagger
+ * /api/imports:
+ *   post:
+ *     tags:
+ *       - Imports
+ *     summary: Upload a CSV or XLSX file to import in the background
+ *     description: |
+ *       The first row (first worksheet for XLSX) holds column headers. Without a
+ *       mapping, headers named like an import field (e.g. "First Name") are
+ *       mapped and other columns ignored. Leads and contacts are matched to
+ *       existing contacts by email, phone or FairEx visitor ID, and companies by
+ *       name. With on_duplicate=skip matching rows are skipped; with update the
+ *       existing record gets the row's non-empty values, and lead rows still
+ *       create a lead for the matched contact. Poll the returned job for progress.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entity
+ *               - file
+ *             properties:
+ *               entity:
+ *                 type: string
+ *                 enum: [leads, contacts, companies]
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               mapping:
+ *                 type: string
+ *                 description: JSON object of column header to import field; null ignores a column
+ *                 example: '{"E-mail": "email", "Company": "company_name", "Labels": "tags", "Notes": null}'
+ *               dry_run:
+ *                 type: boolean
+ *                 default: false
+ *               on_duplicate:
+ *                 type: string
+ *                 enum: [skip, update]
+ *                 default: skip
+ *     responses:
+ *       202:
+ *         description: Import queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       422:
+ *         description: Invalid file, mapping or options
+ */
+router.post('/', authorize('imports:create'), uploadFile, [
+  body('entity').isIn(IMPORT_ENTITIES).withMessage(`Entity must be one of: ${IMPORT_ENTITIES.join(', ')}`),
+  body('mapping').optional().custom(isValidMapping).bail().customSanitizer((value) => JSON.parse(value)),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be a boolean').toBoolean(),
+  body('on_duplicate').optional().isIn(['skip', 'update']).withMessage('on_duplicate must be skip or update')
+], validate, importsController.createImport);
+
+/**
+ * @swagger
+ * /api/imports/{id}:
+ *   get:
+ *     tags:
+ *       - Imports
+ *     summary: Get an import's status and counts
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Import job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:id', authorize('imports:read'), [
+  param('id').isUUID().withMessage('Valid import ID required')
+], validate, importsController.getImport);
+
+/**
+ * @swagger
+ * /api/imports/{id}/errors:
+ *   get:
+ *     tags:
+ *       - Imports
+ *     summary: Get an import's row errors
+ *     description: |
+ *       With format=csv, downloads every error as CSV: row_number, field and
+ *       error columns followed by the row's original cells, so failed rows can
+ *       be fixed and uploaded again.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Row errors in file order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 headers:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowError'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:id/errors', authorize('imports:read'), [
+  param('id').isUUID().withMessage('Valid import ID required'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], validate, importsController.getImportErrors);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { isPicklistValue, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize, resolveActingUser } from '../middleware/auth.js';
 import { interactionsController } from '../controllers/interactionsController.js';
 
 const router = express.Router();
@@ -25,7 +25,7 @@ const router = express.Router();
  *           format: uuid
  *         channel:
  *           type: string
- *           enum: [chat, email, sms, whatsapp, call, meeting, note]
+ *           description: One of the tenant's interaction_channel picklist values
  *           example: email
  *         direction:
  *           type: string
@@ -85,7 +85,7 @@ const router = express.Router();
  *           format: uuid
  *         channel:
  *           type: string
- *           enum: [chat, email, sms, whatsapp, call, meeting, note]
+ *           description: One of the tenant's interaction_channel picklist values
  *           example: email
  *         direction:
  *           type: string
@@ -104,6 +104,10 @@ const router = express.Router();
  *           type: string
  *           format: date-time
  *           example: "2024-09-15T14:30:00Z"
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           description: Required with an API key, which is no user; users log interactions as themselves
  */
 
 /**
@@ -131,7 +135,7 @@ const router = express.Router();
  *         name: channel
  *         schema:
  *           type: string
- *           enum: [chat, email, sms, whatsapp, call, meeting, note]
+ *           description: One of the tenant's interaction_channel picklist values
  *         description: Filter by communication channel
  *       - in: query
  *         name: direction
@@ -190,10 +194,10 @@ const router = express.Router();
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/', authenticateToken, [
+router.get('/', authenticateToken, authorize('interactions:read'), [
   query('lead_id').optional().isUUID(),
   query('contact_id').optional().isUUID(),
-  query('channel').optional().isIn(['chat', 'email', 'sms', 'whatsapp', 'call', 'meeting', 'note']),
+  query('channel').optional().custom(isPicklistValue('interaction_channel', { allowDeprecated: true })),
   query('direction').optional().isIn(['in', 'out']),
   query('date_from').optional().isDate(),
   query('date_to').optional().isDate(),
@@ -246,15 +250,16 @@ router.get('/', authenticateToken, [
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorize('interactions:create'), [
   body('lead_id').optional().isUUID(),
   body('contact_id').optional().isUUID(),
-  body('channel').notEmpty().isIn(['chat', 'email', 'sms', 'whatsapp', 'call', 'meeting', 'note']),
+  body('channel').notEmpty().custom(isPicklistValue('interaction_channel')),
   body('direction').optional().isIn(['in', 'out']).default('out'),
   body('subject').optional().isString(),
   body('body').notEmpty().withMessage('Interaction body is required'),
   body('meta').optional().isObject(),
-  body('occurred_at').optional().isISO8601()
-], validate, interactionsController.createInteraction);
+  body('occurred_at').optional().isISO8601(),
+  body('created_by').optional().isUUID().withMessage('Creator must be a valid user ID')
+], validate, resolveActingUser('created_by'), interactionsController.createInteraction);
 
 export default router;
\ No newline at end of file
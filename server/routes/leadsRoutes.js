@@ -1,11 +1,19 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { isPicklistValue, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize, resolveActingUser } from '../middleware/auth.js';
+import { applySavedView } from '../middleware/savedView.js';
 import { leadsController } from '../controllers/leadsController.js';
+import { EXPORT_FORMATS } from '../config/exports.js';
+import { CUSTOM_FIELD_PARAM_PREFIX } from '../config/customFields.js';
 
 const router = express.Router();
 
+const LEAD_SORT_FIELDS = ['created_at', 'updated_at', 'score'];
+
+// Built-in sort fields, or cf_<key> for a custom field
+const isLeadSort = (value) => LEAD_SORT_FIELDS.includes(value) || value.startsWith(CUSTOM_FIELD_PARAM_PREFIX);
+
 /**
  * @swagger
  * components:
@@ -32,6 +40,8 @@ const router = express.Router();
  *         dob:
  *           type: string
  *           format: date
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *     
  *     Lead:
  *       type: object
@@ -45,11 +55,11 @@ const router = express.Router();
  *           example: Potential client from trade show
  *         status:
  *           type: string
- *           enum: [new, working, qualified, unqualified, converted]
+ *           description: One of the tenant's lead_status picklist values
  *           example: new
  *         stage:
  *           type: string
- *           enum: [lead, mql, sql]
+ *           description: One of the tenant's lead_stage picklist values
  *           example: lead
  *         score:
  *           type: integer
@@ -58,7 +68,7 @@ const router = express.Router();
  *           example: 75
  *         source:
  *           type: string
- *           enum: [fairex, ads, import, referral, manual]
+ *           description: One of the tenant's lead_source picklist values
  *           example: fairex
  *         exhibition_id:
  *           type: integer
@@ -81,6 +91,8 @@ const router = express.Router();
  *         notes:
  *           type: string
  *           example: Very interested in our premium package
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -137,11 +149,11 @@ const router = express.Router();
  *           example: New lead from website
  *         status:
  *           type: string
- *           enum: [new, working, qualified, unqualified, converted]
+ *           description: One of the tenant's lead_status picklist values
  *           default: new
  *         stage:
  *           type: string
- *           enum: [lead, mql, sql]
+ *           description: One of the tenant's lead_stage picklist values
  *           default: lead
  *         score:
  *           type: integer
@@ -150,7 +162,7 @@ const router = express.Router();
  *           default: 0
  *         source:
  *           type: string
- *           enum: [fairex, ads, import, referral, manual]
+ *           description: One of the tenant's lead_source picklist values
  *           default: manual
  *         exhibition_id:
  *           type: integer
@@ -164,6 +176,15 @@ const router = express.Router();
  *           type: string
  *         notes:
  *           type: string
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
+ *         owner_user_id:
+ *           type: string
+ *           format: uuid
+ *           description: >
+ *             API keys only: the lead's owner. Without it, API key leads start
+ *             unassigned and go through the assignment rules. Users own the
+ *             leads they create.
  *     
  *     Tag:
  *       type: object
@@ -252,19 +273,24 @@ const router = express.Router();
  *     tags:
  *       - Leads
  *     summary: List leads with filters and pagination
- *     description: Retrieve leads with optional filtering, searching, sorting, and pagination
+ *     description: |
+ *       Retrieve leads with optional filtering, searching, sorting, and pagination.
+ *       Custom fields filter on cf_<key>=value (cf_<key>_from and cf_<key>_to for
+ *       number and date fields; text matches ignore case, multi_select matches
+ *       records that include the value) and sort on sort=cf_<key>.
  *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [new, working, qualified, unqualified, converted]
+ *           description: One of the tenant's lead_status picklist values
  *         description: Filter by lead status
  *       - in: query
  *         name: stage
  *         schema:
  *           type: string
- *           enum: [lead, mql, sql]
+ *           description: One of the tenant's lead_stage picklist values
  *         description: Filter by lead stage
  *       - in: query
  *         name: owner
@@ -301,9 +327,8 @@ const router = express.Router();
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [created_at, updated_at, score]
  *           default: created_at
- *         description: Sort field
+ *         description: Sort field; created_at, updated_at, score or cf_<key>
  *       - in: query
  *         name: order
  *         schema:
@@ -337,14 +362,14 @@ const router = express.Router();
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/', authenticateToken, [
-  query('status').optional().isIn(['new', 'working', 'qualified', 'unqualified', 'converted']),
-  query('stage').optional().isIn(['lead', 'mql', 'sql']),
+router.get('/', authenticateToken, authorize('leads:read'), applySavedView('leads'), [
+  query('status').optional().custom(isPicklistValue('lead_status', { allowDeprecated: true })),
+  query('stage').optional().custom(isPicklistValue('lead_stage', { allowDeprecated: true })),
   query('owner').optional().isUUID(),
   query('exhibition_id').optional().isNumeric(),
   query('page').optional().isInt({ min: 1 }).default(1),
   query('limit').optional().isInt({ min: 1, max: 100 }).default(20),
-  query('sort').optional().isIn(['created_at', 'updated_at', 'score']),
+  query('sort').optional().custom(isLeadSort).withMessage('Invalid sort field'),
   query('order').optional().isIn(['asc', 'desc']).default('desc')
 ], validate, leadsController.getLeads);
 
@@ -399,7 +424,7 @@ router.get('/', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorize('leads:create'), [
   body('contact').isObject().withMessage('Contact object required'),
   body('contact.first_name').optional().isString(),
   body('contact.last_name').optional().isString(),
@@ -407,17 +432,20 @@ router.post('/', authenticateToken, [
   body('contact.phone').optional().isString(),
   body('contact.company_id').optional().isUUID(),
   body('title').optional().isString(),
-  body('status').optional().isIn(['new', 'working', 'qualified', 'unqualified', 'converted']),
-  body('stage').optional().isIn(['lead', 'mql', 'sql']),
+  body('status').optional().custom(isPicklistValue('lead_status')),
+  body('stage').optional().custom(isPicklistValue('lead_stage')),
   body('score').optional().isInt({ min: 0, max: 100 }),
-  body('source').optional().isIn(['fairex', 'ads', 'import', 'referral', 'manual']),
+  body('source').optional().custom(isPicklistValue('lead_source')),
   body('exhibition_id').optional().isNumeric(),
   body('join_id').optional().isNumeric(),
   body('utm_source').optional().isString(),
   body('utm_medium').optional().isString(),
   body('utm_campaign').optional().isString(),
-  body('notes').optional().isString()
-], validate, leadsController.createLead);
+  body('notes').optional().isString(),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object'),
+  body('contact.custom_fields').optional().isObject().withMessage('contact.custom_fields must be an object'),
+  body('owner_user_id').optional().isUUID().withMessage('Owner must be a valid user ID')
+], validate, resolveActingUser('owner_user_id', { optional: true }), leadsController.createLead);
 
 /**
  * @swagger
@@ -465,7 +493,7 @@ router.post('/', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/stats', authenticateToken, leadsController.getLeadStats);
+router.get('/stats', authenticateToken, authorize('leads:stats'), leadsController.getLeadStats);
 
 /**
  * @swagger
@@ -505,7 +533,654 @@ router.get('/stats', authenticateToken, leadsController.getLeadStats);
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/leaderboard', authenticateToken, leadsController.getLeaderboard);
+router.get('/leaderboard', authenticateToken, authorize('leads:stats'), leadsController.getLeaderboard);
+
+/**
+ * @swagger
+ * /api/leads/transitions:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Get allowed status and stage transitions
+ *     description: |
+ *       For status and stage, the values a lead may move to from each value
+ *       (allowed) and the fields a move to each value requires (required).
+ *       reason means the reason sent with the change; other entries are lead
+ *       fields that must be set. Admins change these through lead_transitions
+ *       in PATCH /api/tenant/settings.
+ *     responses:
+ *       200:
+ *         description: Transition graph
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/LeadTransitions'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/transitions', authenticateToken, authorize('leads:read'), leadsController.getTransitions);
+
+/**
+ * @swagger
+ * /api/leads/stage-report:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Time-in-stage and transition report
+ *     description: |
+ *       Average time leads spend in each status or stage, and how often they move
+ *       between values, grouped by current owner, source or exhibition. A stay
+ *       counts towards the period it began in; avg_seconds covers stays that have
+ *       ended, and current_leads / avg_current_seconds describe leads still in
+ *       the value. Only leads visible to the caller are included.
+ *     parameters:
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *           enum: [status, stage]
+ *           default: stage
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [owner, source, exhibition]
+ *           default: owner
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Report groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         field:
+ *                           type: string
+ *                         group_by:
+ *                           type: string
+ *                         groups:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               key:
+ *                                 type: string
+ *                                 nullable: true
+ *                                 description: Owner UUID, source or exhibition ID
+ *                               label:
+ *                                 type: string
+ *                                 nullable: true
+ *                               time_in_stage:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     value:
+ *                                       type: string
+ *                                       example: mql
+ *                                     exits:
+ *                                       type: integer
+ *                                     avg_seconds:
+ *                                       type: integer
+ *                                       nullable: true
+ *                                     current_leads:
+ *                                       type: integer
+ *                                     avg_current_seconds:
+ *                                       type: integer
+ *                                       nullable: true
+ *                               transitions:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     from_value:
+ *                                       type: string
+ *                                     to_value:
+ *                                       type: string
+ *                                     count:
+ *                                       type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/stage-report', authenticateToken, authorize('leads:stats'), [
+  query('field').optional().isIn(['status', 'stage']).withMessage('Field must be status or stage'),
+  query('group_by').optional().isIn(['owner', 'source', 'exhibition']).withMessage('group_by must be owner, source or exhibition'),
+  query('from').optional().isISO8601().withMessage('Invalid date format'),
+  query('to').optional().isISO8601().withMessage('Invalid date format')
+], validate, leadsController.getStageReport);
+
+/**
+ * @swagger
+ * /api/leads/duplicates:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Find duplicate leads
+ *     description: |
+ *       Group leads that look like the same person. Two leads match when they
+ *       share a contact (same_contact), their contacts share an email (email) or
+ *       phone digits (phone), or their contacts have similar names at similar
+ *       companies (name_company). Only leads visible to the caller are reported.
+ *       Reports are reused for DUPLICATE_REPORT_CACHE_SECONDS while paging.
+ *     parameters:
+ *       - in: query
+ *         name: lead_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only report duplicates of this lead
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Groups per page
+ *     responses:
+ *       200:
+ *         description: Duplicate groups, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         groups:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               suggested_survivor_id:
+ *                                 type: string
+ *                                 format: uuid
+ *                               leads:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                               matches:
+ *                                 type: array
+ *                                 items:
+ *                                   type: object
+ *                                   properties:
+ *                                     lead_ids:
+ *                                       type: array
+ *                                       items:
+ *                                         type: string
+ *                                         format: uuid
+ *                                     reasons:
+ *                                       type: array
+ *                                       items:
+ *                                         type: string
+ *                                         enum: [same_contact, email, phone, name_company]
+ *                         pagination:
+ *                           $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/duplicates', authenticateToken, authorize('leads:read'), [
+  query('lead_id').optional().isUUID().withMessage('Valid lead ID required'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], validate, leadsController.getDuplicates);
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     ExportFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [csv, xlsx]
+ *         default: csv
+ *     ExportColumns:
+ *       in: query
+ *       name: columns
+ *       description: Comma separated columns, in file order; all columns by default
+ *       schema:
+ *         type: string
+ * /api/leads/export:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Export leads as CSV or XLSX
+ *     description: |
+ *       Takes the same filters and sorting as GET /api/leads and streams every
+ *       matching lead the caller can see. Columns: id, title, first_name,
+ *       last_name, email, phone, company_name, status, stage, score, source,
+ *       exhibition_id, utm_source, utm_medium, utm_campaign, owner_name, tags,
+ *       notes, created_at, updated_at, then cf_<key> for each custom field.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: exhibition_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/ExportColumns'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       422:
+ *         description: Invalid filters, format or columns
+ */
+router.get('/export', authenticateToken, authorize('leads:export'), applySavedView('leads'), [
+  query('status').optional().custom(isPicklistValue('lead_status', { allowDeprecated: true })),
+  query('stage').optional().custom(isPicklistValue('lead_stage', { allowDeprecated: true })),
+  query('owner').optional().isUUID(),
+  query('exhibition_id').optional().isNumeric(),
+  query('sort').optional().custom(isLeadSort).withMessage('Invalid sort field'),
+  query('order').optional().isIn(['asc', 'desc']).default('desc'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv or xlsx')
+], validate, leadsController.exportLeads);
+
+/**
+ * @swagger
+ * /api/leads/merge:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Merge duplicate leads
+ *     description: |
+ *       Merge leads into one survivor. Tags, tasks, interactions,
+ *       opportunities and status history move to the survivor, its empty fields
+ *       are filled from the other leads, notes are combined, and the other leads
+ *       are deleted. Without
+ *       survivor_id a converted lead survives, otherwise the oldest. The merge is
+ *       recorded in the activity log. Managers and admins.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lead_ids]
+ *             properties:
+ *               lead_ids:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               survivor_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: One of lead_ids
+ *     responses:
+ *       200:
+ *         description: Leads merged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         lead:
+ *                           $ref: '#/components/schemas/LeadWithDetails'
+ *                         merged_lead_ids:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                             format: uuid
+ *                         moved:
+ *                           type: object
+ *                           properties:
+ *                             tags:
+ *                               type: integer
+ *                             tasks:
+ *                               type: integer
+ *                             interactions:
+ *                               type: integer
+ *                             opportunities:
+ *                               type: integer
+ *                             history:
+ *                               type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/merge', authenticateToken, authorize('leads:merge'), [
+  body('lead_ids').isArray({ min: 2, max: 50 }).withMessage('Between 2 and 50 lead IDs required'),
+  body('lead_ids.*').isUUID().withMessage('Valid lead ID required'),
+  body('survivor_id').optional().isUUID().withMessage('Valid lead ID required')
+], validate, leadsController.mergeLeads);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkLeadSelection:
+ *       type: object
+ *       description: |
+ *         Select leads either by ids or by the same filters as GET /api/leads.
+ *         Only leads visible to the caller are touched. Send preview true to
+ *         get the number of matching leads without changing anything.
+ *       properties:
+ *         ids:
+ *           type: array
+ *           maxItems: 1000
+ *           items:
+ *             type: string
+ *             format: uuid
+ *         filters:
+ *           type: object
+ *           properties:
+ *             status:
+ *               type: string
+ *               description: One of the tenant's lead_status picklist values
+ *             stage:
+ *               type: string
+ *               description: One of the tenant's lead_stage picklist values
+ *             owner:
+ *               type: string
+ *               format: uuid
+ *             exhibition_id:
+ *               type: integer
+ *             q:
+ *               type: string
+ *         preview:
+ *           type: boolean
+ *           default: false
+ *     BulkLeadResult:
+ *       type: object
+ *       description: |
+ *         Each lead is changed in its own savepoint, so a failure only skips
+ *         that lead. A preview returns { preview, matched, not_found } instead.
+ *       properties:
+ *         matched:
+ *           type: integer
+ *         succeeded:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 format: uuid
+ *               success:
+ *                 type: boolean
+ *               error:
+ *                 type: string
+ */
+
+// Selection and preview fields shared by the bulk endpoints
+const bulkSelection = [
+  body('ids').optional().isArray({ min: 1, max: 1000 }).withMessage('ids must list between 1 and 1000 lead IDs'),
+  body('ids.*').isUUID().withMessage('Valid lead ID required'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('filters.status').optional().custom(isPicklistValue('lead_status', { allowDeprecated: true })),
+  body('filters.stage').optional().custom(isPicklistValue('lead_stage', { allowDeprecated: true })),
+  body('filters.owner').optional().isUUID(),
+  body('filters.exhibition_id').optional().isNumeric(),
+  body('filters.q').optional().isString(),
+  body().custom((value) => {
+    if (Boolean(value?.ids) === Boolean(value?.filters)) {
+      throw new Error('Provide either ids or filters');
+    }
+    return true;
+  }),
+  body('preview').optional().isBoolean().toBoolean()
+];
+
+/**
+ * @swagger
+ * /api/leads/bulk/update:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Bulk update leads
+ *     description: |
+ *       Set status, stage or owner on many leads at once. Leads whose current
+ *       status or stage does not allow the change fail with the reason.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkLeadSelection'
+ *               - type: object
+ *                 required: [updates]
+ *                 properties:
+ *                   updates:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: string
+ *                         description: One of the tenant's lead_status picklist values
+ *                       stage:
+ *                         type: string
+ *                         description: One of the tenant's lead_stage picklist values
+ *                       owner_user_id:
+ *                         type: string
+ *                         format: uuid
+ *                         description: Managers only (API keys need leads:write)
+ *                   reason:
+ *                     type: string
+ *                     description: Why the status or stage changed, kept in lead history
+ *                   override:
+ *                     type: boolean
+ *                     description: Admin only; allow changes the transitions forbid
+ *           example:
+ *             filters:
+ *               exhibition_id: 123
+ *               status: new
+ *             updates:
+ *               status: working
+ *     responses:
+ *       200:
+ *         description: Bulk update completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BulkLeadResult'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/bulk/update', authenticateToken, authorize('leads:update'), [
+  ...bulkSelection,
+  body('updates').isObject().withMessage('updates object required').bail()
+    .custom((updates) => {
+      const fields = Object.keys(updates);
+      if (fields.length === 0 || fields.some((field) => !['status', 'stage', 'owner_user_id'].includes(field))) {
+        throw new Error('updates may set status, stage and owner_user_id');
+      }
+      return true;
+    }),
+  body('updates.status').optional().custom(isPicklistValue('lead_status')),
+  body('updates.stage').optional().custom(isPicklistValue('lead_stage')),
+  body('updates.owner_user_id').optional().isUUID(),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('override').optional().isBoolean().withMessage('override must be a boolean').toBoolean()
+], validate, leadsController.bulkUpdateLeads);
+
+/**
+ * @swagger
+ * /api/leads/bulk/tags:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Bulk tag leads
+ *     description: Add and remove tags on many leads at once. Missing tags are created.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkLeadSelection'
+ *               - type: object
+ *                 properties:
+ *                   add:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   remove:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Bulk tagging completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BulkLeadResult'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/bulk/tags', authenticateToken, authorize('leads:tag'), [
+  ...bulkSelection,
+  body('add').optional().isArray().withMessage('add must be an array of tag names'),
+  body('add.*').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Each tag must be a string'),
+  body('remove').optional().isArray().withMessage('remove must be an array of tag names'),
+  body('remove.*').isString().withMessage('Each tag must be a string'),
+  body().custom((value) => {
+    if (!value?.add?.length && !value?.remove?.length) {
+      throw new Error('Provide tags to add or remove');
+    }
+    return true;
+  })
+], validate, leadsController.bulkTagLeads);
+
+/**
+ * @swagger
+ * /api/leads/bulk/delete:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Bulk delete leads
+ *     description: Permanently delete many leads at once. Managers and admins.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkLeadSelection'
+ *     responses:
+ *       200:
+ *         description: Bulk delete completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       $ref: '#/components/schemas/BulkLeadResult'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/bulk/delete', authenticateToken, authorize('leads:delete'), bulkSelection, validate,
+  leadsController.bulkDeleteLeads);
 
 /**
  * @swagger
@@ -544,7 +1219,7 @@ router.get('/leaderboard', authenticateToken, leadsController.getLeaderboard);
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.get('/:id', authenticateToken, [
+router.get('/:id', authenticateToken, authorize('leads:read'), [
   param('id').isUUID().withMessage('Valid lead ID required')
 ], validate, leadsController.getLeadById);
 
@@ -555,7 +1230,11 @@ router.get('/:id', authenticateToken, [
  *     tags:
  *       - Leads
  *     summary: Update lead
- *     description: Update lead information with partial data
+ *     description: |
+ *       Update lead information with partial data. Status and stage changes
+ *       must follow the tenant's transitions (GET /api/leads/transitions) and
+ *       carry the fields they require, such as a reason. Admins can send
+ *       override with a reason to make any change; it is kept in lead history.
  *     parameters:
  *       - in: path
  *         name: id
@@ -574,18 +1253,27 @@ router.get('/:id', authenticateToken, [
  *               owner_user_id:
  *                 type: string
  *                 format: uuid
+ *                 description: Managers only (API keys need leads:write); same as auto-assign
  *               status:
  *                 type: string
- *                 enum: [new, working, qualified, unqualified, converted]
+ *                 description: One of the tenant's lead_status picklist values
  *               stage:
  *                 type: string
- *                 enum: [lead, mql, sql]
+ *                 description: One of the tenant's lead_stage picklist values
  *               score:
  *                 type: integer
  *                 minimum: 0
  *                 maximum: 100
  *               notes:
  *                 type: string
+ *               reason:
+ *                 type: string
+ *                 description: Why the status or stage changed, kept in lead history
+ *               override:
+ *                 type: boolean
+ *                 description: Admin only; allow a change the transitions forbid
+ *               custom_fields:
+ *                 $ref: '#/components/schemas/CustomFieldValues'
  *           example:
  *             status: "working"
  *             stage: "mql"
@@ -607,6 +1295,8 @@ router.get('/:id', authenticateToken, [
  *                       $ref: '#/components/schemas/Lead'
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       422:
@@ -614,13 +1304,16 @@ router.get('/:id', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.patch('/:id', authenticateToken, [
+router.patch('/:id', authenticateToken, authorize('leads:update'), [
   param('id').isUUID().withMessage('Valid lead ID required'),
   body('owner_user_id').optional().isUUID(),
-  body('status').optional().isIn(['new', 'working', 'qualified', 'unqualified', 'converted']),
-  body('stage').optional().isIn(['lead', 'mql', 'sql']),
+  body('status').optional().custom(isPicklistValue('lead_status')),
+  body('stage').optional().custom(isPicklistValue('lead_stage')),
   body('score').optional().isInt({ min: 0, max: 100 }),
-  body('notes').optional().isString()
+  body('notes').optional().isString(),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('override').optional().isBoolean().withMessage('override must be a boolean').toBoolean(),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
 ], validate, leadsController.updateLead);
 
 /**
@@ -659,6 +1352,8 @@ router.patch('/:id', authenticateToken, [
  *                           example: true
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  *       422:
@@ -666,10 +1361,362 @@ router.patch('/:id', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.delete('/:id', authenticateToken, [
+router.delete('/:id', authenticateToken, authorize('leads:delete'), [
   param('id').isUUID().withMessage('Valid lead ID required')
 ], validate, leadsController.deleteLead);
 
+/**
+ * @swagger
+ * /api/leads/{id}/auto-assign:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Re-run assignment rules
+ *     description: Assign the lead with the tenant's assignment rules, e.g. after tagging it. The decision is logged either way. Managers and admins.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     responses:
+ *       200:
+ *         description: Lead assigned, or no rule could assign it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         assigned:
+ *                           type: boolean
+ *                         owner_user_id:
+ *                           type: string
+ *                           format: uuid
+ *                         rule_id:
+ *                           type: string
+ *                           format: uuid
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/auto-assign', authenticateToken, authorize('leads:assign'), [
+  param('id').isUUID().withMessage('Valid lead ID required')
+], validate, leadsController.autoAssignLead);
+
+/**
+ * @swagger
+ * /api/leads/{id}/score:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Explain lead score
+ *     description: Show how the tenant's active scoring rules apply to the lead, with the value each rule looked at and the points it gave.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     responses:
+ *       200:
+ *         description: Score breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         lead_id:
+ *                           type: string
+ *                           format: uuid
+ *                         score:
+ *                           type: integer
+ *                           description: Stored score
+ *                         calculated_score:
+ *                           type: integer
+ *                           nullable: true
+ *                           description: Score from the current rules; null without active rules
+ *                         total_points:
+ *                           type: integer
+ *                           description: Sum of points before clamping to 0-100
+ *                         calculated_at:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         rule_based:
+ *                           type: boolean
+ *                         rules:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               rule_id:
+ *                                 type: string
+ *                                 format: uuid
+ *                               name:
+ *                                 type: string
+ *                               field:
+ *                                 type: string
+ *                               operator:
+ *                                 type: string
+ *                               value: {}
+ *                               actual: {}
+ *                               matched:
+ *                                 type: boolean
+ *                               points:
+ *                                 type: integer
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/score', authenticateToken, authorize('leads:read'), [
+  param('id').isUUID().withMessage('Valid lead ID required')
+], validate, leadsController.getLeadScore);
+
+/**
+ * @swagger
+ * /api/leads/{id}/history:
+ *   get:
+ *     tags:
+ *       - Leads
+ *     summary: Get a lead's status and stage history
+ *     description: |
+ *       Every status and stage transition, oldest first, with who made it and
+ *       how long the value lasted. from_value is null for the values the lead
+ *       was created with; left_at is null for current values, whose
+ *       duration_seconds runs until now. Rows moved here by a merge name the
+ *       merged lead in merged_from_lead_id; its last values have no
+ *       left_at or duration_seconds.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lead history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         history:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                                 format: uuid
+ *                               field:
+ *                                 type: string
+ *                                 enum: [status, stage]
+ *                               from_value:
+ *                                 type: string
+ *                                 nullable: true
+ *                               to_value:
+ *                                 type: string
+ *                               changed_by:
+ *                                 type: string
+ *                                 format: uuid
+ *                                 nullable: true
+ *                               changed_by_name:
+ *                                 type: string
+ *                                 nullable: true
+ *                               reason:
+ *                                 type: string
+ *                                 nullable: true
+ *                               overridden:
+ *                                 type: boolean
+ *                                 description: An admin made the change against the tenant's transitions
+ *                               merged_from_lead_id:
+ *                                 type: string
+ *                                 format: uuid
+ *                                 nullable: true
+ *                                 description: Lead the transition was recorded on, for history moved here by a merge
+ *                               changed_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                               left_at:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 nullable: true
+ *                               duration_seconds:
+ *                                 type: integer
+ *                                 nullable: true
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/:id/history', authenticateToken, authorize('leads:read'), [
+  param('id').isUUID().withMessage('Valid lead ID required')
+], validate, leadsController.getLeadHistory);
+
+/**
+ * @swagger
+ * /api/leads/{id}/convert:
+ *   post:
+ *     tags:
+ *       - Leads
+ *     summary: Convert lead
+ *     description: |
+ *       Convert a lead in one transaction. The lead's contact is attached to the
+ *       given company, matched by name or created. Unless create_opportunity is
+ *       false, an opportunity is created in the chosen pipeline, or the default
+ *       one, starting in its first stage. The lead is then marked converted,
+ *       which the tenant's status transitions must allow (by default only from
+ *       qualified); admins can send override with a reason.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Lead ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               company:
+ *                 type: object
+ *                 description: Existing company by id, or a company matched by name and created if missing
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                     format: uuid
+ *                   name:
+ *                     type: string
+ *                     example: Acme Corp
+ *                   website:
+ *                     type: string
+ *                   phone:
+ *                     type: string
+ *                   address:
+ *                     type: string
+ *               create_opportunity:
+ *                 type: boolean
+ *                 default: true
+ *               opportunity:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                     description: Defaults to the lead title
+ *                   pipeline_id:
+ *                     type: string
+ *                     format: uuid
+ *                   stage_id:
+ *                     type: string
+ *                     format: uuid
+ *                   amount:
+ *                     type: number
+ *                   currency:
+ *                     type: string
+ *                     example: INR
+ *                   close_date:
+ *                     type: string
+ *                     format: date
+ *               reason:
+ *                 type: string
+ *                 description: Why the lead is converted, kept in lead history
+ *               override:
+ *                 type: boolean
+ *                 description: Admin only; convert a lead the transitions do not allow to
+ *     responses:
+ *       200:
+ *         description: Lead converted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     message:
+ *                       example: Lead converted successfully
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         lead:
+ *                           $ref: '#/components/schemas/Lead'
+ *                         contact:
+ *                           $ref: '#/components/schemas/Contact'
+ *                         company:
+ *                           $ref: '#/components/schemas/Company'
+ *                         opportunity:
+ *                           $ref: '#/components/schemas/Opportunity'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Lead is already converted
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/:id/convert', authenticateToken, authorize('leads:convert'), [
+  param('id').isUUID().withMessage('Valid lead ID required'),
+  body('company').optional().isObject().withMessage('company must be an object'),
+  body('company.id').optional().isUUID().withMessage('Valid company ID required'),
+  body('company.name')
+    .if(body('company').exists())
+    .if(body('company.id').not().exists())
+    .isString().withMessage('Company id or name required').bail()
+    .trim().notEmpty().withMessage('Company id or name required'),
+  body('company.website').optional().isString(),
+  body('company.phone').optional().isString(),
+  body('company.address').optional().isString(),
+  body('create_opportunity').optional().isBoolean().toBoolean(),
+  body('opportunity').optional().isObject().withMessage('opportunity must be an object'),
+  body('opportunity.name').optional().isString().trim().notEmpty(),
+  body('opportunity.pipeline_id').optional().isUUID().withMessage('Valid pipeline ID required'),
+  body('opportunity.stage_id').optional().isUUID().withMessage('Valid stage ID required'),
+  body('opportunity.amount').optional().isFloat({ min: 0 }).toFloat(),
+  body('opportunity.currency').optional().isLength({ min: 3, max: 3 }).isUppercase(),
+  body('opportunity.close_date').optional().isISO8601(),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  body('override').optional().isBoolean().withMessage('override must be a boolean').toBoolean()
+], validate, leadsController.convertLead);
+
 /**
  * @swagger
  * /api/leads/{id}/tags:
@@ -730,7 +1777,7 @@ router.delete('/:id', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.post('/:id/tags', authenticateToken, [
+router.post('/:id/tags', authenticateToken, authorize('leads:tag'), [
   param('id').isUUID().withMessage('Valid lead ID required'),
   body('tags').isArray({ min: 1 }).withMessage('Tags array required'),
   body('tags.*').isString().withMessage('Each tag must be a string')
@@ -786,7 +1833,7 @@ router.post('/:id/tags', authenticateToken, [
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
  */
-router.delete('/:id/tags/:tagName', authenticateToken, [
+router.delete('/:id/tags/:tagName', authenticateToken, authorize('leads:tag'), [
   param('id').isUUID().withMessage('Valid lead ID required'),
   param('tagName').isString().withMessage('Tag name required')
 ], validate, leadsController.removeTagFromLead);
@@ -809,6 +1856,20 @@ router.delete('/:id/tags/:tagName', authenticateToken, [
  *                 type: string
  *                 example: Access token required
  *     
+ *     ForbiddenError:
+ *       description: Forbidden - Role lacks the required permission
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               success:
+ *                 type: boolean
+ *                 example: false
+ *               message:
+ *                 type: string
+ *                 example: Insufficient permissions
+ *     
  *     NotFoundError:
  *       description: Resource not found
  *       content:
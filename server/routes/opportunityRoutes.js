@@ -1,11 +1,20 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { isPicklistValue, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { applySavedView } from '../middleware/savedView.js';
 import { opportunityController } from '../controllers/opportunityController.js';
+import { EXPORT_FORMATS } from '../config/exports.js';
+import { CUSTOM_FIELD_PARAM_PREFIX } from '../config/customFields.js';
 
 const router = express.Router();
 
+const OPPORTUNITY_SORT_FIELDS = ['created_at', 'close_date', 'amount', 'name'];
+
+// Built-in sort fields, or cf_<key> for a custom field
+const isOpportunitySort = (value) =>
+  OPPORTUNITY_SORT_FIELDS.includes(value) || value.startsWith(CUSTOM_FIELD_PARAM_PREFIX);
+
 /**
  * @swagger
  * components:
@@ -26,7 +35,7 @@ const router = express.Router();
  *           default: "INR"
  *         status:
  *           type: string
- *           enum: [open, won, lost, abandoned]
+ *           description: One of the tenant's opportunity_status picklist values
  *         close_date:
  *           type: string
  *           format: date
@@ -38,6 +47,8 @@ const router = express.Router();
  *           type: string
  *         stage_name:
  *           type: string
+ *         custom_fields:
+ *           $ref: '#/components/schemas/CustomFieldValues'
  *         created_at:
  *           type: string
  *           format: date-time
@@ -53,12 +64,16 @@ const router = express.Router();
  *     tags:
  *       - Opportunities
  *     summary: List opportunities
+ *     description: |
+ *       Custom fields filter on cf_<key>=value (cf_<key>_from and cf_<key>_to for
+ *       number and date fields) and sort on sort_by=cf_<key>.
  *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [open, won, lost, abandoned]
+ *           description: One of the tenant's opportunity_status picklist values
  *         description: Filter by status
  *       - in: query
  *         name: close_before
@@ -90,6 +105,19 @@ const router = express.Router();
  *           type: string
  *         description: Search query
  *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           default: created_at
+ *         description: Sort field; created_at, close_date, amount, name or cf_<key>
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [ASC, DESC]
+ *           default: DESC
+ *         description: Sort order
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -118,7 +146,81 @@ const router = express.Router();
  *       400:
  *         description: Bad request
  */
-router.get('/', authenticateToken, opportunityController.getOpportunities);
+router.get('/', authenticateToken, authorize('opportunities:read'), applySavedView('opportunities'), [
+  query('status').optional().custom(isPicklistValue('opportunity_status', { allowDeprecated: true })),
+  query('sort_by').optional().custom(isOpportunitySort).withMessage('Invalid sort field'),
+  query('sort_order').optional().isIn(['ASC', 'DESC', 'asc', 'desc']).withMessage('Sort order must be ASC or DESC')
+], validate, opportunityController.getOpportunities);
+
+/**
+ * @swagger
+ * /api/opportunities/export:
+ *   get:
+ *     tags:
+ *       - Opportunities
+ *     summary: Export opportunities as CSV or XLSX
+ *     description: |
+ *       Takes the same filters and sorting as GET /api/opportunities and streams
+ *       every matching opportunity. Columns: id, name, status, amount, currency,
+ *       close_date, pipeline_name, stage_name, contact_name, contact_email,
+ *       company_name, lead_title, created_at, then cf_<key> for each custom field.
+ *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           description: One of the tenant's opportunity_status picklist values
+ *       - in: query
+ *         name: pipeline_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: stage_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: close_after
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: close_before
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/ExportFormat'
+ *       - $ref: '#/components/parameters/ExportColumns'
+ *     responses:
+ *       200:
+ *         description: File download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       422:
+ *         description: Invalid filters, format or columns
+ */
+router.get('/export', authenticateToken, authorize('opportunities:export'), applySavedView('opportunities'), [
+  query('status').optional().custom(isPicklistValue('opportunity_status', { allowDeprecated: true })),
+  query('pipeline_id').optional().isUUID().withMessage('Pipeline ID must be a valid UUID'),
+  query('stage_id').optional().isUUID().withMessage('Stage ID must be a valid UUID'),
+  query('close_after').optional().isISO8601().withMessage('Invalid date format'),
+  query('close_before').optional().isISO8601().withMessage('Invalid date format'),
+  query('sort_by').optional().custom(isOpportunitySort).withMessage('Invalid sort field'),
+  query('sort_order').optional().isIn(['ASC', 'DESC', 'asc', 'desc']).withMessage('Sort order must be ASC or DESC'),
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage('Format must be csv or xlsx')
+], validate, opportunityController.exportOpportunities);
 
 /**
  * @swagger
@@ -167,6 +269,8 @@ router.get('/', authenticateToken, opportunityController.getOpportunities);
  *                 type: string
  *                 format: date
  *                 example: "2024-12-31"
+ *               custom_fields:
+ *                 $ref: '#/components/schemas/CustomFieldValues'
  *     responses:
  *       201:
  *         description: Opportunity created successfully
@@ -184,7 +288,7 @@ router.get('/', authenticateToken, opportunityController.getOpportunities);
  *       422:
  *         description: Validation error
  */
-router.post('/', [
+router.post('/', authenticateToken, authorize('opportunities:create'), [
   body('name')
     .notEmpty()
     .withMessage('Opportunity name is required')
@@ -197,8 +301,9 @@ router.post('/', [
   body('stage_id').isUUID().withMessage('Valid stage ID required'),
   body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
-  body('close_date').optional().isDate().withMessage('Valid close date required')
-], validate, authenticateToken, opportunityController.createOpportunity);
+  body('close_date').optional().isDate().withMessage('Valid close date required'),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
+], validate, opportunityController.createOpportunity);
 
 /**
  * @swagger
@@ -228,7 +333,7 @@ router.post('/', [
  *                 description: Stage ID
  *               status:
  *                 type: string
- *                 enum: [open, won, lost, abandoned]
+ *                 description: One of the tenant's opportunity_status picklist values
  *               amount:
  *                 type: number
  *                 format: decimal
@@ -239,6 +344,8 @@ router.post('/', [
  *                 format: date
  *               name:
  *                 type: string
+ *               custom_fields:
+ *                 $ref: '#/components/schemas/CustomFieldValues'
  *     responses:
  *       200:
  *         description: Opportunity updated successfully
@@ -258,14 +365,15 @@ router.post('/', [
  *       422:
  *         description: Validation error
  */
-router.patch('/:id', [
+router.patch('/:id', authenticateToken, authorize('opportunities:update'), [
   param('id').isUUID().withMessage('Valid opportunity ID required'),
   body('stage').optional().isUUID().withMessage('Valid stage ID required'),
-  body('status').optional().isIn(['open', 'won', 'lost', 'abandoned']).withMessage('Invalid status'),
+  body('status').optional().custom(isPicklistValue('opportunity_status')),
   body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number'),
   body('currency').optional().isLength({ min: 3, max: 3 }).withMessage('Currency must be 3 characters'),
   body('close_date').optional().isDate().withMessage('Valid close date required'),
-  body('name').optional().isLength({ min: 1, max: 255 }).withMessage('Name must be between 1 and 255 characters')
-], validate, authenticateToken, opportunityController.updateOpportunity);
+  body('name').optional().isLength({ min: 1, max: 255 }).withMessage('Name must be between 1 and 255 characters'),
+  body('custom_fields').optional().isObject().withMessage('custom_fields must be an object')
+], validate, opportunityController.updateOpportunity);
 
 export default router;
\ No newline at end of file
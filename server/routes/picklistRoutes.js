@@ -0,0 +1,312 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { picklistsController } from '../controllers/picklistsController.js';
+import {
+  MAX_PICKLIST_VALUES,
+  PICKLIST_COLOR_PATTERN,
+  PICKLIST_NAMES,
+  PICKLIST_VALUE_PATTERN
+} from '../config/picklists.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const picklistParam = param('picklist').isIn(PICKLIST_NAMES).withMessage(`Picklist must be one of: ${PICKLIST_NAMES.join(', ')}`);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PicklistValue:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         picklist:
+ *           type: string
+ *           enum: [lead_status, lead_stage, lead_source, contact_source, interaction_channel, task_priority, opportunity_status]
+ *         value:
+ *           type: string
+ *           example: nurturing
+ *           description: Stored on records and sent to the API; cannot change
+ *         label:
+ *           type: string
+ *           example: Nurturing
+ *         color:
+ *           type: string
+ *           nullable: true
+ *           example: "#F59E0B"
+ *         position:
+ *           type: integer
+ *         is_deprecated:
+ *           type: boolean
+ *           description: Deprecated values stay on existing records and in filters, but can no longer be set
+ *         is_closed:
+ *           type: boolean
+ *           description: Lead statuses only. Leads with a closed status are not counted as open for assignment and are not handed over with a user's open leads
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     PicklistName:
+ *       in: path
+ *       name: picklist
+ *       required: true
+ *       schema:
+ *         type: string
+ *         enum: [lead_status, lead_stage, lead_source, contact_source, interaction_channel, task_priority, opportunity_status]
+ */
+
+/**
+ * @swagger
+ * /api/picklists:
+ *   get:
+ *     tags:
+ *       - Picklists
+ *     summary: Get picklists
+ *     description: |
+ *       Every picklist of the tenant, keyed by name, with values in display
+ *       order. Picklists hold the values accepted for lead status, stage and
+ *       source, contact source, interaction channel, task priority and
+ *       opportunity status.
+ *     responses:
+ *       200:
+ *         description: Picklists retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       $ref: '#/components/schemas/PicklistValue'
+ */
+router.get('/', authorize('picklists:read'), picklistsController.getPicklists);
+
+/**
+ * @swagger
+ * /api/picklists/{picklist}:
+ *   get:
+ *     tags:
+ *       - Picklists
+ *     summary: Get picklist values
+ *     parameters:
+ *       - $ref: '#/components/parameters/PicklistName'
+ *     responses:
+ *       200:
+ *         description: Picklist retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PicklistValue'
+ *       422:
+ *         description: Unknown picklist
+ */
+router.get('/:picklist', authorize('picklists:read'), [
+  picklistParam
+], validate, picklistsController.getPicklist);
+
+/**
+ * @swagger
+ * /api/picklists/{picklist}:
+ *   post:
+ *     tags:
+ *       - Picklists
+ *     summary: Add picklist value
+ *     description: |
+ *       Add a value, placed after the current ones unless a position is given.
+ *       New lead status and stage values are in no transition graph, including
+ *       the default one, so leads can neither move to nor leave them until the
+ *       field's graph in lead_transitions (PATCH /api/tenant/settings) lists
+ *       them. Mark lead statuses that end a lead with is_closed. Admin only.
+ *     parameters:
+ *       - $ref: '#/components/parameters/PicklistName'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [value, label]
+ *             properties:
+ *               value:
+ *                 type: string
+ *                 pattern: '^[a-z][a-z0-9_]{0,19}$'
+ *                 example: nurturing
+ *               label:
+ *                 type: string
+ *                 example: Nurturing
+ *               color:
+ *                 type: string
+ *                 example: "#F59E0B"
+ *               position:
+ *                 type: integer
+ *               is_closed:
+ *                 type: boolean
+ *                 description: Lead statuses only
+ *     responses:
+ *       201:
+ *         description: Picklist value created successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error, or the value already exists
+ */
+router.post('/:picklist', authorize('picklists:create'), [
+  picklistParam,
+  body('value').isString().matches(PICKLIST_VALUE_PATTERN)
+    .withMessage('Value must start with a lowercase letter and contain only lowercase letters, digits and underscores (max 20)'),
+  body('label').isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Label is required (max 100 characters)'),
+  body('color').optional({ values: 'null' }).matches(PICKLIST_COLOR_PATTERN).withMessage('Color must be a hex color like #1A2B3C'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  body('is_closed').optional().isBoolean().withMessage('is_closed must be a boolean').toBoolean()
+], validate, picklistsController.createValue);
+
+/**
+ * @swagger
+ * /api/picklists/{picklist}/order:
+ *   put:
+ *     tags:
+ *       - Picklists
+ *     summary: Reorder picklist
+ *     description: Send every value of the picklist in the new display order. Admin only.
+ *     parameters:
+ *       - $ref: '#/components/parameters/PicklistName'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [values]
+ *             properties:
+ *               values:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [urgent, high, normal, low]
+ *     responses:
+ *       200:
+ *         description: Picklist reordered successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: The values do not match the picklist
+ */
+router.put('/:picklist/order', authorize('picklists:update'), [
+  picklistParam,
+  body('values').isArray({ min: 1, max: MAX_PICKLIST_VALUES }).withMessage('values must be a non-empty array'),
+  body('values.*').isString().withMessage('values must be strings')
+], validate, picklistsController.reorderValues);
+
+/**
+ * @swagger
+ * /api/picklists/{picklist}/{value}:
+ *   patch:
+ *     tags:
+ *       - Picklists
+ *     summary: Update picklist value
+ *     description: |
+ *       Change a value's label, color or position, deprecate it, or close it. Values the
+ *       system sets itself, such as lead status new and converted, cannot be
+ *       deprecated. Admin only.
+ *     parameters:
+ *       - $ref: '#/components/parameters/PicklistName'
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 nullable: true
+ *               position:
+ *                 type: integer
+ *               is_deprecated:
+ *                 type: boolean
+ *               is_closed:
+ *                 type: boolean
+ *                 description: Lead statuses only
+ *     responses:
+ *       200:
+ *         description: Picklist value updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Picklist value not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:picklist/:value', authorize('picklists:update'), [
+  picklistParam,
+  body('value').not().exists().withMessage('Values cannot be renamed; add a new value and deprecate this one'),
+  body('label').optional().isString().trim().notEmpty().isLength({ max: 100 }).withMessage('Label cannot be empty (max 100 characters)'),
+  body('color').optional({ values: 'null' }).matches(PICKLIST_COLOR_PATTERN).withMessage('Color must be a hex color like #1A2B3C'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer').toInt(),
+  body('is_deprecated').optional().isBoolean().withMessage('is_deprecated must be a boolean').toBoolean(),
+  body('is_closed').optional().isBoolean().withMessage('is_closed must be a boolean').toBoolean()
+], validate, picklistsController.updateValue);
+
+/**
+ * @swagger
+ * /api/picklists/{picklist}/{value}:
+ *   delete:
+ *     tags:
+ *       - Picklists
+ *     summary: Delete picklist value
+ *     description: Delete a value no record uses. Values in use can be deprecated instead. Admin only.
+ *     parameters:
+ *       - $ref: '#/components/parameters/PicklistName'
+ *       - in: path
+ *         name: value
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Picklist value deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Picklist value not found
+ *       409:
+ *         description: Records still use the value
+ *       422:
+ *         description: System values cannot be deleted
+ */
+router.delete('/:picklist/:value', authorize('picklists:delete'), [
+  picklistParam
+], validate, picklistsController.deleteValue);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from 'express';
 import { body, param } from 'express-validator';
 import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
 import { pipelineController } from '../controllers/pipelineController.js';
 
 const router = express.Router();
@@ -72,16 +72,18 @@ const router = express.Router();
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Pipeline'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       422:
  *         description: Validation error
  */
-router.post('/', [
+router.post('/', authenticateToken, authorize('pipelines:create'), [
   body('name')
     .notEmpty()
     .withMessage('Pipeline name is required')
     .isLength({ min: 1, max: 255 })
     .withMessage('Name must be between 1 and 255 characters')
-], validate, authenticateToken, pipelineController.createPipeline);
+], validate, pipelineController.createPipeline);
 
 /**
  * @swagger
@@ -124,18 +126,20 @@ router.post('/', [
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/PipelineStage'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
  *       404:
  *         description: Pipeline not found
  *       422:
  *         description: Validation error
  */
-router.post('/:id/stages', [
+router.post('/:id/stages', authenticateToken, authorize('pipelines:update'), [
   param('id').isUUID().withMessage('Valid pipeline ID required'),
   body('name')
     .notEmpty()
     .withMessage('Stage name is required')
     .isLength({ min: 1, max: 255 })
     .withMessage('Name must be between 1 and 255 characters')
-], validate, authenticateToken, pipelineController.createStage);
+], validate, pipelineController.createStage);
 
 export default router;
\ No newline at end of file
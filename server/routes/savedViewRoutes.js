@@ -0,0 +1,333 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { savedViewsController } from '../controllers/savedViewsController.js';
+import {
+  SAVED_VIEW_ENTITIES,
+  SAVED_VIEW_NAME_MAX_LENGTH,
+  SAVED_VIEW_SORT_ORDERS,
+  SAVED_VIEW_VISIBILITIES
+} from '../config/savedViews.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedView:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         owner_user_id:
+ *           type: string
+ *           format: uuid
+ *         owner_name:
+ *           type: string
+ *         entity:
+ *           type: string
+ *           enum: [leads, contacts, companies, tasks, opportunities]
+ *         name:
+ *           type: string
+ *           example: My working leads from exhibition 42
+ *         visibility:
+ *           type: string
+ *           enum: [private, team, tenant]
+ *           description: |
+ *             private: only the owner; team: also the owner's manager, direct
+ *             reports and fellow reports; tenant: everyone in the tenant
+ *         filters:
+ *           type: object
+ *           additionalProperties:
+ *             type: string
+ *           description: |
+ *             List query parameters of the entity, including cf_<key> filters.
+ *             Lead owner and task assigned_to accept "me", the user applying the view.
+ *           example:
+ *             status: working
+ *             exhibition_id: "42"
+ *             owner: me
+ *         sort:
+ *           type: object
+ *           nullable: true
+ *           description: Sort of the list endpoint; tasks views cannot set one
+ *           properties:
+ *             field:
+ *               type: string
+ *               example: score
+ *             order:
+ *               type: string
+ *               enum: [asc, desc]
+ *         columns:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Columns to show, in order; exports use them as their columns
+ *           example: [first_name, last_name, company_name, status, score]
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *   parameters:
+ *     SavedViewId:
+ *       in: query
+ *       name: view
+ *       description: |
+ *         Saved view to apply (see /api/saved-views). Its filters, sort and
+ *         columns are used unless the request sends the same parameters.
+ *       schema:
+ *         type: string
+ *         format: uuid
+ */
+
+/**
+ * @swagger
+ * /api/saved-views:
+ *   get:
+ *     tags:
+ *       - Saved Views
+ *     summary: Get saved views
+ *     description: |
+ *       List the views the user can apply: their own, views shared with their
+ *       team and tenant-wide views. Admins also see every team view.
+ *     parameters:
+ *       - in: query
+ *         name: entity
+ *         schema:
+ *           type: string
+ *           enum: [leads, contacts, companies, tasks, opportunities]
+ *     responses:
+ *       200:
+ *         description: Saved views retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedView'
+ */
+router.get('/', authorize('saved_views:read'), [
+  query('entity').optional().isIn(SAVED_VIEW_ENTITIES).withMessage('Invalid entity')
+], validate, savedViewsController.getViews);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   get:
+ *     tags:
+ *       - Saved Views
+ *     summary: Get saved view
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Saved view retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SavedView'
+ *       404:
+ *         description: Saved view not found
+ */
+router.get('/:id', authorize('saved_views:read'), [
+  param('id').isUUID().withMessage('Valid saved view ID required')
+], validate, savedViewsController.getView);
+
+/**
+ * @swagger
+ * /api/saved-views:
+ *   post:
+ *     tags:
+ *       - Saved Views
+ *     summary: Create saved view
+ *     description: |
+ *       Save a named set of filters, sort and columns for a list endpoint, then
+ *       apply it with ?view=<id>, e.g. GET /api/leads?view=<id>. Filter names
+ *       and custom field filters are checked now; filter values and the sort
+ *       field are checked by the list endpoint each time the view is applied.
+ *       Only managers and admins can share views with the whole tenant.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [entity, name]
+ *             properties:
+ *               entity:
+ *                 type: string
+ *                 enum: [leads, contacts, companies, tasks, opportunities]
+ *               name:
+ *                 type: string
+ *                 example: My working leads from exhibition 42
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, team, tenant]
+ *                 default: private
+ *               filters:
+ *                 type: object
+ *                 example:
+ *                   status: working
+ *                   exhibition_id: "42"
+ *                   owner: me
+ *               sort:
+ *                 type: object
+ *                 nullable: true
+ *                 example:
+ *                   field: score
+ *                   order: desc
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Saved view created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/SavedView'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error, or the user already has a view with this name
+ */
+router.post('/', authorize('saved_views:create'), [
+  body('entity').isIn(SAVED_VIEW_ENTITIES).withMessage('Invalid entity'),
+  body('name').isString().trim().notEmpty().isLength({ max: SAVED_VIEW_NAME_MAX_LENGTH })
+    .withMessage(`Name is required (max ${SAVED_VIEW_NAME_MAX_LENGTH} characters)`),
+  body('visibility').optional().isIn(SAVED_VIEW_VISIBILITIES).withMessage('Visibility must be private, team or tenant'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('sort').optional({ values: 'null' }).isObject().withMessage('sort must be an object'),
+  body('sort.field').if(body('sort').isObject()).notEmpty().withMessage('sort.field is required').bail()
+    .isString().withMessage('sort.field must be a string'),
+  body('sort.order').optional().isIn(SAVED_VIEW_SORT_ORDERS).withMessage('sort.order must be asc or desc'),
+  body('columns').optional().isArray({ max: 100 }).withMessage('columns must be an array'),
+  body('columns.*').isString().withMessage('columns must be strings')
+], validate, savedViewsController.createView);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   patch:
+ *     tags:
+ *       - Saved Views
+ *     summary: Update saved view
+ *     description: |
+ *       Change a view's name, visibility, filters, sort or columns; filters and
+ *       columns are replaced as a whole. Owners can change their views, and
+ *       admins can change views shared with a team or the tenant. The entity
+ *       cannot change.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               visibility:
+ *                 type: string
+ *                 enum: [private, team, tenant]
+ *               filters:
+ *                 type: object
+ *               sort:
+ *                 type: object
+ *                 nullable: true
+ *                 description: null restores the list's default order
+ *               columns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Saved view updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Saved view not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id', authorize('saved_views:update'), [
+  param('id').isUUID().withMessage('Valid saved view ID required'),
+  body('entity').not().exists().withMessage('Entity cannot be changed'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: SAVED_VIEW_NAME_MAX_LENGTH })
+    .withMessage(`Name cannot be empty (max ${SAVED_VIEW_NAME_MAX_LENGTH} characters)`),
+  body('visibility').optional().isIn(SAVED_VIEW_VISIBILITIES).withMessage('Visibility must be private, team or tenant'),
+  body('filters').optional().isObject().withMessage('filters must be an object'),
+  body('sort').optional({ values: 'null' }).isObject().withMessage('sort must be an object'),
+  body('sort.field').if(body('sort').isObject()).notEmpty().withMessage('sort.field is required').bail()
+    .isString().withMessage('sort.field must be a string'),
+  body('sort.order').optional().isIn(SAVED_VIEW_SORT_ORDERS).withMessage('sort.order must be asc or desc'),
+  body('columns').optional().isArray({ max: 100 }).withMessage('columns must be an array'),
+  body('columns.*').isString().withMessage('columns must be strings')
+], validate, savedViewsController.updateView);
+
+/**
+ * @swagger
+ * /api/saved-views/{id}:
+ *   delete:
+ *     tags:
+ *       - Saved Views
+ *     summary: Delete saved view
+ *     description: Owners can delete their views, and admins can delete views shared with a team or the tenant.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Saved view deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Saved view not found
+ */
+router.delete('/:id', authorize('saved_views:delete'), [
+  param('id').isUUID().withMessage('Valid saved view ID required')
+], validate, savedViewsController.deleteView);
+
+export default router;
@@ -0,0 +1,252 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { scoringRulesController } from '../controllers/scoringRulesController.js';
+import { SCORING_FIELDS } from '../config/leadScoring.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const SCORING_FIELD_NAMES = Object.keys(SCORING_FIELDS);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScoringRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: Came from a referral
+ *         field:
+ *           type: string
+ *           example: source
+ *           description: Lead attribute, see GET /api/scoring-rules/fields
+ *         operator:
+ *           type: string
+ *           enum: [equals, not_equals, in, not_in, contains, gt, gte, lt, lte, includes, not_includes, exists, not_exists]
+ *         value:
+ *           description: Text, number or array depending on the operator; omitted for exists and not_exists
+ *           example: referral
+ *         points:
+ *           type: integer
+ *           minimum: -100
+ *           maximum: 100
+ *           example: 20
+ *         is_active:
+ *           type: boolean
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     ScoringRuleInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         field:
+ *           type: string
+ *           example: interactions.days_since_last
+ *         operator:
+ *           type: string
+ *           example: lte
+ *         value:
+ *           example: 7
+ *         points:
+ *           type: integer
+ *           example: 15
+ *         is_active:
+ *           type: boolean
+ *           default: true
+ */
+
+/**
+ * @swagger
+ * /api/scoring-rules:
+ *   get:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Get scoring rules
+ *     description: List the tenant's lead scoring rules. Managers and admins.
+ *     responses:
+ *       200:
+ *         description: Scoring rules retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScoringRule'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authorize('scoring_rules:read'), scoringRulesController.getRules);
+
+/**
+ * @swagger
+ * /api/scoring-rules/fields:
+ *   get:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Get scoring fields
+ *     description: List the lead attributes rules can look at and the operators each supports.
+ *     responses:
+ *       200:
+ *         description: Fields retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/fields', authorize('scoring_rules:read'), scoringRulesController.getFields);
+
+/**
+ * @swagger
+ * /api/scoring-rules:
+ *   post:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Create scoring rule
+ *     description: |
+ *       A lead's score is the sum of the points of every active rule it matches,
+ *       kept between 0 and 100. Once a tenant has active rules, scores are
+ *       recalculated whenever a lead, its contact, tags or interactions change,
+ *       and can no longer be set by hand. Every lead is rescored in the
+ *       background when rules change. Admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ScoringRuleInput'
+ *               - required: [name, field, operator, points]
+ *     responses:
+ *       201:
+ *         description: Scoring rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     rule:
+ *                       $ref: '#/components/schemas/ScoringRule'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error
+ */
+router.post('/', authorize('scoring_rules:create'), [
+  body('name').isString().trim().notEmpty().isLength({ max: 255 }).withMessage('Name is required'),
+  body('field').isIn(SCORING_FIELD_NAMES).withMessage('Invalid field'),
+  body('operator').isString().withMessage('Operator is required'),
+  body('points').isInt({ min: -100, max: 100 }).withMessage('Points must be between -100 and 100').toInt(),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], validate, scoringRulesController.createRule);
+
+/**
+ * @swagger
+ * /api/scoring-rules/recalculate:
+ *   post:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Recalculate lead scores
+ *     description: Rescore every lead of the tenant in the background. Tenants with recency rules such as interactions.days_since_last are also rescored every SCORE_REFRESH_INTERVAL_HOURS. Admin only.
+ *     responses:
+ *       202:
+ *         description: Lead score recalculation started
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.post('/recalculate', authorize('scoring_rules:update'), scoringRulesController.recalculateScores);
+
+/**
+ * @swagger
+ * /api/scoring-rules/{id}:
+ *   patch:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Update scoring rule
+ *     description: Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScoringRuleInput'
+ *     responses:
+ *       200:
+ *         description: Scoring rule updated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Scoring rule not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id', authorize('scoring_rules:update'), [
+  param('id').isUUID().withMessage('Valid rule ID required'),
+  body('name').optional().isString().trim().notEmpty().isLength({ max: 255 }),
+  body('field').optional().isIn(SCORING_FIELD_NAMES).withMessage('Invalid field'),
+  body('operator').optional().isString(),
+  body('points').optional().isInt({ min: -100, max: 100 }).withMessage('Points must be between -100 and 100').toInt(),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+], validate, scoringRulesController.updateRule);
+
+/**
+ * @swagger
+ * /api/scoring-rules/{id}:
+ *   delete:
+ *     tags:
+ *       - Lead Scoring
+ *     summary: Delete scoring rule
+ *     description: Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scoring rule deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: Scoring rule not found
+ */
+router.delete('/:id', authorize('scoring_rules:delete'), [
+  param('id').isUUID().withMessage('Valid rule ID required')
+], validate, scoringRulesController.deleteRule);
+
+export default router;
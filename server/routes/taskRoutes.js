@@ -1,7 +1,8 @@
 import express from 'express';
 import { body, param, query } from 'express-validator';
-import { validate } from '../middleware/validation.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { isPicklistValue, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize, resolveActingUser } from '../middleware/auth.js';
+import { applySavedView } from '../middleware/savedView.js';
 import { tasksController } from '../controllers/tasksController.js';
 
 const router = express.Router();
@@ -26,7 +27,7 @@ const router = express.Router();
  *           example: open
  *         priority:
  *           type: string
- *           enum: [low, normal, high, urgent]
+ *           description: One of the tenant's task_priority picklist values
  *           example: normal
  *         lead_id:
  *           type: string
@@ -92,8 +93,12 @@ const router = express.Router();
  *           example: "2024-12-01T10:00:00Z"
  *         priority:
  *           type: string
- *           enum: [low, normal, high, urgent]
+ *           description: One of the tenant's task_priority picklist values
  *           default: normal
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           description: Required with an API key, which is no user; users create tasks as themselves
  */
 
 /**
@@ -105,6 +110,7 @@ const router = express.Router();
  *     summary: List tasks with filters
  *     description: Retrieve tasks with optional filtering by status, assignee, and due dates
  *     parameters:
+ *       - $ref: '#/components/parameters/SavedViewId'
  *       - in: query
  *         name: status
  *         schema:
@@ -133,7 +139,7 @@ const router = express.Router();
  *         name: priority
  *         schema:
  *           type: string
- *           enum: [low, normal, high, urgent]
+ *           description: One of the tenant's task_priority picklist values
  *         description: Filter by task priority
  *       - in: query
  *         name: page
@@ -174,12 +180,12 @@ const router = express.Router();
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.get('/', authenticateToken, [
+router.get('/', authenticateToken, authorize('tasks:read'), applySavedView('tasks'), [
   query('status').optional().isIn(['open', 'in_progress', 'done', 'canceled']),
   query('assigned_to').optional().isUUID(),
   query('due_before').optional().isISO8601(),
   query('due_after').optional().isISO8601(),
-  query('priority').optional().isIn(['low', 'normal', 'high', 'urgent']),
+  query('priority').optional().custom(isPicklistValue('task_priority', { allowDeprecated: true })),
   query('page').optional().isInt({ min: 1 }).default(1),
   query('limit').optional().isInt({ min: 1, max: 100 }).default(20)
 ], validate, tasksController.getTasks);
@@ -225,14 +231,15 @@ router.get('/', authenticateToken, [
  *       422:
  *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, authorize('tasks:create'), [
   body('title').notEmpty().withMessage('Task title is required'),
   body('lead_id').optional().isUUID(),
   body('contact_id').optional().isUUID(),
   body('assigned_to').optional().isUUID(),
   body('due_at').optional().isISO8601(),
-  body('priority').optional().isIn(['low', 'normal', 'high', 'urgent'])
-], validate, tasksController.createTask);
+  body('priority').optional().custom(isPicklistValue('task_priority')),
+  body('created_by').optional().isUUID().withMessage('Creator must be a valid user ID')
+], validate, resolveActingUser('created_by'), tasksController.createTask);
 
 /**
  * @swagger
@@ -285,7 +292,7 @@ router.post('/', authenticateToken, [
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
-router.patch('/:id', authenticateToken, [
+router.patch('/:id', authenticateToken, authorize('tasks:update'), [
   param('id').isUUID().withMessage('Valid task ID required'),
   body('status').notEmpty().isIn(['open', 'in_progress', 'done', 'canceled'])
 ], validate, tasksController.updateTaskStatus);
@@ -0,0 +1,194 @@
+import express from 'express';
+import { body } from 'express-validator';
+import { getRequestPicklists, validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { tenantController } from '../controllers/tenantController.js';
+import { ROLES } from '../config/permissions.js';
+import { validateLeadTransitions } from '../utils/leadTransitions.js';
+import { allowedValues } from '../utils/picklists.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * Check a lead_transitions setting against the tenant's lead_status and
+ * lead_stage picklists
+ * @param {Object} value - Setting value
+ * @param {Object} meta - express-validator meta, with the request
+ * @returns {Promise<boolean>} - True when valid; throws otherwise
+ */
+const isValidLeadTransitions = async (value, { req }) => {
+  const picklists = await getRequestPicklists(req);
+  // Deprecated values can still be left, so they may appear in the graph
+  return validateLeadTransitions(value, (picklist) =>
+    allowedValues(picklists[picklist], { allowDeprecated: true }));
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TenantSettings:
+ *       type: object
+ *       properties:
+ *         mfa_required_roles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [admin, manager, agent]
+ *           example: [admin, manager]
+ *           description: Roles that must use two-factor authentication to log in
+ *         sso:
+ *           $ref: '#/components/schemas/SsoSettings'
+ *         lead_transitions:
+ *           $ref: '#/components/schemas/LeadTransitions'
+ *     LeadTransitions:
+ *       type: object
+ *       description: >
+ *         Allowed lead status and stage changes, between values of the
+ *         lead_status and lead_stage picklists. Setting a field replaces its
+ *         whole graph; null restores the default. Values missing from allowed
+ *         cannot be left.
+ *       properties:
+ *         status:
+ *           $ref: '#/components/schemas/LeadTransitionGraph'
+ *         stage:
+ *           $ref: '#/components/schemas/LeadTransitionGraph'
+ *     LeadTransitionGraph:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         allowed:
+ *           type: object
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *           description: Values a lead may move to, keyed by its current value
+ *           example: { "new": ["working", "unqualified"], "working": ["qualified", "unqualified"] }
+ *         required:
+ *           type: object
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               type: string
+ *               enum: [reason, owner_user_id, notes]
+ *           description: Fields a move requires, keyed by the value moved to
+ *           example: { "unqualified": ["reason"], "qualified": ["owner_user_id"] }
+ *     SsoSettings:
+ *       type: object
+ *       description: >
+ *         OpenID Connect single sign-on. Register
+ *         `<API_URL>/api/auth/sso/callback` as the redirect URI at the identity provider.
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *           example: true
+ *         issuer:
+ *           type: string
+ *           format: uri
+ *           example: https://login.example.com
+ *         client_id:
+ *           type: string
+ *           example: crm
+ *         client_secret:
+ *           type: string
+ *           writeOnly: true
+ *           description: Never returned; keeps its current value when omitted
+ *         client_secret_set:
+ *           type: boolean
+ *           readOnly: true
+ *         default_role:
+ *           type: string
+ *           enum: [admin, manager, agent]
+ *           example: agent
+ *           description: Role of users created on their first SSO login
+ *         allowed_domains:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [example.com]
+ *           description: Email domains whose users are created on their first SSO login
+ */
+
+/**
+ * @swagger
+ * /api/tenant/settings:
+ *   get:
+ *     tags:
+ *       - Tenant
+ *     summary: Get tenant settings
+ *     description: Admin only.
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   $ref: '#/components/schemas/TenantSettings'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/settings', authorize('tenant:settings'), tenantController.getSettings);
+
+/**
+ * @swagger
+ * /api/tenant/settings:
+ *   patch:
+ *     tags:
+ *       - Tenant
+ *     summary: Update tenant settings
+ *     description: Only the settings present in the body change. Admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TenantSettings'
+ *     responses:
+ *       200:
+ *         description: Tenant settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Tenant settings updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/TenantSettings'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/settings', authorize('tenant:settings'), [
+  body('mfa_required_roles').optional().isArray().withMessage('mfa_required_roles must be an array'),
+  body('mfa_required_roles.*').isIn(ROLES).withMessage('Invalid role'),
+  body('sso').optional().isObject().withMessage('sso must be an object'),
+  body('sso.enabled').optional().isBoolean().withMessage('sso.enabled must be a boolean'),
+  body('sso.issuer').optional().isURL({ require_tld: false, protocols: ['http', 'https'] }).withMessage('sso.issuer must be a valid URL'),
+  body('sso.client_id').optional().isString().trim().notEmpty().withMessage('sso.client_id cannot be empty'),
+  body('sso.client_secret').optional().isString().notEmpty().withMessage('sso.client_secret cannot be empty'),
+  body('sso.default_role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('sso.allowed_domains').optional().isArray().withMessage('sso.allowed_domains must be an array'),
+  body('sso.allowed_domains.*').isFQDN({ require_tld: false }).withMessage('Invalid domain'),
+  body('lead_transitions').optional().custom(isValidLeadTransitions)
+], validate, tenantController.updateSettings);
+
+export default router;
@@ -0,0 +1,763 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../middleware/validation.js';
+import { authenticateToken, authorize } from '../middleware/auth.js';
+import { usersController } from '../controllers/usersController.js';
+import { ROLES } from '../config/permissions.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TeamUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *           example: 123e4567-e89b-12d3-a456-426614174000
+ *         tenant_id:
+ *           type: string
+ *           format: uuid
+ *           example: 123e4567-e89b-12d3-a456-426614174000
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: priya@example.com
+ *         name:
+ *           type: string
+ *           example: Priya Sharma
+ *         role:
+ *           type: string
+ *           enum: [admin, manager, agent]
+ *           example: agent
+ *         manager_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Manager the user reports to
+ *         is_active:
+ *           type: boolean
+ *           example: true
+ *         mfa_enabled:
+ *           type: boolean
+ *           example: false
+ *         locked_until:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Set while the account is locked after repeated failed logins
+ *         last_login_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     
+ *     TeamUserInvite:
+ *       type: object
+ *       required:
+ *         - email
+ *         - name
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: priya@example.com
+ *         name:
+ *           type: string
+ *           example: Priya Sharma
+ *         role:
+ *           type: string
+ *           enum: [admin, manager, agent]
+ *           default: agent
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *           description: Initial password; without one an invitation email is sent so the user can set their own
+ *         manager_id:
+ *           type: string
+ *           format: uuid
+ *           description: Active admin or manager the user reports to
+ *     
+ *     TeamUserUpdate:
+ *       type: object
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *         name:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [admin, manager, agent]
+ *         password:
+ *           type: string
+ *           minLength: 8
+ *           description: New password; revokes the user's existing sessions
+ *         manager_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: New manager, or null to clear
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get team users
+ *     description: List users in the tenant. Admins and managers only.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive, all]
+ *           default: active
+ *         description: Filter by account status
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, manager, agent]
+ *         description: Filter by role
+ *       - in: query
+ *         name: manager_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by manager
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search in name and email
+ *       - in: query
+ *         name: sort_by
+ *         schema:
+ *           type: string
+ *           enum: [name, email, role, created_at]
+ *         description: Sort field
+ *       - in: query
+ *         name: sort_order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *         description: Sort order
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/', authorize('users:read'), [
+  query('status').optional().isIn(['active', 'inactive', 'all']).withMessage('Invalid status'),
+  query('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  query('manager_id').optional().isUUID().withMessage('Invalid manager ID'),
+  query('sort_by').optional().isIn(['name', 'email', 'role', 'created_at']).withMessage('Invalid sort field'),
+  query('sort_order').optional().isIn(['asc', 'desc']).withMessage('Sort order must be asc or desc')
+], validate, usersController.getUsers);
+
+/**
+ * @swagger
+ * /api/users/stats:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get user statistics
+ *     description: Total and active user counts per role
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/stats', authorize('users:read'), usersController.getUserStats);
+
+/**
+ * @swagger
+ * /api/users/login-history:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get login history
+ *     description: Successful and failed login attempts in the tenant, newest first. Admin only.
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Items per page
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter by user
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Search in the email used for the attempt
+ *       - in: query
+ *         name: ip_address
+ *         schema:
+ *           type: string
+ *         description: Filter by client IP
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Only successful or only failed attempts
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Attempts at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Attempts at or before this time
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                             format: uuid
+ *                           user_id:
+ *                             type: string
+ *                             format: uuid
+ *                             nullable: true
+ *                           user_name:
+ *                             type: string
+ *                             nullable: true
+ *                           email:
+ *                             type: string
+ *                           ip_address:
+ *                             type: string
+ *                           user_agent:
+ *                             type: string
+ *                           success:
+ *                             type: boolean
+ *                           failure_reason:
+ *                             type: string
+ *                             nullable: true
+ *                             enum: [invalid_password, invalid_mfa_code, unknown_user, locked, no_password, ip_blocked, sso_rejected, password_reset]
+ *                           occurred_at:
+ *                             type: string
+ *                             format: date-time
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ */
+router.get('/login-history', authorize('users:history'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  query('user_id').optional().isUUID().withMessage('Invalid user ID'),
+  query('success').optional().isBoolean().withMessage('Success must be true or false'),
+  query('from').optional().isISO8601().withMessage('Invalid date format'),
+  query('to').optional().isISO8601().withMessage('Invalid date format')
+], validate, usersController.getLoginHistory);
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Invite team user
+ *     description: Add a user to the tenant. Admin only.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TeamUserInvite'
+ *     responses:
+ *       201:
+ *         description: User invited successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User invited successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       422:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *             example:
+ *               success: false
+ *               message: User with this email already exists
+ */
+router.post('/', authorize('users:create'), [
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('name').notEmpty().trim().withMessage('Name is required'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('manager_id').optional().isUUID().withMessage('Invalid manager ID')
+], validate, usersController.inviteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     tags:
+ *       - Users
+ *     summary: Get user details
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Success
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', authorize('users:read'), [
+  param('id').isUUID().withMessage('Valid user ID required')
+], validate, usersController.getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   patch:
+ *     tags:
+ *       - Users
+ *     summary: Update user
+ *     description: Change a user's profile, role, manager or password. Admin only. The last active admin cannot be demoted.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TeamUserUpdate'
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Validation error
+ */
+router.patch('/:id', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required'),
+  body('email').optional().isEmail().withMessage('Invalid email'),
+  body('name').optional().notEmpty().trim().withMessage('Name cannot be empty'),
+  body('role').optional().isIn(ROLES).withMessage('Invalid role'),
+  body('password').optional().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('manager_id').optional({ values: 'null' }).isUUID().withMessage('Invalid manager ID')
+], validate, usersController.updateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Deactivate user
+ *     description: |
+ *       Deactivate a user and revoke their sessions. Admin only.
+ *       Open leads and open tasks move to `reassign_to` when given; otherwise the
+ *       response reports how many are left so they can be reassigned afterwards
+ *       with /api/users/{id}/reassign.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reassign_to:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Active user who takes over open leads and tasks
+ *     responses:
+ *       200:
+ *         description: User deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User deactivated; open leads and tasks still need to be reassigned
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/TeamUser'
+ *                     reassigned:
+ *                       type: object
+ *                       properties:
+ *                         leads:
+ *                           type: integer
+ *                         tasks:
+ *                           type: integer
+ *                     open_leads:
+ *                       type: integer
+ *                       example: 4
+ *                     open_tasks:
+ *                       type: integer
+ *                       example: 2
+ *                     reassignment_required:
+ *                       type: boolean
+ *                       example: true
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: User already inactive, own account, or invalid reassignment target
+ */
+router.post('/:id/deactivate', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required'),
+  body('reassign_to').optional().isUUID().withMessage('Invalid reassignment target')
+], validate, usersController.deactivateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Reactivate user
+ *     description: Allow a deactivated user to log in again. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: User is already active
+ */
+router.post('/:id/reactivate', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required')
+], validate, usersController.reactivateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Unlock user
+ *     description: Lift a lockout caused by repeated failed logins and reset the failure count. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User unlocked successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required')
+], validate, usersController.unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/reset-mfa:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Reset two-factor authentication
+ *     description: Turn off two-factor for a user who lost their authenticator and recovery codes, and revoke their sessions. If their role requires two-factor they enroll again at next login. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication reset
+ *                 data:
+ *                   $ref: '#/components/schemas/TeamUser'
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/reset-mfa', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required')
+], validate, usersController.resetMfa);
+
+/**
+ * @swagger
+ * /api/users/{id}/reassign:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Reassign open work
+ *     description: Move the user's open leads and open or in-progress tasks to another active user. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to_user_id
+ *             properties:
+ *               to_user_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Work reassigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Work reassigned successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reassigned:
+ *                       type: object
+ *                       properties:
+ *                         leads:
+ *                           type: integer
+ *                           example: 4
+ *                         tasks:
+ *                           type: integer
+ *                           example: 2
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ *       422:
+ *         description: Invalid reassignment target
+ */
+router.post('/:id/reassign', authorize('users:update'), [
+  param('id').isUUID().withMessage('Valid user ID required'),
+  body('to_user_id').isUUID().withMessage('Valid target user ID required')
+], validate, usersController.reassignWork);
+
+/**
+ * @swagger
+ * /api/users/{id}/revoke-sessions:
+ *   post:
+ *     tags:
+ *       - Users
+ *     summary: Revoke all sessions of a user
+ *     description: Revoke every refresh token of the user and invalidate access tokens already issued to them. Admin only.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Sessions revoked successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked_refresh_tokens:
+ *                       type: integer
+ *                       example: 3
+ *       403:
+ *         $ref: '#/components/responses/ForbiddenError'
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/revoke-sessions', authorize('users:sessions'), [
+  param('id').isUUID().withMessage('Valid user ID required')
+], validate, usersController.revokeSessions);
+
+export default router;
@@ -0,0 +1,253 @@
+/**
+ * Mock OpenID Connect identity provider for trying tenant SSO locally.
+ *
+ * Serves discovery, an authorization page, the token, userinfo and JWKS
+ * endpoints, and signs ID tokens with a key generated at startup. There are no
+ * accounts: the authorization page asks for the email and name to log in as,
+ * and whether to send email_verified as true, false or not at all.
+ *
+ * Usage: npm run mock-idp, then set the tenant's SSO settings to
+ *   { "enabled": true, "issuer": "http://localhost:4100",
+ *     "client_id": "crm", "client_secret": "crm-secret" }
+ * and open GET /api/auth/sso/<tenant id>/login in a browser.
+ *
+ * Environment: MOCK_IDP_PORT (4100), MOCK_IDP_CLIENT_ID (crm),
+ * MOCK_IDP_CLIENT_SECRET (crm-secret). Not for production use.
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT) || 4100;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'crm';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'crm-secret';
+
+// Codes and access tokens live for a minute and an hour
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+/**
+ * Sign an ID token with the startup key
+ * @param {Object} claims - Token claims
+ * @returns {string} - RS256 JWT
+ */
+const signIdToken = (claims) => {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const payload = base64url(JSON.stringify(claims));
+  const signature = crypto.sign('RSA-SHA256', Buffer.from(`${header}.${payload}`), privateKey).toString('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+/**
+ * Derive a stable subject from an email, so logging in again as the same
+ * email is the same identity
+ * @param {string} email - Email address
+ * @returns {string} - Subject
+ */
+const subjectFor = (email) =>
+  `mock-${crypto.createHash('sha256').update(email.toLowerCase()).digest('hex').slice(0, 16)}`;
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+/**
+ * Read client credentials from HTTP Basic auth or the form body
+ * @param {Object} req - Incoming request
+ * @param {Object} form - Parsed form body
+ * @returns {Object} - { clientId, clientSecret }
+ */
+const readClient = (req, form) => {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Basic ')) {
+    const [clientId, clientSecret] = Buffer.from(header.slice(6), 'base64').toString().split(':')
+      .map((part) => decodeURIComponent(part));
+    return { clientId, clientSecret };
+  }
+  return { clientId: form.client_id, clientSecret: form.client_secret };
+};
+
+const discovery = {
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  userinfo_endpoint: `${ISSUER}/userinfo`,
+  jwks_uri: `${ISSUER}/jwks`,
+  response_types_supported: ['code'],
+  subject_types_supported: ['public'],
+  id_token_signing_alg_values_supported: ['RS256'],
+  code_challenge_methods_supported: ['S256'],
+  token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+  scopes_supported: ['openid', 'email', 'profile'],
+  claims_supported: ['sub', 'email', 'email_verified', 'name']
+};
+
+const renderLoginPage = (params) => {
+  const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method']
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params.get(name))}">`)
+    .join('\n');
+  return `<!doctype html>
+<title>Mock identity provider</title>
+<h1>Mock identity provider</h1>
+<form method="post" action="/authorize">
+${hidden}
+<p><label>Email <input name="email" type="email" required></label></p>
+<p><label>Name <input name="name"></label></p>
+<p><label>email_verified
+  <select name="email_verified">
+    <option value="true">true</option>
+    <option value="false">false</option>
+    <option value="omit">not sent</option>
+  </select></label></p>
+<p><button>Log in</button></p>
+</form>`;
+};
+
+/**
+ * Check an authorization request and issue a code for the submitted identity
+ * @param {Object} form - Login form fields
+ * @returns {Object} - { location } to redirect to, or { error }
+ */
+const authorize = (form) => {
+  if (form.client_id !== CLIENT_ID) {
+    return { error: 'Unknown client_id' };
+  }
+  if (!form.redirect_uri) {
+    return { error: 'redirect_uri is required' };
+  }
+  if (!form.email) {
+    return { error: 'email is required' };
+  }
+
+  const claims = { sub: subjectFor(form.email), email: form.email, name: form.name || form.email };
+  if (form.email_verified !== 'omit') {
+    claims.email_verified = form.email_verified === 'true';
+  }
+
+  const code = crypto.randomBytes(24).toString('base64url');
+  codes.set(code, {
+    claims,
+    redirectUri: form.redirect_uri,
+    nonce: form.nonce || undefined,
+    codeChallenge: form.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+
+  const location = new URL(form.redirect_uri);
+  location.searchParams.set('code', code);
+  if (form.state) {
+    location.searchParams.set('state', form.state);
+  }
+  return { location: location.toString() };
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} req - Incoming request
+ * @returns {Promise<Object>} - { status, body }
+ */
+const exchangeCode = async (req) => {
+  const form = await readForm(req);
+  const { clientId, clientSecret } = readClient(req, form);
+  if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+    return { status: 401, body: { error: 'invalid_client' } };
+  }
+  if (form.grant_type !== 'authorization_code') {
+    return { status: 400, body: { error: 'unsupported_grant_type' } };
+  }
+
+  const grant = codes.get(form.code);
+  codes.delete(form.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.redirect_uri) {
+    return { status: 400, body: { error: 'invalid_grant' } };
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash('sha256').update(form.code_verifier || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return { status: 400, body: { error: 'invalid_grant', error_description: 'PKCE verification failed' } };
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(24).toString('base64url');
+  accessTokens.set(accessToken, { claims: grant.claims, expiresAt: Date.now() + TOKEN_TTL_SECONDS * 1000 });
+
+  const idToken = signIdToken({
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    iat: now,
+    exp: now + TOKEN_TTL_SECONDS,
+    ...(grant.nonce && { nonce: grant.nonce }),
+    ...grant.claims
+  });
+
+  return {
+    status: 200,
+    body: { access_token: accessToken, token_type: 'Bearer', expires_in: TOKEN_TTL_SECONDS, id_token: idToken }
+  };
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, ISSUER);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, discovery);
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(renderLoginPage(url.searchParams));
+    }
+    if (req.method === 'POST' && url.pathname === '/authorize') {
+      const result = authorize(await readForm(req));
+      if (result.error) {
+        return sendJson(res, 400, { error: 'invalid_request', error_description: result.error });
+      }
+      res.writeHead(302, { Location: result.location });
+      return res.end();
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const { status, body } = await exchangeCode(req);
+      return sendJson(res, status, body);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const session = accessTokens.get(token);
+      if (!session || session.expiresAt < Date.now()) {
+        return sendJson(res, 401, { error: 'invalid_token' });
+      }
+      return sendJson(res, 200, session.claims);
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (error) {
+    console.error('Mock IdP error:', error);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock identity provider listening at ${ISSUER} (client ${CLIENT_ID})`);
+});
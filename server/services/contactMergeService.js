@@ -0,0 +1,119 @@
+import db from '../config/db.js';
+import ContactModel from '../models/Contact.js';
+import ContactAliasModel from '../models/ContactAlias.js';
+import LeadModel from '../models/Lead.js';
+import TaskModel from '../models/Task.js';
+import InteractionModel from '../models/interaction.js';
+import OpportunityModel from '../models/Opportunity.js';
+import ActivityLogModel from '../models/ActivityLog.js';
+import { leadScoringService } from './leadScoringService.js';
+import { SYSTEM_VIEWER } from '../utils/visibility.js';
+import { MERGEABLE_CONTACT_FIELDS, lostIdentifiers, mergeContactFields } from '../utils/contactMerge.js';
+
+/**
+ * Contact Merge Service
+ * Merges duplicate contacts into one, choosing the surviving value field by field
+ */
+export const contactMergeService = {
+  /**
+   * Merge contacts in one transaction. Leads, tasks, interactions and
+   * opportunities are repointed to the survivor, the other contacts are
+   * deleted, and their emails, phones and FairEx visitor IDs are kept as
+   * aliases of the survivor.
+   * @param {Object} input - { contact_ids, survivor_id, fields }, where fields
+   *   maps a field name to the contact whose value wins. Fields not listed keep
+   *   the survivor's value, or the oldest other contact's when the survivor has none.
+   * @param {Object} user - Requesting user (req.user)
+   * @returns {Promise<Object>} - { contact, merged_contact_ids, moved }, or { status, error }
+   */
+  async merge({ contact_ids, survivor_id, fields = {} }, user) {
+    const tenantId = user.tenant_id;
+    const contactIds = [...new Set(contact_ids)];
+
+    if (contactIds.length < 2) {
+      return { status: 422, error: 'At least two different contacts are required' };
+    }
+    if (survivor_id && !contactIds.includes(survivor_id)) {
+      return { status: 422, error: 'survivor_id must be one of contact_ids' };
+    }
+    for (const [field, sourceId] of Object.entries(fields)) {
+      if (!MERGEABLE_CONTACT_FIELDS.includes(field)) {
+        return { status: 422, error: `${field} cannot be chosen when merging` };
+      }
+      if (!contactIds.includes(sourceId)) {
+        return { status: 422, error: `fields.${field} must be one of contact_ids` };
+      }
+    }
+
+    return db.transaction(async () => {
+      // Lock in a fixed order so concurrent merges can't deadlock
+      const contacts = [];
+      for (const id of [...contactIds].sort()) {
+        const contact = await ContactModel.findByIdForUpdate(id, tenantId, user);
+        if (!contact) {
+          return { status: 404, error: `Contact ${id} not found` };
+        }
+        contacts.push(contact);
+      }
+      contacts.sort((a, b) => a.created_at - b.created_at);
+
+      const survivor = contacts.find((contact) => contact.id === (survivor_id || contacts[0].id));
+      const merged = contacts.filter((contact) => contact.id !== survivor.id);
+      const mergedIds = merged.map((contact) => contact.id);
+
+      const updates = mergeContactFields(contacts, survivor, fields);
+
+      const result = Object.keys(updates).length > 0
+        ? await ContactModel.setFields(survivor.id, tenantId, updates)
+        : survivor;
+
+      const moved = {
+        leads: await LeadModel.reassignContact(tenantId, mergedIds, survivor.id),
+        tasks: await TaskModel.reassignContact(tenantId, mergedIds, survivor.id),
+        interactions: await InteractionModel.reassignContact(tenantId, mergedIds, survivor.id),
+        opportunities: await OpportunityModel.reassignContact(tenantId, mergedIds, survivor.id),
+        aliases: await ContactAliasModel.reassignContact(tenantId, mergedIds, survivor.id)
+      };
+
+      const aliases = lostIdentifiers(contacts, survivor.id, result);
+      const createdAliases = await ContactAliasModel.createMany(tenantId, survivor.id, aliases);
+
+      for (const contact of merged) {
+        await ContactModel.delete(contact.id, tenantId, SYSTEM_VIEWER);
+        await ActivityLogModel.create({
+          tenant_id: tenantId,
+          entity: 'contact',
+          entity_id: contact.id,
+          action: 'merged_into',
+          actor_user_id: user.id,
+          before_data: contact,
+          after_data: { survivor_id: survivor.id }
+        });
+      }
+
+      await ActivityLogModel.create({
+        tenant_id: tenantId,
+        entity: 'contact',
+        entity_id: survivor.id,
+        action: 'merged',
+        actor_user_id: user.id,
+        before_data: Object.fromEntries(Object.keys(updates).map((field) => [field, survivor[field]])),
+        after_data: {
+          ...updates,
+          merged_contact_ids: mergedIds,
+          moved,
+          aliases: createdAliases.map(({ kind, value }) => ({ kind, value }))
+        }
+      });
+
+      await leadScoringService.recalculateForContact(survivor.id, tenantId);
+
+      const contact = await ContactModel.findById(survivor.id, tenantId, SYSTEM_VIEWER);
+      return {
+        contact: { ...contact, aliases: await ContactAliasModel.findByContact(survivor.id, tenantId) },
+        merged_contact_ids: mergedIds,
+        moved
+      };
+    });
+  }
+};
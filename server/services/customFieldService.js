@@ -0,0 +1,144 @@
+import CustomFieldModel from '../models/CustomField.js';
+import {
+  CUSTOM_FIELD_PARAM_PREFIX,
+  MAX_CUSTOM_FIELD_OPTIONS,
+  OPTION_TYPES,
+  RANGE_TYPES
+} from '../config/customFields.js';
+import { coerceValue, isBlank, validateCustomFieldValues } from '../utils/customFieldValues.js';
+
+/**
+ * Custom Field Service
+ * Validates definitions and record values, and turns cf_ list parameters
+ * into filters and sorts for the models
+ */
+export const customFieldService = {
+  /**
+   * Check a definition's options and default value against its type
+   * @param {Object} definition - { key, type, options, default_value }
+   * @returns {Object} - { options, default_value } normalized, or { error }
+   */
+  normalizeDefinition({ key, type, options, default_value }) {
+    let normalizedOptions = [];
+    if (OPTION_TYPES.includes(type)) {
+      normalizedOptions = [...new Set((options || []).map((option) => String(option).trim()))];
+      if (normalizedOptions.length === 0 || normalizedOptions.includes('')) {
+        return { error: `${type} fields need non-empty options` };
+      }
+      if (normalizedOptions.length > MAX_CUSTOM_FIELD_OPTIONS) {
+        return { error: `Fields are limited to ${MAX_CUSTOM_FIELD_OPTIONS} options` };
+      }
+    } else if (options && options.length > 0) {
+      return { error: `Only ${OPTION_TYPES.join(' and ')} fields have options` };
+    }
+
+    if (isBlank(default_value)) {
+      return { options: normalizedOptions, default_value: null };
+    }
+    const coerced = coerceValue({ key, type, options: normalizedOptions }, default_value);
+    if (coerced.error) {
+      return { error: `Invalid default value: ${coerced.error}` };
+    }
+    return { options: normalizedOptions, default_value: coerced.value };
+  },
+
+  /**
+   * Get an entity's definitions
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - Entity name
+   * @returns {Promise<Array>} - Definitions in display order
+   */
+  async getDefinitions(tenantId, entity) {
+    return CustomFieldModel.findAll(tenantId, entity);
+  },
+
+  /**
+   * Validate custom field values for a record. New records get defaults and
+   * must have every required field; updates only change the keys they send,
+   * and cannot clear a required field.
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - Entity name
+   * @param {Object} input - custom_fields from the request, or undefined
+   * @param {Object} current - The record's current custom_fields; omit for new records
+   * @returns {Promise<Object>} - { values } to store, or { status, error, errors }
+   */
+  async prepareValues(tenantId, entity, input, current = null) {
+    const definitions = await CustomFieldModel.findAll(tenantId, entity);
+    const { values, errors } = validateCustomFieldValues(definitions, input, current);
+
+    if (errors.length > 0) {
+      return { status: 422, error: errors[0].message, errors };
+    }
+    return { values };
+  },
+
+  /**
+   * Default values for records created without custom field input, by
+   * imports, lead conversion and the FairEx webhook. Those sources cannot
+   * fill required fields, so the required check is skipped for them.
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - Entity name
+   * @returns {Promise<Object>} - custom_fields to store
+   */
+  async defaultValues(tenantId, entity) {
+    const definitions = await CustomFieldModel.findAll(tenantId, entity);
+    return Object.fromEntries(definitions
+      .filter((field) => field.default_value !== null)
+      .map((field) => [field.key, field.default_value]));
+  },
+
+  /**
+   * Read cf_<key>, cf_<key>_from and cf_<key>_to filters, and a cf_<key> sort,
+   * from list query parameters
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - Entity name
+   * @param {Object} query - Request query parameters
+   * @param {string} sort - Requested sort field
+   * @returns {Promise<Object>} - { custom, customSort } for the model filters, or { status, error }
+   */
+  async resolveListOptions(tenantId, entity, query, sort) {
+    const params = Object.keys(query).filter((name) => name.startsWith(CUSTOM_FIELD_PARAM_PREFIX));
+    const sortsOnField = typeof sort === 'string' && sort.startsWith(CUSTOM_FIELD_PARAM_PREFIX);
+    if (params.length === 0 && !sortsOnField) {
+      return { custom: [], customSort: null };
+    }
+
+    const definitions = await CustomFieldModel.findAll(tenantId, entity);
+    const byKey = new Map(definitions.map((field) => [field.key, field]));
+
+    const custom = [];
+    for (const name of params) {
+      const rawKey = name.slice(CUSTOM_FIELD_PARAM_PREFIX.length);
+      // An exact key wins over reading a _from/_to suffix
+      let field = byKey.get(rawKey);
+      let op = 'eq';
+      const range = !field && rawKey.match(/^(.+)_(from|to)$/);
+      if (range && RANGE_TYPES.includes(byKey.get(range[1])?.type)) {
+        field = byKey.get(range[1]);
+        op = range[2] === 'from' ? 'gte' : 'lte';
+      }
+      if (!field) {
+        return { status: 422, error: `Unknown custom field filter: ${name}` };
+      }
+
+      const raw = Array.isArray(query[name]) ? query[name][0] : query[name];
+      // Option filters take a single option, which multi-select records must include
+      const coerced = coerceValue({ ...field, type: OPTION_TYPES.includes(field.type) ? 'picklist' : field.type }, raw);
+      if (coerced.error) {
+        return { status: 422, error: `Invalid filter ${name}: ${coerced.error}` };
+      }
+      custom.push({ key: field.key, type: field.type, op, value: coerced.value });
+    }
+
+    let customSort = null;
+    if (sortsOnField) {
+      const field = byKey.get(sort.slice(CUSTOM_FIELD_PARAM_PREFIX.length));
+      if (!field || field.type === 'multi_select') {
+        return { status: 422, error: `Cannot sort by ${sort}` };
+      }
+      customSort = { key: field.key, type: field.type };
+    }
+
+    return { custom, customSort };
+  }
+};
@@ -0,0 +1,213 @@
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+import db from '../config/db.js';
+import CustomFieldModel from '../models/CustomField.js';
+import {
+  EXPORT_BATCH_SIZE,
+  EXPORT_COLUMNS,
+  EXPORT_IDLE_TIMEOUT_MS,
+  EXPORT_STATEMENT_TIMEOUT_MS
+} from '../config/exports.js';
+import { CUSTOM_FIELD_EXPORT_TYPES, CUSTOM_FIELD_PARAM_PREFIX } from '../config/customFields.js';
+import { toCsvLine } from '../utils/csv.js';
+
+// Excel number formats for typed XLSX columns
+const XLSX_NUMBER_FORMATS = {
+  date: 'yyyy-mm-dd',
+  datetime: 'yyyy-mm-dd hh:mm:ss'
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Custom field columns read from the row's custom_fields
+const readValue = (row, column) => (column.customKey ? row.custom_fields?.[column.customKey] : row[column.key]);
+
+// pg reads date columns as local midnight, so format them with local getters
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Convert a row value for a CSV cell
+ * @param {*} value - Row value
+ * @param {string} type - Column type
+ * @returns {*} - Cell value
+ */
+const toCsvValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'list') {
+    return value.join(', ');
+  }
+  if (value instanceof Date) {
+    return type === 'date' ? formatDate(value) : value.toISOString();
+  }
+  return value;
+};
+
+/**
+ * Convert a row value for an XLSX cell, keeping numbers and dates typed
+ * @param {*} value - Row value
+ * @param {string} type - Column type
+ * @returns {*} - Cell value
+ */
+const toXlsxValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (type === 'list') {
+    return value.join(', ');
+  }
+  if (type === 'number') {
+    return Number(value);
+  }
+  if (type === 'date') {
+    // Custom date fields are stored as YYYY-MM-DD strings
+    return new Date(`${value instanceof Date ? formatDate(value) : value}T00:00:00Z`);
+  }
+  return value;
+};
+
+/**
+ * Write CSV to the response, waiting for it to drain between batches
+ */
+const createCsvWriter = (res, columns) => {
+  const write = async (text) => {
+    if (!res.write(text)) {
+      // A client that disconnects never drains
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+
+  return {
+    start: () => write(`\uFEFF${toCsvLine(columns.map((column) => column.header))}`),
+    addRows: (rows) => write(rows.map((row) =>
+      toCsvLine(columns.map((column) => toCsvValue(readValue(row, column), column.type)))
+    ).join('')),
+    finish: async () => {
+      res.end();
+    }
+  };
+};
+
+/**
+ * Stream an XLSX workbook with one worksheet to the response
+ */
+const createXlsxWriter = (res, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map((column) => ({
+    header: column.header,
+    key: column.key,
+    width: Math.max(12, column.header.length + 2),
+    style: XLSX_NUMBER_FORMATS[column.type] ? { numFmt: XLSX_NUMBER_FORMATS[column.type] } : undefined
+  }));
+
+  return {
+    start: async () => {},
+    addRows: async (rows) => {
+      for (const row of rows) {
+        worksheet.addRow(Object.fromEntries(
+          columns.map((column) => [column.key, toXlsxValue(readValue(row, column), column.type)])
+        )).commit();
+      }
+    },
+    finish: async () => {
+      worksheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+/**
+ * Export Service
+ * Streams list query results to CSV or XLSX in batches
+ */
+export const exportService = {
+  /**
+   * Resolve the columns requested for an export. Besides the entity's
+   * columns, each of the tenant's custom fields is offered as cf_<key>.
+   * @param {string} entity - Key of EXPORT_COLUMNS
+   * @param {string} requested - Comma separated column names; all columns when empty
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - { columns } as { key, header, type, customKey }, or { status, error }
+   */
+  async resolveColumns(entity, requested, tenantId) {
+    const customFields = await CustomFieldModel.findAll(tenantId, entity);
+    const available = { ...EXPORT_COLUMNS[entity] };
+    for (const field of customFields) {
+      available[`${CUSTOM_FIELD_PARAM_PREFIX}${field.key}`] = {
+        header: field.label,
+        type: CUSTOM_FIELD_EXPORT_TYPES[field.type],
+        customKey: field.key
+      };
+    }
+    const keys = requested
+      ? [...new Set(requested.split(',').map((key) => key.trim()).filter(Boolean))]
+      : Object.keys(available);
+
+    const unknown = keys.filter((key) => !available[key]);
+    if (unknown.length > 0) {
+      return { status: 422, error: `Unknown ${entity} export columns: ${unknown.join(', ')}` };
+    }
+    if (keys.length === 0) {
+      return { status: 422, error: 'At least one column is required' };
+    }
+
+    return { columns: keys.map((key) => ({ key, ...available[key] })) };
+  },
+
+  /**
+   * Stream every batch of rows as a file download. The first batch is read
+   * before anything is sent, so early failures can still be answered with an
+   * error status; later failures abort the download. Exports only read, so
+   * the request's transaction is released and the rows are read through a
+   * read-only transaction whose timeouts bound how long a slow client keeps
+   * its connection.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Object} options - { entity, format, columns, readBatches }, where
+   *   readBatches(batchSize) returns an async iterable of row arrays, e.g. a
+   *   model's findInBatches
+   * @returns {Promise<void>}
+   */
+  async stream(req, res, { entity, format, columns, readBatches }) {
+    await req.releaseTenantTransaction();
+
+    await db.withReadOnlyTenant(req.user.tenant_id, async () => {
+      const iterator = readBatches(EXPORT_BATCH_SIZE)[Symbol.asyncIterator]();
+      let batch = await iterator.next();
+
+      const filename = `${entity}-${new Date().toISOString().slice(0, 10)}.${format}`;
+      res.status(200);
+      res.setHeader('Content-Type', format === 'xlsx'
+        ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        : 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      // Drop clients that stop reading; the socket closes and the loop stops
+      res.setTimeout(EXPORT_IDLE_TIMEOUT_MS);
+
+      const writer = format === 'xlsx' ? createXlsxWriter(res, columns, entity) : createCsvWriter(res, columns);
+
+      try {
+        await writer.start();
+        // Stop early when the client went away
+        while (!batch.done && !res.destroyed) {
+          await writer.addRows(batch.value);
+          batch = await iterator.next();
+        }
+        await iterator.return?.();
+        await writer.finish();
+      } catch (error) {
+        console.error(`Export of ${entity} failed:`, error);
+        // Destroying the socket tells the client the file is incomplete
+        await iterator.return?.().catch(() => {});
+        res.end();
+        res.destroy();
+      }
+    }, {
+      statementTimeout: EXPORT_STATEMENT_TIMEOUT_MS,
+      // Postgres ends the session if the export stalls without noticing
+      idleTimeout: EXPORT_IDLE_TIMEOUT_MS * 2
+    });
+  }
+};
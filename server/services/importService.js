@@ -0,0 +1,405 @@
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import db from '../config/db.js';
+import { IMPORT_ENTITIES, IMPORT_FIELDS, MAX_IMPORT_ROWS } from '../config/imports.js';
+import ImportJobModel from '../models/ImportJob.js';
+import TenantModel from '../models/Tenant.js';
+import CompanyModel from '../models/Company.js';
+import ContactModel from '../models/Contact.js';
+import LeadModel from '../models/Lead.js';
+import TagModel from '../models/Tag.js';
+import { toCsvLine } from '../utils/csv.js';
+import { formatDate, mapColumns, validateRow } from '../utils/imports.js';
+import { customFieldService } from './customFieldService.js';
+import { leadAssignmentService } from './leadAssignmentService.js';
+import { leadScoringService } from './leadScoringService.js';
+import { picklistService } from './picklistService.js';
+
+// Rows processed per transaction; progress is saved after each chunk
+const CHUNK_SIZE = 200;
+
+const CONTACT_FIELD_NAMES = ['first_name', 'last_name', 'email', 'phone', 'dob', 'kf_visitor_id'];
+const LEAD_FIELD_NAMES = [
+  'title',
+  'status',
+  'stage',
+  'source',
+  'exhibition_id',
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'notes'
+];
+
+const pick = (values, fields) => Object.fromEntries(
+  fields.filter((field) => values[field] !== undefined).map((field) => [field, values[field]])
+);
+
+/**
+ * Read the first worksheet of an XLSX file
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Array>} - { row_number, cells } per non-empty row
+ */
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) {
+    return [];
+  }
+
+  const records = [];
+  worksheet.eachRow((row) => {
+    const cells = [];
+    for (let column = 1; column <= row.cellCount; column++) {
+      const cell = row.getCell(column);
+      cells.push(cell.value instanceof Date ? formatDate(cell.value) : cell.text);
+    }
+    records.push({ row_number: row.number, cells });
+  });
+  return records;
+};
+
+/**
+ * Read a CSV file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} - { row_number, cells } per non-empty row
+ */
+const readCsv = (buffer) => parse(buffer, {
+  bom: true,
+  skip_empty_lines: true,
+  relax_column_count: true,
+  info: true
+}).map(({ record, info }) => ({ row_number: info.lines, cells: record }));
+
+/**
+ * Find the company a row refers to. Dry runs write nothing, so they also
+ * remember the names seen earlier in the file.
+ */
+const findCompany = async (job, name, seen) => {
+  if (job.dry_run && seen.companies.has(name.toLowerCase())) {
+    return { id: null };
+  }
+  const company = await CompanyModel.findByName(job.tenant_id, name);
+  if (job.dry_run) {
+    seen.companies.add(name.toLowerCase());
+  }
+  return company;
+};
+
+/**
+ * Find the contact a row refers to by email, phone or FairEx visitor ID,
+ * including identifiers seen earlier in a dry run's file
+ */
+const findContact = async (job, values, seen) => {
+  const keys = [
+    values.email && `email:${values.email}`,
+    values.phone && `phone:${values.phone}`,
+    values.kf_visitor_id && `kf_visitor_id:${values.kf_visitor_id}`
+  ].filter(Boolean);
+
+  if (job.dry_run && keys.some((key) => seen.contacts.has(key))) {
+    return { id: null };
+  }
+  const contact = await ContactModel.findByEmailOrPhone(job.tenant_id, values.email, values.phone, values.kf_visitor_id);
+  if (job.dry_run) {
+    keys.forEach((key) => seen.contacts.add(key));
+  }
+  return contact;
+};
+
+// Find or create the company a contact row names
+const resolveCompanyId = async (job, name, defaults) => {
+  if (!name) {
+    return undefined;
+  }
+  const company = await CompanyModel.findByName(job.tenant_id, name)
+    || await CompanyModel.create(job.tenant_id, { name, custom_fields: defaults.companies });
+  return company.id;
+};
+
+/**
+ * Write one validated row. Each importer returns 'created', 'updated' or 'skipped'.
+ * New records get the custom field defaults in `defaults`, keyed by entity.
+ */
+const importers = {
+  async companies(job, values, seen, defaults) {
+    const existing = await findCompany(job, values.name, seen);
+    if (existing) {
+      if (job.on_duplicate === 'skip') {
+        return 'skipped';
+      }
+      if (!job.dry_run) {
+        await CompanyModel.update(existing.id, job.tenant_id, values);
+      }
+      return 'updated';
+    }
+
+    if (!job.dry_run) {
+      await CompanyModel.create(job.tenant_id, { ...values, custom_fields: defaults.companies });
+    }
+    return 'created';
+  },
+
+  async contacts(job, values, seen, defaults) {
+    const existing = await findContact(job, values, seen);
+    if (existing && job.on_duplicate === 'skip') {
+      return 'skipped';
+    }
+    if (job.dry_run) {
+      return existing ? 'updated' : 'created';
+    }
+
+    const contactData = {
+      ...pick(values, CONTACT_FIELD_NAMES),
+      company_id: await resolveCompanyId(job, values.company_name, defaults)
+    };
+    if (existing) {
+      await ContactModel.update(existing.id, job.tenant_id, contactData);
+      return 'updated';
+    }
+
+    await ContactModel.create(job.tenant_id, {
+      ...contactData,
+      source: 'import',
+      owner_user_id: job.created_by,
+      custom_fields: defaults.contacts
+    });
+    return 'created';
+  },
+
+  // Leads always create a new lead; a matching contact is skipped along with
+  // its row, or updated and given the lead
+  async leads(job, values, seen, defaults) {
+    const existing = await findContact(job, values, seen);
+    if (existing && job.on_duplicate === 'skip') {
+      return 'skipped';
+    }
+    if (job.dry_run) {
+      return 'created';
+    }
+
+    const source = values.source || 'import';
+    const contactData = {
+      ...pick(values, CONTACT_FIELD_NAMES),
+      company_id: await resolveCompanyId(job, values.company_name, defaults)
+    };
+    let contactId;
+    if (existing) {
+      await ContactModel.update(existing.id, job.tenant_id, contactData);
+      contactId = existing.id;
+    } else {
+      const contact = await ContactModel.create(job.tenant_id, {
+        ...contactData,
+        source,
+        owner_user_id: job.created_by,
+        custom_fields: defaults.contacts
+      });
+      contactId = contact.id;
+    }
+
+    const lead = await LeadModel.create(job.tenant_id, {
+      ...pick(values, LEAD_FIELD_NAMES),
+      source,
+      contact_id: contactId,
+      owner_user_id: job.created_by,
+      custom_fields: defaults.leads
+    }, job.created_by);
+    for (const tagName of values.tags || []) {
+      const tag = await TagModel.createOrGet(job.tenant_id, tagName);
+      await TagModel.linkToLead(lead.id, tag.id);
+    }
+    await leadAssignmentService.assign(lead.id, job.tenant_id, {
+      actorId: job.created_by,
+      trigger: 'import'
+    });
+    await leadScoringService.recalculate(lead.id, job.tenant_id);
+    return 'created';
+  }
+};
+
+/**
+ * Process one chunk of rows in the current tenant transaction
+ * @param {Object} job - Claimed import job
+ * @param {Array} rows - { row_number, cells }
+ * @param {Object} seen - Identifiers seen so far in a dry run
+ * @returns {Promise<void>}
+ */
+const processChunk = async (job, rows, seen) => {
+  const counts = { processed: rows.length, created: 0, updated: 0, skipped: 0, errors: 0 };
+  const errors = [];
+  const picklists = await picklistService.getAll(job.tenant_id);
+  const defaults = {};
+  for (const entity of IMPORT_ENTITIES) {
+    defaults[entity] = await customFieldService.defaultValues(job.tenant_id, entity);
+  }
+
+  for (const row of rows) {
+    const { values, errors: rowErrors } = validateRow(job, row.cells, picklists);
+    if (rowErrors.length === 0) {
+      try {
+        // A savepoint per row, so a failed row leaves the rest of the chunk intact
+        const outcome = await db.transaction(() => importers[job.entity](job, values, seen, defaults));
+        counts[outcome]++;
+        continue;
+      } catch (error) {
+        console.error(`Import ${job.id} row ${row.row_number} failed:`, error.message);
+        rowErrors.push({ field: null, message: 'Row could not be saved' });
+      }
+    }
+
+    counts.errors++;
+    for (const rowError of rowErrors) {
+      errors.push({ row_number: row.row_number, ...rowError, row_data: row.cells });
+    }
+  }
+
+  await ImportJobModel.addErrors(job.id, job.tenant_id, errors);
+  await ImportJobModel.addProgress(job.id, job.tenant_id, counts);
+};
+
+/**
+ * Import Service
+ * Reads uploaded spreadsheets into import jobs and processes them in the background
+ */
+export const importService = {
+  /**
+   * Read an uploaded file and queue it as an import job
+   * @param {Object} input - { entity, fileType, buffer, filename, mapping, dry_run, on_duplicate }.
+   *   mapping maps column headers to import fields; without one, headers that
+   *   match a field name are mapped and the rest ignored.
+   * @param {Object} user - Requesting user (req.user)
+   * @returns {Promise<Object>} - Created job, or { status, error }
+   */
+  async createJob({ entity, fileType, buffer, filename, mapping, dry_run, on_duplicate }, user) {
+    let records;
+    try {
+      records = fileType === 'xlsx' ? await readXlsx(buffer) : readCsv(buffer);
+    } catch (error) {
+      return { status: 422, error: `The file could not be read: ${error.message}` };
+    }
+
+    if (records.length === 0) {
+      return { status: 422, error: 'The file has no header row' };
+    }
+    const [headerRecord, ...dataRecords] = records;
+    const headers = headerRecord.cells.map((header) => String(header).trim());
+    const rows = dataRecords.filter((row) => row.cells.some((cell) => String(cell ?? '').trim() !== ''));
+    if (rows.length === 0) {
+      return { status: 422, error: 'The file has no data rows' };
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return { status: 422, error: `Imports are limited to ${MAX_IMPORT_ROWS} rows` };
+    }
+    if (headers.some((header) => header === '') || new Set(headers).size !== headers.length) {
+      return { status: 422, error: 'Every column needs a unique, non-empty header' };
+    }
+
+    const fields = IMPORT_FIELDS[entity];
+    const columnMapping = {};
+    if (mapping) {
+      for (const [header, field] of Object.entries(mapping)) {
+        if (!headers.includes(header)) {
+          return { status: 422, error: `Column "${header}" is not in the file` };
+        }
+        if (field && !fields[field]) {
+          return { status: 422, error: `${field} is not a ${entity} import field` };
+        }
+        if (field) {
+          columnMapping[header] = field;
+        }
+      }
+    } else {
+      Object.assign(columnMapping, mapColumns(fields, headers));
+    }
+
+    const mappedFields = Object.values(columnMapping);
+    if (mappedFields.length === 0) {
+      return { status: 422, error: 'No columns are mapped to import fields' };
+    }
+    const repeated = mappedFields.find((field, index) => mappedFields.indexOf(field) !== index);
+    if (repeated) {
+      return { status: 422, error: `${repeated} is mapped from more than one column` };
+    }
+    const missing = Object.keys(fields).find((field) => fields[field].required && !mappedFields.includes(field));
+    if (missing) {
+      return { status: 422, error: `${missing} must be mapped` };
+    }
+
+    return ImportJobModel.create({
+      tenant_id: user.tenant_id,
+      entity,
+      dry_run,
+      on_duplicate,
+      filename,
+      headers,
+      mapping: columnMapping,
+      rows,
+      created_by: user.id
+    });
+  },
+
+  /**
+   * Process a pending job in chunks, each in its own tenant transaction.
+   * Runs outside the request, so failures are recorded on the job rather than thrown.
+   * @param {string} jobId - Import job UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async run(jobId, tenantId) {
+    try {
+      const job = await db.withTenant(tenantId, () => ImportJobModel.claim(jobId, tenantId));
+      if (!job) {
+        return;
+      }
+      // Imported records belong to the user who started the job
+      if (!job.created_by) {
+        await db.withTenant(tenantId, () => ImportJobModel.finish(jobId, tenantId, 'failed', 'The user who started the import no longer exists'));
+        return;
+      }
+
+      const seen = { companies: new Set(), contacts: new Set() };
+      for (let start = 0; start < job.rows.length; start += CHUNK_SIZE) {
+        const rows = job.rows.slice(start, start + CHUNK_SIZE);
+        await db.withTenant(tenantId, () => processChunk(job, rows, seen));
+      }
+
+      await db.withTenant(tenantId, () => ImportJobModel.finish(jobId, tenantId, 'completed'));
+    } catch (error) {
+      console.error(`Import ${jobId} failed:`, error);
+      try {
+        await db.withTenant(tenantId, () => ImportJobModel.finish(jobId, tenantId, 'failed', 'Import stopped unexpectedly'));
+      } catch (finishError) {
+        console.error(`Could not mark import ${jobId} as failed:`, finishError);
+      }
+    }
+  },
+
+  /**
+   * Fail jobs left pending or processing by a previous server process
+   * @returns {Promise<void>}
+   */
+  async failInterrupted() {
+    for (const tenantId of await TenantModel.findAllIds()) {
+      const count = await db.withTenant(tenantId, () => ImportJobModel.failUnfinished(tenantId));
+      if (count > 0) {
+        console.warn(`Marked ${count} interrupted import(s) as failed for tenant ${tenantId}`);
+      }
+    }
+  },
+
+  /**
+   * Build a CSV of a job's row errors with the original cells, so the
+   * failing rows can be fixed and imported again
+   * @param {Object} job - Import job
+   * @returns {Promise<string>} - CSV text
+   */
+  async buildErrorCsv(job) {
+    const { errors } = await ImportJobModel.findErrors(job.id, job.tenant_id);
+    let csv = toCsvLine(['row_number', 'field', 'error', ...job.headers]);
+    for (const error of errors) {
+      csv += toCsvLine([error.row_number, error.field, error.message, ...(error.row_data || [])]);
+    }
+    return csv;
+  }
+};
@@ -0,0 +1,109 @@
+import LeadModel from '../models/Lead.js';
+import UserModel from '../models/User.js';
+import LeadAssignmentRuleModel from '../models/LeadAssignmentRule.js';
+import ActivityLogModel from '../models/ActivityLog.js';
+import { chooseAssignee, conditionsMatch } from '../utils/leadAssignment.js';
+
+/**
+ * Choose an assignee using the rule's strategy, skipping inactive users
+ * @param {Object} rule - Assignment rule
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object>} - { userId, inactiveUserIds }; userId is null when nobody is available
+ */
+const pickAssignee = async (rule, tenantId) => {
+  // Round robin advances the rule's turn, so it works from the locked row in
+  // case the assignees changed since the rules were read
+  const current = rule.strategy === 'round_robin' ? await LeadAssignmentRuleModel.lock(rule.id) : rule;
+  if (!current) {
+    return { userId: null, inactiveUserIds: [] };
+  }
+
+  const activeIds = await UserModel.filterActiveIds(current.assignee_ids, tenantId);
+  const openLeads = rule.strategy === 'least_open_leads' && activeIds.length > 0
+    ? await LeadModel.countOpenByOwners(tenantId, activeIds)
+    : {};
+
+  const choice = chooseAssignee(rule.strategy, current, activeIds, openLeads);
+  if (rule.strategy === 'round_robin' && choice.userId) {
+    await LeadAssignmentRuleModel.setLastAssigned(rule.id, choice.userId);
+  }
+  return choice;
+};
+
+/**
+ * Lead Assignment Service
+ * Picks lead owners from tenant-defined rules and logs every decision to activity_log
+ */
+export const leadAssignmentService = {
+  /**
+   * Run the tenant's assignment rules on a lead and set its owner.
+   * Rules are tried by priority; the first matching rule with an active
+   * assignee wins. Leads no rule can assign keep their current owner.
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { actorId, trigger }
+   * @returns {Promise<Object|null>} - { owner_user_id, rule_id }, or null if no rule assigned the lead
+   */
+  async assign(leadId, tenantId, { actorId, trigger } = {}) {
+    const rules = await LeadAssignmentRuleModel.findAll(tenantId, { active_only: true });
+    if (rules.length === 0) {
+      return null;
+    }
+
+    const lead = await LeadModel.getScoringFacts(leadId, tenantId);
+    if (!lead) {
+      return null;
+    }
+
+    // Matching rules that could not assign, and why
+    const skippedRules = [];
+
+    for (const rule of rules) {
+      if (!conditionsMatch(rule.conditions, lead)) {
+        continue;
+      }
+
+      const { userId, inactiveUserIds } = await pickAssignee(rule, tenantId);
+      if (!userId) {
+        skippedRules.push({ rule_id: rule.id, name: rule.name, reason: 'no_active_assignees', inactive_user_ids: inactiveUserIds });
+        continue;
+      }
+
+      await LeadModel.update(leadId, tenantId, { owner_user_id: userId });
+      await ActivityLogModel.create({
+        tenant_id: tenantId,
+        entity: 'lead',
+        entity_id: leadId,
+        action: 'auto_assigned',
+        actor_user_id: actorId,
+        before_data: { owner_user_id: lead.owner_user_id },
+        after_data: {
+          owner_user_id: userId,
+          rule_id: rule.id,
+          rule_name: rule.name,
+          strategy: rule.strategy,
+          trigger,
+          skipped_inactive_user_ids: inactiveUserIds,
+          skipped_rules: skippedRules
+        }
+      });
+
+      return { owner_user_id: userId, rule_id: rule.id };
+    }
+
+    await ActivityLogModel.create({
+      tenant_id: tenantId,
+      entity: 'lead',
+      entity_id: leadId,
+      action: 'assignment_unmatched',
+      actor_user_id: actorId,
+      after_data: {
+        owner_user_id: lead.owner_user_id,
+        trigger,
+        skipped_rules: skippedRules
+      }
+    });
+
+    return null;
+  }
+};
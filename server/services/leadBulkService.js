@@ -0,0 +1,122 @@
+import db from '../config/db.js';
+import LeadModel from '../models/Lead.js';
+import TagModel from '../models/Tag.js';
+import { leadScoringService } from './leadScoringService.js';
+import { leadTransitionService } from './leadTransitionService.js';
+import { SYSTEM_VIEWER } from '../utils/visibility.js';
+
+// Largest number of leads one bulk request may touch
+const MAX_BULK_LEADS = parseInt(process.env.MAX_BULK_LEADS) || 5000;
+
+/**
+ * Apply an operation to each lead in its own savepoint, so one failure only
+ * skips that lead
+ * @param {Array} leadIds - Lead UUIDs
+ * @param {Function} operation - Async function receiving a lead ID; it may
+ *   return { error } to skip the lead with that message
+ * @returns {Promise<Array>} - { id, success, error } per lead
+ */
+const applyEach = async (leadIds, operation) => {
+  const results = [];
+  for (const id of leadIds) {
+    try {
+      const result = await db.transaction(() => operation(id));
+      results.push(result?.error ? { id, success: false, error: result.error } : { id, success: true });
+    } catch (error) {
+      console.error(`Bulk lead operation failed for ${id}:`, error.message);
+      results.push({ id, success: false, error: 'Operation failed' });
+    }
+  }
+  return results;
+};
+
+/**
+ * Lead Bulk Service
+ * Selects leads by ID or by list filters and applies one operation to all of them
+ */
+export const leadBulkService = {
+  /**
+   * Resolve a bulk selection to lead IDs the user may see
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} selection - { ids } or { filters }
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @returns {Promise<Object>} - { leadIds, missingIds }, or { status, error }
+   */
+  async select(tenantId, { ids, filters }, viewer) {
+    const requestedIds = ids ? [...new Set(ids)] : null;
+
+    // One extra row tells us the selection is over the limit
+    const leadIds = await LeadModel.findIdsWithFilters(tenantId, filters || {}, viewer, {
+      ids: requestedIds,
+      limit: MAX_BULK_LEADS + 1
+    });
+    if (leadIds.length > MAX_BULK_LEADS) {
+      return { status: 422, error: `Bulk operations are limited to ${MAX_BULK_LEADS} leads; narrow the filters` };
+    }
+
+    const missingIds = requestedIds ? requestedIds.filter((id) => !leadIds.includes(id)) : [];
+    return { leadIds, missingIds };
+  },
+
+  /**
+   * Update status, stage or owner. Leads whose status or stage may not make
+   * the change are skipped.
+   * @param {Array} leadIds - Lead UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} updates - { status, stage, owner_user_id }
+   * @param {string} actorId - Requesting user UUID
+   * @param {Object} options - { reason, override }; override must already be authorized
+   * @returns {Promise<Array>} - Per-lead results
+   */
+  async update(leadIds, tenantId, updates, actorId, options = {}) {
+    const rules = await leadTransitionService.getRules(tenantId);
+
+    return applyEach(leadIds, async (id) => {
+      const lead = await LeadModel.findByIdForUpdate(id, tenantId, SYSTEM_VIEWER);
+      if (!lead) {
+        return { error: 'Lead not found' };
+      }
+      const check = leadTransitionService.check(lead, updates, options, rules);
+      if (check.error) {
+        return { error: check.error };
+      }
+
+      await LeadModel.update(id, tenantId, updates, actorId, check.transition);
+      await leadScoringService.recalculate(id, tenantId);
+    });
+  },
+
+  /**
+   * Add and remove tags
+   * @param {Array} leadIds - Lead UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} tags - { add, remove } tag names
+   * @returns {Promise<Array>} - Per-lead results
+   */
+  async tag(leadIds, tenantId, { add = [], remove = [] }) {
+    const addTags = [];
+    for (const tagName of add) {
+      addTags.push(await TagModel.createOrGet(tenantId, tagName));
+    }
+
+    return applyEach(leadIds, async (id) => {
+      for (const tag of addTags) {
+        await TagModel.linkToLead(id, tag.id);
+      }
+      for (const tagName of remove) {
+        await TagModel.removeFromLead(id, tagName, tenantId);
+      }
+      await leadScoringService.recalculate(id, tenantId);
+    });
+  },
+
+  /**
+   * Delete leads
+   * @param {Array} leadIds - Lead UUIDs
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Array>} - Per-lead results
+   */
+  async delete(leadIds, tenantId) {
+    return applyEach(leadIds, (id) => LeadModel.delete(id, tenantId, SYSTEM_VIEWER));
+  }
+};
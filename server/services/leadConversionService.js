@@ -0,0 +1,165 @@
+import db from '../config/db.js';
+import LeadModel from '../models/Lead.js';
+import ContactModel from '../models/Contact.js';
+import CompanyModel from '../models/Company.js';
+import OpportunityModel from '../models/Opportunity.js';
+import PipelineModel from '../models/Pipeline.js';
+import { customFieldService } from './customFieldService.js';
+import { leadScoringService } from './leadScoringService.js';
+import { leadTransitionService } from './leadTransitionService.js';
+import { SYSTEM_VIEWER } from '../utils/visibility.js';
+
+/**
+ * Pick the pipeline and stage for the new opportunity
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} opportunity - { pipeline_id, stage_id }
+ * @returns {Promise<Object>} - { pipeline, stage } or { error }
+ */
+const resolvePipelineStage = async (tenantId, { pipeline_id, stage_id }) => {
+  const pipeline = pipeline_id
+    ? await PipelineModel.findById(pipeline_id, tenantId)
+    : await PipelineModel.findDefault(tenantId);
+
+  if (!pipeline) {
+    return { error: pipeline_id ? 'Pipeline not found' : 'No default pipeline; pipeline_id is required' };
+  }
+
+  // Opportunities start in the first stage unless one is chosen
+  const stage = stage_id
+    ? pipeline.stages.find((s) => s.id === stage_id)
+    : pipeline.stages[0];
+
+  if (!stage) {
+    return { error: stage_id ? 'Stage does not belong to the pipeline' : 'Pipeline has no stages' };
+  }
+
+  return { pipeline, stage };
+};
+
+/**
+ * Lead Conversion Service
+ * Turns a qualified lead into a company, contact and opportunity
+ */
+export const leadConversionService = {
+  /**
+   * Convert a lead in one transaction
+   * @param {string} leadId - Lead UUID
+   * @param {Object} options - { company, create_opportunity, opportunity, reason, override };
+   *   override must already be authorized
+   * @param {Object} user - Requesting user (req.user)
+   * @returns {Promise<Object>} - { lead, contact, company, opportunity }, or { status, error, errors }
+   */
+  async convert(leadId, options, user) {
+    const {
+      company: companyInput,
+      create_opportunity = true,
+      opportunity: opportunityInput = {},
+      reason,
+      override
+    } = options;
+    const tenantId = user.tenant_id;
+
+    return db.transaction(async () => {
+      const lead = await LeadModel.findByIdForUpdate(leadId, tenantId, user);
+      if (!lead) {
+        return { status: 404, error: 'Lead not found' };
+      }
+      if (lead.status === 'converted') {
+        return { status: 409, error: 'Lead is already converted' };
+      }
+      if (!lead.contact_id) {
+        return { status: 422, error: 'Lead has no contact to convert' };
+      }
+
+      const rules = await leadTransitionService.getRules(tenantId);
+      const check = leadTransitionService.check(lead, { status: 'converted' }, { reason, override }, rules);
+      if (check.error) {
+        return { status: check.status, error: check.error, errors: check.errors };
+      }
+
+      // Check everything before writing anything
+      let target = null;
+      if (create_opportunity) {
+        target = await resolvePipelineStage(tenantId, opportunityInput);
+        if (target.error) {
+          return { status: 422, error: target.error };
+        }
+      }
+
+      let company = null;
+      let companyCreated = false;
+      if (companyInput?.id) {
+        company = await CompanyModel.findById(companyInput.id, tenantId);
+        if (!company) {
+          return { status: 422, error: 'Company not found' };
+        }
+      } else if (companyInput) {
+        company = await CompanyModel.findByName(tenantId, companyInput.name);
+        if (!company) {
+          company = await CompanyModel.create(tenantId, {
+            name: companyInput.name,
+            website: companyInput.website,
+            phone: companyInput.phone,
+            address: companyInput.address,
+            custom_fields: await customFieldService.defaultValues(tenantId, 'companies')
+          });
+          companyCreated = true;
+        }
+      }
+
+      // Attach the company, keeping the contact's current one if none is given
+      // The lead was checked against the user; its contact may belong to someone else
+      let contact = await ContactModel.findById(lead.contact_id, tenantId, SYSTEM_VIEWER);
+      if (company && contact.company_id !== company.id) {
+        contact = await ContactModel.update(contact.id, tenantId, { company_id: company.id });
+      } else if (!company && contact.company_id) {
+        company = await CompanyModel.findById(contact.company_id, tenantId);
+      }
+
+      let opportunity = null;
+      if (target) {
+        const { pipeline, stage } = target;
+        const contactName = [contact.first_name, contact.last_name].filter(Boolean).join(' ');
+
+        opportunity = await OpportunityModel.create({
+          tenant_id: tenantId,
+          name: opportunityInput.name || lead.title || company?.name || contactName || 'Converted lead',
+          lead_id: lead.id,
+          contact_id: contact.id,
+          company_id: company?.id || null,
+          pipeline_id: pipeline.id,
+          stage_id: stage.id,
+          amount: opportunityInput.amount,
+          currency: opportunityInput.currency,
+          close_date: opportunityInput.close_date || null,
+          custom_fields: await customFieldService.defaultValues(tenantId, 'opportunities')
+        });
+      }
+
+      const converted = await LeadModel.update(lead.id, tenantId, { status: 'converted' }, user.id, check.transition);
+      const score = await leadScoringService.recalculate(lead.id, tenantId);
+      if (score !== null) {
+        converted.score = score;
+      }
+
+      await db.query(`
+        INSERT INTO activity_log (id, tenant_id, entity, entity_id, action, actor_user_id, before_data, after_data)
+        VALUES (gen_random_uuid(), $1, 'lead', $2, 'converted', $3, $4, $5)
+      `, [
+        tenantId,
+        lead.id,
+        user.id,
+        JSON.stringify({ status: lead.status }),
+        JSON.stringify({
+          status: 'converted',
+          contact_id: contact.id,
+          company_id: company?.id || null,
+          company_created: companyCreated,
+          opportunity_id: opportunity?.id || null
+        })
+      ]);
+
+      return { lead: converted, contact, company, opportunity };
+    });
+  }
+};
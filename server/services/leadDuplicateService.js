@@ -0,0 +1,191 @@
+import db from '../config/db.js';
+import LeadModel from '../models/Lead.js';
+import TagModel from '../models/Tag.js';
+import TaskModel from '../models/Task.js';
+import InteractionModel from '../models/interaction.js';
+import OpportunityModel from '../models/Opportunity.js';
+import ActivityLogModel from '../models/ActivityLog.js';
+import LeadStageHistoryModel from '../models/LeadStageHistory.js';
+import { leadScoringService } from './leadScoringService.js';
+import { SYSTEM_VIEWER, seesAllRecords } from '../utils/visibility.js';
+import { groupPairs, mergeLeadFields, pickSurvivor } from '../utils/leadMerge.js';
+
+// Trigram similarity (0-1) needed for a name + company match
+const NAME_SIMILARITY = parseFloat(process.env.DUPLICATE_NAME_SIMILARITY) || 0.6;
+const COMPANY_SIMILARITY = parseFloat(process.env.DUPLICATE_COMPANY_SIMILARITY) || 0.5;
+
+// How long a duplicate report is reused for further pages (seconds)
+const REPORT_CACHE_SECONDS = parseInt(process.env.DUPLICATE_REPORT_CACHE_SECONDS) || 60;
+
+// Sorted duplicate groups by tenant, viewer and lead filter, with their expiry
+const reportCache = new Map();
+
+/**
+ * Get a tenant's duplicate groups, largest first. Finding them compares every
+ * contact, so a report is reused for REPORT_CACHE_SECONDS while paging through it.
+ * @param {string} tenantId - Tenant UUID
+ * @param {string} leadId - Lead to check on its own, if any
+ * @param {Object} viewer - Requesting user, for record visibility
+ * @returns {Promise<Array>} - Groups of { lead_ids, matches }
+ */
+const findGroups = async (tenantId, leadId, viewer) => {
+  const viewerKey = seesAllRecords(viewer) ? 'all' : `${viewer.role}:${viewer.id}`;
+  const key = `${tenantId}|${viewerKey}|${leadId || ''}`;
+  const now = Date.now();
+
+  const cached = reportCache.get(key);
+  if (cached && cached.expiresAt > now) {
+    return cached.groups;
+  }
+
+  const pairs = await LeadModel.findDuplicatePairs(tenantId, {
+    leadId,
+    nameSimilarity: NAME_SIMILARITY,
+    companySimilarity: COMPANY_SIMILARITY
+  }, viewer);
+  const groups = groupPairs(pairs).sort((a, b) => b.lead_ids.length - a.lead_ids.length);
+
+  for (const [cachedKey, entry] of reportCache) {
+    if (entry.expiresAt <= now) {
+      reportCache.delete(cachedKey);
+    }
+  }
+  reportCache.set(key, { groups, expiresAt: now + REPORT_CACHE_SECONDS * 1000 });
+  return groups;
+};
+
+/**
+ * Forget a tenant's cached duplicate reports
+ * @param {string} tenantId - Tenant UUID
+ */
+const clearReports = (tenantId) => {
+  for (const key of reportCache.keys()) {
+    if (key.startsWith(`${tenantId}|`)) {
+      reportCache.delete(key);
+    }
+  }
+};
+
+/**
+ * Lead Duplicate Service
+ * Finds leads that describe the same person and merges them into one
+ */
+export const leadDuplicateService = {
+  /**
+   * Report groups of likely duplicate leads, largest groups first. Reports
+   * are cached briefly, so leads changed meanwhile may take that long to show.
+   * @param {string} tenantId - Tenant UUID
+   * @param {Object} options - { lead_id, page, limit }
+   * @param {Object} viewer - Requesting user, for record visibility
+   * @returns {Promise<Object>} - { groups, totalCount }
+   */
+  async findDuplicates(tenantId, options, viewer) {
+    const { lead_id, page = 1, limit = 20 } = options;
+
+    const allGroups = await findGroups(tenantId, lead_id, viewer);
+    const pageGroups = allGroups.slice((page - 1) * limit, page * limit);
+
+    const summaries = await LeadModel.findSummaries(pageGroups.flatMap((group) => group.lead_ids), tenantId);
+
+    // A cached report may name leads deleted since; groups left with fewer
+    // than two leads are no longer duplicates
+    const groups = pageGroups
+      .map((group) => ({ group, leads: summaries.filter((lead) => group.lead_ids.includes(lead.id)) }))
+      .filter(({ leads }) => leads.length >= 2)
+      .map(({ group, leads }) => ({
+        suggested_survivor_id: pickSurvivor(leads).id,
+        leads,
+        matches: group.matches
+      }));
+
+    return { groups, totalCount: allGroups.length };
+  },
+
+  /**
+   * Merge leads into a survivor in one transaction. Tags, tasks, interactions,
+   * opportunities and status history move to the survivor, its empty fields
+   * are filled from the other leads, and the other leads are deleted.
+   * @param {Object} input - { lead_ids, survivor_id }
+   * @param {Object} user - Requesting user (req.user)
+   * @returns {Promise<Object>} - { lead, merged_lead_ids, moved }, or { status, error }
+   */
+  async merge({ lead_ids, survivor_id }, user) {
+    const tenantId = user.tenant_id;
+    const leadIds = [...new Set(lead_ids)];
+
+    if (leadIds.length < 2) {
+      return { status: 422, error: 'At least two different leads are required' };
+    }
+    if (survivor_id && !leadIds.includes(survivor_id)) {
+      return { status: 422, error: 'survivor_id must be one of lead_ids' };
+    }
+
+    return db.transaction(async () => {
+      // Lock in a fixed order so concurrent merges can't deadlock
+      const leads = [];
+      for (const id of [...leadIds].sort()) {
+        const lead = await LeadModel.findByIdForUpdate(id, tenantId, user);
+        if (!lead) {
+          return { status: 404, error: `Lead ${id} not found` };
+        }
+        leads.push(lead);
+      }
+      leads.sort((a, b) => a.created_at - b.created_at);
+
+      const survivor = survivor_id ? leads.find((lead) => lead.id === survivor_id) : pickSurvivor(leads);
+      const duplicates = leads.filter((lead) => lead.id !== survivor.id);
+      const duplicateIds = duplicates.map((lead) => lead.id);
+
+      if (survivor.status !== 'converted' && duplicates.some((lead) => lead.status === 'converted')) {
+        return { status: 422, error: 'A converted lead must be the survivor' };
+      }
+
+      const updates = mergeLeadFields(survivor, duplicates);
+
+      if (Object.keys(updates).length > 0) {
+        await LeadModel.update(survivor.id, tenantId, updates);
+      }
+
+      const moved = {
+        tags: await TagModel.copyLeadTags(duplicateIds, survivor.id),
+        tasks: await TaskModel.reassignLead(tenantId, duplicateIds, survivor.id),
+        interactions: await InteractionModel.reassignLead(tenantId, duplicateIds, survivor.id),
+        opportunities: await OpportunityModel.reassignLead(tenantId, duplicateIds, survivor.id),
+        // Deleting the leads would cascade to their history
+        history: await LeadStageHistoryModel.reassignLead(tenantId, duplicateIds, survivor.id)
+      };
+
+      for (const duplicate of duplicates) {
+        await LeadModel.delete(duplicate.id, tenantId, SYSTEM_VIEWER);
+        await ActivityLogModel.create({
+          tenant_id: tenantId,
+          entity: 'lead',
+          entity_id: duplicate.id,
+          action: 'merged_into',
+          actor_user_id: user.id,
+          before_data: duplicate,
+          after_data: { survivor_id: survivor.id }
+        });
+      }
+
+      await ActivityLogModel.create({
+        tenant_id: tenantId,
+        entity: 'lead',
+        entity_id: survivor.id,
+        action: 'merged',
+        actor_user_id: user.id,
+        before_data: Object.fromEntries(Object.keys(updates).map((field) => [field, survivor[field]])),
+        after_data: { ...updates, merged_lead_ids: duplicateIds, moved }
+      });
+
+      await leadScoringService.recalculate(survivor.id, tenantId);
+      clearReports(tenantId);
+
+      return {
+        lead: await LeadModel.findByIdWithDetails(survivor.id, tenantId, SYSTEM_VIEWER),
+        merged_lead_ids: duplicateIds,
+        moved
+      };
+    });
+  }
+};
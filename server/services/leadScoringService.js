@@ -0,0 +1,166 @@
+import db from '../config/db.js';
+import LeadModel from '../models/Lead.js';
+import LeadScoringRuleModel from '../models/LeadScoringRule.js';
+import TenantModel from '../models/Tenant.js';
+import { RECENCY_FIELDS, RESCORE_CHUNK_SIZE } from '../config/leadScoring.js';
+import { evaluate, toFacts } from '../utils/leadScoring.js';
+
+// Tenants being rescored, each with whether another pass was asked for meanwhile
+const rescoring = new Map();
+
+/**
+ * Recalculate and store one lead's score
+ * @param {string} leadId - Lead UUID
+ * @param {string} tenantId - Tenant UUID
+ * @param {Array} rules - Active scoring rules
+ * @returns {Promise<number|null>} - New score, or null if the lead is gone
+ */
+const scoreLead = async (leadId, tenantId, rules) => {
+  const row = await LeadModel.getScoringFacts(leadId, tenantId);
+  if (!row) {
+    return null;
+  }
+  const { score } = evaluate(rules, toFacts(row));
+  await LeadModel.setScore(leadId, tenantId, score);
+  return score;
+};
+
+/**
+ * Rescore every lead of a tenant in chunks, each in its own tenant transaction
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<number>} - Number of leads rescored
+ */
+const rescoreTenant = async (tenantId) => {
+  const { rules, leadIds } = await db.withTenant(tenantId, async () => ({
+    rules: await LeadScoringRuleModel.findAll(tenantId, { active_only: true }),
+    leadIds: await LeadModel.findIds(tenantId)
+  }));
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  for (let start = 0; start < leadIds.length; start += RESCORE_CHUNK_SIZE) {
+    const chunk = leadIds.slice(start, start + RESCORE_CHUNK_SIZE);
+    await db.withTenant(tenantId, async () => {
+      for (const leadId of chunk) {
+        await scoreLead(leadId, tenantId, rules);
+      }
+    });
+  }
+  return leadIds.length;
+};
+
+/**
+ * Lead Scoring Service
+ * Calculates lead scores from tenant-defined rules. Tenants without active
+ * rules keep setting scores by hand.
+ */
+export const leadScoringService = {
+  /**
+   * Check whether a tenant scores leads by rules
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<boolean>} - Whether any rule is active
+   */
+  async hasActiveRules(tenantId) {
+    const rules = await LeadScoringRuleModel.findAll(tenantId, { active_only: true });
+    return rules.length > 0;
+  },
+
+  /**
+   * Recalculate one lead's score after a change that may affect it
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<number|null>} - New score, or null if the tenant has no active rules
+   */
+  async recalculate(leadId, tenantId) {
+    const rules = await LeadScoringRuleModel.findAll(tenantId, { active_only: true });
+    if (rules.length === 0) {
+      return null;
+    }
+    return scoreLead(leadId, tenantId, rules);
+  },
+
+  /**
+   * Recalculate the scores of every lead of a contact
+   * @param {string} contactId - Contact UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async recalculateForContact(contactId, tenantId) {
+    const rules = await LeadScoringRuleModel.findAll(tenantId, { active_only: true });
+    if (rules.length === 0) {
+      return;
+    }
+    for (const leadId of await LeadModel.findIds(tenantId, contactId)) {
+      await scoreLead(leadId, tenantId, rules);
+    }
+  },
+
+  /**
+   * Recalculate every lead of a tenant, e.g. after the rules change or to
+   * refresh recency-based rules. Runs outside the request, so call it once
+   * the request has committed; failures are logged rather than thrown. A call
+   * while the tenant is already being rescored queues one more pass.
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async recalculateAll(tenantId) {
+    if (rescoring.has(tenantId)) {
+      rescoring.get(tenantId).rerun = true;
+      return;
+    }
+
+    const state = { rerun: true };
+    rescoring.set(tenantId, state);
+    try {
+      while (state.rerun) {
+        state.rerun = false;
+        await rescoreTenant(tenantId);
+      }
+    } catch (error) {
+      console.error(`Rescoring leads of tenant ${tenantId} failed:`, error);
+    } finally {
+      rescoring.delete(tenantId);
+    }
+  },
+
+  /**
+   * Rescore the leads of every tenant with active recency rules, whose
+   * scores go stale as time passes
+   * @returns {Promise<void>}
+   */
+  async refreshRecencyScores() {
+    for (const tenantId of await TenantModel.findAllIds()) {
+      const rules = await db.withTenant(tenantId, () => LeadScoringRuleModel.findAll(tenantId, { active_only: true }));
+      if (rules.some((rule) => RECENCY_FIELDS.includes(rule.field))) {
+        await this.recalculateAll(tenantId);
+      }
+    }
+  },
+
+  /**
+   * Explain how a lead's score is calculated by the current rules
+   * @param {string} leadId - Lead UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object|null>} - Score breakdown, or null if the lead is not found
+   */
+  async explain(leadId, tenantId) {
+    const row = await LeadModel.getScoringFacts(leadId, tenantId);
+    if (!row) {
+      return null;
+    }
+
+    const rules = await LeadScoringRuleModel.findAll(tenantId, { active_only: true });
+    const { score, total_points, rules: breakdown } = evaluate(rules, toFacts(row));
+
+    return {
+      lead_id: row.id,
+      score: row.score,
+      calculated_score: rules.length > 0 ? score : null,
+      total_points,
+      calculated_at: row.score_calculated_at,
+      rule_based: rules.length > 0,
+      rules: breakdown
+    };
+  }
+};
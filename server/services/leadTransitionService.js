@@ -0,0 +1,42 @@
+import TenantModel from '../models/Tenant.js';
+import { hasPermission } from '../config/permissions.js';
+import { DEFAULT_LEAD_TRANSITIONS } from '../config/leadTransitions.js';
+import { checkTransition } from '../utils/leadTransitions.js';
+
+/**
+ * Lead Transition Service
+ * Checks status and stage changes against the tenant's transition graph
+ */
+export const leadTransitionService = {
+  /**
+   * Get the tenant's transition graph, with defaults for fields it has not set
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - { status, stage }, each { allowed, required }
+   */
+  async getRules(tenantId) {
+    const settings = await TenantModel.getSettings(tenantId);
+    return { ...DEFAULT_LEAD_TRANSITIONS, ...settings.lead_transitions };
+  },
+
+  /**
+   * Check whether a user may override the transition graph. API keys never can.
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {boolean} - Whether overrides are allowed
+   */
+  canOverride(user) {
+    return user.type !== 'service' && hasPermission(user.role, 'leads:override_transitions');
+  },
+
+  /**
+   * Check an update against the transition graph. Callers must have checked
+   * canOverride before passing override.
+   * @param {Object} lead - Current lead row
+   * @param {Object} updates - Lead fields being set
+   * @param {Object} options - { reason, override }
+   * @param {Object} rules - Graph from getRules
+   * @returns {Object} - { transition } to pass to LeadModel.update, or { status, error, errors }
+   */
+  check(lead, updates, options, rules) {
+    return checkTransition(lead, updates, options, rules);
+  }
+};
@@ -0,0 +1,115 @@
+import UserModel from '../models/User.js';
+import LoginHistoryModel from '../models/LoginHistory.js';
+import { IP_WINDOW_SECONDS, LOCKOUT_SECONDS } from '../config/loginProtection.js';
+import {
+  countsAgainstAccount,
+  failureDelay,
+  isIpBlocked,
+  isLocked,
+  locksAccount
+} from '../utils/loginThrottle.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Login Guard
+ * Throttles password attempts per account and per IP and records every
+ * attempt in login_history.
+ */
+export const loginGuard = {
+  /**
+   * Check whether an IP has made too many failed attempts recently
+   * @param {string} ipAddress - Client IP
+   * @returns {Promise<Object>} - { blocked, failures }
+   */
+  async checkIp(ipAddress) {
+    const failures = await LoginHistoryModel.countRecentFailuresByIp(ipAddress, IP_WINDOW_SECONDS);
+    return { blocked: isIpBlocked(failures), failures };
+  },
+
+  /**
+   * Wait longer the more an account or IP has failed recently
+   * @param {number} failures - Recent failed attempts
+   * @returns {Promise<void>}
+   */
+  async delay(failures) {
+    if (failures > 0) {
+      await sleep(failureDelay(failures));
+    }
+  },
+
+  /**
+   * Check whether an account is currently locked
+   * @param {Object} user - team_users row
+   * @returns {boolean} - Lock status
+   */
+  isLocked(user) {
+    return isLocked(user);
+  },
+
+  /**
+   * Record a failed attempt, counting it against the account for bad credentials
+   * @param {Object} attempt - { email, tenantId, ip, userAgent }
+   * @param {Object} user - team_users row, if the account exists
+   * @param {string} reason - Failure reason stored in login_history
+   * @returns {Promise<Object|null>} - { failed_login_count, locked_until } for counted failures
+   */
+  async recordFailure(attempt, user, reason) {
+    let tracking = null;
+    if (user && countsAgainstAccount(reason)) {
+      tracking = await UserModel.registerFailedLogin(user.id);
+      if (tracking && locksAccount(tracking.failed_login_count)) {
+        tracking = await UserModel.lock(user.id, LOCKOUT_SECONDS);
+      }
+    }
+
+    await LoginHistoryModel.create({
+      tenant_id: attempt.tenantId,
+      user_id: user?.id,
+      email: attempt.email,
+      ip_address: attempt.ip,
+      user_agent: attempt.userAgent,
+      success: false,
+      failure_reason: reason
+    });
+
+    return tracking;
+  },
+
+  /**
+   * Record a password reset request. It is stored as a failed attempt that
+   * never counts against the account, so the IP limit also caps how many
+   * reset mails one client can trigger.
+   * @param {Object} attempt - { email, tenantId, ip, userAgent }
+   * @returns {Promise<void>}
+   */
+  async recordResetRequest(attempt) {
+    await LoginHistoryModel.create({
+      tenant_id: attempt.tenantId,
+      email: attempt.email,
+      ip_address: attempt.ip,
+      user_agent: attempt.userAgent,
+      success: false,
+      failure_reason: 'password_reset'
+    });
+  },
+
+  /**
+   * Record a successful login and clear the account's failure count
+   * @param {Object} attempt - { email, tenantId, ip, userAgent }
+   * @param {Object} user - team_users row
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(attempt, user) {
+    await UserModel.registerSuccessfulLogin(user.id);
+
+    await LoginHistoryModel.create({
+      tenant_id: attempt.tenantId,
+      user_id: user.id,
+      email: attempt.email,
+      ip_address: attempt.ip,
+      user_agent: attempt.userAgent,
+      success: true
+    });
+  }
+};
@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+const MAIL_FROM = process.env.MAIL_FROM || 'KF CRM <no-reply@localhost>';
+
+/**
+ * Mail transports
+ * Each factory returns an object with send(message), where message is
+ * { from, to, subject, text, html }. MAIL_TRANSPORT selects one of them.
+ */
+const transportFactories = {
+  /**
+   * Deliver through an SMTP server
+   */
+  smtp() {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+
+    return {
+      async send(message) {
+        await transporter.sendMail(message);
+      }
+    };
+  },
+
+  /**
+   * Write each message as an .eml file, for local development
+   */
+  file() {
+    const outbox = process.env.MAIL_FILE_DIR || 'mail-outbox';
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      async send(message) {
+        const { message: raw } = await transporter.sendMail(message);
+        await fs.mkdir(outbox, { recursive: true });
+        await fs.writeFile(path.join(outbox, `${Date.now()}-${crypto.randomUUID()}.eml`), raw);
+      }
+    };
+  },
+
+  /**
+   * Print each message to stdout, for local development
+   */
+  console() {
+    return {
+      async send(message) {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      }
+    };
+  }
+};
+
+/**
+ * Build the transport named by MAIL_TRANSPORT (smtp, file or console). Outside
+ * production it defaults to console; in production it must be set, so reset
+ * and invitation links are never only printed to the server log.
+ * @returns {Object} - Mail transport
+ */
+const createTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  const factory = transportFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return factory();
+};
+
+// Built on import so a misconfigured transport stops the server at startup
+let transport = createTransport();
+
+/**
+ * Mail Service
+ * Sends outgoing email through the configured transport
+ */
+export const mailService = {
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text, html }) {
+    await transport.send({ from: MAIL_FROM, to, subject, text, html });
+  },
+
+  /**
+   * Replace the active transport
+   * @param {Object} customTransport - Object with send(message)
+   */
+  setTransport(customTransport) {
+    transport = customTransport;
+  }
+};
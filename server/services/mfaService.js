@@ -0,0 +1,157 @@
+import crypto from 'crypto';
+import UserModel from '../models/User.js';
+import TenantModel from '../models/Tenant.js';
+import { hashToken, signMfaChallenge, verifyMfaChallenge } from '../utils/tokens.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp.js';
+
+const MFA_ISSUER = process.env.MFA_ISSUER || 'KF CRM';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code before hashing, so dashes and case don't matter
+ * @param {string} code - Recovery code as entered
+ * @returns {string} - Hash of the normalized code
+ */
+const hashRecoveryCode = (code) => hashToken(String(code).replace(/[\s-]/g, '').toLowerCase());
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Object} - { codes, hashes } where codes are shown to the user once
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * MFA Service
+ * TOTP enrollment and verification, recovery codes and the tenant policy
+ * that decides who must use a second factor
+ */
+export const mfaService = {
+  /**
+   * Check whether the tenant policy requires two-factor for the user's role
+   * @param {Object} user - team_users row
+   * @returns {Promise<boolean>} - Whether a second factor is mandatory
+   */
+  async isRequiredByPolicy(user) {
+    const settings = await TenantModel.getSettings(user.tenant_id);
+    return (settings.mfa_required_roles || []).includes(user.role);
+  },
+
+  /**
+   * Build the challenge returned by a password login that still needs a second factor.
+   * Users who must use two-factor but haven't enrolled use the challenge to enroll.
+   * @param {Object} user - team_users row
+   * @param {Object} options - { deviceId }
+   * @returns {Object} - Challenge response body
+   */
+  createChallenge(user, { deviceId } = {}) {
+    const challenge = signMfaChallenge(user, { deviceId });
+    return {
+      mfa_required: true,
+      enrollment_required: !user.mfa_enabled,
+      mfa_token: challenge.token,
+      expires_in: challenge.expiresIn
+    };
+  },
+
+  /**
+   * Load the user behind a challenge token
+   * @param {string} token - Challenge token
+   * @returns {Promise<Object|null>} - { user, deviceId }, or null if the challenge is not usable
+   */
+  async resolveChallenge(token) {
+    const challenge = verifyMfaChallenge(token);
+    if (!challenge) {
+      return null;
+    }
+
+    const user = await UserModel.findByIdWithTenant(challenge.userId);
+    if (!user || user.tenant_id !== challenge.tenantId || user.token_version !== challenge.tokenVersion) {
+      return null;
+    }
+
+    return { user, deviceId: challenge.deviceId };
+  },
+
+  /**
+   * Start enrollment with a new secret. Calling it again replaces the pending secret.
+   * @param {Object} user - team_users row
+   * @returns {Promise<Object|null>} - { secret, otpauth_uri }, or null if already enabled
+   */
+  async setup(user) {
+    const secret = generateTotpSecret();
+    if (!(await UserModel.setMfaSecret(user.id, secret))) {
+      return null;
+    }
+    return { secret, otpauth_uri: buildOtpauthUri(secret, user.email, MFA_ISSUER) };
+  },
+
+  /**
+   * Finish enrollment by confirming a code from the pending secret
+   * @param {Object} user - team_users row, reloaded after setup
+   * @param {string} code - TOTP code
+   * @returns {Promise<Array|null>} - Recovery codes, or null if the code is wrong
+   */
+  async activate(user, code) {
+    if (user.mfa_enabled || !user.mfa_secret) {
+      return null;
+    }
+
+    const step = verifyTotp(user.mfa_secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    if (!(await UserModel.enableMfa(user.id, hashes, step))) {
+      return null;
+    }
+    return codes;
+  },
+
+  /**
+   * Check a TOTP code or a recovery code for an enrolled user.
+   * Each TOTP code and each recovery code works only once.
+   * @param {Object} user - team_users row
+   * @param {Object} factor - { code } or { recovery_code }
+   * @returns {Promise<boolean>} - Whether the factor is valid
+   */
+  async verify(user, { code, recovery_code }) {
+    if (!user.mfa_enabled) {
+      return false;
+    }
+
+    if (recovery_code) {
+      return UserModel.consumeRecoveryCode(user.id, hashRecoveryCode(recovery_code));
+    }
+
+    const step = verifyTotp(user.mfa_secret, code);
+    return step !== null && UserModel.consumeMfaStep(user.id, step);
+  },
+
+  /**
+   * Replace a user's recovery codes
+   * @param {string} userId - User UUID
+   * @returns {Promise<Array>} - New recovery codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const { codes, hashes } = generateRecoveryCodes();
+    await UserModel.setRecoveryCodes(userId, hashes);
+    return codes;
+  },
+
+  /**
+   * Turn off two-factor authentication for a user
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object|null>} - Updated user
+   */
+  async disable(userId, tenantId) {
+    return UserModel.disableMfa(userId, tenantId);
+  }
+};
@@ -0,0 +1,155 @@
+import bcrypt from 'bcrypt';
+import db from '../config/db.js';
+import UserModel from '../models/User.js';
+import UserTokenModel from '../models/UserToken.js';
+import { mailService } from './mailService.js';
+import { sessionService } from './sessionService.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+
+const BCRYPT_ROUNDS = 10;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// Lifetimes in seconds
+const PASSWORD_RESET_TTL = parseInt(process.env.PASSWORD_RESET_TTL) || 60 * 60;
+const INVITE_TTL = parseInt(process.env.INVITE_TTL) || 7 * 24 * 60 * 60;
+
+/**
+ * Create a one-time token for a user, replacing any outstanding one
+ * @param {Object} user - team_users row
+ * @param {string} purpose - 'password_reset' or 'invite'
+ * @param {number} ttl - Lifetime in seconds
+ * @returns {Promise<string>} - Raw token
+ */
+const issueUserToken = async (user, purpose, ttl) => {
+  const token = generateOpaqueToken();
+
+  await UserTokenModel.consumeAllForUser(user.id, purpose);
+  await UserTokenModel.create({
+    tenant_id: user.tenant_id,
+    user_id: user.id,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttl * 1000)
+  });
+
+  return token;
+};
+
+/**
+ * Redeem a one-time token by setting the user's password
+ * @param {string} token - Raw token
+ * @param {string} purpose - 'password_reset' or 'invite'
+ * @param {string} password - New plain-text password
+ * @returns {Promise<Object|null>} - Updated user, or null if the token is not usable
+ */
+const redeemUserToken = async (token, purpose, password) => {
+  const tokenHash = hashToken(token);
+
+  const tenantId = await UserTokenModel.findTenantByHash(tokenHash);
+  if (!tenantId) {
+    return null;
+  }
+
+  return db.withTenant(tenantId, async () => {
+    const userToken = await UserTokenModel.findUsableByHash(tokenHash, purpose);
+    if (!userToken) {
+      return null;
+    }
+
+    const user = await UserModel.findById(userToken.user_id, tenantId);
+    if (!user || !user.is_active) {
+      return null;
+    }
+
+    const updated = await UserModel.update(user.id, tenantId, {
+      password: await bcrypt.hash(password, BCRYPT_ROUNDS)
+    });
+    await UserTokenModel.consumeAllForUser(user.id, purpose);
+    await UserModel.unlock(user.id, tenantId);
+    await sessionService.revokeAll(user.id, tenantId);
+
+    return updated;
+  });
+};
+
+/**
+ * Password Service
+ * Password reset and invitation flows built on single-use emailed tokens
+ */
+export const passwordService = {
+  /**
+   * Email a password reset link if the address belongs to an active user.
+   * Unknown addresses are silently ignored and mail failures are only logged;
+   * call it after answering, so the outcome never reveals whether an account
+   * exists.
+   * @param {string} email - User email
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<void>}
+   */
+  async requestReset(email, tenantId) {
+    const user = await UserModel.findByEmailAndTenant(email, tenantId);
+    if (!user) {
+      return;
+    }
+
+    const token = await issueUserToken(user, 'password_reset', PASSWORD_RESET_TTL);
+    const link = `${APP_URL}/reset-password?token=${token}`;
+
+    try {
+      await mailService.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${Math.round(PASSWORD_RESET_TTL / 60)} minutes.\n\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+      });
+    } catch (error) {
+      console.error(`Password reset email to user ${user.id} failed:`, error);
+    }
+  },
+
+  /**
+   * Set a new password from a reset token and end every existing session
+   * @param {string} token - Raw reset token
+   * @param {string} password - New plain-text password
+   * @returns {Promise<Object|null>} - Updated user, or null if the token is not usable
+   */
+  async resetPassword(token, password) {
+    return redeemUserToken(token, 'password_reset', password);
+  },
+
+  /**
+   * Create the invitation token of a newly created user
+   * @param {Object} user - team_users row
+   * @returns {Promise<string>} - Raw invite token, for sendInvite
+   */
+  async issueInvite(user) {
+    return issueUserToken(user, 'invite', INVITE_TTL);
+  },
+
+  /**
+   * Email an invitation link. Call it once the user and token have
+   * committed, so a rolled back invite never reaches the user.
+   * @param {Object} user - team_users row
+   * @param {Object} invitedBy - Inviting user (req.user)
+   * @param {string} token - Raw token from issueInvite
+   * @returns {Promise<void>}
+   */
+  async sendInvite(user, invitedBy, token) {
+    const link = `${APP_URL}/accept-invite?token=${token}`;
+
+    await mailService.send({
+      to: user.email,
+      subject: `${invitedBy.name} invited you to ${invitedBy.tenant_name}`,
+      text: `Hi ${user.name},\n\n${invitedBy.name} invited you to join ${invitedBy.tenant_name}. Use the link below to set your password. It expires in ${Math.round(INVITE_TTL / 86400)} days.\n\n${link}`
+    });
+  },
+
+  /**
+   * Set the first password of an invited user
+   * @param {string} token - Raw invite token
+   * @param {string} password - New plain-text password
+   * @returns {Promise<Object|null>} - Updated user, or null if the token is not usable
+   */
+  async acceptInvite(token, password) {
+    return redeemUserToken(token, 'invite', password);
+  }
+};
@@ -0,0 +1,22 @@
+import PicklistValueModel from '../models/PicklistValue.js';
+import { PICKLIST_NAMES } from '../config/picklists.js';
+
+/**
+ * Picklist Service
+ * Reads the tenant's picklists for validators, imports and lead transitions
+ */
+export const picklistService = {
+  /**
+   * Get every picklist of the tenant
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<Object>} - Values in display order, keyed by picklist name
+   */
+  async getAll(tenantId) {
+    const rows = await PicklistValueModel.findAll(tenantId);
+    const picklists = Object.fromEntries(PICKLIST_NAMES.map((name) => [name, []]));
+    for (const row of rows) {
+      picklists[row.picklist]?.push(row);
+    }
+    return picklists;
+  }
+};
@@ -0,0 +1,132 @@
+import { customFieldService } from './customFieldService.js';
+import { exportService } from './exportService.js';
+import { hasPermission } from '../config/permissions.js';
+import { CUSTOM_FIELD_PARAM_PREFIX } from '../config/customFields.js';
+import { CURRENT_USER_VALUE, SAVED_VIEW_CONFIG } from '../config/savedViews.js';
+
+/**
+ * Saved View Service
+ * Checks saved views when they are saved and turns them into list query parameters
+ */
+export const savedViewService = {
+  /**
+   * Check whether a user may share views with the whole tenant. API keys never can.
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {boolean} - Whether tenant visibility is allowed
+   */
+  canShareWithTenant(user) {
+    return user.type !== 'service' && hasPermission(user.role, 'saved_views:share_tenant');
+  },
+
+  /**
+   * Check whether a user may change or delete a view: owners can, and admins
+   * can for views shared with a team or the tenant
+   * @param {Object} view - Saved view row
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {boolean} - Whether the view can be managed
+   */
+  canManage(view, user) {
+    return view.owner_user_id === user.id || (user.role === 'admin' && view.visibility !== 'private');
+  },
+
+  /**
+   * Check a view's filters, sort and columns. Filter values and sort fields are
+   * checked by the list endpoint's own validators whenever the view is applied.
+   * Parts left undefined are skipped, so updates can check only what they change.
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} entity - View entity
+   * @param {Object} view - { filters, sort, columns }
+   * @returns {Promise<Object>} - { filters, sort, columns } with filter values as text, or { status, error }
+   */
+  async normalize(tenantId, entity, { filters, sort, columns }) {
+    const config = SAVED_VIEW_CONFIG[entity];
+    const normalized = { filters: undefined, sort: undefined, columns: undefined };
+
+    if (filters !== undefined) {
+      normalized.filters = {};
+      for (const [key, value] of Object.entries(filters)) {
+        const isCustom = config.customFields && key.startsWith(CUSTOM_FIELD_PARAM_PREFIX);
+        if (!config.filters.includes(key) && !isCustom) {
+          return { status: 422, error: `Unknown ${entity} filter: ${key}` };
+        }
+        if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).trim() === '') {
+          return { status: 422, error: `Filter ${key} must be a single value` };
+        }
+        normalized.filters[key] = String(value).trim();
+      }
+    }
+
+    if (sort) {
+      if (!config.sort) {
+        return { status: 422, error: `${entity} views cannot set a sort` };
+      }
+      normalized.sort = { field: sort.field, order: sort.order || 'desc' };
+    } else if (sort === null) {
+      normalized.sort = null;
+    }
+
+    // Custom field filters and sorts must name fields of the entity
+    if (config.customFields) {
+      const listOptions = await customFieldService.resolveListOptions(
+        tenantId,
+        entity,
+        normalized.filters || {},
+        normalized.sort?.field
+      );
+      if (listOptions.error) {
+        return { status: listOptions.status, error: listOptions.error };
+      }
+    }
+
+    if (columns !== undefined) {
+      normalized.columns = [...new Set(columns.map((column) => column.trim()).filter(Boolean))];
+      if (config.columns) {
+        const unknown = normalized.columns.filter((column) => !config.columns.includes(column));
+        if (unknown.length > 0) {
+          return { status: 422, error: `Unknown ${entity} columns: ${unknown.join(', ')}` };
+        }
+      } else if (normalized.columns.length > 0) {
+        const resolved = await exportService.resolveColumns(entity, normalized.columns.join(','), tenantId);
+        if (resolved.error) {
+          return { status: resolved.status, error: resolved.error };
+        }
+      }
+    }
+
+    return normalized;
+  },
+
+  /**
+   * Turn a view into the list query parameters it stands for, with 'me'
+   * filters naming the viewer. Columns go in `columns`, which exports use.
+   * @param {Object} view - Saved view row
+   * @param {Object} viewer - User applying the view (req.user)
+   * @returns {Object} - { query }, or { status, error }
+   */
+  toQuery(view, viewer) {
+    const config = SAVED_VIEW_CONFIG[view.entity];
+    const query = {};
+
+    for (const [key, value] of Object.entries(view.filters)) {
+      if (config.userFilters.includes(key) && value === CURRENT_USER_VALUE) {
+        if (!viewer.id) {
+          return { status: 422, error: `Saved view filters on ${key}=${CURRENT_USER_VALUE}, which needs a user session` };
+        }
+        query[key] = viewer.id;
+      } else {
+        query[key] = value;
+      }
+    }
+
+    if (view.sort && config.sort) {
+      query[config.sort.field] = view.sort.field;
+      query[config.sort.order] = config.sort.upperCase ? view.sort.order.toUpperCase() : view.sort.order;
+    }
+
+    if (view.columns.length > 0) {
+      query.columns = view.columns.join(',');
+    }
+
+    return { query };
+  }
+};
@@ -0,0 +1,104 @@
+import db from '../config/db.js';
+import RefreshTokenModel from '../models/RefreshToken.js';
+import UserModel from '../models/User.js';
+import {
+  REFRESH_TOKEN_TTL,
+  generateOpaqueToken,
+  hashToken,
+  refreshTokenState,
+  signAccessToken
+} from '../utils/tokens.js';
+
+/**
+ * Session Service
+ * Issues access/refresh token pairs and rotates or revokes them
+ */
+export const sessionService = {
+  /**
+   * Issue an access token and a new refresh token for a user
+   * @param {Object} user - team_users row
+   * @param {Object} options - { deviceId, userAgent, familyId }
+   * @returns {Promise<Object>} - { tokens, refreshTokenId }
+   */
+  async issue(user, { deviceId, userAgent, familyId } = {}) {
+    const refreshToken = generateOpaqueToken();
+
+    const stored = await RefreshTokenModel.create({
+      tenant_id: user.tenant_id,
+      user_id: user.id,
+      token_hash: hashToken(refreshToken),
+      family_id: familyId,
+      device_id: deviceId,
+      user_agent: userAgent,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000)
+    });
+
+    const access = signAccessToken(user);
+
+    return {
+      tokens: {
+        access_token: access.token,
+        token_type: 'Bearer',
+        expires_in: access.expiresIn,
+        refresh_token: refreshToken,
+        refresh_expires_in: REFRESH_TOKEN_TTL
+      },
+      refreshTokenId: stored.id
+    };
+  },
+
+  /**
+   * Exchange a refresh token for a new token pair.
+   * Presenting an already rotated token revokes its whole family.
+   * @param {string} refreshToken - Raw refresh token
+   * @param {Object} options - { userAgent }
+   * @returns {Promise<Object|null>} - { tokens, user }, or null if the token is not usable
+   */
+  async rotate(refreshToken, { userAgent } = {}) {
+    const tokenHash = hashToken(refreshToken);
+
+    const existing = await RefreshTokenModel.findByHash(tokenHash);
+    if (!existing) {
+      return null;
+    }
+
+    return db.withTenant(existing.tenant_id, async () => {
+      const token = await RefreshTokenModel.findByHash(tokenHash, true);
+
+      const state = refreshTokenState(token);
+      if (state === 'reused') {
+        await RefreshTokenModel.revokeFamily(token.family_id);
+      }
+      if (state !== 'active') {
+        return null;
+      }
+
+      const user = await UserModel.findByIdWithTenant(token.user_id);
+      if (!user || user.tenant_id !== token.tenant_id) {
+        await RefreshTokenModel.revokeFamily(token.family_id);
+        return null;
+      }
+
+      const session = await sessionService.issue(user, {
+        deviceId: token.device_id,
+        userAgent,
+        familyId: token.family_id
+      });
+      await RefreshTokenModel.markRotated(token.id, session.refreshTokenId);
+
+      return { tokens: session.tokens, user };
+    });
+  },
+
+  /**
+   * Revoke every session of a user, including access tokens already issued
+   * @param {string} userId - User UUID
+   * @param {string} tenantId - Tenant UUID
+   * @returns {Promise<number>} - Number of refresh tokens revoked
+   */
+  async revokeAll(userId, tenantId) {
+    const revoked = await RefreshTokenModel.revokeAllForUser(userId, tenantId);
+    await UserModel.incrementTokenVersion(userId, tenantId);
+    return revoked;
+  }
+};
@@ -0,0 +1,213 @@
+import { Issuer, generators } from 'openid-client';
+import db from '../config/db.js';
+import UserModel from '../models/User.js';
+import TenantModel from '../models/Tenant.js';
+import SsoLoginStateModel from '../models/SsoLoginState.js';
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+// One callback for every tenant; the state parameter says which tenant it is for
+export const SSO_CALLBACK_URL = `${API_URL}/api/auth/sso/callback`;
+
+// How long a user has to finish logging in at the identity provider (seconds)
+const LOGIN_STATE_TTL = 10 * 60;
+
+// Discovered clients, keyed by provider and credentials
+const clients = new Map();
+
+/**
+ * Read a tenant's SSO settings if SSO is enabled and complete
+ * @param {string} tenantId - Tenant UUID
+ * @returns {Promise<Object|null>} - SSO settings
+ */
+const getSsoConfig = async (tenantId) => {
+  const settings = await TenantModel.getSettings(tenantId);
+  const sso = settings.sso;
+  if (!sso?.enabled || !sso.issuer || !sso.client_id || !sso.client_secret) {
+    return null;
+  }
+  return sso;
+};
+
+/**
+ * Get an OIDC client for a tenant's provider, running discovery on first use
+ * @param {Object} config - Tenant SSO settings
+ * @returns {Promise<Object>} - openid-client Client
+ */
+const getClient = (config) => {
+  const cacheKey = `${config.issuer}|${config.client_id}|${config.client_secret}`;
+
+  if (!clients.has(cacheKey)) {
+    const discovery = Issuer.discover(config.issuer).then((issuer) => new issuer.Client({
+      client_id: config.client_id,
+      client_secret: config.client_secret,
+      redirect_uris: [SSO_CALLBACK_URL],
+      response_types: ['code']
+    }));
+
+    // Don't cache a failed discovery; the provider may just be down
+    discovery.catch(() => clients.delete(cacheKey));
+    clients.set(cacheKey, discovery);
+  }
+
+  return clients.get(cacheKey);
+};
+
+/**
+ * Find the team user for a set of identity provider claims, linking or
+ * provisioning them as needed
+ * @param {string} tenantId - Tenant UUID
+ * @param {Object} claims - ID token and userinfo claims
+ * @param {Object} config - Tenant SSO settings
+ * @returns {Promise<Object>} - { user } or { error }
+ */
+const resolveUser = async (tenantId, claims, config) => {
+  const linked = await UserModel.findBySsoSubject(tenantId, claims.sub);
+  if (linked) {
+    return { user: linked };
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    return { error: 'Identity provider did not return a verified email' };
+  }
+
+  // Existing users are matched by email and linked on first SSO login
+  const existing = await UserModel.findByEmailIgnoreCase(claims.email, tenantId);
+  if (existing) {
+    if (existing.sso_subject) {
+      return { error: 'Account is linked to a different identity' };
+    }
+    await UserModel.linkSsoSubject(existing.id, claims.sub);
+    return { user: existing };
+  }
+
+  // Everyone else is provisioned only from the tenant's allowed domains
+  const domain = claims.email.split('@').pop().toLowerCase();
+  const allowedDomains = (config.allowed_domains || []).map((d) => d.toLowerCase());
+  if (!allowedDomains.includes(domain)) {
+    return { error: 'Email domain is not allowed for this tenant' };
+  }
+
+  const created = await UserModel.create({
+    tenant_id: tenantId,
+    email: claims.email.toLowerCase(),
+    name: claims.name || claims.preferred_username || claims.email,
+    role: config.default_role || 'agent',
+    password: null
+  });
+  await UserModel.linkSsoSubject(created.id, claims.sub);
+
+  return { user: await UserModel.findByIdWithTenant(created.id) };
+};
+
+/**
+ * SSO Service
+ * OpenID Connect authorization code login, configured per tenant
+ */
+export const ssoService = {
+  /**
+   * Check that a post-login redirect points at the frontend
+   * @param {string} returnTo - Requested redirect URL
+   * @returns {boolean} - Whether the redirect is allowed
+   */
+  isAllowedReturnTo(returnTo) {
+    try {
+      return new URL(returnTo).origin === new URL(APP_URL).origin;
+    } catch {
+      return false;
+    }
+  },
+
+  /**
+   * Start a login by building the identity provider authorization URL
+   * @param {string} tenantId - Tenant UUID
+   * @param {string} returnTo - Optional frontend URL to send the tokens to
+   * @returns {Promise<string|null>} - Authorization URL, or null if SSO is not configured
+   */
+  async startLogin(tenantId, returnTo) {
+    const config = await getSsoConfig(tenantId);
+    if (!config) {
+      return null;
+    }
+
+    const client = await getClient(config);
+    const state = generators.state();
+    const nonce = generators.nonce();
+    const codeVerifier = generators.codeVerifier();
+
+    await SsoLoginStateModel.create({
+      state,
+      tenant_id: tenantId,
+      nonce,
+      code_verifier: codeVerifier,
+      return_to: returnTo,
+      expires_at: new Date(Date.now() + LOGIN_STATE_TTL * 1000)
+    });
+
+    return client.authorizationUrl({
+      scope: 'openid email profile',
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    });
+  },
+
+  /**
+   * Finish a login from the identity provider callback
+   * @param {Object} req - Express request object for the callback
+   * @returns {Promise<Object>} - { user } or { error, status? }, with tenantId, email and returnTo when known
+   */
+  async completeLogin(req) {
+    const loginState = await SsoLoginStateModel.consume(req.query.state);
+    if (!loginState) {
+      return { error: 'Invalid or expired login state' };
+    }
+
+    const context = { tenantId: loginState.tenant_id, returnTo: loginState.return_to };
+
+    const config = await getSsoConfig(loginState.tenant_id);
+    if (!config) {
+      return { ...context, error: 'SSO is not configured for this tenant' };
+    }
+
+    const client = await getClient(config);
+
+    let claims;
+    try {
+      const tokenSet = await client.callback(SSO_CALLBACK_URL, client.callbackParams(req), {
+        state: loginState.state,
+        nonce: loginState.nonce,
+        code_verifier: loginState.code_verifier
+      });
+      claims = tokenSet.claims();
+
+      // Some providers only put profile claims in userinfo
+      if (!claims.email && tokenSet.access_token) {
+        claims = { ...(await client.userinfo(tokenSet)), ...claims };
+      }
+    } catch (error) {
+      console.error('SSO callback error:', error.message);
+      return { ...context, error: 'Identity provider rejected the login' };
+    }
+
+    let result;
+    try {
+      result = await db.withTenant(loginState.tenant_id, () =>
+        resolveUser(loginState.tenant_id, claims, config));
+    } catch (error) {
+      // Lost a race with another first login for the same email or subject
+      if (error.code === '23505') {
+        return { ...context, email: claims.email, status: 409, error: 'Account already exists. Please sign in again.' };
+      }
+      throw error;
+    }
+
+    if (result.user && !result.user.is_active) {
+      return { ...context, email: claims.email, error: 'Account is inactive' };
+    }
+
+    return { ...context, email: claims.email, ...result };
+  }
+};
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import db from '../config/db.js';
+import TenantModel from '../models/Tenant.js';
+import UserModel from '../models/User.js';
+import PipelineModel from '../models/Pipeline.js';
+import PicklistValueModel from '../models/PicklistValue.js';
+import {
+  DEFAULT_PIPELINE,
+  DEFAULT_TENANT_SETTINGS,
+  RESERVED_SLUGS,
+  TENANT_SLUG_PATTERN
+} from '../config/tenants.js';
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Turn a company name into a slug candidate
+ * @param {string} name - Company name
+ * @returns {string} - Slug, possibly shorter than allowed
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, 54)
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Check that a slug is well formed and not reserved
+ * @param {string} slug - Tenant slug
+ * @returns {boolean} - Whether the slug can be used
+ */
+const isUsableSlug = (slug) => TENANT_SLUG_PATTERN.test(slug) && !RESERVED_SLUGS.includes(slug);
+
+/**
+ * Pick a free slug derived from the company name
+ * @param {string} name - Company name
+ * @returns {Promise<string>} - Unused slug
+ */
+const generateSlug = async (name) => {
+  const base = slugify(name);
+  if (isUsableSlug(base) && !(await TenantModel.slugExists(base))) {
+    return base;
+  }
+
+  // Add a random suffix until the slug is free
+  for (;;) {
+    const candidate = [base, crypto.randomBytes(3).toString('hex')].filter(Boolean).join('-');
+    if (!(await TenantModel.slugExists(candidate))) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Tenant Service
+ * Self-service provisioning of new tenants
+ */
+export const tenantService = {
+  /**
+   * Resolve a tenant slug to its ID
+   * @param {string} slug - Tenant slug
+   * @returns {Promise<string|null>} - Tenant UUID
+   */
+  async resolveSlug(slug) {
+    const tenant = await TenantModel.findBySlug(slug);
+    return tenant?.id || null;
+  },
+
+  /**
+   * Create a tenant with its first admin, default settings, a default
+   * pipeline and default picklists, all in one transaction
+   * @param {Object} signup - { company_name, slug, name, email, password }
+   * @returns {Promise<Object>} - { tenant, user }, or { error } if the slug is taken
+   */
+  async provision({ company_name, slug, name, email, password }) {
+    if (slug && await TenantModel.slugExists(slug)) {
+      return { error: 'Tenant slug is already taken' };
+    }
+
+    const tenantSlug = slug || await generateSlug(company_name);
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const tenantId = crypto.randomUUID();
+
+    try {
+      return await db.withTenant(tenantId, async () => {
+        const tenant = await TenantModel.create({
+          id: tenantId,
+          name: company_name,
+          slug: tenantSlug,
+          settings: DEFAULT_TENANT_SETTINGS
+        });
+
+        const user = await UserModel.create({
+          tenant_id: tenantId,
+          email: email.toLowerCase(),
+          name,
+          role: 'admin',
+          password: passwordHash
+        });
+
+        const pipeline = await PipelineModel.create({
+          tenant_id: tenantId,
+          name: DEFAULT_PIPELINE.name,
+          is_default: true
+        });
+        for (const stage of DEFAULT_PIPELINE.stages) {
+          await PipelineModel.createStage(pipeline.id, { tenant_id: tenantId, ...stage });
+        }
+        await PicklistValueModel.createDefaults(tenantId);
+
+        return { tenant, user };
+      });
+    } catch (error) {
+      // Lost a race for the same slug
+      if (error.code === '23505' && error.constraint === 'tenants_slug_key') {
+        return { error: 'Tenant slug is already taken' };
+      }
+      throw error;
+    }
+  }
+};
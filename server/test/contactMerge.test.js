@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lostIdentifiers, mergeContactFields } from '../utils/contactMerge.js';
+
+const contact = (id, fields) => ({
+  id,
+  first_name: null,
+  last_name: null,
+  email: null,
+  phone: null,
+  dob: null,
+  company_id: null,
+  kf_visitor_id: null,
+  owner_user_id: null,
+  custom_fields: {},
+  ...fields
+});
+
+describe('mergeContactFields', () => {
+  const oldest = contact('c1', { first_name: 'Jane', email: 'jane@old.test', phone: '+1 555 0100' });
+  const middle = contact('c2', { first_name: 'Janet', last_name: 'Doe', email: 'jane@new.test' });
+  const newest = contact('c3', { last_name: 'Smith', company_id: 'co1' });
+  const contacts = [oldest, middle, newest];
+
+  it('keeps the survivor\'s values and fills its gaps from the oldest other contact', () => {
+    assert.deepEqual(mergeContactFields(contacts, middle), { phone: '+1 555 0100', company_id: 'co1' });
+  });
+
+  it('takes chosen fields from the chosen contact, even over the survivor', () => {
+    const updates = mergeContactFields(contacts, middle, { email: 'c1', last_name: 'c3' });
+    assert.equal(updates.email, 'jane@old.test');
+    assert.equal(updates.last_name, 'Smith');
+  });
+
+  it('lets a choice clear a field the chosen contact has empty', () => {
+    assert.equal(mergeContactFields(contacts, oldest, { phone: 'c2' }).phone, null);
+  });
+
+  it('compares dates by value', () => {
+    const survivor = contact('c1', { dob: new Date('1990-05-01T00:00:00Z') });
+    const other = contact('c2', { dob: new Date('1990-05-01T00:00:00Z') });
+    assert.deepEqual(mergeContactFields([survivor, other], survivor, { dob: 'c2' }), {});
+  });
+
+  it('keeps the survivor\'s custom fields and takes the rest from the oldest contact', () => {
+    const updates = mergeContactFields([
+      contact('c1', { custom_fields: { tier: 'gold' } }),
+      contact('c2', { custom_fields: { tier: 'silver', region: 'EMEA' } }),
+      contact('c3', { custom_fields: { tier: 'bronze', size: 'xl' } })
+    ], contact('c3', { custom_fields: { size: 'xl' } }));
+    assert.deepEqual(updates.custom_fields, { size: 'xl', tier: 'gold', region: 'EMEA' });
+  });
+});
+
+describe('lostIdentifiers', () => {
+  it('keeps every identifier that is not the survivor\'s final value, once', () => {
+    const contacts = [
+      contact('c1', { email: 'jane@old.test', phone: '555', kf_visitor_id: 7 }),
+      contact('c2', { email: 'jane@new.test', phone: '555' }),
+      contact('c3', { email: 'jane@old.test' })
+    ];
+    const result = contact('c2', { email: 'jane@new.test', phone: '555', kf_visitor_id: 7 });
+
+    assert.deepEqual(lostIdentifiers(contacts, 'c2', result), [
+      { kind: 'email', value: 'jane@old.test', merged_from_contact_id: 'c1' }
+    ]);
+  });
+
+  it('records the survivor\'s replaced values without a source contact', () => {
+    const contacts = [contact('c1', { email: 'a@x.test', kf_visitor_id: 12 }), contact('c2', { email: 'b@x.test' })];
+    const result = contact('c1', { email: 'b@x.test', kf_visitor_id: 12 });
+
+    assert.deepEqual(lostIdentifiers(contacts, 'c1', result), [
+      { kind: 'email', value: 'a@x.test', merged_from_contact_id: null }
+    ]);
+  });
+
+  it('compares visitor IDs as text', () => {
+    const contacts = [contact('c1', { kf_visitor_id: 12 }), contact('c2', { kf_visitor_id: '12' })];
+    assert.deepEqual(lostIdentifiers(contacts, 'c1', contact('c1', { kf_visitor_id: 12 })), []);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsvCell, toCsvLine } from '../utils/csv.js';
+
+describe('toCsvCell', () => {
+  it('leaves plain values alone', () => {
+    assert.equal(toCsvCell('Acme'), 'Acme');
+    assert.equal(toCsvCell(42), '42');
+    assert.equal(toCsvCell(null), '');
+    assert.equal(toCsvCell(undefined), '');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    assert.equal(toCsvCell('Doe, Jane'), '"Doe, Jane"');
+    assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(toCsvCell('a\nb'), '"a\nb"');
+  });
+
+  it('prefixes text a spreadsheet would run as a formula', () => {
+    assert.equal(toCsvCell('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+    assert.equal(toCsvCell('+cmd'), "'+cmd");
+    assert.equal(toCsvCell('-2+3'), "'-2+3");
+    assert.equal(toCsvCell('@SUM(A1)'), "'@SUM(A1)");
+    assert.equal(toCsvCell('\t=1'), "'\t=1");
+    assert.equal(toCsvCell('\r=1'), '"\'\r=1"');
+  });
+
+  it('keeps signed numbers as numbers', () => {
+    assert.equal(toCsvCell('-12.50'), '-12.50');
+    assert.equal(toCsvCell(-3), '-3');
+    assert.equal(toCsvCell('+4915112345678'), '+4915112345678');
+  });
+});
+
+describe('toCsvLine', () => {
+  it('joins cells and ends with CRLF', () => {
+    assert.equal(toCsvLine(['a', '=b', null]), "a,'=b,\r\n");
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { coerceValue, validateCustomFieldValues } from '../utils/customFieldValues.js';
+import { MAX_CUSTOM_TEXT_LENGTH } from '../config/customFields.js';
+
+const field = (key, type, extra = {}) => ({
+  key,
+  label: key,
+  type,
+  options: [],
+  is_required: false,
+  default_value: null,
+  ...extra
+});
+
+describe('coerceValue', () => {
+  it('stores text as strings within the length limit', () => {
+    assert.deepEqual(coerceValue(field('code', 'text'), 42), { value: '42' });
+    assert.ok(coerceValue(field('code', 'text'), 'x'.repeat(MAX_CUSTOM_TEXT_LENGTH + 1)).error);
+    assert.ok(coerceValue(field('code', 'text'), { a: 1 }).error);
+  });
+
+  it('parses numbers and rejects non-finite ones', () => {
+    assert.deepEqual(coerceValue(field('size', 'number'), '12.5'), { value: 12.5 });
+    assert.deepEqual(coerceValue(field('size', 'number'), 3), { value: 3 });
+    assert.ok(coerceValue(field('size', 'number'), 'abc').error);
+    assert.ok(coerceValue(field('size', 'number'), ' ').error);
+    assert.ok(coerceValue(field('size', 'number'), Infinity).error);
+  });
+
+  it('accepts only real calendar dates', () => {
+    assert.deepEqual(coerceValue(field('due', 'date'), '2024-02-29'), { value: '2024-02-29' });
+    assert.ok(coerceValue(field('due', 'date'), '2023-02-29').error);
+    assert.ok(coerceValue(field('due', 'date'), '2024-2-1').error);
+  });
+
+  it('reads booleans from their string form', () => {
+    assert.deepEqual(coerceValue(field('vip', 'boolean'), 'true'), { value: true });
+    assert.deepEqual(coerceValue(field('vip', 'boolean'), false), { value: false });
+    assert.ok(coerceValue(field('vip', 'boolean'), 'yes').error);
+  });
+
+  it('limits picklists and multi-selects to their options', () => {
+    const tier = field('tier', 'picklist', { options: ['gold', 'silver'] });
+    const regions = field('regions', 'multi_select', { options: ['eu', 'us'] });
+    assert.deepEqual(coerceValue(tier, 'gold'), { value: 'gold' });
+    assert.ok(coerceValue(tier, 'bronze').error);
+    assert.deepEqual(coerceValue(regions, ['eu', 'eu', 'us']), { value: ['eu', 'us'] });
+    assert.ok(coerceValue(regions, ['eu', 'apac']).error);
+    assert.ok(coerceValue(regions, 'eu').error);
+  });
+});
+
+describe('validateCustomFieldValues', () => {
+  const definitions = [
+    field('tier', 'picklist', { options: ['gold', 'silver'], default_value: 'silver' }),
+    field('budget', 'number', { is_required: true }),
+    field('notes', 'text')
+  ];
+
+  it('fills defaults and checks required fields on create', () => {
+    assert.deepEqual(validateCustomFieldValues(definitions, { budget: '100' }), {
+      values: { tier: 'silver', budget: 100 },
+      errors: []
+    });
+    const { errors } = validateCustomFieldValues(definitions, { notes: 'hi' });
+    assert.deepEqual(errors, [{ field: 'custom_fields.budget', message: 'budget is required' }]);
+  });
+
+  it('keeps an explicitly sent value over the default', () => {
+    const { values } = validateCustomFieldValues(definitions, { tier: 'gold', budget: 1 });
+    assert.equal(values.tier, 'gold');
+  });
+
+  it('only changes sent keys on update, without applying defaults', () => {
+    const current = { budget: 5, notes: 'old' };
+    assert.deepEqual(validateCustomFieldValues(definitions, { notes: 'new' }, current), {
+      values: { budget: 5, notes: 'new' },
+      errors: []
+    });
+  });
+
+  it('checks a required field on update only when it is sent', () => {
+    assert.deepEqual(validateCustomFieldValues(definitions, { notes: 'x' }, { notes: 'old' }).errors, []);
+    assert.deepEqual(validateCustomFieldValues(definitions, undefined, {}).errors, []);
+    const { errors } = validateCustomFieldValues(definitions, { budget: null }, { budget: 5 });
+    assert.deepEqual(errors, [{ field: 'custom_fields.budget', message: 'budget is required' }]);
+  });
+
+  it('clears optional fields sent blank', () => {
+    const { values, errors } = validateCustomFieldValues(definitions, { notes: '' }, { budget: 5, notes: 'old' });
+    assert.deepEqual(values, { budget: 5 });
+    assert.deepEqual(errors, []);
+  });
+
+  it('reports unknown keys and invalid values once per field', () => {
+    const { errors } = validateCustomFieldValues(definitions, { color: 'red', budget: 'lots' });
+    assert.deepEqual(errors.map((error) => error.field), ['custom_fields.color', 'custom_fields.budget']);
+    assert.equal(errors[1].message, 'budget must be a number');
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertValue, mapColumns, matchField, validateRow } from '../utils/imports.js';
+import { IMPORT_FIELDS } from '../config/imports.js';
+
+const picklists = {
+  lead_status: [
+    { value: 'new', label: 'New', is_deprecated: false },
+    { value: 'working', label: 'In progress', is_deprecated: false },
+    { value: 'cold', label: 'Cold', is_deprecated: true }
+  ]
+};
+
+describe('matchField', () => {
+  it('ignores case, spaces and punctuation', () => {
+    for (const header of ['first_name', 'First Name', 'first-name', 'FirstName', ' FIRST  NAME ']) {
+      assert.equal(matchField(IMPORT_FIELDS.contacts, header), 'first_name', header);
+    }
+  });
+
+  it('matches aliases', () => {
+    assert.equal(matchField(IMPORT_FIELDS.contacts, 'Mobile'), 'phone');
+    assert.equal(matchField(IMPORT_FIELDS.contacts, 'Organization'), 'company_name');
+    assert.equal(matchField(IMPORT_FIELDS.companies, 'Company Name'), 'name');
+  });
+
+  it('leaves unknown headers unmatched', () => {
+    assert.equal(matchField(IMPORT_FIELDS.contacts, 'Favourite colour'), undefined);
+  });
+});
+
+describe('mapColumns', () => {
+  it('maps matching headers and skips the rest', () => {
+    assert.deepEqual(mapColumns(IMPORT_FIELDS.leads, ['E-mail', 'Status', 'Notes 2', 'Labels']), {
+      'E-mail': 'email',
+      Status: 'status',
+      Labels: 'tags'
+    });
+  });
+
+  it('maps a field from its first column only', () => {
+    assert.deepEqual(mapColumns(IMPORT_FIELDS.contacts, ['Phone', 'Mobile', 'Email']), { Phone: 'phone', Email: 'email' });
+  });
+});
+
+describe('convertValue', () => {
+  it('lowercases valid emails and rejects others', () => {
+    assert.deepEqual(convertValue('Jane@Example.com', { type: 'email' }, picklists), { value: 'jane@example.com' });
+    assert.ok(convertValue('jane@', { type: 'email' }, picklists).error);
+  });
+
+  it('enforces string lengths', () => {
+    assert.deepEqual(convertValue('abc', { type: 'string', max: 3 }, picklists), { value: 'abc' });
+    assert.equal(convertValue('abcd', { type: 'string', max: 3 }, picklists).error, 'Must be at most 3 characters');
+  });
+
+  it('accepts phone punctuation up to 20 characters', () => {
+    assert.deepEqual(convertValue('+1 (555) 010-0100', { type: 'phone' }, picklists), { value: '+1 (555) 010-0100' });
+    assert.ok(convertValue('call me', { type: 'phone' }, picklists).error);
+    assert.ok(convertValue('+1 555 010 0100 0100 01', { type: 'phone' }, picklists).error);
+  });
+
+  it('takes whole numbers only', () => {
+    assert.deepEqual(convertValue('42', { type: 'integer' }, picklists), { value: 42 });
+    assert.ok(convertValue('4.2', { type: 'integer' }, picklists).error);
+    assert.ok(convertValue('-1', { type: 'integer' }, picklists).error);
+  });
+
+  it('rejects dates that do not exist', () => {
+    assert.deepEqual(convertValue('2024-02-29', { type: 'date' }, picklists), { value: '2024-02-29' });
+    assert.ok(convertValue('2023-02-29', { type: 'date' }, picklists).error);
+    assert.ok(convertValue('01/02/2024', { type: 'date' }, picklists).error);
+  });
+
+  it('matches picklist values or labels, but not deprecated ones', () => {
+    const status = { type: 'picklist', picklist: 'lead_status' };
+    assert.deepEqual(convertValue('NEW', status, picklists), { value: 'new' });
+    assert.deepEqual(convertValue('in progress', status, picklists), { value: 'working' });
+    assert.equal(convertValue('cold', status, picklists).error, 'Must be one of: new, working');
+  });
+
+  it('splits tags on commas and semicolons, dropping blanks and repeats', () => {
+    assert.deepEqual(convertValue('vip; press, vip,,', { type: 'tags' }, picklists), { value: ['vip', 'press'] });
+    assert.ok(convertValue('x'.repeat(101), { type: 'tags' }, picklists).error);
+  });
+});
+
+describe('validateRow', () => {
+  const job = (entity, headers, mapping) => ({ entity, headers, mapping });
+
+  it('converts mapped cells and ignores blank and unmapped ones', () => {
+    const result = validateRow(
+      job('contacts', ['Email', 'Name', 'Visitor', 'Extra'], { Email: 'email', Name: 'first_name', Visitor: 'kf_visitor_id' }),
+      [' Jane@X.test ', 'Jane', '  ', 'ignored'],
+      picklists
+    );
+    assert.deepEqual(result, { values: { email: 'jane@x.test', first_name: 'Jane' }, errors: [] });
+  });
+
+  it('reports every invalid cell', () => {
+    const { errors } = validateRow(
+      job('leads', ['Email', 'Status', 'Exhibition'], { Email: 'email', Status: 'status', Exhibition: 'exhibition_id' }),
+      ['jane@x.test', 'won', 'abc'],
+      picklists
+    );
+    assert.deepEqual(errors.map((error) => error.field), ['status', 'exhibition_id']);
+  });
+
+  it('requires an email or phone for people', () => {
+    const { errors } = validateRow(job('leads', ['Name'], { Name: 'first_name' }), ['Jane'], picklists);
+    assert.deepEqual(errors, [{ field: 'email', message: 'An email or phone is required' }]);
+
+    const phoneOnly = validateRow(job('contacts', ['Phone'], { Phone: 'phone' }), ['555 0100'], picklists);
+    assert.deepEqual(phoneOnly.errors, []);
+  });
+
+  it('does not repeat the email requirement over an invalid email', () => {
+    const { errors } = validateRow(job('contacts', ['Email'], { Email: 'email' }), ['nope'], picklists);
+    assert.deepEqual(errors, [{ field: 'email', message: 'Must be a valid email' }]);
+  });
+
+  it('requires required fields, once', () => {
+    assert.deepEqual(validateRow(job('companies', ['Name', 'Web'], { Name: 'name', Web: 'website' }), ['', 'acme.test'], picklists).errors, [
+      { field: 'name', message: 'Is required' }
+    ]);
+    assert.deepEqual(validateRow(job('companies', ['Name'], { Name: 'name' }), ['x'.repeat(256)], picklists).errors, [
+      { field: 'name', message: 'Must be at most 255 characters' }
+    ]);
+  });
+
+  it('treats missing trailing cells as blank', () => {
+    const result = validateRow(job('contacts', ['Email', 'Phone'], { Email: 'email', Phone: 'phone' }), ['jane@x.test'], picklists);
+    assert.deepEqual(result, { values: { email: 'jane@x.test' }, errors: [] });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseAssignee, conditionsMatch } from '../utils/leadAssignment.js';
+
+const assignees = ['u1', 'u2', 'u3', 'u4'];
+
+/**
+ * Hand out leads one after another, the way successive assignments advance
+ * last_assigned_user_id
+ */
+const roundRobin = (activeIds, last, count) => {
+  const picked = [];
+  for (let i = 0; i < count; i++) {
+    last = chooseAssignee('round_robin', { assignee_ids: assignees, last_assigned_user_id: last }, activeIds).userId;
+    picked.push(last);
+  }
+  return picked;
+};
+
+describe('chooseAssignee round robin', () => {
+  it('cycles through the assignees in order', () => {
+    assert.deepEqual(roundRobin(assignees, null, 6), ['u1', 'u2', 'u3', 'u4', 'u1', 'u2']);
+  });
+
+  it('skips inactive users without losing the turn', () => {
+    assert.deepEqual(roundRobin(['u1', 'u3', 'u4'], 'u1', 4), ['u3', 'u4', 'u1', 'u3']);
+  });
+
+  it('continues after a last assignee who has since been deactivated', () => {
+    assert.deepEqual(roundRobin(['u1', 'u2', 'u4'], 'u3', 2), ['u4', 'u1']);
+  });
+
+  it('starts from the top when the last assignee left the rule', () => {
+    assert.equal(roundRobin(assignees, 'gone', 1)[0], 'u1');
+  });
+
+  it('wraps around to the only active user', () => {
+    assert.deepEqual(roundRobin(['u2'], 'u2', 2), ['u2', 'u2']);
+  });
+
+  it('reports inactive users and finds nobody when all are inactive', () => {
+    assert.deepEqual(chooseAssignee('round_robin', { assignee_ids: assignees, last_assigned_user_id: 'u1' }, ['u2', 'u4']),
+      { userId: 'u2', inactiveUserIds: ['u1', 'u3'] });
+    assert.deepEqual(chooseAssignee('round_robin', { assignee_ids: assignees, last_assigned_user_id: 'u1' }, []),
+      { userId: null, inactiveUserIds: assignees });
+  });
+});
+
+describe('chooseAssignee other strategies', () => {
+  it('gives fixed rules to the first active user', () => {
+    assert.equal(chooseAssignee('fixed', { assignee_ids: assignees }, ['u2', 'u3']).userId, 'u2');
+  });
+
+  it('gives least_open_leads rules to the least loaded user, earliest on a tie', () => {
+    const rule = { assignee_ids: assignees };
+    assert.equal(chooseAssignee('least_open_leads', rule, assignees, { u1: 5, u2: 2, u3: 7, u4: 2 }).userId, 'u2');
+    assert.equal(chooseAssignee('least_open_leads', rule, ['u1', 'u3'], { u1: 5 }).userId, 'u3');
+  });
+});
+
+describe('conditionsMatch', () => {
+  const lead = { source: 'FairEx', stage: null, tags: ['VIP', 'press'] };
+
+  it('matches every listed attribute case-insensitively', () => {
+    assert.equal(conditionsMatch({ source: ['fairex', 'manual'] }, lead), true);
+    assert.equal(conditionsMatch({ source: ['fairex'], tags: ['vip'] }, lead), true);
+    assert.equal(conditionsMatch({ source: ['fairex'], tags: ['partner'] }, lead), false);
+  });
+
+  it('never matches a missing attribute', () => {
+    assert.equal(conditionsMatch({ stage: ['lead'] }, lead), false);
+  });
+
+  it('applies rules without conditions to every lead', () => {
+    assert.equal(conditionsMatch({}, lead), true);
+  });
+});
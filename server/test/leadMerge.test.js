@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { groupPairs, mergeLeadFields, pickSurvivor } from '../utils/leadMerge.js';
+
+const pair = (lead_a, lead_b, reasons = ['email']) => ({ lead_a, lead_b, reasons });
+const sorted = (groups) => groups.map((group) => [...group.lead_ids].sort()).sort();
+
+describe('groupPairs', () => {
+  it('joins pairs that share a lead, even through a chain', () => {
+    const groups = groupPairs([pair('a', 'b'), pair('c', 'd'), pair('b', 'e'), pair('e', 'f', ['phone'])]);
+    assert.deepEqual(sorted(groups), [['a', 'b', 'e', 'f'], ['c', 'd']]);
+  });
+
+  it('merges groups that a later pair connects', () => {
+    const groups = groupPairs([pair('a', 'b'), pair('c', 'd'), pair('d', 'a')]);
+    assert.deepEqual(sorted(groups), [['a', 'b', 'c', 'd']]);
+  });
+
+  it('keeps every pair and its reasons as a match of its group', () => {
+    const [group] = groupPairs([pair('a', 'b', ['email']), pair('b', 'c', ['name_company'])]);
+    assert.deepEqual(group.matches, [
+      { lead_ids: ['a', 'b'], reasons: ['email'] },
+      { lead_ids: ['b', 'c'], reasons: ['name_company'] }
+    ]);
+  });
+
+  it('returns no groups without pairs', () => {
+    assert.deepEqual(groupPairs([]), []);
+  });
+});
+
+describe('pickSurvivor', () => {
+  it('prefers a converted lead, otherwise the oldest', () => {
+    const leads = [{ id: 'old', status: 'new' }, { id: 'won', status: 'converted' }, { id: 'new', status: 'working' }];
+    assert.equal(pickSurvivor(leads).id, 'won');
+    assert.equal(pickSurvivor([leads[0], leads[2]]).id, 'old');
+  });
+});
+
+describe('mergeLeadFields', () => {
+  const lead = (fields) => ({
+    contact_id: null,
+    owner_user_id: null,
+    title: null,
+    exhibition_id: null,
+    join_id: null,
+    utm_source: null,
+    utm_medium: null,
+    utm_campaign: null,
+    notes: null,
+    custom_fields: {},
+    ...fields
+  });
+
+  it('fills only empty survivor fields, from the oldest lead that has them', () => {
+    const survivor = lead({ title: 'CTO', owner_user_id: null });
+    const updates = mergeLeadFields(survivor, [
+      lead({ title: 'CEO', utm_source: 'linkedin' }),
+      lead({ owner_user_id: 'u2', utm_source: 'google' })
+    ]);
+    assert.deepEqual(updates, { owner_user_id: 'u2', utm_source: 'linkedin' });
+  });
+
+  it('joins notes, survivor first, skipping empty ones', () => {
+    const updates = mergeLeadFields(lead({ notes: 'Met at booth' }), [lead({ notes: null }), lead({ notes: 'Wants a demo' })]);
+    assert.equal(updates.notes, 'Met at booth\n\nWants a demo');
+  });
+
+  it('keeps the survivor\'s custom fields and takes the rest from the oldest lead', () => {
+    const updates = mergeLeadFields(lead({ custom_fields: { seats: 10 } }), [
+      lead({ custom_fields: { seats: 50, region: 'EMEA' } }),
+      lead({ custom_fields: { region: 'APAC', budget: 1000 } })
+    ]);
+    assert.deepEqual(updates.custom_fields, { seats: 10, region: 'EMEA', budget: 1000 });
+  });
+
+  it('changes nothing when the others add nothing', () => {
+    const survivor = lead({ title: 'CTO', notes: 'Hot', custom_fields: { seats: 5 } });
+    assert.deepEqual(mergeLeadFields(survivor, [lead({ title: 'CEO', custom_fields: { seats: 9 } })]), {});
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate, matches, toFacts } from '../utils/leadScoring.js';
+
+const rule = (id, field, operator, value, points) => ({ id, name: `Rule ${id}`, field, operator, value, points });
+
+describe('matches', () => {
+  it('compares strings case-insensitively', () => {
+    assert.equal(matches('string', 'FairEx', 'equals', 'fairex'), true);
+    assert.equal(matches('string', 'Head of Sales', 'contains', 'SALES'), true);
+    assert.equal(matches('string', 'Fairex', 'in', ['manual', 'FAIREX']), true);
+    assert.equal(matches('string', 'fairex', 'not_in', ['manual', 'import']), true);
+  });
+
+  it('compares numbers as numbers', () => {
+    assert.equal(matches('number', 42, 'equals', '42'), true);
+    assert.equal(matches('number', 9, 'gt', 10), false);
+    assert.equal(matches('number', 10, 'gte', 10), true);
+    assert.equal(matches('number', 100, 'lt', 20), false);
+    assert.equal(matches('number', 3, 'lte', '3'), true);
+  });
+
+  it('lets missing values satisfy only negative conditions', () => {
+    for (const missing of [null, undefined, '']) {
+      assert.equal(matches('string', missing, 'not_equals', 'fairex'), true);
+      assert.equal(matches('string', missing, 'not_in', ['fairex']), true);
+      assert.equal(matches('string', missing, 'equals', 'fairex'), false);
+      assert.equal(matches('string', missing, 'in', ['fairex']), false);
+      assert.equal(matches('string', missing, 'contains', 'a'), false);
+      assert.equal(matches('number', missing, 'lt', 5), false);
+      assert.equal(matches('number', missing, 'gte', 0), false);
+    }
+  });
+
+  it('treats empty strings and lists as not existing', () => {
+    assert.equal(matches('string', '', 'exists'), false);
+    assert.equal(matches('string', '', 'not_exists'), true);
+    assert.equal(matches('list', [], 'exists'), false);
+    assert.equal(matches('number', 0, 'exists'), true);
+  });
+
+  it('checks list membership, with missing lists including nothing', () => {
+    assert.equal(matches('list', ['VIP', 'press'], 'includes', 'vip'), true);
+    assert.equal(matches('list', ['press'], 'not_includes', 'vip'), true);
+    assert.equal(matches('list', null, 'includes', 'vip'), false);
+    assert.equal(matches('list', null, 'not_includes', 'vip'), true);
+  });
+
+  it('rejects operators that do not apply', () => {
+    assert.equal(matches('string', 'fairex', 'includes', 'fairex'), false);
+  });
+});
+
+describe('evaluate', () => {
+  const facts = { source: 'fairex', tags: ['vip'], 'interactions.count': 4, title: null };
+
+  it('adds the points of matching rules and explains each rule', () => {
+    const result = evaluate([
+      rule('r1', 'source', 'equals', 'fairex', 30),
+      rule('r2', 'tags', 'includes', 'vip', 20),
+      rule('r3', 'interactions.count', 'gt', 10, 40)
+    ], facts);
+
+    assert.equal(result.score, 50);
+    assert.equal(result.total_points, 50);
+    assert.deepEqual(result.rules.map(({ rule_id, matched, points }) => ({ rule_id, matched, points })), [
+      { rule_id: 'r1', matched: true, points: 30 },
+      { rule_id: 'r2', matched: true, points: 20 },
+      { rule_id: 'r3', matched: false, points: 0 }
+    ]);
+    assert.equal(result.rules[2].actual, 4);
+  });
+
+  it('clamps the score to 0-100 but reports the raw total', () => {
+    const high = evaluate([rule('r1', 'source', 'equals', 'fairex', 80), rule('r2', 'tags', 'exists', null, 80)], facts);
+    assert.equal(high.score, 100);
+    assert.equal(high.total_points, 160);
+
+    const low = evaluate([rule('r1', 'source', 'equals', 'fairex', -30), rule('r2', 'title', 'not_exists', null, -50)], facts);
+    assert.equal(low.score, 0);
+    assert.equal(low.total_points, -80);
+  });
+
+  it('scores negative rules on missing facts', () => {
+    const result = evaluate([rule('r1', 'utm_source', 'not_equals', 'spam', 10)], facts);
+    assert.equal(result.score, 10);
+    assert.equal(result.rules[0].actual, null);
+  });
+
+  it('never matches rules on fields that no longer exist', () => {
+    const result = evaluate([rule('r1', 'budget', 'not_exists', null, 25)], facts);
+    assert.equal(result.score, 0);
+    assert.equal(result.rules[0].matched, false);
+  });
+});
+
+describe('toFacts', () => {
+  const row = {
+    status: 'new',
+    exhibition_id: '42',
+    contact_email: 'Jane@Example.COM',
+    tags: ['vip'],
+    interaction_count: 2,
+    inbound_count: 1,
+    last_interaction_at: '2026-01-10T18:00:00Z'
+  };
+
+  it('derives the email domain and casts the exhibition', () => {
+    const facts = toFacts(row, Date.parse('2026-01-15T12:00:00Z'));
+    assert.equal(facts['contact.email_domain'], 'example.com');
+    assert.equal(facts.exhibition_id, 42);
+  });
+
+  it('counts whole days since the last interaction', () => {
+    assert.equal(toFacts(row, Date.parse('2026-01-15T12:00:00Z'))['interactions.days_since_last'], 4);
+    assert.equal(toFacts({ ...row, last_interaction_at: null })['interactions.days_since_last'], null);
+  });
+
+  it('leaves facts of leads without a contact empty', () => {
+    const facts = toFacts({ ...row, contact_email: null, exhibition_id: null });
+    assert.equal(facts['contact.email_domain'], null);
+    assert.equal(facts.exhibition_id, null);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTransition, findViolations, validateLeadTransitions } from '../utils/leadTransitions.js';
+import { DEFAULT_LEAD_TRANSITIONS } from '../config/leadTransitions.js';
+
+const rules = DEFAULT_LEAD_TRANSITIONS;
+
+describe('findViolations', () => {
+  it('allows moves listed in the graph', () => {
+    assert.deepEqual(findViolations({ status: 'new' }, { status: 'working' }, undefined, rules), []);
+  });
+
+  it('ignores fields that are not changing', () => {
+    assert.deepEqual(findViolations({ status: 'new', stage: 'lead' }, { status: 'new', notes: 'x' }, undefined, rules), []);
+  });
+
+  it('rejects moves missing from the graph and lists the allowed ones', () => {
+    const violations = findViolations({ status: 'new' }, { status: 'converted' }, undefined, rules);
+    assert.deepEqual(violations, [
+      { field: 'status', message: 'Lead status cannot change from new to converted; allowed: working, unqualified' }
+    ]);
+  });
+
+  it('rejects leaving a value that has no outgoing moves', () => {
+    const violations = findViolations({ status: 'converted' }, { status: 'working' }, undefined, rules);
+    assert.deepEqual(violations, [{ field: 'status', message: 'Lead status cannot change from converted' }]);
+  });
+
+  it('requires the reason a target value asks for', () => {
+    const violations = findViolations({ status: 'working' }, { status: 'unqualified' }, '  ', rules);
+    assert.deepEqual(violations, [{ field: 'reason', message: 'reason is required to change status to unqualified' }]);
+    assert.deepEqual(findViolations({ status: 'working' }, { status: 'unqualified' }, 'No budget', rules), []);
+  });
+
+  it('reads required lead fields from the update, then the lead', () => {
+    const custom = { status: { allowed: { working: ['qualified'] }, required: { qualified: ['owner_user_id'] } } };
+    const moving = { status: 'working', owner_user_id: null };
+
+    assert.equal(findViolations(moving, { status: 'qualified' }, undefined, custom)[0].field, 'owner_user_id');
+    assert.deepEqual(findViolations(moving, { status: 'qualified', owner_user_id: 'u1' }, undefined, custom), []);
+    assert.deepEqual(findViolations({ ...moving, owner_user_id: 'u1' }, { status: 'qualified' }, undefined, custom), []);
+  });
+
+  it('checks status and stage together', () => {
+    const violations = findViolations({ status: 'new', stage: 'lead' }, { status: 'qualified', stage: 'sql' }, undefined, rules);
+    assert.deepEqual(violations.map((violation) => violation.field), ['status', 'stage']);
+  });
+});
+
+describe('checkTransition', () => {
+  it('passes valid moves with the trimmed reason', () => {
+    const result = checkTransition({ status: 'new' }, { status: 'working' }, { reason: ' Called back ' }, rules);
+    assert.deepEqual(result, { transition: { reason: 'Called back', overridden: false } });
+  });
+
+  it('stores no reason when none is sent', () => {
+    const result = checkTransition({ status: 'new' }, { status: 'working' }, {}, rules);
+    assert.deepEqual(result, { transition: { reason: null, overridden: false } });
+  });
+
+  it('returns 422 with every violation', () => {
+    const result = checkTransition({ status: 'new', stage: 'lead' }, { status: 'converted', stage: 'sql' }, {}, rules);
+    assert.equal(result.status, 422);
+    assert.equal(result.error, result.errors[0].message);
+    assert.equal(result.errors.length, 2);
+  });
+
+  it('lets an override through only with a reason', () => {
+    const denied = checkTransition({ status: 'new' }, { status: 'converted' }, { override: true }, rules);
+    assert.equal(denied.status, 422);
+    assert.equal(denied.error, 'A reason is required to override lead transitions');
+    assert.deepEqual(denied.errors, [{ field: 'reason', message: 'Reason is required with override' }]);
+
+    const allowed = checkTransition({ status: 'new' }, { status: 'converted' }, { override: true, reason: 'Signed at the booth' }, rules);
+    assert.deepEqual(allowed, { transition: { reason: 'Signed at the booth', overridden: true } });
+  });
+
+  it('does not mark valid moves as overridden', () => {
+    const result = checkTransition({ status: 'new' }, { status: 'working' }, { override: true }, rules);
+    assert.deepEqual(result, { transition: { reason: null, overridden: false } });
+  });
+});
+
+describe('validateLeadTransitions', () => {
+  const values = {
+    lead_status: ['new', 'working', 'qualified', 'unqualified', 'converted', 'nurturing'],
+    lead_stage: ['lead', 'mql', 'sql']
+  };
+  const valuesFor = (picklist) => values[picklist];
+
+  it('accepts graphs over picklist values, and null to restore a default', () => {
+    assert.equal(validateLeadTransitions({
+      status: { allowed: { new: ['working', 'nurturing'], nurturing: ['working'] }, required: { nurturing: ['reason', 'notes'] } },
+      stage: null
+    }, valuesFor), true);
+  });
+
+  it('rejects non-object settings and unknown fields', () => {
+    assert.throws(() => validateLeadTransitions([], valuesFor), /lead_transitions must be an object/);
+    assert.throws(() => validateLeadTransitions({ source: null }, valuesFor), /only covers status and stage/);
+  });
+
+  it('rejects malformed graphs', () => {
+    assert.throws(() => validateLeadTransitions({ status: {} }, valuesFor), /status\.allowed must be an object/);
+    assert.throws(() => validateLeadTransitions({ status: { allowed: {}, required: [] } }, valuesFor), /status\.required must be an object/);
+    assert.throws(() => validateLeadTransitions({ stage: { allowed: { lead: 'mql' } } }, valuesFor), /stage\.allowed must map/);
+  });
+
+  it('rejects values outside the picklist and moves to the same value', () => {
+    assert.throws(() => validateLeadTransitions({ status: { allowed: { new: ['won'] } } }, valuesFor), /status\.allowed must map/);
+    assert.throws(() => validateLeadTransitions({ status: { allowed: { won: ['new'] } } }, valuesFor), /status\.allowed must map/);
+    assert.throws(() => validateLeadTransitions({ status: { allowed: { new: ['new'] } } }, valuesFor), /status\.allowed must map/);
+  });
+
+  it('rejects unknown required fields and targets', () => {
+    assert.throws(
+      () => validateLeadTransitions({ status: { allowed: {}, required: { working: ['email'] } } }, valuesFor),
+      /status\.required must map status values to fields: reason, owner_user_id, notes/
+    );
+    assert.throws(
+      () => validateLeadTransitions({ status: { allowed: {}, required: { won: ['reason'] } } }, valuesFor),
+      /status\.required must map/
+    );
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  countsAgainstAccount,
+  failureDelay,
+  isIpBlocked,
+  isLocked,
+  locksAccount
+} from '../utils/loginThrottle.js';
+import {
+  BASE_DELAY_MS,
+  MAX_ACCOUNT_FAILURES,
+  MAX_DELAY_MS,
+  MAX_IP_FAILURES
+} from '../config/loginProtection.js';
+
+const now = new Date('2026-01-15T12:00:00Z');
+
+describe('locksAccount', () => {
+  it('locks on the failure that reaches the threshold', () => {
+    assert.equal(locksAccount(MAX_ACCOUNT_FAILURES - 1), false);
+    assert.equal(locksAccount(MAX_ACCOUNT_FAILURES), true);
+  });
+
+  it('locks again on the first failure after an expired lock', () => {
+    assert.equal(locksAccount(MAX_ACCOUNT_FAILURES + 1), true);
+  });
+
+  it('starts over once a login succeeds or an admin unlocks', () => {
+    assert.equal(locksAccount(1), false);
+  });
+});
+
+describe('isLocked', () => {
+  it('holds until locked_until passes', () => {
+    assert.equal(isLocked({ locked_until: new Date('2026-01-15T12:00:01Z') }, now), true);
+    assert.equal(isLocked({ locked_until: '2026-01-15T12:15:00.000Z' }, now), true);
+  });
+
+  it('lifts at locked_until', () => {
+    assert.equal(isLocked({ locked_until: now }, now), false);
+    assert.equal(isLocked({ locked_until: new Date('2026-01-15T11:59:59Z') }, now), false);
+  });
+
+  it('treats unlocked and unknown users as unlocked', () => {
+    assert.equal(isLocked({ locked_until: null }, now), false);
+    assert.equal(isLocked(null, now), false);
+  });
+});
+
+describe('countsAgainstAccount', () => {
+  it('counts bad passwords and codes only', () => {
+    assert.equal(countsAgainstAccount('invalid_password'), true);
+    assert.equal(countsAgainstAccount('invalid_mfa_code'), true);
+    for (const reason of ['locked', 'ip_blocked', 'unknown_user', 'no_password', 'sso_rejected', 'password_reset']) {
+      assert.equal(countsAgainstAccount(reason), false, reason);
+    }
+  });
+});
+
+describe('isIpBlocked', () => {
+  it('blocks from the threshold on', () => {
+    assert.equal(isIpBlocked(MAX_IP_FAILURES - 1), false);
+    assert.equal(isIpBlocked(MAX_IP_FAILURES), true);
+  });
+});
+
+describe('failureDelay', () => {
+  it('answers at once without recent failures', () => {
+    assert.equal(failureDelay(0), 0);
+  });
+
+  it('doubles with every failure up to the cap', () => {
+    assert.equal(failureDelay(1), BASE_DELAY_MS);
+    assert.equal(failureDelay(2), BASE_DELAY_MS * 2);
+    assert.equal(failureDelay(3), BASE_DELAY_MS * 4);
+    assert.equal(failureDelay(50), MAX_DELAY_MS);
+  });
+});
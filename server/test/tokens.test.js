@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateOpaqueToken,
+  hashToken,
+  refreshTokenState,
+  signAccessToken,
+  signMfaChallenge,
+  verifyMfaChallenge
+} from '../utils/tokens.js';
+
+const now = new Date('2026-01-15T12:00:00Z');
+const future = new Date('2026-02-01T00:00:00Z');
+const past = new Date('2026-01-01T00:00:00Z');
+
+describe('refreshTokenState', () => {
+  it('lets unrevoked tokens rotate until they expire', () => {
+    assert.equal(refreshTokenState({ revoked_at: null, replaced_by: null, expires_at: future }, now), 'active');
+    assert.equal(refreshTokenState({ revoked_at: null, replaced_by: null, expires_at: past }, now), 'expired');
+  });
+
+  it('flags a rotated token presented again as reuse', () => {
+    const rotated = { revoked_at: past, replaced_by: 'next-token-id', expires_at: future };
+    assert.equal(refreshTokenState(rotated, now), 'reused');
+  });
+
+  it('treats reuse as more serious than expiry', () => {
+    assert.equal(refreshTokenState({ revoked_at: past, replaced_by: 'next-token-id', expires_at: past }, now), 'reused');
+  });
+
+  it('does not treat tokens revoked by logout as reuse', () => {
+    assert.equal(refreshTokenState({ revoked_at: past, replaced_by: null, expires_at: future }, now), 'revoked');
+  });
+});
+
+describe('opaque tokens', () => {
+  it('hashes deterministically and never returns the raw token', () => {
+    const token = generateOpaqueToken();
+    assert.equal(hashToken(token), hashToken(token));
+    assert.notEqual(hashToken(token), token);
+    assert.match(hashToken(token), /^[0-9a-f]{64}$/);
+  });
+
+  it('generates distinct URL-safe tokens', () => {
+    const tokens = new Set(Array.from({ length: 20 }, generateOpaqueToken));
+    assert.equal(tokens.size, 20);
+    for (const token of tokens) {
+      assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+    }
+  });
+});
+
+describe('verifyMfaChallenge', () => {
+  const user = { id: 'u1', tenant_id: 't1', email: 'a@b.test', role: 'agent', token_version: 3 };
+
+  it('accepts challenges and carries the device over', () => {
+    const { token } = signMfaChallenge(user, { deviceId: 'laptop' });
+    const claims = verifyMfaChallenge(token);
+    assert.equal(claims.userId, 'u1');
+    assert.equal(claims.tokenVersion, 3);
+    assert.equal(claims.deviceId, 'laptop');
+  });
+
+  it('rejects access tokens and garbage', () => {
+    assert.equal(verifyMfaChallenge(signAccessToken(user).token), null);
+    assert.equal(verifyMfaChallenge('not-a-token'), null);
+  });
+});
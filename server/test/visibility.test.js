@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SYSTEM_VIEWER, buildVisibilityCondition, seesAllRecords } from '../utils/visibility.js';
+
+describe('seesAllRecords', () => {
+  it('throws without a viewer instead of showing everything', () => {
+    assert.throws(() => seesAllRecords(undefined), /A viewer is required/);
+    assert.throws(() => seesAllRecords(null), /A viewer is required/);
+  });
+
+  it('exempts admins, API keys and internal calls', () => {
+    assert.equal(seesAllRecords({ id: 'a', type: 'user', role: 'admin' }), true);
+    assert.equal(seesAllRecords({ id: null, type: 'service', role: null }), true);
+    assert.equal(seesAllRecords(SYSTEM_VIEWER), true);
+  });
+
+  it('restricts managers and agents', () => {
+    assert.equal(seesAllRecords({ id: 'm', type: 'user', role: 'manager' }), false);
+    assert.equal(seesAllRecords({ id: 'g', type: 'user', role: 'agent' }), false);
+  });
+});
+
+describe('buildVisibilityCondition', () => {
+  it('adds no condition for internal calls', () => {
+    assert.deepEqual(buildVisibilityCondition(SYSTEM_VIEWER, ['l.owner_user_id'], 3), { condition: null, params: [] });
+  });
+
+  it('throws without a viewer', () => {
+    assert.throws(() => buildVisibilityCondition(undefined, ['l.owner_user_id'], 3), /A viewer is required/);
+  });
+
+  it('limits agents to their own records', () => {
+    assert.deepEqual(buildVisibilityCondition({ id: 'g', role: 'agent' }, ['t.created_by', 't.assigned_to'], 2), {
+      condition: '(t.created_by = $2 OR t.assigned_to = $2)',
+      params: ['g']
+    });
+  });
+
+  it('extends managers to their direct reports', () => {
+    const { condition, params } = buildVisibilityCondition({ id: 'm', role: 'manager' }, ['l.owner_user_id'], 4);
+    assert.equal(condition, '(l.owner_user_id IN (SELECT id FROM team_users WHERE id = $4 OR manager_id = $4))');
+    assert.deepEqual(params, ['m']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Contact merge decisions
+ * Pure helpers behind contactMergeService: which value wins for each field
+ * and which identifiers are kept as aliases.
+ */
+
+// Contact fields whose winning value the caller can choose
+export const MERGEABLE_CONTACT_FIELDS = [
+  'first_name',
+  'last_name',
+  'email',
+  'phone',
+  'dob',
+  'company_id',
+  'kf_visitor_id',
+  'owner_user_id'
+];
+
+// Identifiers kept as aliases when they no longer belong to the survivor
+const ALIAS_KINDS = ['email', 'phone', 'kf_visitor_id'];
+
+/**
+ * Work out the survivor's new field values. A field listed in fields takes
+ * the chosen contact's value; the rest keep the survivor's, or the oldest
+ * other contact's when the survivor has none. Custom fields the survivor
+ * lacks come from the other contacts, the oldest value winning.
+ * @param {Array} contacts - Merged contacts including the survivor, oldest first
+ * @param {Object} survivor - Surviving contact
+ * @param {Object} fields - Field name to the ID of the contact whose value wins
+ * @returns {Object} - Changed fields only
+ */
+export const mergeContactFields = (contacts, survivor, fields = {}) => {
+  const merged = contacts.filter((contact) => contact.id !== survivor.id);
+  const updates = {};
+
+  for (const field of MERGEABLE_CONTACT_FIELDS) {
+    let value = survivor[field];
+    if (fields[field]) {
+      value = contacts.find((contact) => contact.id === fields[field])[field];
+    } else if (value === null) {
+      value = merged.find((contact) => contact[field] !== null)?.[field] ?? null;
+    }
+    // Compare serialized values so dob, which comes back as a Date, compares by value
+    if (JSON.stringify(value) !== JSON.stringify(survivor[field])) {
+      updates[field] = value;
+    }
+  }
+
+  const customFields = Object.assign({}, ...[...merged].reverse().map((contact) => contact.custom_fields), survivor.custom_fields);
+  if (JSON.stringify(customFields) !== JSON.stringify(survivor.custom_fields)) {
+    updates.custom_fields = customFields;
+  }
+  return updates;
+};
+
+/**
+ * List every identifier that lost out in a merge, including the survivor's
+ * own old values, once each
+ * @param {Array} contacts - Merged contacts including the survivor
+ * @param {string} survivorId - Surviving contact ID
+ * @param {Object} result - Survivor after the merge
+ * @returns {Array} - { kind, value, merged_from_contact_id }, null for the survivor's own values
+ */
+export const lostIdentifiers = (contacts, survivorId, result) => {
+  const aliases = [];
+  for (const contact of contacts) {
+    for (const kind of ALIAS_KINDS) {
+      const value = contact[kind] === null ? null : String(contact[kind]);
+      const current = result[kind] === null ? null : String(result[kind]);
+      if (value && value !== current && !aliases.some((a) => a.kind === kind && a.value === value)) {
+        aliases.push({
+          kind,
+          value,
+          merged_from_contact_id: contact.id === survivorId ? null : contact.id
+        });
+      }
+    }
+  }
+  return aliases;
+};
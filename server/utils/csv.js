@@ -0,0 +1,24 @@
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Quote a value for a CSV cell. Text that a spreadsheet would run as a
+ * formula is prefixed with an apostrophe; plain numbers are left alone.
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} - CSV cell
+ */
+export const toCsvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line ending in CRLF
+ */
+export const toCsvLine = (values) => `${values.map(toCsvCell).join(',')}\r\n`;
@@ -0,0 +1,119 @@
+/**
+ * Custom field values
+ * Pure helpers behind customFieldService: coerce input to what a field stores
+ * and check a record's values against the entity's definitions.
+ */
+import { MAX_CUSTOM_TEXT_LENGTH } from '../config/customFields.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const isBlank = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} value - Candidate date
+ * @returns {boolean} - Whether the date is valid
+ */
+const isDate = (value) => {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+/**
+ * Convert a value to what a field stores
+ * @param {Object} field - Definition { key, type, options }
+ * @param {*} value - Non-blank input value
+ * @returns {Object} - { value }, or { error }
+ */
+export const coerceValue = (field, value) => {
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return { error: `${field.key} must be text` };
+      }
+      if (String(value).length > MAX_CUSTOM_TEXT_LENGTH) {
+        return { error: `${field.key} must be at most ${MAX_CUSTOM_TEXT_LENGTH} characters` };
+      }
+      return { value: String(value) };
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { error: `${field.key} must be a number` };
+      }
+      return { value: number };
+    }
+    case 'date':
+      return isDate(value) ? { value } : { error: `${field.key} must be a date (YYYY-MM-DD)` };
+    case 'boolean':
+      if (value === true || value === 'true') {
+        return { value: true };
+      }
+      if (value === false || value === 'false') {
+        return { value: false };
+      }
+      return { error: `${field.key} must be true or false` };
+    case 'picklist':
+      return field.options.includes(value)
+        ? { value }
+        : { error: `${field.key} must be one of: ${field.options.join(', ')}` };
+    case 'multi_select': {
+      if (!Array.isArray(value) || value.some((item) => !field.options.includes(item))) {
+        return { error: `${field.key} must be a list of: ${field.options.join(', ')}` };
+      }
+      return { value: [...new Set(value)] };
+    }
+    default:
+      return { error: `${field.key} has an unknown type` };
+  }
+};
+
+/**
+ * Check a record's custom field input against the entity's definitions. New
+ * records get defaults and must have every required field; updates only
+ * change the keys they send, and cannot clear a required field.
+ * @param {Array} definitions - { key, label, type, options, is_required, default_value }
+ * @param {Object} input - custom_fields from the request, or undefined
+ * @param {Object} current - The record's current custom_fields; null for new records
+ * @returns {Object} - { values, errors }
+ */
+export const validateCustomFieldValues = (definitions, input, current = null) => {
+  const byKey = new Map(definitions.map((field) => [field.key, field]));
+  const values = { ...(current || {}) };
+  const errors = [];
+
+  for (const [key, value] of Object.entries(input || {})) {
+    const field = byKey.get(key);
+    if (!field) {
+      errors.push({ field: `custom_fields.${key}`, message: `Unknown custom field: ${key}` });
+      continue;
+    }
+    if (isBlank(value)) {
+      delete values[key];
+      continue;
+    }
+    const coerced = coerceValue(field, value);
+    if (coerced.error) {
+      errors.push({ field: `custom_fields.${key}`, message: coerced.error });
+    } else {
+      values[key] = coerced.value;
+    }
+  }
+
+  for (const field of definitions) {
+    if (!current && values[field.key] === undefined && field.default_value !== null) {
+      values[field.key] = field.default_value;
+    }
+    // Records that predate a required field only have to fill it when they touch it
+    const checked = !current || (input && field.key in input);
+    const invalid = errors.some((error) => error.field === `custom_fields.${field.key}`);
+    if (field.is_required && checked && !invalid && isBlank(values[field.key])) {
+      errors.push({ field: `custom_fields.${field.key}`, message: `${field.label} is required` });
+    }
+  }
+
+  return { values, errors };
+};
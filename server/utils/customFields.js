@@ -0,0 +1,68 @@
+/**
+ * Custom field SQL
+ * Filter conditions and sort expressions on a custom_fields column. Keys come
+ * from the tenant's definitions, which only allow CUSTOM_FIELD_KEY_PATTERN,
+ * so they are written into the SQL; values are always parameters.
+ */
+
+/**
+ * SQL for a custom field's value, cast for comparison
+ * @param {string} column - custom_fields column, e.g. 'l.custom_fields'
+ * @param {Object} field - { key, type }
+ * @returns {string} - SQL expression
+ */
+const valueExpression = (column, { key, type }) => {
+  const text = `(${column}->>'${key}')`;
+  switch (type) {
+    case 'number':
+      return `${text}::numeric`;
+    case 'date':
+      return `${text}::date`;
+    case 'boolean':
+      return `${text}::boolean`;
+    case 'text':
+      return `LOWER(${text})`;
+    default:
+      return text;
+  }
+};
+
+const COMPARISONS = { eq: '=', gte: '>=', lte: '<=' };
+
+/**
+ * Build WHERE conditions for custom field filters
+ * @param {string} column - custom_fields column, e.g. 'l.custom_fields'
+ * @param {Array} filters - { key, type, op: eq|gte|lte, value } from customFieldService
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object} - { conditions, params }
+ */
+export const buildCustomFieldConditions = (column, filters = [], paramIndex) => {
+  const conditions = [];
+  const params = [];
+
+  for (const filter of filters) {
+    const ref = `$${paramIndex + params.length}`;
+    if (filter.type === 'multi_select') {
+      // Matches records whose selection includes the value
+      conditions.push(`(${column}->'${filter.key}') ? ${ref}`);
+    } else if (filter.type === 'text') {
+      conditions.push(`${valueExpression(column, filter)} = LOWER(${ref})`);
+    } else {
+      conditions.push(`${valueExpression(column, filter)} ${COMPARISONS[filter.op]} ${ref}`);
+    }
+    params.push(filter.value);
+  }
+
+  return { conditions, params };
+};
+
+/**
+ * Build an ORDER BY expression for a custom field; records without a value
+ * sort last either way
+ * @param {string} column - custom_fields column, e.g. 'l.custom_fields'
+ * @param {Object} field - { key, type }
+ * @param {string} order - ASC or DESC
+ * @returns {string} - SQL for ORDER BY
+ */
+export const buildCustomFieldOrder = (column, field, order) =>
+  `${valueExpression(column, field)} ${order === 'DESC' ? 'DESC' : 'ASC'} NULLS LAST`;
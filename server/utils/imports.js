@@ -0,0 +1,138 @@
+/**
+ * Spreadsheet import rows
+ * Pure helpers behind importService: map column headers to import fields and
+ * validate and convert each row's cells.
+ */
+import { IMPORT_FIELDS } from '../config/imports.js';
+import { allowedValues, matchValue } from './picklists.js';
+
+export const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// "First Name", "first-name" and "FirstName" all compare equal to first_name
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Find the field a column header names
+ * @param {Object} fields - Import fields of the entity
+ * @param {string} header - Column header
+ * @returns {string|undefined} - Field name
+ */
+export const matchField = (fields, header) => {
+  const name = normalizeHeader(header);
+  return Object.keys(fields).find((field) =>
+    [field, ...(fields[field].aliases || [])].some((alias) => normalizeHeader(alias) === name)
+  );
+};
+
+/**
+ * Map column headers to the fields they name. When several columns name the
+ * same field, the first one wins; columns naming no field are left out.
+ * @param {Object} fields - Import fields of the entity
+ * @param {Array} headers - Column headers in file order
+ * @returns {Object} - Field name by header
+ */
+export const mapColumns = (fields, headers) => {
+  const mapping = {};
+  for (const header of headers) {
+    const field = matchField(fields, header);
+    if (field && !Object.values(mapping).includes(field)) {
+      mapping[header] = field;
+    }
+  }
+  return mapping;
+};
+
+/**
+ * Validate and convert one cell
+ * @param {string} value - Trimmed cell text
+ * @param {Object} definition - Field definition from IMPORT_FIELDS
+ * @param {Object} picklists - The tenant's picklists, from picklistService.getAll
+ * @returns {Object} - { value } or { error }
+ */
+export const convertValue = (value, definition, picklists) => {
+  switch (definition.type) {
+    case 'string':
+      if (value.length > definition.max) {
+        return { error: `Must be at most ${definition.max} characters` };
+      }
+      return { value };
+    case 'email':
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) || value.length > 255) {
+        return { error: 'Must be a valid email' };
+      }
+      return { value: value.toLowerCase() };
+    case 'phone':
+      if (!/^\+?[\d\s().-]+$/.test(value) || value.length > 20) {
+        return { error: 'Must be a phone number of at most 20 characters' };
+      }
+      return { value };
+    case 'integer':
+      if (!/^\d+$/.test(value)) {
+        return { error: 'Must be a whole number' };
+      }
+      return { value: parseInt(value) };
+    case 'date': {
+      const date = new Date(`${value}T00:00:00Z`);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || formatDate(date) !== value) {
+        return { error: 'Must be a date in YYYY-MM-DD format' };
+      }
+      return { value };
+    }
+    case 'picklist': {
+      const values = picklists[definition.picklist];
+      const option = matchValue(values, value);
+      if (!option) {
+        return { error: `Must be one of: ${allowedValues(values).join(', ')}` };
+      }
+      return { value: option };
+    }
+    case 'tags': {
+      const tags = [...new Set(value.split(/[,;]/).map((tag) => tag.trim()).filter(Boolean))];
+      if (tags.some((tag) => tag.length > 100)) {
+        return { error: 'Tags must be at most 100 characters' };
+      }
+      return { value: tags };
+    }
+    default:
+      return { error: 'Unsupported field' };
+  }
+};
+
+/**
+ * Turn a row's cells into field values
+ * @param {Object} job - Import job
+ * @param {Array} cells - Cell text in header order
+ * @param {Object} picklists - The tenant's picklists
+ * @returns {Object} - { values, errors }
+ */
+export const validateRow = (job, cells, picklists) => {
+  const fields = IMPORT_FIELDS[job.entity];
+  const values = {};
+  const errors = [];
+
+  job.headers.forEach((header, index) => {
+    const field = job.mapping[header];
+    const text = String(cells[index] ?? '').trim();
+    if (!field || text === '') {
+      return;
+    }
+    const { value, error } = convertValue(text, fields[field], picklists);
+    if (error) {
+      errors.push({ field, message: error });
+    } else {
+      values[field] = value;
+    }
+  });
+
+  for (const [field, definition] of Object.entries(fields)) {
+    if (definition.required && values[field] === undefined && !errors.some((e) => e.field === field)) {
+      errors.push({ field, message: 'Is required' });
+    }
+  }
+  if (job.entity !== 'companies' && !values.email && !values.phone
+    && !errors.some((e) => e.field === 'email' || e.field === 'phone')) {
+    errors.push({ field: 'email', message: 'An email or phone is required' });
+  }
+
+  return { values, errors };
+};
@@ -0,0 +1,60 @@
+/**
+ * Lead assignment decisions
+ * Pure helpers behind leadAssignmentService: which rules apply to a lead and
+ * which of a rule's assignees gets it.
+ */
+
+const normalize = (value) => String(value).toLowerCase();
+
+/**
+ * Check a rule's conditions against a lead. Each listed attribute must take
+ * one of the listed values; tags match when the lead has any of them.
+ * @param {Object} conditions - e.g. { source: ['fairex'], tags: ['vip'] }
+ * @param {Object} lead - Row from LeadModel.getScoringFacts
+ * @returns {boolean} - Whether the rule applies
+ */
+export const conditionsMatch = (conditions, lead) =>
+  Object.entries(conditions).every(([field, values]) => {
+    const accepted = values.map(normalize);
+    if (field === 'tags') {
+      return lead.tags.some((tag) => accepted.includes(normalize(tag)));
+    }
+    return lead[field] !== null && lead[field] !== undefined && accepted.includes(normalize(lead[field]));
+  });
+
+/**
+ * Choose an assignee among a rule's active users. Fixed takes the first
+ * active user; least_open_leads the one with the fewest open leads, the
+ * earliest listed on a tie; round robin the next active user after the last
+ * one picked, wrapping around.
+ * @param {string} strategy - fixed, least_open_leads or round_robin
+ * @param {Object} rule - { assignee_ids, last_assigned_user_id }
+ * @param {Array} activeIds - Assignees that are active users of the tenant
+ * @param {Object} openLeads - Open lead counts by user, for least_open_leads
+ * @returns {Object} - { userId, inactiveUserIds }; userId is null when nobody is available
+ */
+export const chooseAssignee = (strategy, { assignee_ids, last_assigned_user_id }, activeIds, openLeads = {}) => {
+  const active = new Set(activeIds);
+  const candidates = assignee_ids.filter((id) => active.has(id));
+  const inactiveUserIds = assignee_ids.filter((id) => !active.has(id));
+
+  if (candidates.length === 0) {
+    return { userId: null, inactiveUserIds };
+  }
+
+  if (strategy === 'fixed') {
+    return { userId: candidates[0], inactiveUserIds };
+  }
+
+  if (strategy === 'least_open_leads') {
+    const userId = candidates.reduce((best, id) =>
+      ((openLeads[id] || 0) < (openLeads[best] || 0) ? id : best));
+    return { userId, inactiveUserIds };
+  }
+
+  // Round robin: the next active user after the last one picked
+  const start = assignee_ids.indexOf(last_assigned_user_id) + 1;
+  const userId = [...assignee_ids.slice(start), ...assignee_ids.slice(0, start)]
+    .find((id) => active.has(id));
+  return { userId, inactiveUserIds };
+};
@@ -0,0 +1,87 @@
+/**
+ * Lead duplicate grouping and merge decisions
+ * Pure helpers behind leadDuplicateService.
+ */
+
+// Survivor fields that are filled from the merged leads when empty
+const FILLABLE_FIELDS = [
+  'contact_id',
+  'owner_user_id',
+  'title',
+  'exhibition_id',
+  'join_id',
+  'utm_source',
+  'utm_medium',
+  'utm_campaign'
+];
+
+/**
+ * Group duplicate pairs into sets of leads that all describe the same person
+ * @param {Array} pairs - { lead_a, lead_b, reasons }
+ * @returns {Array} - Groups of { lead_ids, matches }
+ */
+export const groupPairs = (pairs) => {
+  const parent = new Map();
+  const find = (id) => {
+    if (!parent.has(id)) {
+      parent.set(id, id);
+    } else if (parent.get(id) !== id) {
+      parent.set(id, find(parent.get(id)));
+    }
+    return parent.get(id);
+  };
+
+  for (const pair of pairs) {
+    parent.set(find(pair.lead_a), find(pair.lead_b));
+  }
+
+  const groups = new Map();
+  for (const pair of pairs) {
+    const root = find(pair.lead_a);
+    if (!groups.has(root)) {
+      groups.set(root, { lead_ids: new Set(), matches: [] });
+    }
+    const group = groups.get(root);
+    group.lead_ids.add(pair.lead_a).add(pair.lead_b);
+    group.matches.push({ lead_ids: [pair.lead_a, pair.lead_b], reasons: pair.reasons });
+  }
+
+  return [...groups.values()].map((group) => ({ ...group, lead_ids: [...group.lead_ids] }));
+};
+
+/**
+ * Pick the lead that survives a merge: a converted lead if there is one,
+ * otherwise the oldest
+ * @param {Array} leads - Leads sorted oldest first
+ * @returns {Object} - Surviving lead
+ */
+export const pickSurvivor = (leads) => leads.find((lead) => lead.status === 'converted') || leads[0];
+
+/**
+ * Work out the survivor's new field values: empty fields are filled from the
+ * other leads, oldest first, notes are joined, and custom fields the survivor
+ * lacks are taken from the other leads, the oldest value winning
+ * @param {Object} survivor - Surviving lead
+ * @param {Array} duplicates - Other leads, oldest first
+ * @returns {Object} - Changed fields only
+ */
+export const mergeLeadFields = (survivor, duplicates) => {
+  const updates = {};
+  for (const field of FILLABLE_FIELDS) {
+    if (survivor[field] === null) {
+      const source = duplicates.find((lead) => lead[field] !== null);
+      if (source) {
+        updates[field] = source[field];
+      }
+    }
+  }
+  const notes = [survivor, ...duplicates].map((lead) => lead.notes).filter(Boolean).join('\n\n');
+  if (notes && notes !== survivor.notes) {
+    updates.notes = notes;
+  }
+  const customFields = Object.assign({}, ...[...duplicates].reverse().map((lead) => lead.custom_fields), survivor.custom_fields);
+  if (JSON.stringify(customFields) !== JSON.stringify(survivor.custom_fields)) {
+    updates.custom_fields = customFields;
+  }
+  return updates;
+};
@@ -0,0 +1,114 @@
+/**
+ * Lead scoring rules
+ * Pure helpers behind leadScoringService: turn a lead's scoring facts into
+ * the attributes rules refer to and score them against a tenant's rules.
+ */
+import { SCORING_FIELDS } from '../config/leadScoring.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Map a scoring facts row to the attribute names rules refer to
+ * @param {Object} row - Row from LeadModel.getScoringFacts
+ * @param {number} now - Current time in milliseconds, for recency facts
+ * @returns {Object} - Attribute values keyed by field
+ */
+export const toFacts = (row, now = Date.now()) => ({
+  status: row.status,
+  stage: row.stage,
+  source: row.source,
+  title: row.title,
+  utm_source: row.utm_source,
+  utm_medium: row.utm_medium,
+  utm_campaign: row.utm_campaign,
+  exhibition_id: row.exhibition_id === null ? null : Number(row.exhibition_id),
+  'contact.email': row.contact_email,
+  'contact.email_domain': row.contact_email?.split('@')[1]?.toLowerCase() || null,
+  'contact.phone': row.contact_phone,
+  'contact.company': row.company_name,
+  tags: row.tags,
+  'interactions.count': row.interaction_count,
+  'interactions.inbound_count': row.inbound_count,
+  'interactions.days_since_last': row.last_interaction_at
+    ? Math.floor((now - new Date(row.last_interaction_at).getTime()) / DAY_MS)
+    : null
+});
+
+const isBlank = (value) =>
+  value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Check one rule condition. Strings compare case-insensitively.
+ * @param {string} type - Field type from SCORING_FIELDS
+ * @param {*} actual - Lead's value
+ * @param {string} operator - Rule operator
+ * @param {*} expected - Rule value
+ * @returns {boolean} - Whether the condition holds
+ */
+export const matches = (type, actual, operator, expected) => {
+  if (operator === 'exists') {
+    return !isBlank(actual);
+  }
+  if (operator === 'not_exists') {
+    return isBlank(actual);
+  }
+
+  const normalize = (value) => (type === 'number' ? Number(value) : String(value).toLowerCase());
+
+  if (type === 'list') {
+    const items = (actual || []).map(normalize);
+    const included = items.includes(normalize(expected));
+    return operator === 'includes' ? included : !included;
+  }
+
+  // Missing values only satisfy negative conditions
+  if (isBlank(actual)) {
+    return operator === 'not_equals' || operator === 'not_in';
+  }
+
+  const value = normalize(actual);
+  switch (operator) {
+    case 'equals': return value === normalize(expected);
+    case 'not_equals': return value !== normalize(expected);
+    case 'in': return expected.map(normalize).includes(value);
+    case 'not_in': return !expected.map(normalize).includes(value);
+    case 'contains': return value.includes(normalize(expected));
+    case 'gt': return value > normalize(expected);
+    case 'gte': return value >= normalize(expected);
+    case 'lt': return value < normalize(expected);
+    case 'lte': return value <= normalize(expected);
+    default: return false;
+  }
+};
+
+/**
+ * Evaluate rules against a lead
+ * @param {Array} rules - Active scoring rules
+ * @param {Object} facts - Output of toFacts
+ * @returns {Object} - { score, total_points, rules } where rules explains each match
+ */
+export const evaluate = (rules, facts) => {
+  const breakdown = rules.map((rule) => {
+    const field = SCORING_FIELDS[rule.field];
+    const actual = facts[rule.field] ?? null;
+    const matched = Boolean(field) && matches(field.type, actual, rule.operator, rule.value);
+    return {
+      rule_id: rule.id,
+      name: rule.name,
+      field: rule.field,
+      operator: rule.operator,
+      value: rule.value,
+      actual,
+      matched,
+      points: matched ? rule.points : 0
+    };
+  });
+
+  const totalPoints = breakdown.reduce((sum, entry) => sum + entry.points, 0);
+
+  return {
+    score: Math.min(100, Math.max(0, totalPoints)),
+    total_points: totalPoints,
+    rules: breakdown
+  };
+};
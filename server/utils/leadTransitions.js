@@ -0,0 +1,120 @@
+/**
+ * Lead transition graph checks
+ * Pure helpers behind leadTransitionService and the lead_transitions tenant
+ * setting validator; they take the graph as an argument and never touch the
+ * database.
+ */
+import { LEAD_TRANSITION_PICKLISTS, TRANSITION_REQUIRED_FIELDS } from '../config/leadTransitions.js';
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Find what keeps a lead from taking an update
+ * @param {Object} lead - Current lead row
+ * @param {Object} updates - Lead fields being set
+ * @param {string} reason - Reason sent with the change
+ * @param {Object} rules - Transition graph per field
+ * @returns {Array} - { field, message } per violation
+ */
+export const findViolations = (lead, updates, reason, rules) => {
+  const violations = [];
+
+  for (const [field, { allowed, required }] of Object.entries(rules)) {
+    const from = lead[field];
+    const to = updates[field];
+    if (to === undefined || to === from) {
+      continue;
+    }
+
+    const targets = allowed[from] || [];
+    if (!targets.includes(to)) {
+      violations.push({
+        field,
+        message: targets.length > 0
+          ? `Lead ${field} cannot change from ${from} to ${to}; allowed: ${targets.join(', ')}`
+          : `Lead ${field} cannot change from ${from}`
+      });
+    }
+
+    for (const requiredField of required[to] || []) {
+      const value = requiredField === 'reason'
+        ? reason
+        : (updates[requiredField] !== undefined ? updates[requiredField] : lead[requiredField]);
+      if (isBlank(value)) {
+        violations.push({ field: requiredField, message: `${requiredField} is required to change ${field} to ${to}` });
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Check an update against a transition graph. Overrides let violations
+ * through, but only with a reason, since they are kept in lead history.
+ * @param {Object} lead - Current lead row
+ * @param {Object} updates - Lead fields being set
+ * @param {Object} options - { reason, override }
+ * @param {Object} rules - Transition graph per field
+ * @returns {Object} - { transition } to pass to LeadModel.update, or { status, error, errors }
+ */
+export const checkTransition = (lead, updates, { reason, override }, rules) => {
+  const violations = findViolations(lead, updates, reason, rules);
+
+  if (violations.length > 0 && !override) {
+    return { status: 422, error: violations[0].message, errors: violations };
+  }
+  if (violations.length > 0 && isBlank(reason)) {
+    return {
+      status: 422,
+      error: 'A reason is required to override lead transitions',
+      errors: [{ field: 'reason', message: 'Reason is required with override' }]
+    };
+  }
+
+  return { transition: { reason: isBlank(reason) ? null : reason.trim(), overridden: violations.length > 0 } };
+};
+
+/**
+ * Check a lead_transitions setting: per field, null to restore the default
+ * graph, or { allowed, required } keyed by the values of the field's picklist
+ * @param {*} value - Setting value
+ * @param {Function} valuesFor - Returns the values a graph may use, given the picklist name
+ * @returns {boolean} - True when valid; throws with the reason otherwise
+ */
+export const validateLeadTransitions = (value, valuesFor) => {
+  if (!isPlainObject(value)) {
+    throw new Error('lead_transitions must be an object');
+  }
+
+  for (const [field, graph] of Object.entries(value)) {
+    const picklist = LEAD_TRANSITION_PICKLISTS[field];
+    if (!picklist) {
+      throw new Error(`lead_transitions only covers ${Object.keys(LEAD_TRANSITION_PICKLISTS).join(' and ')}`);
+    }
+    if (graph === null) {
+      continue;
+    }
+    if (!isPlainObject(graph) || !isPlainObject(graph.allowed)) {
+      throw new Error(`lead_transitions.${field}.allowed must be an object`);
+    }
+    if (graph.required !== undefined && !isPlainObject(graph.required)) {
+      throw new Error(`lead_transitions.${field}.required must be an object`);
+    }
+
+    const values = valuesFor(picklist);
+    for (const [from, targets] of Object.entries(graph.allowed)) {
+      if (!values.includes(from) || !Array.isArray(targets) || targets.some((to) => !values.includes(to) || to === from)) {
+        throw new Error(`lead_transitions.${field}.allowed must map each ${field} to other ${field} values: ${values.join(', ')}`);
+      }
+    }
+    for (const [to, fields] of Object.entries(graph.required || {})) {
+      if (!values.includes(to) || !Array.isArray(fields) || fields.some((name) => !TRANSITION_REQUIRED_FIELDS.includes(name))) {
+        throw new Error(`lead_transitions.${field}.required must map ${field} values to fields: ${TRANSITION_REQUIRED_FIELDS.join(', ')}`);
+      }
+    }
+  }
+  return true;
+};
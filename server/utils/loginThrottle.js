@@ -0,0 +1,53 @@
+/**
+ * Login throttling decisions
+ * Pure helpers behind loginGuard; the counts they judge come from team_users
+ * and login_history.
+ */
+import {
+  BASE_DELAY_MS,
+  COUNTED_REASONS,
+  MAX_ACCOUNT_FAILURES,
+  MAX_DELAY_MS,
+  MAX_IP_FAILURES
+} from '../config/loginProtection.js';
+
+/**
+ * Check whether an account is currently locked. Locks lift by themselves
+ * once locked_until passes.
+ * @param {Object} user - team_users row, or the tracking returned for a failure
+ * @param {Date} now - Current time
+ * @returns {boolean} - Lock status
+ */
+export const isLocked = (user, now = new Date()) =>
+  Boolean(user?.locked_until && new Date(user.locked_until) > now);
+
+/**
+ * Check whether a failure counts against the account, rather than only being recorded
+ * @param {string} reason - Failure reason stored in login_history
+ * @returns {boolean}
+ */
+export const countsAgainstAccount = (reason) => COUNTED_REASONS.includes(reason);
+
+/**
+ * Check whether an account's failure count calls for a lock. The count is
+ * only reset by a successful login or an unlock, so after a lock expires the
+ * next failure locks the account again.
+ * @param {number} failedLoginCount - Failures including the one just made
+ * @returns {boolean}
+ */
+export const locksAccount = (failedLoginCount) => failedLoginCount >= MAX_ACCOUNT_FAILURES;
+
+/**
+ * Check whether an IP has failed too often within the window
+ * @param {number} failures - Recent failures from the IP
+ * @returns {boolean}
+ */
+export const isIpBlocked = (failures) => failures >= MAX_IP_FAILURES;
+
+/**
+ * Delay before answering, doubling with every recent failure up to the cap
+ * @param {number} failures - Recent failed attempts
+ * @returns {number} - Milliseconds
+ */
+export const failureDelay = (failures) =>
+  (failures > 0 ? Math.min(BASE_DELAY_MS * 2 ** (failures - 1), MAX_DELAY_MS) : 0);
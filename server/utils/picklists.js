@@ -0,0 +1,27 @@
+/**
+ * Picklist value lookups
+ * Pure helpers over one picklist's values, as returned by picklistService.getAll.
+ */
+
+/**
+ * List the values a field accepts
+ * @param {Array} values - One picklist's values from getAll
+ * @param {Object} options - { allowDeprecated } to include deprecated values, as filters do
+ * @returns {Array} - Stored values
+ */
+export const allowedValues = (values, { allowDeprecated = false } = {}) =>
+  values.filter((row) => allowDeprecated || !row.is_deprecated).map((row) => row.value);
+
+/**
+ * Find the value a spreadsheet cell names, by value or label, ignoring case
+ * @param {Array} values - One picklist's values from getAll
+ * @param {string} text - Cell text
+ * @returns {string|null} - Stored value, or null if no settable value matches
+ */
+export const matchValue = (values, text) => {
+  const needle = text.trim().toLowerCase();
+  const match = values.find((row) =>
+    !row.is_deprecated && (row.value === needle || row.label.toLowerCase() === needle)
+  );
+  return match ? match.value : null;
+};
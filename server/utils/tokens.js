@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+export const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+
+// Lifetimes in seconds
+export const ACCESS_TOKEN_TTL = parseInt(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+export const REFRESH_TOKEN_TTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60;
+export const MFA_CHALLENGE_TTL = 5 * 60;
+
+/**
+ * Hash an opaque token for storage
+ * @param {string} token - Raw token
+ * @returns {string} - Hex SHA-256 digest
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a random opaque token
+ * @returns {string} - URL-safe token
+ */
+export const generateOpaqueToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Classify a stored refresh token presented for rotation. A token that was
+ * already rotated and comes back has leaked, so its whole family is revoked.
+ * @param {Object} token - refresh_tokens row
+ * @param {Date} now - Current time
+ * @returns {string} - 'active', 'expired', 'revoked' (logout) or 'reused' (rotated before)
+ */
+export const refreshTokenState = (token, now = new Date()) => {
+  if (token.revoked_at) {
+    return token.replaced_by ? 'reused' : 'revoked';
+  }
+  if (token.expires_at < now) {
+    return 'expired';
+  }
+  return 'active';
+};
+
+/**
+ * Sign a short-lived access token for a user
+ * @param {Object} user - team_users row
+ * @returns {Object} - { token, jti, expiresIn }
+ */
+export const signAccessToken = (user) => {
+  const jti = crypto.randomUUID();
+
+  const token = jwt.sign(
+    {
+      userId: user.id,
+      tenantId: user.tenant_id,
+      email: user.email,
+      role: user.role,
+      tokenVersion: user.token_version
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: jti }
+  );
+
+  return { token, jti, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+/**
+ * Sign the short-lived challenge returned when a login still needs a second factor
+ * @param {Object} user - team_users row
+ * @param {Object} options - { deviceId } to carry over to the issued session
+ * @returns {Object} - { token, expiresIn }
+ */
+export const signMfaChallenge = (user, { deviceId } = {}) => {
+  const token = jwt.sign(
+    {
+      purpose: 'mfa',
+      userId: user.id,
+      tenantId: user.tenant_id,
+      tokenVersion: user.token_version,
+      deviceId
+    },
+    JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_TTL }
+  );
+
+  return { token, expiresIn: MFA_CHALLENGE_TTL };
+};
+
+/**
+ * Verify a second-factor challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object|null} - Decoded claims, or null if invalid or expired
+ */
+export const verifyMfaChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === 'mfa' ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+export const API_KEY_PREFIX = 'kf_';
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key, prefix } where prefix is safe to display
+ */
+export const generateApiKey = () => {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  return { key: `${prefix}.${generateOpaqueToken()}`, prefix };
+};
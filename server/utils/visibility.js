@@ -0,0 +1,50 @@
+/**
+ * Record-level visibility
+ * Admins, API key service principals and internal calls see every record in the tenant,
+ * managers see records belonging to themselves or their direct reports
+ * (team_users.manager_id), and agents only see records belonging to themselves.
+ */
+
+/**
+ * Viewer for internal calls that act on records already checked against the
+ * requesting user, or on behalf of no user at all
+ */
+export const SYSTEM_VIEWER = Object.freeze({ system: true });
+
+/**
+ * Check whether a viewer is exempt from record-level rules. A missing viewer
+ * is a bug, not a licence to see everything, so it throws.
+ * @param {Object} viewer - Authenticated user (req.user), or SYSTEM_VIEWER
+ * @returns {boolean} - True when every tenant record is visible
+ */
+export const seesAllRecords = (viewer) => {
+  if (!viewer) {
+    throw new Error('A viewer is required for record visibility; pass SYSTEM_VIEWER for internal calls');
+  }
+  return viewer.system === true || viewer.role === 'admin' || viewer.type === 'service';
+};
+
+/**
+ * Build a WHERE condition restricting rows to those visible to a viewer
+ * @param {Object} viewer - Authenticated user (req.user), or SYSTEM_VIEWER for internal calls
+ * @param {Array} columns - User ID columns that grant visibility, e.g. ['l.owner_user_id'].
+ *   An entry may also be a function receiving match(column) and returning SQL.
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object} - { condition, params }; condition is null when unrestricted
+ */
+export const buildVisibilityCondition = (viewer, columns, paramIndex) => {
+  if (seesAllRecords(viewer)) {
+    return { condition: null, params: [] };
+  }
+
+  const ref = `$${paramIndex}`;
+  const match = viewer.role === 'manager'
+    ? (column) => `${column} IN (SELECT id FROM team_users WHERE id = ${ref} OR manager_id = ${ref})`
+    : (column) => `${column} = ${ref}`;
+
+  const condition = columns
+    .map(column => (typeof column === 'function' ? column(match) : match(column)))
+    .join(' OR ');
+
+  return { condition: `(${condition})`, params: [viewer.id] };
+};